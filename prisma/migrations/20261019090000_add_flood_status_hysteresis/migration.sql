@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `locations` ADD COLUMN `hysteresisMargin` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `escalationReadings` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `deescalationMinutes` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `pendingStatus` ENUM('AMAN', 'WASPADA', 'SIAGA', 'BAHAYA') NULL,
+    ADD COLUMN `pendingStatusCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `pendingStatusSince` DATETIME(3) NULL;
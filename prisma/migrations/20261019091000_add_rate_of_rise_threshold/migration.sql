@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `locations` ADD COLUMN `riseRateThreshold` DOUBLE NULL,
+    ADD COLUMN `riseRateWindowMinutes` INTEGER NOT NULL DEFAULT 10;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `flood_rules` (
+    `id` VARCHAR(191) NOT NULL,
+    `locationId` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `status` ENUM('AMAN', 'WASPADA', 'SIAGA', 'BAHAYA') NOT NULL,
+    `match` ENUM('ALL', 'ANY') NOT NULL DEFAULT 'ALL',
+    `conditions` JSON NOT NULL,
+    `priority` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `flood_rules_locationId_isActive_idx`(`locationId`, `isActive`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `flood_rules` ADD CONSTRAINT `flood_rules_locationId_fkey` FOREIGN KEY (`locationId`) REFERENCES `locations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
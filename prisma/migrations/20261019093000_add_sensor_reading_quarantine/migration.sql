@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `minWaterLevel` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `maxWaterLevel` DOUBLE NULL,
+    ADD COLUMN `maxRainfall` DOUBLE NULL,
+    ADD COLUMN `maxWaterLevelDelta` DOUBLE NULL,
+    ADD COLUMN `outlierFilter` BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE `quarantined_readings` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `timestamp` DATETIME(3) NOT NULL,
+    `rainfall` DOUBLE NULL,
+    `waterLevel` DOUBLE NULL,
+    `reason` VARCHAR(50) NOT NULL,
+    `details` TEXT NULL,
+    `status` ENUM('PENDING', 'RELEASED', 'DISCARDED') NOT NULL DEFAULT 'PENDING',
+    `reviewedAt` DATETIME(3) NULL,
+    `releasedLogId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `quarantined_readings_deviceCode_timestamp_idx`(`deviceCode`, `timestamp`),
+    INDEX `quarantined_readings_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `quarantined_readings` ADD CONSTRAINT `quarantined_readings_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `sensor_logs` ADD COLUMN `rawRainfall` DOUBLE NULL,
+    ADD COLUMN `rawWaterLevel` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `quarantined_readings` ADD COLUMN `rawRainfall` DOUBLE NULL,
+    ADD COLUMN `rawWaterLevel` DOUBLE NULL;
+
+-- CreateTable
+CREATE TABLE `device_calibrations` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceId` VARCHAR(191) NOT NULL,
+    `mountingOffset` DOUBLE NOT NULL DEFAULT 0,
+    `scaleFactor` DOUBLE NOT NULL DEFAULT 1,
+    `invert` BOOLEAN NOT NULL DEFAULT false,
+    `rainTipSize` DOUBLE NOT NULL DEFAULT 1,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `device_calibrations_deviceId_key`(`deviceId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_calibrations` ADD CONSTRAINT `device_calibrations_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
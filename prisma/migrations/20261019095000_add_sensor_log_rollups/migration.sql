@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE `sensor_log_hourly` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `bucketStart` DATETIME(3) NOT NULL,
+    `count` INTEGER NOT NULL,
+    `waterLevelSum` DOUBLE NULL,
+    `waterLevelMin` DOUBLE NULL,
+    `waterLevelMax` DOUBLE NULL,
+    `waterLevelCount` INTEGER NOT NULL DEFAULT 0,
+    `rainfallTotal` DOUBLE NULL,
+    `rainfallMax` DOUBLE NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `sensor_log_hourly_bucketStart_idx`(`bucketStart`),
+    UNIQUE INDEX `sensor_log_hourly_deviceCode_bucketStart_key`(`deviceCode`, `bucketStart`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sensor_log_daily` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `bucketStart` DATETIME(3) NOT NULL,
+    `count` INTEGER NOT NULL,
+    `waterLevelSum` DOUBLE NULL,
+    `waterLevelMin` DOUBLE NULL,
+    `waterLevelMax` DOUBLE NULL,
+    `waterLevelCount` INTEGER NOT NULL DEFAULT 0,
+    `rainfallTotal` DOUBLE NULL,
+    `rainfallMax` DOUBLE NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `sensor_log_daily_bucketStart_idx`(`bucketStart`),
+    UNIQUE INDEX `sensor_log_daily_deviceCode_bucketStart_key`(`deviceCode`, `bucketStart`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `rollup_checkpoints` (
+    `name` VARCHAR(20) NOT NULL,
+    `rolledUntil` DATETIME(3) NOT NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`name`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `sensor_log_hourly` ADD CONSTRAINT `sensor_log_hourly_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `sensor_log_daily` ADD CONSTRAINT `sensor_log_daily_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `retentionDays` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `retention_runs` (
+    `id` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(20) NOT NULL,
+    `startedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finishedAt` DATETIME(3) NULL,
+    `archivedCount` INTEGER NOT NULL DEFAULT 0,
+    `deletedCount` INTEGER NOT NULL DEFAULT 0,
+    `rollupDeletedCount` INTEGER NOT NULL DEFAULT 0,
+    `files` JSON NULL,
+    `error` TEXT NULL,
+
+    INDEX `retention_runs_startedAt_idx`(`startedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
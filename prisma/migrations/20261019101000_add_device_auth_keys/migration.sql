@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `authKey` VARCHAR(128) NULL,
+    ADD COLUMN `previousAuthKey` VARCHAR(128) NULL,
+    ADD COLUMN `previousAuthKeyExpiresAt` DATETIME(3) NULL,
+    ADD COLUMN `authKeyRotatedAt` DATETIME(3) NULL;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `devices` MODIFY `locationId` VARCHAR(191) NULL,
+    ADD COLUMN `provisioningStatus` ENUM('PENDING', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'APPROVED',
+    ADD COLUMN `provisionedAt` DATETIME(3) NULL,
+    ADD COLUMN `rejectionReason` TEXT NULL;
+
+-- CreateIndex
+CREATE INDEX `devices_provisioningStatus_idx` ON `devices`(`provisioningStatus`);
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `device_commands` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(50) NOT NULL,
+    `params` JSON NULL,
+    `status` ENUM('QUEUED', 'SENT', 'ACKED', 'FAILED', 'TIMEOUT') NOT NULL DEFAULT 'QUEUED',
+    `result` JSON NULL,
+    `error` TEXT NULL,
+    `createdBy` VARCHAR(100) NULL,
+    `sentAt` DATETIME(3) NULL,
+    `ackedAt` DATETIME(3) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `device_commands_deviceCode_createdAt_idx`(`deviceCode`, `createdAt`),
+    INDEX `device_commands_status_expiresAt_idx`(`status`, `expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_commands` ADD CONSTRAINT `device_commands_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
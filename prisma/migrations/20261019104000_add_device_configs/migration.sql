@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `device_configs` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `desired` JSON NULL,
+    `desiredVersion` INTEGER NOT NULL DEFAULT 0,
+    `publishedVersion` INTEGER NULL,
+    `publishedAt` DATETIME(3) NULL,
+    `reported` JSON NULL,
+    `reportedVersion` INTEGER NULL,
+    `reportedAt` DATETIME(3) NULL,
+    `updatedBy` VARCHAR(100) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `device_configs_deviceCode_key`(`deviceCode`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_configs` ADD CONSTRAINT `device_configs_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
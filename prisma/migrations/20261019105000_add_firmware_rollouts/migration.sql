@@ -0,0 +1,85 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `firmwareVersion` VARCHAR(50) NULL,
+    ADD COLUMN `hardwareRevision` VARCHAR(50) NULL,
+    ADD COLUMN `lastBootReason` VARCHAR(50) NULL,
+    ADD COLUMN `firmwareUpdatedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `device_firmware_history` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `event` VARCHAR(20) NOT NULL,
+    `firmwareVersion` VARCHAR(50) NULL,
+    `previousVersion` VARCHAR(50) NULL,
+    `hardwareRevision` VARCHAR(50) NULL,
+    `bootReason` VARCHAR(50) NULL,
+    `recordedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `device_firmware_history_deviceCode_recordedAt_idx`(`deviceCode`, `recordedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `firmware_images` (
+    `id` VARCHAR(191) NOT NULL,
+    `version` VARCHAR(50) NOT NULL,
+    `hardwareRevision` VARCHAR(50) NULL,
+    `filename` VARCHAR(255) NOT NULL,
+    `size` INTEGER NOT NULL,
+    `sha256` VARCHAR(64) NOT NULL,
+    `downloadToken` VARCHAR(64) NOT NULL,
+    `notes` TEXT NULL,
+    `uploadedBy` VARCHAR(100) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `firmware_images_version_hardwareRevision_key`(`version`, `hardwareRevision`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `firmware_rollouts` (
+    `id` VARCHAR(191) NOT NULL,
+    `firmwareId` VARCHAR(191) NOT NULL,
+    `status` ENUM('RUNNING', 'HALTED', 'COMPLETED', 'CANCELLED') NOT NULL DEFAULT 'RUNNING',
+    `percentage` INTEGER NOT NULL,
+    `failureThreshold` DOUBLE NOT NULL,
+    `batchSize` INTEGER NOT NULL,
+    `haltReason` TEXT NULL,
+    `createdBy` VARCHAR(100) NULL,
+    `startedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finishedAt` DATETIME(3) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `firmware_rollouts_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `firmware_rollout_devices` (
+    `id` VARCHAR(191) NOT NULL,
+    `rolloutId` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'SENT', 'SUCCEEDED', 'FAILED', 'SKIPPED') NOT NULL DEFAULT 'PENDING',
+    `previousVersion` VARCHAR(50) NULL,
+    `commandId` VARCHAR(191) NULL,
+    `error` TEXT NULL,
+    `sentAt` DATETIME(3) NULL,
+    `finishedAt` DATETIME(3) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `firmware_rollout_devices_deviceCode_status_idx`(`deviceCode`, `status`),
+    UNIQUE INDEX `firmware_rollout_devices_rolloutId_deviceCode_key`(`rolloutId`, `deviceCode`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_firmware_history` ADD CONSTRAINT `device_firmware_history_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `firmware_rollouts` ADD CONSTRAINT `firmware_rollouts_firmwareId_fkey` FOREIGN KEY (`firmwareId`) REFERENCES `firmware_images`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `firmware_rollout_devices` ADD CONSTRAINT `firmware_rollout_devices_rolloutId_fkey` FOREIGN KEY (`rolloutId`) REFERENCES `firmware_rollouts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `firmware_rollout_devices` ADD CONSTRAINT `firmware_rollout_devices_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `device_telemetry` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `batteryVoltage` DOUBLE NULL,
+    `solarCharge` DOUBLE NULL,
+    `rssi` INTEGER NULL,
+    `temperature` DOUBLE NULL,
+    `recordedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `device_telemetry_deviceCode_recordedAt_idx`(`deviceCode`, `recordedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_telemetry` ADD CONSTRAINT `device_telemetry_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `devices` MODIFY `status` ENUM('CONNECTED', 'LATE', 'DISCONNECTED') NOT NULL DEFAULT 'DISCONNECTED',
+    ADD COLUMN `observedIntervalSeconds` INTEGER NULL;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE `device_status_history` (
+    `id` VARCHAR(191) NOT NULL,
+    `deviceCode` VARCHAR(191) NOT NULL,
+    `previousStatus` ENUM('CONNECTED', 'LATE', 'DISCONNECTED') NOT NULL,
+    `newStatus` ENUM('CONNECTED', 'LATE', 'DISCONNECTED') NOT NULL,
+    `reason` VARCHAR(20) NOT NULL,
+    `changedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `device_status_history_deviceCode_changedAt_idx`(`deviceCode`, `changedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_status_history` ADD CONSTRAINT `device_status_history_deviceCode_fkey` FOREIGN KEY (`deviceCode`) REFERENCES `devices`(`code`) ON DELETE CASCADE ON UPDATE CASCADE;
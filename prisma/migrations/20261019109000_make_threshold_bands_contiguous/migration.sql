@@ -0,0 +1,6 @@
+-- Threshold bands are half-open now: each band ends where the next one starts.
+-- Moving every max up to the next min keeps the status of whole-centimetre
+-- readings and closes the gaps fractional readings used to fall into.
+UPDATE `locations` SET `amanMax` = `waspadaMin` WHERE `waspadaMin` > `amanMax`;
+UPDATE `locations` SET `waspadaMax` = `siagaMin` WHERE `siagaMin` > `waspadaMax`;
+UPDATE `locations` SET `siagaMax` = `bahayaMin` WHERE `bahayaMin` > `siagaMax`;
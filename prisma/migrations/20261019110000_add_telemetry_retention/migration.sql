@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `retention_runs` ADD COLUMN `telemetryDeletedCount` INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `lastHeartbeatAt` DATETIME(3) NULL;
+
+-- Intervals learned so far include the gaps between sensor messages and can
+-- be far too short; relearn them from heartbeats.
+UPDATE `devices` SET `observedIntervalSeconds` = NULL;
@@ -13,9 +13,20 @@ import { router as weather_routes } from './routes/weather.route.js'
 import { router as device_routes } from './routes/device.route.js'
 import { router as sensorLog_routes } from './routes/sensorLog.route.js'
 import { router as location_routes } from './routes/location.route.js'
+import { router as firmware_routes } from './routes/firmware.route.js'
 import { DeviceMonitoringService } from './services/deviceMonitoring.service.js'
 import { MqttMessageRouter } from './routes/mqtt.route.js'
 import { NotificationEmitter } from './services/notificationEmitter.service.js'
+import { SensorLogBuffer } from './services/sensorLogBuffer.service.js'
+import { sensorLogRepository } from './repositories/sensorLog.repository.js'
+import { sensorRollupService } from './services/sensorRollup.service.js'
+import { retentionService } from './services/retention.service.js'
+import { deviceClockService } from './services/deviceClock.service.js'
+import { deviceAuthService } from './services/deviceAuth.service.js'
+import { deviceCommandService } from './services/deviceCommand.service.js'
+import { deviceConfigService } from './services/deviceConfig.service.js'
+import { firmwareRolloutService } from './services/firmwareRollout.service.js'
+import { deviceTelemetryService } from './services/deviceTelemetry.service.js'
 import { SocketConnectionManager } from './handlers/socket/socketConnectionManager.js'
 import logger from './utils/logger.js'
 
@@ -37,7 +48,10 @@ const io = setupSocket(server, () => sensorData)
 // Initialize services
 const deviceMonitoring = new DeviceMonitoringService(io)
 const notificationEmitter = new NotificationEmitter(io)
-const mqttRouter = new MqttMessageRouter(deviceMonitoring, notificationEmitter)
+const sensorLogBuffer = new SensorLogBuffer(notificationEmitter)
+// Live evaluations read buffered readings that are not flushed yet
+sensorLogRepository.setPendingSource(sensorLogBuffer)
+const mqttRouter = new MqttMessageRouter(deviceMonitoring, notificationEmitter, sensorLogBuffer)
 const socketManager = new SocketConnectionManager(io, deviceMonitoring, notificationEmitter)
 
 const port = process.env.APP_PORT
@@ -55,6 +69,7 @@ app.use('/api/v1/cuaca', weather_routes)
 app.use('/api/v1/devices', device_routes)
 app.use('/api/v1/sensorLogs', sensorLog_routes)
 app.use('/api/v1/locations', location_routes)
+app.use('/api/v1/firmware', firmware_routes)
 
 // MQTT Connection Setup
 mqttClient.on('connect', () => {
@@ -63,12 +78,17 @@ mqttClient.on('connect', () => {
   // Start device monitoring service
   deviceMonitoring.start()
 
-  const topics = [
-    'binatra-device/+/heartbeat',  // Device heartbeat: binatra-device/{deviceCode}/heartbeat
-    'binatra-device/+/sensor',     // Device sensor data: binatra-device/{deviceCode}/sensor
-    'binatra-device/sensor',       // Legacy sensor topic
-    'binatra-device/check/device'  // Device check topic
-  ]
+  // Start periodic sensor log flushing
+  sensorLogBuffer.start()
+
+  // Publish queued downlink commands and time out unacknowledged ones
+  deviceCommandService.start(mqttClient, notificationEmitter)
+
+  // Publish device configs changed while disconnected
+  deviceConfigService.start(mqttClient)
+
+  // Generated from the MQTT route table
+  const topics = mqttRouter.getSubscriptions()
 
   mqttClient.subscribe(topics, (err) => {
     if (!err) {
@@ -82,9 +102,9 @@ mqttClient.on('connect', () => {
 })
 
 // Simplified MQTT Message Handler using Router
-mqttClient.on('message', async (topic, message) => {
+mqttClient.on('message', async (topic, message, packet) => {
   try {
-    const result = await mqttRouter.routeMessage(topic, message)
+    const result = await mqttRouter.routeMessage(topic, message, packet)
     
     // Update global sensor data if it's sensor data
     if (result.success && result.sensorData) {
@@ -156,9 +176,9 @@ app.get('/health', async (req, res) => {
         },
         deviceMonitoring: {
           active: deviceMonitoring.intervalId !== null,
-          heartbeatTimeout: deviceMonitoring.heartbeatTimeout,
-          checkInterval: deviceMonitoring.checkInterval
+          ...deviceMonitoring.getSettings()
         },
+        sensorLogBuffer: sensorLogBuffer.getStats(),
         notifications: {
           totalEmitted: notificationStats.totalEmitted,
           errors: notificationStats.errors,
@@ -198,6 +218,13 @@ app.get('/api/v1/system/stats', async (req, res) => {
         topics: mqttRouter.getRoutingStats()
       },
       notifications: notificationEmitter.getStats(),
+      sensorLogBuffer: sensorLogBuffer.getStats(),
+      rollups: sensorRollupService.getStats(),
+      deviceClocks: deviceClockService.getStats(),
+      deviceAuth: deviceAuthService.getStats(),
+      deviceCommands: deviceCommandService.getStats(),
+      firmwareRollouts: firmwareRolloutService.getStats(),
+      deviceTelemetry: deviceTelemetryService.getStats(),
       socket: {
         connectedClients: io.engine.clientsCount,
         activeRooms: notificationEmitter.getActiveRooms()
@@ -227,10 +254,7 @@ app.get('/api/v1/system/health-detailed', async (req, res) => {
         },
         deviceMonitoring: {
           status: deviceMonitoring.intervalId ? 'active' : 'inactive',
-          config: {
-            heartbeatTimeout: deviceMonitoring.heartbeatTimeout,
-            checkInterval: deviceMonitoring.checkInterval
-          }
+          config: deviceMonitoring.getSettings()
         }
       },
       features: {
@@ -251,41 +275,72 @@ app.get('/api/v1/system/health-detailed', async (req, res) => {
 })
 
 // Graceful Shutdown Handler
-const gracefulShutdown = (signal) => {
+let shuttingDown = false
+
+const gracefulShutdown = async (signal) => {
+  if (shuttingDown) return
+  shuttingDown = true
+
   console.log(`\n${signal} received. Shutting down gracefully...`)
   logger.info(`Graceful shutdown initiated by ${signal}`)
 
-  // Stop accepting new requests
+  // Force exit if graceful shutdown takes too long
+  setTimeout(() => {
+    console.error('Could not close connections in time, forcefully shutting down')
+    logger.error('Forced shutdown due to timeout')
+    process.exit(1)
+  }, 10000) // 10 seconds timeout
+
+  // Stop accepting new requests. Open Socket.IO and keep-alive connections
+  // keep server.close waiting, so the shutdown does not wait for it.
   server.close((err) => {
     if (err) {
       logger.error('Error closing server:', err)
-      process.exit(1)
+      return
     }
 
     console.log('HTTP server closed')
     logger.info('HTTP server closed')
-
-    // Stop services
-    deviceMonitoring.stop()
-    console.log('Device monitoring stopped')
-
-    // Close MQTT connection
-    mqttClient.end(() => {
-      console.log('MQTT connection closed')
-      logger.info('MQTT connection closed')
-      
-      console.log('Graceful shutdown completed')
-      logger.info('Graceful shutdown completed')
-      process.exit(0)
-    })
   })
+  io.disconnectSockets(true)
+  server.closeIdleConnections()
 
-  // Force exit if graceful shutdown takes too long
-  setTimeout(() => {
-    console.error('Could not close connections in time, forcefully shutting down')
-    logger.error('Forced shutdown due to timeout')
+  // Stop taking in readings before the buffer is written
+  await new Promise(resolve => mqttClient.end(resolve))
+  console.log('MQTT connection closed')
+  logger.info('MQTT connection closed')
+
+  // Stop services
+  deviceMonitoring.stop()
+  console.log('Device monitoring stopped')
+
+  sensorRollupService.stop()
+  retentionService.stop()
+  deviceCommandService.stop()
+  firmwareRolloutService.stop()
+
+  // Write readings that are still buffered
+  sensorLogBuffer.stop()
+
+  try {
+    await sensorLogBuffer.flush()
+
+    // Failed writes are put back in the buffer
+    const { pending } = sensorLogBuffer.getStats()
+    if (pending > 0) {
+      throw new Error(`${pending} sensor logs could not be written`)
+    }
+
+    console.log('Sensor log buffer flushed')
+  } catch (error) {
+    console.error('Sensor log buffer not flushed:', error.message)
+    logger.error('Error flushing sensor log buffer on shutdown:', error)
     process.exit(1)
-  }, 10000) // 10 seconds timeout
+  }
+
+  console.log('Graceful shutdown completed')
+  logger.info('Graceful shutdown completed')
+  process.exit(0)
 }
 
 // Handle different shutdown signals
@@ -313,13 +368,19 @@ server.listen(port, () => {
   console.log(`System stats available at: http://localhost:${port}/api/v1/system/stats`)
   console.log(`Detailed health check available at: http://localhost:${port}/api/v1/system/health-detailed`)
 
+  // Keep hourly and daily sensor log rollups up to date
+  sensorRollupService.start()
+
+  // Archive and delete expired sensor logs
+  retentionService.start()
+
+  // Send OTA updates and halt rollouts that fail too often
+  firmwareRolloutService.start(notificationEmitter)
+
   logger.info('Server started successfully', {
     port,
     mqttConfig: mqttConfig.host,
-    deviceMonitoring: {
-      heartbeatTimeout: deviceMonitoring.heartbeatTimeout,
-      checkInterval: deviceMonitoring.checkInterval
-    },
+    deviceMonitoring: deviceMonitoring.getSettings(),
     features: {
       deviceMonitoring: true,
       locationTracking: true,
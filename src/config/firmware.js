@@ -0,0 +1,24 @@
+import process from 'process'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+export const firmwareConfig = {
+  // Uploaded firmware binaries
+  directory: process.env.FIRMWARE_DIR || 'storage/firmware',
+  maxSizeBytes: (Number(process.env.FIRMWARE_MAX_SIZE_MB) || 8) * 1024 * 1024,
+  // Public URL of this API as seen by the devices, used in download links
+  publicBaseUrl: process.env.FIRMWARE_PUBLIC_URL || `http://localhost:${process.env.APP_PORT}`,
+  // Validity of the download token sent with each update command
+  downloadTokenTtlMs: Number(process.env.FIRMWARE_TOKEN_TTL_MS) || 30 * 60 * 1000,
+  rollout: {
+    // Halt when more than this share of finished updates failed
+    failureThreshold: Number(process.env.OTA_FAILURE_THRESHOLD) || 0.2,
+    // Finished updates needed before the failure rate is judged
+    minSample: Number(process.env.OTA_MIN_SAMPLE) || 3,
+    batchSize: Number(process.env.OTA_BATCH_SIZE) || 10,
+    // A device that does not come back on the new version by then has failed
+    updateTimeoutMs: Number(process.env.OTA_UPDATE_TIMEOUT_MS) || 30 * 60 * 1000,
+    runInterval: Number(process.env.OTA_INTERVAL_MS) || 30 * 1000
+  }
+}
@@ -0,0 +1,15 @@
+import process from 'process'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+export const monitoringConfig = {
+  // Expected reporting interval of devices without a configured or learned one;
+  // with the default multipliers this keeps the former 5 minute offline timeout
+  defaultIntervalSeconds: Number(process.env.DEVICE_DEFAULT_INTERVAL_S) || 100,
+  // A device is LATE after this many of its intervals without a message...
+  lateMultiplier: Number(process.env.DEVICE_LATE_MULTIPLIER) || 1.5,
+  // ...and DISCONNECTED after this many
+  offlineMultiplier: Number(process.env.DEVICE_OFFLINE_MULTIPLIER) || 3,
+  checkIntervalSeconds: Number(process.env.DEVICE_STATUS_CHECK_INTERVAL_S) || 30
+}
@@ -0,0 +1,23 @@
+import process from 'process'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const optionalDays = (value) => value === undefined || value === '' ? null : Number(value)
+
+export const retentionConfig = {
+  // Raw sensor_logs older than this are archived and deleted; devices can override it
+  rawRetentionDays: Number(process.env.SENSOR_RETENTION_DAYS) || 90,
+  // Hourly and daily rollups, null keeps them forever
+  rollupRetentionDays: optionalDays(process.env.ROLLUP_RETENTION_DAYS),
+  // Heartbeat health telemetry (device_telemetry), deleted without archiving
+  telemetryRetentionDays: Number(process.env.TELEMETRY_RETENTION_DAYS) || 90,
+  archive: {
+    directory: process.env.SENSOR_ARCHIVE_DIR || 'archives/sensor_logs',
+    format: process.env.SENSOR_ARCHIVE_FORMAT === 'csv' ? 'csv' : 'ndjson',
+    maxRowsPerFile: Number(process.env.SENSOR_ARCHIVE_MAX_ROWS) || 50000
+  },
+  runInterval: Number(process.env.RETENTION_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+  // Delay of the first run after startup, so restarts do not postpone retention by a full interval
+  startDelay: Number(process.env.RETENTION_START_DELAY_MS) || 60 * 1000
+}
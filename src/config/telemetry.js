@@ -0,0 +1,16 @@
+import process from 'process'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+export const telemetryConfig = {
+  // Battery voltage below this raises a low-battery alert
+  lowBatteryVoltage: Number(process.env.TELEMETRY_LOW_BATTERY_V) || 3.5,
+  // Signal strength (dBm) below this raises a weak-signal alert
+  weakSignalRssi: Number(process.env.TELEMETRY_WEAK_RSSI_DBM) || -105,
+  // An alert clears once the value is back this far above its threshold
+  batteryRecoveryMargin: Number(process.env.TELEMETRY_BATTERY_RECOVERY_V) || 0.1,
+  signalRecoveryMargin: Number(process.env.TELEMETRY_RSSI_RECOVERY_DBM) || 5,
+  // Alerts that stay active are repeated this often
+  alertRepeatMs: Number(process.env.TELEMETRY_ALERT_REPEAT_MS) || 6 * 60 * 60 * 1000
+}
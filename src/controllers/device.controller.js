@@ -1,4 +1,14 @@
 import { deviceService } from '../services/device.service.js';
+import { calibrationService } from '../services/calibration.service.js';
+import { deviceAuthService } from '../services/deviceAuth.service.js';
+import { deviceProvisioningService } from '../services/deviceProvisioning.service.js';
+import { deviceCommandService } from '../services/deviceCommand.service.js';
+import { deviceConfigService } from '../services/deviceConfig.service.js';
+import { firmwareService } from '../services/firmware.service.js';
+import { deviceTelemetryService } from '../services/deviceTelemetry.service.js';
+import { deviceLivenessService } from '../services/deviceLiveness.service.js';
+import { deviceAvailabilityService } from '../services/deviceAvailability.service.js';
+import { parseExportOptions, streamSpreadsheet } from '../utils/spreadsheetExport.js';
 import logger from '../utils/logger.js';
 
 class DeviceController {
@@ -37,7 +47,7 @@ class DeviceController {
    */
   createDevice = async (req, res) => {
     try {
-      const { code, locationId, description } = req.body;
+      const { code, locationId, description, minWaterLevel, maxWaterLevel, maxRainfall, maxWaterLevelDelta, outlierFilter } = req.body;
   
       if (!code) {
         return res.status(400).json({ 
@@ -50,7 +60,11 @@ class DeviceController {
         code, 
         locationId, 
         description,
-     
+        minWaterLevel,
+        maxWaterLevel,
+        maxRainfall,
+        maxWaterLevelDelta,
+        outlierFilter
       });
   
       return res.status(201).json({
@@ -60,10 +74,11 @@ class DeviceController {
       });
     } catch (error) {
       logger.error('Error creating device:', error);
-      return res.status(500).json({ 
+      return res.status(error.statusCode || 500).json({ 
         success: false,
         message: 'Failed to create device', 
-        error: error.message 
+        error: error.message,
+        errors: error.details
       });
     }
   };
@@ -119,7 +134,7 @@ class DeviceController {
       }
 
       const heartbeatTime = timestamp ? new Date(timestamp) : new Date();
-      const device = await deviceService.updateHeartbeat(code, heartbeatTime);
+      const device = await deviceService.updateHeartbeat(code, heartbeatTime, { heartbeat: true });
       
       return res.status(200).json({
         success: true,
@@ -151,10 +166,10 @@ class DeviceController {
         });
       }
 
-      if (!status || !['CONNECTED', 'DISCONNECTED'].includes(status)) {
+      if (!status || !['CONNECTED', 'LATE', 'DISCONNECTED'].includes(status)) {
         return res.status(400).json({ 
           success: false,
-          message: 'Valid status is required (CONNECTED or DISCONNECTED)' 
+          message: 'Valid status is required (CONNECTED, LATE or DISCONNECTED)' 
         });
       }
 
@@ -167,7 +182,7 @@ class DeviceController {
       });
     } catch (error) {
       logger.error('Error updating device status:', error);
-      return res.status(500).json({ 
+      return res.status(error.statusCode || 500).json({ 
         success: false,
         message: 'Failed to update device status', 
         error: error.message 
@@ -182,10 +197,10 @@ class DeviceController {
     try {
       const { status } = req.params;
       
-      if (!status || !['CONNECTED', 'DISCONNECTED'].includes(status)) {
+      if (!status || !['CONNECTED', 'LATE', 'DISCONNECTED'].includes(status)) {
         return res.status(400).json({ 
           success: false,
-          message: 'Valid status is required (CONNECTED or DISCONNECTED)' 
+          message: 'Valid status is required (CONNECTED, LATE or DISCONNECTED)' 
         });
       }
 
@@ -354,10 +369,11 @@ class DeviceController {
       });
     } catch (error) {
       logger.error('Error updating device:', error);
-      return res.status(500).json({ 
+      return res.status(error.statusCode || 500).json({ 
         success: false,
         message: 'Failed to update device', 
-        error: error.message 
+        error: error.message,
+        errors: error.details
       });
     }
   };
@@ -464,6 +480,576 @@ class DeviceController {
       });
     }
   };
+
+  /**
+   * Get device calibration profile
+   */
+  getCalibration = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const calibration = await calibrationService.getCalibration(id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Calibration retrieved successfully',
+        data: calibration
+      });
+    } catch (error) {
+      logger.error('Error getting calibration:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get calibration',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Create device calibration profile
+   */
+  createCalibration = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reprocess, from, to, ...data } = req.body;
+
+      const result = await calibrationService.createCalibration(id, data, { reprocess, from, to });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Calibration created successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error creating calibration:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to create calibration',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Update device calibration profile
+   */
+  updateCalibration = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reprocess, from, to, ...data } = req.body;
+
+      const result = await calibrationService.updateCalibration(id, data, { reprocess, from, to });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Calibration updated successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error updating calibration:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to update calibration',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Delete device calibration profile
+   */
+  deleteCalibration = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reprocess, from, to } = req.query;
+
+      const result = await calibrationService.deleteCalibration(id, {
+        reprocess,
+        from,
+        to
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Calibration deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error deleting calibration:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to delete calibration',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Generate a new MQTT signing key for a device.
+   * The key is only returned in this response.
+   */
+  rotateAuthKey = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const result = await deviceAuthService.rotateKey(code);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device key rotated successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error rotating device key:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to rotate device key',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * List devices by provisioning status (pending by default)
+   */
+  getProvisioningQueue = async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status).toUpperCase() : 'PENDING';
+
+      const devices = await deviceProvisioningService.listDevices(status);
+
+      return res.status(200).json({
+        success: true,
+        message: `${status.toLowerCase()} devices retrieved successfully`,
+        data: devices
+      });
+    } catch (error) {
+      logger.error('Error getting provisioning queue:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get devices',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Approve a pending device and assign it to a location.
+   * Readings held while pending are released unless releaseHeld is false.
+   */
+  approveDevice = async (req, res) => {
+    try {
+      const { code } = req.params;
+      const { locationId, description, releaseHeld, recompute } = req.body || {};
+
+      const result = await deviceProvisioningService.approveDevice(code, {
+        locationId,
+        description,
+        releaseHeld: releaseHeld !== false,
+        recompute: recompute === true
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device approved successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error approving device:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to approve device',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Reject a device and blocklist it
+   */
+  rejectDevice = async (req, res) => {
+    try {
+      const { code } = req.params;
+      const { reason } = req.body || {};
+
+      const result = await deviceProvisioningService.rejectDevice(code, { reason });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device rejected successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error rejecting device:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to reject device',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Send a command to a device over MQTT
+   */
+  sendCommand = async (req, res) => {
+    try {
+      const { code } = req.params;
+      const { type, params } = req.body || {};
+
+      const command = await deviceCommandService.sendCommand(code, { type, params }, req.user?.username);
+
+      return res.status(201).json({
+        success: true,
+        message: command.status === 'QUEUED' ? 'Command queued' : 'Command sent',
+        data: command
+      });
+    } catch (error) {
+      logger.error('Error sending device command:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to send command',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Get the command history of a device
+   */
+  getCommands = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const result = await deviceCommandService.getCommands(code, req.query);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device commands retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Error getting device commands:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device commands',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Get a single command of a device
+   */
+  getCommand = async (req, res) => {
+    try {
+      const { code, commandId } = req.params;
+
+      const command = await deviceCommandService.getCommand(code, commandId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device command retrieved successfully',
+        data: command
+      });
+    } catch (error) {
+      logger.error('Error getting device command:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device command',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Get desired and reported config of a device with its drift
+   */
+  getDeviceConfig = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const config = await deviceConfigService.getDeviceConfig(code);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device config retrieved successfully',
+        data: config
+      });
+    } catch (error) {
+      logger.error('Error getting device config:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device config',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Change the desired config of a device; keys set to null are removed
+   */
+  updateDeviceConfig = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const config = await deviceConfigService.updateDeviceConfig(code, req.body, req.user?.username);
+
+      return res.status(200).json({
+        success: true,
+        message: config.published ? 'Device config published' : 'Device config saved, published on reconnect',
+        data: config
+      });
+    } catch (error) {
+      logger.error('Error updating device config:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to update device config',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Get the config drift of all configured devices
+   */
+  getFleetConfig = async (req, res) => {
+    try {
+      const configs = await deviceConfigService.getFleetConfig(req.query);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device configs retrieved successfully',
+        data: configs
+      });
+    } catch (error) {
+      logger.error('Error getting device configs:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device configs',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Change the desired config of the devices of several locations
+   */
+  bulkUpdateConfig = async (req, res) => {
+    try {
+      const result = await deviceConfigService.bulkUpdateConfig(req.body || {}, req.user?.username);
+
+      return res.status(200).json({
+        success: true,
+        message: `Config updated on ${result.updated.length} devices`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error bulk updating device config:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to update device configs',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Get the current firmware of a device and its firmware history
+   */
+  getFirmwareHistory = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const result = await firmwareService.getHistory(code, req.query);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device firmware history retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error getting device firmware history:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device firmware history',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Get battery, solar charge, signal and temperature trends of a device
+   */
+  getDeviceHealth = async (req, res) => {
+    try {
+      const { code } = req.params;
+      const { interval, from, to } = req.query;
+
+      const health = await deviceTelemetryService.getHealth(code, { interval, from, to });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device health retrieved successfully',
+        data: health
+      });
+    } catch (error) {
+      logger.error('Error getting device health:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device health',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Get the settings deciding when devices are late or offline
+   */
+  getMonitoringSettings = async (req, res) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        message: 'Monitoring settings retrieved successfully',
+        data: deviceLivenessService.getSettings()
+      });
+    } catch (error) {
+      logger.error('Error getting monitoring settings:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get monitoring settings',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Change the default interval, the late/offline multipliers or the check interval
+   * until the next restart
+   */
+  updateMonitoringSettings = async (req, res) => {
+    try {
+      const settings = deviceLivenessService.updateSettings(req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Monitoring settings updated successfully',
+        data: settings
+      });
+    } catch (error) {
+      logger.error('Error updating monitoring settings:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to update monitoring settings',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Get the expected reporting interval of a device and when it counts as late or offline
+   */
+  getDeviceLiveness = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const liveness = await deviceService.getLiveness(code);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device liveness retrieved successfully',
+        data: liveness
+      });
+    } catch (error) {
+      logger.error('Error getting device liveness:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device liveness',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Get uptime, outages and repair times per device and location over a date range
+   */
+  getAvailability = async (req, res) => {
+    try {
+      const availability = await deviceAvailabilityService.getAvailability(req.query);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device availability retrieved successfully',
+        data: availability
+      });
+    } catch (error) {
+      logger.error('Error getting device availability:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device availability',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Export the availability report as CSV or XLSX
+   */
+  exportAvailability = async (req, res) => {
+    try {
+      const options = parseExportOptions(req.query);
+      const exportData = await deviceAvailabilityService.getAvailabilityExport(req.query);
+
+      const count = await streamSpreadsheet(res, { ...options, ...exportData }, exportData.batches);
+      logger.info('Device availability exported', { format: options.format, rows: count });
+    } catch (error) {
+      logger.error('Error exporting device availability:', error);
+
+      // Headers are already sent once streaming has started
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to export device availability',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
+  /**
+   * Get the status transitions of a device
+   */
+  getStatusHistory = async (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const result = await deviceAvailabilityService.getStatusHistory(code, req.query);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device status history retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Error getting device status history:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get device status history',
+        error: error.message
+      });
+    }
+  };
 }
 
 export const deviceController = new DeviceController();
\ No newline at end of file
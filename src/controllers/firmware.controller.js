@@ -0,0 +1,237 @@
+import { firmwareService } from '../services/firmware.service.js';
+import { firmwareRolloutService } from '../services/firmwareRollout.service.js';
+import { FIRMWARE_TOKEN_HEADER } from '../utils/firmwareToken.js';
+import logger from '../utils/logger.js';
+
+class FirmwareController {
+  /**
+   * Upload a firmware binary (raw body, metadata in the query string)
+   */
+  uploadFirmware = async (req, res) => {
+    try {
+      const { version, hardwareRevision, notes } = req.query;
+
+      const image = await firmwareService.uploadImage(req.body, { version, hardwareRevision, notes }, req.user?.username);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Firmware uploaded successfully',
+        data: firmwareService.describeImage(image)
+      });
+    } catch (error) {
+      logger.error('Error uploading firmware:', error);
+      return this.handleError(res, error, 'Failed to upload firmware');
+    }
+  };
+
+  /**
+   * List firmware images
+   */
+  getFirmwareImages = async (req, res) => {
+    try {
+      const images = await firmwareService.listImages();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware images retrieved successfully',
+        data: images,
+        count: images.length
+      });
+    } catch (error) {
+      logger.error('Error getting firmware images:', error);
+      return this.handleError(res, error, 'Failed to get firmware images');
+    }
+  };
+
+  /**
+   * Get a firmware image
+   */
+  getFirmwareImage = async (req, res) => {
+    try {
+      const image = await firmwareService.getImage(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware image retrieved successfully',
+        data: image
+      });
+    } catch (error) {
+      logger.error('Error getting firmware image:', error);
+      return this.handleError(res, error, 'Failed to get firmware image');
+    }
+  };
+
+  /**
+   * Delete a firmware image no rollout uses
+   */
+  deleteFirmwareImage = async (req, res) => {
+    try {
+      const image = await firmwareService.deleteImage(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware image deleted successfully',
+        data: image
+      });
+    } catch (error) {
+      logger.error('Error deleting firmware image:', error);
+      return this.handleError(res, error, 'Failed to delete firmware image');
+    }
+  };
+
+  /**
+   * Download a firmware binary; devices send the token from their update
+   * command in the X-Firmware-Token header
+   */
+  downloadFirmware = async (req, res) => {
+    try {
+      const file = await firmwareService.getDownload(req.params.id, req.get(FIRMWARE_TOKEN_HEADER));
+
+      res.set('X-Firmware-Version', file.image.version);
+      res.set('X-Firmware-SHA256', file.image.sha256);
+
+      return res.download(file.path, file.filename);
+    } catch (error) {
+      logger.error('Error downloading firmware:', error);
+      return this.handleError(res, error, 'Failed to download firmware');
+    }
+  };
+
+  /**
+   * Start a rollout
+   */
+  createRollout = async (req, res) => {
+    try {
+      const rollout = await firmwareRolloutService.createRollout(req.body || {}, req.user?.username);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Firmware rollout started',
+        data: rollout
+      });
+    } catch (error) {
+      logger.error('Error creating firmware rollout:', error);
+      return this.handleError(res, error, 'Failed to start firmware rollout');
+    }
+  };
+
+  /**
+   * List rollouts with their progress
+   */
+  getRollouts = async (req, res) => {
+    try {
+      const rollouts = await firmwareRolloutService.listRollouts(req.query);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware rollouts retrieved successfully',
+        data: rollouts,
+        count: rollouts.length
+      });
+    } catch (error) {
+      logger.error('Error getting firmware rollouts:', error);
+      return this.handleError(res, error, 'Failed to get firmware rollouts');
+    }
+  };
+
+  /**
+   * Get a rollout with its target devices
+   */
+  getRollout = async (req, res) => {
+    try {
+      const rollout = await firmwareRolloutService.getRollout(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware rollout retrieved successfully',
+        data: rollout
+      });
+    } catch (error) {
+      logger.error('Error getting firmware rollout:', error);
+      return this.handleError(res, error, 'Failed to get firmware rollout');
+    }
+  };
+
+  /**
+   * Raise the share of devices a rollout targets
+   */
+  expandRollout = async (req, res) => {
+    try {
+      const rollout = await firmwareRolloutService.expandRollout(req.params.id, req.body || {});
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware rollout expanded',
+        data: rollout
+      });
+    } catch (error) {
+      logger.error('Error expanding firmware rollout:', error);
+      return this.handleError(res, error, 'Failed to expand firmware rollout');
+    }
+  };
+
+  /**
+   * Halt a running rollout
+   */
+  haltRollout = async (req, res) => {
+    try {
+      const rollout = await firmwareRolloutService.haltRollout(req.params.id, req.user?.username);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware rollout halted',
+        data: rollout
+      });
+    } catch (error) {
+      logger.error('Error halting firmware rollout:', error);
+      return this.handleError(res, error, 'Failed to halt firmware rollout');
+    }
+  };
+
+  /**
+   * Resume a halted rollout, optionally with a new failure threshold
+   */
+  resumeRollout = async (req, res) => {
+    try {
+      const rollout = await firmwareRolloutService.resumeRollout(req.params.id, req.body || {});
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware rollout resumed',
+        data: rollout
+      });
+    } catch (error) {
+      logger.error('Error resuming firmware rollout:', error);
+      return this.handleError(res, error, 'Failed to resume firmware rollout');
+    }
+  };
+
+  /**
+   * Cancel a rollout
+   */
+  cancelRollout = async (req, res) => {
+    try {
+      const rollout = await firmwareRolloutService.cancelRollout(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Firmware rollout cancelled',
+        data: rollout
+      });
+    } catch (error) {
+      logger.error('Error cancelling firmware rollout:', error);
+      return this.handleError(res, error, 'Failed to cancel firmware rollout');
+    }
+  };
+
+  handleError(res, error, message) {
+    return res.status(error.statusCode && error.statusCode < 500 ? error.statusCode : 500).json({
+      success: false,
+      message,
+      error: error.message,
+      errors: error.details
+    });
+  }
+}
+
+export const firmwareController = new FirmwareController();
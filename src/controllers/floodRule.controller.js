@@ -0,0 +1,108 @@
+import { floodRuleService } from '../services/floodRule.service.js';
+import logger from '../utils/logger.js';
+
+class FloodRuleController {
+  /**
+   * Get rules of a location
+   */
+  getRules = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const rules = await floodRuleService.getRulesByLocation(id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Flood rules retrieved successfully',
+        data: rules,
+        count: rules.length
+      });
+    } catch (error) {
+      logger.error('Error getting flood rules:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get flood rules',
+        error: error.message
+      });
+    }
+  };
+
+  /**
+   * Create a rule for a location
+   */
+  createRule = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const rule = await floodRuleService.createRule(id, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Flood rule created successfully',
+        data: rule
+      });
+    } catch (error) {
+      logger.error('Error creating flood rule:', error);
+      return this.handleError(res, error, 'Failed to create flood rule');
+    }
+  };
+
+  /**
+   * Update a rule of a location
+   */
+  updateRule = async (req, res) => {
+    try {
+      const { id, ruleId } = req.params;
+
+      const rule = await floodRuleService.updateRule(id, ruleId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Flood rule updated successfully',
+        data: rule
+      });
+    } catch (error) {
+      logger.error('Error updating flood rule:', error);
+      return this.handleError(res, error, 'Failed to update flood rule');
+    }
+  };
+
+  /**
+   * Delete a rule of a location
+   */
+  deleteRule = async (req, res) => {
+    try {
+      const { id, ruleId } = req.params;
+
+      const rule = await floodRuleService.deleteRule(id, ruleId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Flood rule deleted successfully',
+        data: rule
+      });
+    } catch (error) {
+      logger.error('Error deleting flood rule:', error);
+      return this.handleError(res, error, 'Failed to delete flood rule');
+    }
+  };
+
+  handleError(res, error, message) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message,
+      error: error.message
+    });
+  }
+}
+
+export const floodRuleController = new FloodRuleController();
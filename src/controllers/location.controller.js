@@ -1,4 +1,7 @@
 import { locationService } from '../services/location.service.js';
+import { forecastService } from '../services/forecast.service.js';
+import { parseExportOptions, streamSpreadsheet } from '../utils/spreadsheetExport.js';
+import { parseBoolean } from '../utils/boolean.js';
 import logger from '../utils/logger.js';
 
 class LocationController {
@@ -116,6 +119,30 @@ class LocationController {
     }
   }
 
+  exportLocationStatusHistory = async (req, res) => {
+    try {
+      const options = parseExportOptions(req.query);
+      const exportData = locationService.getStatusHistoryExport(req.query);
+
+      const count = await streamSpreadsheet(res, { ...options, ...exportData }, exportData.batches);
+      logger.info('Location status history exported', { format: options.format, rows: count });
+    } catch (error) {
+      logger.error('Error exporting location status history:', error);
+
+      // Headers are already sent once streaming has started
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to export location status history',
+        error: error.message,
+        errors: error.details
+      });
+    }
+  };
+
 
   /**
    * Create new location
@@ -130,10 +157,13 @@ class LocationController {
         province,
         latitude,
         longitude,
-        normalLevel,
-        alertLevel,
-        dangerLevel,
-        criticalLevel
+        amanMax,
+        waspadaMin,
+        waspadaMax,
+        siagaMin,
+        siagaMax,
+        bahayaMin,
+        autoFill
       } = req.body;
 
       if (!name) {
@@ -143,6 +173,13 @@ class LocationController {
         });
       }
 
+      if (autoFill !== undefined && parseBoolean(autoFill) === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'autoFill must be true or false'
+        });
+      }
+
       const location = await locationService.createLocation({
         name,
         address,
@@ -151,11 +188,13 @@ class LocationController {
         province,
         latitude,
         longitude,
-        normalLevel,
-        alertLevel,
-        dangerLevel,
-        criticalLevel
-      });
+        amanMax,
+        waspadaMin,
+        waspadaMax,
+        siagaMin,
+        siagaMax,
+        bahayaMin
+      }, { autoFill: parseBoolean(autoFill) });
 
       return res.status(201).json({
         success: true,
@@ -164,6 +203,11 @@ class LocationController {
       });
     } catch (error) {
       logger.error('Error creating location:', error);
+
+      if (error.code === 'INVALID_THRESHOLDS') {
+        return this.sendThresholdError(res, error);
+      }
+
       return res.status(500).json({
         success: false,
         message: 'Failed to create location',
@@ -212,7 +256,7 @@ class LocationController {
  * @param {Object} req - Request object
  * @param {Object} res - Response object
  */
-  async updateLocation(req, res) {
+  updateLocation = async (req, res) => {
     try {
       const { id } = req.params;
       const updateData = req.body;
@@ -243,13 +287,17 @@ class LocationController {
         });
       }
 
+      if (error.code === 'INVALID_THRESHOLDS') {
+        return this.sendThresholdError(res, error);
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
-  }
+  };
 
   /**
    * Get location by ID
@@ -274,8 +322,7 @@ class LocationController {
       });
     } catch (error) {
       logger.error('Error getting location by ID:', error);
-      const statusCode = error.message.includes('not found') ? 404 : 500;
-      return res.status(statusCode).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to get location',
         error: error.message
@@ -306,6 +353,39 @@ class LocationController {
     }
   };
 
+  /**
+   * Get short-term water level forecast for a location
+   */
+  getForecast = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const forecast = await forecastService.getLocationForecast(id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Location forecast retrieved successfully',
+        data: forecast
+      });
+    } catch (error) {
+      logger.error('Error getting location forecast:', error);
+
+      if (error.code === 'NO_DEVICE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to get location forecast',
+        error: error.message
+      });
+    }
+  };
+
   /**
    * Get flood summary statistics
    */
@@ -358,7 +438,20 @@ class LocationController {
   updateThresholds = async (req, res) => {
     try {
       const { id } = req.params;
-      const { normalLevel, alertLevel, dangerLevel, criticalLevel } = req.body;
+      const {
+        amanMax,
+        waspadaMin,
+        waspadaMax,
+        siagaMin,
+        siagaMax,
+        bahayaMin,
+        hysteresisMargin,
+        escalationReadings,
+        deescalationMinutes,
+        riseRateThreshold,
+        riseRateWindowMinutes,
+        autoFill
+      } = req.body;
 
       if (!id) {
         return res.status(400).json({
@@ -367,12 +460,61 @@ class LocationController {
         });
       }
 
+      if (autoFill !== undefined && parseBoolean(autoFill) === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'autoFill must be true or false'
+        });
+      }
+
+      if (hysteresisMargin !== undefined && !(Number(hysteresisMargin) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'hysteresisMargin must be a non-negative number'
+        });
+      }
+
+      if (escalationReadings !== undefined && !(Number.isInteger(Number(escalationReadings)) && Number(escalationReadings) >= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'escalationReadings must be an integer of at least 1'
+        });
+      }
+
+      if (deescalationMinutes !== undefined && !(Number.isInteger(Number(deescalationMinutes)) && Number(deescalationMinutes) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'deescalationMinutes must be a non-negative integer'
+        });
+      }
+
+      if (riseRateThreshold !== undefined && riseRateThreshold !== null && !(Number(riseRateThreshold) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'riseRateThreshold must be a positive number or null'
+        });
+      }
+
+      if (riseRateWindowMinutes !== undefined && !(Number.isInteger(Number(riseRateWindowMinutes)) && Number(riseRateWindowMinutes) >= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'riseRateWindowMinutes must be an integer of at least 1'
+        });
+      }
+
       const location = await locationService.updateThresholds(id, {
-        normalLevel,
-        alertLevel,
-        dangerLevel,
-        criticalLevel
-      });
+        amanMax,
+        waspadaMin,
+        waspadaMax,
+        siagaMin,
+        siagaMax,
+        bahayaMin,
+        hysteresisMargin: hysteresisMargin !== undefined ? Number(hysteresisMargin) : undefined,
+        escalationReadings: escalationReadings !== undefined ? Number(escalationReadings) : undefined,
+        deescalationMinutes: deescalationMinutes !== undefined ? Number(deescalationMinutes) : undefined,
+        riseRateThreshold: riseRateThreshold !== undefined && riseRateThreshold !== null ? Number(riseRateThreshold) : riseRateThreshold,
+        riseRateWindowMinutes: riseRateWindowMinutes !== undefined ? Number(riseRateWindowMinutes) : undefined
+      }, { autoFill: parseBoolean(autoFill) });
 
       return res.status(200).json({
         success: true,
@@ -381,6 +523,11 @@ class LocationController {
       });
     } catch (error) {
       logger.error('Error updating location thresholds:', error);
+
+      if (error.code === 'INVALID_THRESHOLDS') {
+        return this.sendThresholdError(res, error);
+      }
+
       return res.status(500).json({
         success: false,
         message: 'Failed to update location thresholds',
@@ -463,7 +610,7 @@ class LocationController {
       });
     } catch (error) {
       logger.error('Error force updating location status:', error);
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to update location status',
         error: error.message
@@ -471,6 +618,18 @@ class LocationController {
     }
   };
 
+  /**
+   * Send a structured 422 response listing every threshold band problem
+   */
+  sendThresholdError(res, error) {
+    return res.status(422).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      errors: error.details
+    });
+  }
+
   getTotalLocation = async (req, res) => {
     try {
       const total = await locationService.calculateTotalLocations();
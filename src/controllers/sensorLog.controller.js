@@ -1,4 +1,9 @@
 import { sensorLogService } from '../services/sensorLog.service.js';
+import { sensorValidationService } from '../services/sensorValidation.service.js';
+import { sensorRollupService } from '../services/sensorRollup.service.js';
+import { retentionService } from '../services/retention.service.js';
+import { sensorImportService } from '../services/sensorImport.service.js';
+import { parseExportOptions, streamSpreadsheet } from '../utils/spreadsheetExport.js';
 import logger from '../utils/logger.js';
 
 class SensorLogController {
@@ -94,6 +99,30 @@ class SensorLogController {
     }
   }
 
+  exportSensorLogsByDateRange = async (req, res) => {
+    try {
+      const { deviceCode } = req.params;
+      const options = parseExportOptions(req.query);
+      const exportData = sensorLogService.getSensorLogExport(deviceCode, req.query);
+
+      const count = await streamSpreadsheet(res, { ...options, ...exportData }, exportData.batches);
+      logger.info(`Exported ${count} sensor logs for device ${deviceCode} as ${options.format}`);
+    } catch (error) {
+      logger.error('Export sensor logs error:', error);
+
+      // Headers are already sent once streaming has started
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(error.statusCode || 500).json({
+        message: "Failed to export sensor logs",
+        error: error.message,
+        errors: error.details
+      });
+    }
+  }
+
   getSensorLogStatistics = async (req, res) => {
     try {
       const { deviceCode } = req.params;
@@ -122,6 +151,107 @@ class SensorLogController {
     }
   }
 
+  getAggregatedSensorLogs = async (req, res) => {
+    try {
+      const { deviceCode } = req.params;
+      const { interval, from, to, deviceCodes } = req.query;
+
+      // Several devices can be requested as "A,B" in the path or via ?deviceCodes=
+      const codes = [deviceCode, deviceCodes]
+        .filter(Boolean)
+        .flatMap(value => String(value).split(','));
+
+      const result = await sensorLogService.getAggregatedSensorLogs(codes, { interval, from, to });
+
+      res.status(200).json({
+        message: "Aggregated sensor logs retrieved successfully",
+        data: result.data,
+        interval: result.interval,
+        sources: result.sources,
+        dateRange: {
+          from: result.from,
+          to: result.to
+        }
+      });
+    } catch (error) {
+      logger.error('Get aggregated sensor logs error:', error);
+      res.status(error.statusCode || 500).json({
+        message: "Failed to retrieve aggregated sensor logs",
+        error: error.message
+      });
+    }
+  }
+
+  getRollupStatus = async (req, res) => {
+    try {
+      const status = await sensorRollupService.getStatus();
+
+      res.status(200).json({
+        message: "Rollup status retrieved successfully",
+        data: status
+      });
+    } catch (error) {
+      logger.error('Get rollup status error:', error);
+      res.status(500).json({
+        message: "Failed to retrieve rollup status",
+        error: error.message
+      });
+    }
+  }
+
+  backfillRollups = async (req, res) => {
+    try {
+      const { from, to } = req.body || {};
+
+      const result = await sensorRollupService.backfill({ from, to });
+
+      res.status(200).json({
+        message: "Rollup backfill completed successfully",
+        data: result
+      });
+    } catch (error) {
+      logger.error('Backfill rollups error:', error);
+      res.status(error.statusCode || 500).json({
+        message: "Failed to backfill rollups",
+        error: error.message
+      });
+    }
+  }
+
+  getRetentionPolicy = async (req, res) => {
+    try {
+      const policy = await retentionService.getPolicy();
+
+      res.status(200).json({
+        message: "Retention policy retrieved successfully",
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Get retention policy error:', error);
+      res.status(500).json({
+        message: "Failed to retrieve retention policy",
+        error: error.message
+      });
+    }
+  }
+
+  runRetention = async (req, res) => {
+    try {
+      const run = await retentionService.runRetention();
+
+      res.status(200).json({
+        message: "Retention run finished",
+        data: run
+      });
+    } catch (error) {
+      logger.error('Run retention error:', error);
+      res.status(500).json({
+        message: "Failed to run retention",
+        error: error.message
+      });
+    }
+  }
+
   getLatestReading = async (req, res) => {
     console.log("device code : ", req.params)
 
@@ -171,6 +301,46 @@ class SensorLogController {
     }
   }
 
+  importSensorLogs = async (req, res) => {
+    try {
+      const { format, calibrate, recompute, utcOffset } = req.query;
+
+      // CSV/NDJSON arrive as text, JSON bodies as { logs: [...] }
+      const input = typeof req.body === 'string' ? req.body : req.body?.logs;
+
+      if (input === undefined) {
+        return res.status(400).json({
+          message: "Failed to import sensor logs",
+          error: 'Upload a CSV or NDJSON body, or JSON with a logs array'
+        });
+      }
+
+      const report = await sensorImportService.importReadings(input, {
+        format: format || this.detectImportFormat(req),
+        calibrate: calibrate !== 'false',
+        recompute: recompute === 'true',
+        utcOffset
+      });
+
+      res.status(200).json({
+        message: "Sensor logs imported",
+        data: report
+      });
+    } catch (error) {
+      logger.error('Import sensor logs error:', error);
+      res.status(error.statusCode || 500).json({
+        message: "Failed to import sensor logs",
+        error: error.message
+      });
+    }
+  }
+
+  detectImportFormat = (req) => {
+    if (req.is('text/csv')) return 'csv';
+    if (req.is(['application/x-ndjson', 'application/ndjson', 'application/jsonl'])) return 'ndjson';
+    return undefined;
+  }
+
   updateSensorLog = async (req, res) => {
     try {
       const { id } = req.params;
@@ -226,6 +396,62 @@ class SensorLogController {
       });
     }
   }
+
+  getQuarantinedReadings = async (req, res) => {
+    try {
+      const result = await sensorValidationService.getQuarantinedReadings(req.query);
+
+      res.status(200).json({
+        message: "Quarantined readings retrieved successfully",
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get quarantined readings error:', error);
+      res.status(500).json({
+        message: "Failed to retrieve quarantined readings",
+        error: error.message
+      });
+    }
+  }
+
+  releaseQuarantinedReading = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const result = await sensorValidationService.releaseReading(id);
+
+      res.status(200).json({
+        message: "Quarantined reading released successfully",
+        data: result
+      });
+    } catch (error) {
+      logger.error('Release quarantined reading error:', error);
+      res.status(error.statusCode || 500).json({
+        message: "Failed to release quarantined reading",
+        error: error.message
+      });
+    }
+  }
+
+  discardQuarantinedReading = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const result = await sensorValidationService.discardReading(id);
+
+      res.status(200).json({
+        message: "Quarantined reading discarded successfully",
+        data: result
+      });
+    } catch (error) {
+      logger.error('Discard quarantined reading error:', error);
+      res.status(error.statusCode || 500).json({
+        message: "Failed to discard quarantined reading",
+        error: error.message
+      });
+    }
+  }
 }
 
 export const sensorLogController = new SensorLogController();
\ No newline at end of file
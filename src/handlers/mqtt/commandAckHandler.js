@@ -0,0 +1,39 @@
+import logger from '../../utils/logger.js';
+import { deviceCommandService } from '../../services/deviceCommand.service.js';
+
+export class CommandAckHandler {
+  constructor(notificationEmitter) {
+    this.notificationEmitter = notificationEmitter;
+  }
+
+  async handleCommandAck(topic, message, deviceCode) {
+    try {
+      const json = JSON.parse(message);
+
+      const { command, duplicate } = await deviceCommandService.handleAck(deviceCode, json);
+
+      logger.info(`Command ${command.type} acknowledged by ${deviceCode}: ${command.status}`, {
+        commandId: command.id,
+        duplicate
+      });
+
+      return {
+        success: true,
+        deviceCode,
+        command,
+        duplicate
+      };
+    } catch (error) {
+      logger.error(`Error processing command ack from ${deviceCode}:`, error);
+
+      this.notificationEmitter.emitToAll('device-command-ack-error', {
+        topic,
+        deviceCode,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,39 @@
+import logger from '../../utils/logger.js';
+import { deviceConfigService } from '../../services/deviceConfig.service.js';
+
+export class ConfigReportHandler {
+  constructor(notificationEmitter) {
+    this.notificationEmitter = notificationEmitter;
+  }
+
+  async handleConfigReport(topic, message, deviceCode) {
+    try {
+      const json = JSON.parse(message);
+
+      const state = await deviceConfigService.recordReported(deviceCode, json);
+
+      if (state.drift.status === 'DRIFTED') {
+        logger.warn(`Device ${deviceCode} reports a config that differs from the desired one`, {
+          differences: state.drift.differences
+        });
+      }
+
+      this.notificationEmitter.emitToAll('device-config-reported', {
+        deviceCode,
+        reportedVersion: state.reportedVersion,
+        desiredVersion: state.desiredVersion,
+        drift: state.drift,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        deviceCode,
+        config: state
+      };
+    } catch (error) {
+      logger.error(`Error processing reported config from ${deviceCode}:`, error);
+      throw error;
+    }
+  }
+}
@@ -29,19 +29,31 @@ export class DeviceCheckHandler {
       // Use deviceController.ensureDeviceExists for consistency
       const device = await deviceController.ensureDeviceExists({
         code: checkDeviceCode,
-        description: json.description || `Auto-created device with code ${checkDeviceCode}`,
+        description: json.description || `Auto-registered device with code ${checkDeviceCode}`,
         location: json.location || 'Unknown Location'
       });
 
-      const isNewDevice = !device;
+      const isNewDevice = Boolean(device.isNewDevice);
 
-      // If it's a new device, send notification
+      // Blocklisted devices get no result
+      if (device.provisioningStatus === 'REJECTED') {
+        logger.warn(`Device check from rejected device ${checkDeviceCode} ignored`);
+
+        return {
+          success: false,
+          reason: 'DEVICE_REJECTED',
+          deviceCode: checkDeviceCode
+        };
+      }
+
+      // New devices wait for an admin to approve them and assign a location
       if (isNewDevice) {
         const notification = createNotification('new_device', {
-          title: `New Device Registered: ${checkDeviceCode}`,
+          title: `New Device Awaiting Approval: ${checkDeviceCode}`,
           deviceCode: checkDeviceCode,
-          severity: 'low',
+          severity: 'medium',
           location: json.location || 'Unknown Location',
+          provisioningStatus: device.provisioningStatus,
           timeframe: 'baru terdaftar'
         });
 
@@ -52,6 +64,7 @@ export class DeviceCheckHandler {
         deviceCode: checkDeviceCode,
         deviceId: device.id,
         status: device.status,
+        provisioningStatus: device.provisioningStatus,
         isNewDevice
       });
 
@@ -1,5 +1,7 @@
 import logger from '../../utils/logger.js';
 import { deviceService } from '../../services/device.service.js';
+import { firmwareService } from '../../services/firmware.service.js';
+import { deviceTelemetryService } from '../../services/deviceTelemetry.service.js';
 import { createNotification } from '../../utils/notification.js';
 
 export class HeartbeatHandler {
@@ -27,12 +29,23 @@ export class HeartbeatHandler {
         description: json.description,
         location: json.location,
         timestamp: json.timestamp
-      });
+      }, { heartbeat: true });
+
+      // Firmware version, hardware revision and boot reason
+      await firmwareService.recordHeartbeat(deviceBefore || device, json);
+
+      // Battery, solar charge, signal and temperature
+      const health = await deviceTelemetryService.recordHeartbeat(device, json);
+
+      if (health) {
+        this.emitHealth(heartbeatDeviceCode, device, health);
+      }
 
       // Check if device connection status changed
       const statusChanged = previousStatus !== device.status;
-      
-      if (statusChanged) {
+
+      // A late device catching up is not a reconnection worth a notification
+      if (statusChanged && previousStatus !== 'LATE') {
         const notification = createNotification('device_status_change', {
           title: device.status === 'CONNECTED' 
             ? `Device ${heartbeatDeviceCode} Connected`
@@ -48,7 +61,9 @@ export class HeartbeatHandler {
 
         // Emit notification
         this.notificationEmitter.emit(notification);
+      }
 
+      if (statusChanged) {
         // Emit device status summary
         const summary = await this.deviceMonitoring.getStatusSummary();
         this.notificationEmitter.emitToAll('device_status_summary', summary);
@@ -82,4 +97,31 @@ export class HeartbeatHandler {
       throw error;
     }
   }
+
+  emitHealth(deviceCode, device, { telemetry, alerts, recovered }) {
+    this.notificationEmitter.emitToAll(`device-telemetry-${deviceCode}`, telemetry);
+
+    alerts.forEach(alert => {
+      const lowBattery = alert.type === 'lowBattery';
+
+      const notification = createNotification(lowBattery ? 'device_low_battery' : 'device_weak_signal', {
+        title: lowBattery
+          ? `Device ${deviceCode} Battery Low (${alert.value} V)`
+          : `Device ${deviceCode} Signal Weak (${alert.value} dBm)`,
+        deviceCode,
+        value: alert.value,
+        threshold: alert.threshold,
+        since: alert.since,
+        severity: lowBattery ? 'high' : 'medium',
+        location: device.location?.name || 'Unknown Location',
+        timeframe: alert.repeated ? 'masih berlangsung' : 'baru terdeteksi'
+      });
+
+      this.notificationEmitter.emit(notification);
+    });
+
+    recovered.forEach(alert => {
+      logger.info(`Device ${deviceCode} recovered from ${alert.type}`, { value: alert.value });
+    });
+  }
 }
\ No newline at end of file
@@ -1,47 +1,130 @@
 import logger from '../../utils/logger.js';
-import { sensorLogController } from '../../controllers/sensorLog.controller.js';
 import { locationController } from '../../controllers/location.controller.js';
 import { locationService } from '../../services/location.service.js';
+import { forecastService } from '../../services/forecast.service.js';
+import { sensorValidationService } from '../../services/sensorValidation.service.js';
+import { calibrationService } from '../../services/calibration.service.js';
+import { deviceClockService } from '../../services/deviceClock.service.js';
+import { sensorRollupService } from '../../services/sensorRollup.service.js';
+import { deviceProvisioningService } from '../../services/deviceProvisioning.service.js';
 import { createNotification } from '../../utils/notification.js';
 
+// Minimum time between two "predicted BAHAYA" notifications for the same location
+const PREDICTION_ALERT_COOLDOWN_MS = 30 * 60 * 1000;
+
+// Flood summary and warnings are rebuilt at most once per this interval
+const FLOOD_INFO_DEBOUNCE_MS = Number(process.env.FLOOD_INFO_DEBOUNCE_MS) || 2000;
+
+// Replayed readings are reconciled once a device has been quiet for this long
+const REPLAY_SETTLE_MS = Number(process.env.SENSOR_REPLAY_SETTLE_MS) || 30 * 1000;
+
+// Rebuild status history from replayed readings (off by default)
+const REPLAY_RECOMPUTE_HISTORY = process.env.SENSOR_REPLAY_RECOMPUTE_HISTORY === 'true';
+
+// Upper bound of readings in one batch message
+const MAX_BATCH_READINGS = 500;
+
 export class SensorDataHandler {
-  constructor(deviceMonitoring, notificationEmitter) {
+  constructor(deviceMonitoring, notificationEmitter, sensorLogBuffer) {
     this.deviceMonitoring = deviceMonitoring;
     this.notificationEmitter = notificationEmitter;
+    this.sensorLogBuffer = sensorLogBuffer;
+
+    // Last predicted BAHAYA alert time per location
+    this.predictionAlerts = new Map();
+
+    // Pending debounced flood information update
+    this.floodInfoTimer = null;
+
+    // Replayed reading ranges waiting for reconciliation, per device
+    this.replayWindows = new Map();
   }
 
   async handleSensorData(topic, message, deviceCode) {
-    const timestamp = new Date();
+    const receivedAt = new Date();
     
     try {
       const json = JSON.parse(message);
-      const sensorDeviceCode = deviceCode || json.deviceCode || json.code;
+
+      // Low-power devices publish several readings in one message, either as
+      // an array or as { readings: [...] }
+      const readings = Array.isArray(json) ? json : json.readings;
+      const sensorDeviceCode = deviceCode || json.deviceCode || json.code ||
+        readings?.[0]?.deviceCode || readings?.[0]?.code;
 
       if (!sensorDeviceCode) {
         logger.error('Sensor data missing device code', { topic, message });
         throw new Error('Sensor data missing device code');
       }
 
-      const waterLevel = json.waterlevel_cm || json.waterLevel || json.waterlevel || null;
-      const rainfall = json.rainfall_mm || json.rainfall || json.rain || null;
+      if (Array.isArray(readings)) {
+        return await this.handleSensorBatch(sensorDeviceCode, readings, receivedAt, json.sentAt);
+      }
+
+      // Readings buffered on the device while offline keep their original time
+      const clock = deviceClockService.resolveTimestamp(sensorDeviceCode, json, receivedAt);
+      const { timestamp, late } = clock;
+
+      const { rawWaterLevel, rawRainfall } = this.readSensorValues(json);
+
+      // Convert raw sensor values using the device's calibration profile
+      const { waterLevel, rainfall } = await calibrationService.applyCalibration(sensorDeviceCode, {
+        waterLevel: rawWaterLevel,
+        rainfall: rawRainfall
+      });
 
       const sensorData = {
         deviceCode: sensorDeviceCode,
         waterlevel: waterLevel,
         rainfall: rainfall,
+        rawWaterLevel,
+        rawRainfall,
         timestamp: timestamp,
-        lastUpdate: timestamp.toISOString()
+        receivedAt,
+        timestampSource: clock.source,
+        late,
+        lastUpdate: receivedAt.toISOString()
       };
 
       // Update device heartbeat
-      try {
-        await this.deviceMonitoring.handleHeartbeat(sensorDeviceCode);
-      } catch (heartbeatError) {
-        logger.warn(`Failed to update heartbeat for sensor data from ${sensorDeviceCode}:`, heartbeatError);
+      const device = await this.updateHeartbeat(sensorDeviceCode);
+
+      // Devices without approval have no location to drive
+      if (this.isUnapproved(device)) {
+        return await this.holdSensorData(device, [sensorData]);
+      }
+
+      // Validate reading before it reaches sensor_logs
+      const validation = await sensorValidationService.validateReading(sensorDeviceCode, {
+        waterLevel,
+        rainfall,
+        timestamp,
+        late
+      });
+
+      if (!validation.valid) {
+        return await this.quarantineSensorData(sensorData, validation);
       }
 
       // Save sensor data
       const saveResult = await this.saveSensorData(sensorData);
+
+      // Late readings are stored but must not re-drive the live flood status
+      if (late) {
+        this.notificationEmitter.emitToAll('sensor-data-replayed', sensorData);
+
+        if (saveResult.saved) {
+          this.scheduleReplayReconciliation(sensorDeviceCode, timestamp);
+        }
+
+        return {
+          success: true,
+          sensorData,
+          saveResult,
+          locationResult: null,
+          replayed: true
+        };
+      }
       
       // Process location status if waterLevel exists
       let locationResult = null;
@@ -67,81 +150,290 @@ export class SensorDataHandler {
         topic,
         message,
         error: error.message,
-        timestamp: timestamp.toISOString()
+        timestamp: receivedAt.toISOString()
       });
       
       throw error;
     }
   }
 
-  async saveSensorData(sensorData) {
-    const { deviceCode, rainfall, waterlevel: waterLevel, timestamp } = sensorData;
-    
-    if (waterLevel === null && rainfall === null) {
-      return { saved: false, reason: 'No valid sensor data to save' };
+  /**
+   * Handle a message carrying several readings, each with its own timestamp.
+   * All accepted readings are written with one bulk insert; only the newest
+   * live reading drives the location status and the `sensor-data` broadcast.
+   * @param {string} deviceCode - Device code
+   * @param {Array<Object>} entries - Readings
+   * @param {Date} receivedAt - Time the message was received
+   * @param {*} [sentAt] - Device clock at publish time
+   * @returns {Promise<Object>} Batch result
+   */
+  async handleSensorBatch(deviceCode, entries, receivedAt, sentAt) {
+    if (entries.length === 0) {
+      throw new Error('Sensor batch contains no readings');
     }
 
-    try {
-      const sensorLogData = {
+    if (entries.length > MAX_BATCH_READINGS) {
+      throw new Error(`Sensor batch exceeds ${MAX_BATCH_READINGS} readings`);
+    }
+
+    const device = await this.updateHeartbeat(deviceCode);
+    const unapproved = this.isUnapproved(device);
+
+    const convert = await calibrationService.getCalibrator(deviceCode);
+    const resolved = deviceClockService.resolveBatch(deviceCode, entries, receivedAt, sentAt);
+    const newest = resolved.filter(item => item.clock && !item.clock.late).pop() || null;
+
+    const failed = [];
+    const quarantined = [];
+    const accepted = [];
+    const held = [];
+    let liveData = null;
+
+    for (const item of resolved) {
+      if (item.error) {
+        failed.push({ index: item.index, error: item.error });
+        continue;
+      }
+
+      const { rawWaterLevel, rawRainfall } = this.readSensorValues(item.entry);
+
+      if (rawWaterLevel === null && rawRainfall === null) {
+        failed.push({ index: item.index, error: 'No valid sensor data' });
+        continue;
+      }
+
+      const { waterLevel, rainfall } = convert({ waterLevel: rawWaterLevel, rainfall: rawRainfall });
+      const { timestamp, late } = item.clock;
+
+      const sensorData = {
         deviceCode,
+        waterlevel: waterLevel,
         rainfall,
-        waterLevel,
-        timestamp
+        rawWaterLevel,
+        rawRainfall,
+        timestamp,
+        receivedAt,
+        timestampSource: item.clock.source,
+        late,
+        lastUpdate: receivedAt.toISOString()
       };
 
-      // Create mock request/response for controller
-      const result = await new Promise((resolve, reject) => {
-        const mockReq = { body: sensorLogData };
-        const mockRes = {
-          status: (code) => ({
-            json: (data) => {
-              if (code === 201) {
-                logger.info('MQTT sensor data saved:', {
-                  id: data.data.id,
-                  deviceCode: data.data.deviceCode,
-                  rainfall: data.data.rainfall,
-                  waterLevel: data.data.waterLevel
-                });
-
-                this.notificationEmitter.emitToAll('sensor-data-saved', {
-                  ...sensorData,
-                  savedToDatabase: true,
-                  logId: data.data.id
-                });
-
-                resolve({ saved: true, logId: data.data.id, data: data.data });
-              } else {
-                const error = data.error || 'Save failed';
-                logger.error('Failed to save MQTT sensor data:', data);
-                
-                this.notificationEmitter.emitToAll('sensor-data-error', {
-                  ...sensorData,
-                  savedToDatabase: false,
-                  error
-                });
-                
-                reject(new Error(error));
-              }
-            }
-          })
-        };
+      if (unapproved) {
+        held.push(sensorData);
+        continue;
+      }
 
-        sensorLogController.createSensorLog(mockReq, mockRes);
+      // Older readings of the batch are history, so only the newest gets
+      // the delta and outlier checks
+      const validation = await sensorValidationService.validateReading(deviceCode, {
+        waterLevel,
+        rainfall,
+        timestamp,
+        late: item !== newest
       });
 
-      return result;
+      if (!validation.valid) {
+        const result = await this.quarantineSensorData(sensorData, validation);
+        quarantined.push({ index: item.index, quarantineId: result.quarantineId, reason: result.reason });
+        continue;
+      }
 
-    } catch (saveError) {
-      logger.error('Error saving MQTT sensor data:', saveError);
-      
-      this.notificationEmitter.emitToAll('sensor-data-error', {
-        ...sensorData,
-        savedToDatabase: false,
-        error: saveError.message
+      accepted.push(sensorData);
+      if (item === newest) liveData = sensorData;
+    }
+
+    if (unapproved) {
+      return {
+        ...await this.holdSensorData(device, held),
+        batch: true,
+        received: entries.length,
+        failedReadings: failed
+      };
+    }
+
+    const { entries: saved, written } = accepted.length > 0
+      ? await this.sensorLogBuffer.addBatch(accepted.map(sensorData => ({
+        deviceCode,
+        rainfall: sensorData.rainfall,
+        waterLevel: sensorData.waterlevel,
+        rawRainfall: sensorData.rawRainfall,
+        rawWaterLevel: sensorData.rawWaterLevel,
+        timestamp: sensorData.timestamp
+      })))
+      : { entries: [], written: 0 };
+
+    accepted
+      .filter(sensorData => sensorData.late)
+      .forEach(sensorData => this.scheduleReplayReconciliation(deviceCode, sensorData.timestamp));
+
+    let locationResult = null;
+    if (liveData) {
+      if (liveData.waterlevel !== null) {
+        locationResult = await this.processLocationStatus(deviceCode, liveData.waterlevel, liveData.rainfall || 0, liveData.timestamp);
+      }
+
+      this.notificationEmitter.emitToAll('sensor-data', liveData);
+      this.notificationEmitter.emitToAll(`sensor-data-${deviceCode}`, liveData);
+    }
+
+    const summary = {
+      deviceCode,
+      received: entries.length,
+      saved: saved.length,
+      written,
+      quarantined: quarantined.length,
+      failed: failed.length,
+      from: accepted[0]?.timestamp.toISOString() || null,
+      to: accepted[accepted.length - 1]?.timestamp.toISOString() || null,
+      timestamp: receivedAt.toISOString()
+    };
+
+    this.notificationEmitter.emitToAll('sensor-data-batch', summary);
+
+    if (failed.length > 0) {
+      logger.warn(`Skipped ${failed.length} invalid readings in sensor batch from ${deviceCode}`, { failed });
+    }
+
+    return {
+      success: true,
+      batch: true,
+      ...summary,
+      sensorData: liveData,
+      logIds: saved.map(entry => entry.id),
+      quarantinedReadings: quarantined,
+      failedReadings: failed,
+      locationResult
+    };
+  }
+
+  readSensorValues(payload) {
+    return {
+      rawWaterLevel: payload.waterlevel_cm ?? payload.waterLevel ?? payload.waterlevel ?? null,
+      rawRainfall: payload.rainfall_mm ?? payload.rainfall ?? payload.rain ?? null
+    };
+  }
+
+  /**
+   * Update the heartbeat of the sending device and get its provisioning
+   * status. Without the device it is unknown whether the device is approved,
+   * so the sensor data is dropped rather than trusted.
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object>} Device
+   */
+  async updateHeartbeat(deviceCode) {
+    try {
+      return await this.deviceMonitoring.handleHeartbeat(deviceCode);
+    } catch (heartbeatError) {
+      logger.warn(`Failed to update heartbeat for sensor data from ${deviceCode}:`, heartbeatError);
+
+      const error = new Error(`Device ${deviceCode} could not be verified, sensor data dropped`);
+      error.code = 'DEVICE_UNVERIFIED';
+      throw error;
+    }
+  }
+
+  isUnapproved(device) {
+    return !device || device.provisioningStatus !== 'APPROVED';
+  }
+
+  /**
+   * Keep readings of a pending or rejected device out of sensor_logs and the
+   * flood status. Pending devices get them held until approval.
+   * @param {Object} device - Device from the heartbeat
+   * @param {Array<Object>} readings - Calibrated sensor data
+   * @returns {Promise<Object>} Hold result
+   */
+  async holdSensorData(device, readings) {
+    const result = await deviceProvisioningService.holdReadings(device, readings.map(sensorData => ({
+      waterLevel: sensorData.waterlevel,
+      rainfall: sensorData.rainfall,
+      rawWaterLevel: sensorData.rawWaterLevel,
+      rawRainfall: sensorData.rawRainfall,
+      timestamp: sensorData.timestamp
+    })));
+
+    logger.debug(`Held ${result.count} and discarded ${result.discarded} readings from ${device.provisioningStatus.toLowerCase()} device ${device.code}`);
+
+    if (device.provisioningStatus === 'PENDING') {
+      this.notificationEmitter.emitToAll('sensor-data-held', {
+        deviceCode: device.code,
+        action: result.action,
+        count: result.count,
+        discarded: result.discarded,
+        timestamp: new Date().toISOString()
       });
-      
-      throw saveError;
     }
+
+    return {
+      success: true,
+      deviceCode: device.code,
+      provisioningStatus: device.provisioningStatus,
+      held: result.count > 0,
+      discarded: result.discarded > 0,
+      count: result.count,
+      discardedCount: result.discarded,
+      quarantineIds: result.quarantineIds,
+      locationResult: null
+    };
+  }
+
+  async quarantineSensorData(sensorData, validation) {
+    const quarantined = await sensorValidationService.quarantineReading({
+      deviceCode: sensorData.deviceCode,
+      waterLevel: sensorData.waterlevel,
+      rainfall: sensorData.rainfall,
+      rawWaterLevel: sensorData.rawWaterLevel,
+      rawRainfall: sensorData.rawRainfall,
+      timestamp: sensorData.timestamp
+    }, validation);
+
+    logger.warn(`Sensor reading from ${sensorData.deviceCode} quarantined: ${validation.reason}`, {
+      quarantineId: quarantined.id,
+      details: validation.details
+    });
+
+    this.notificationEmitter.emitToAll('sensor-data-quarantined', {
+      ...sensorData,
+      quarantineId: quarantined.id,
+      reason: validation.reason,
+      details: validation.details
+    });
+
+    return {
+      success: true,
+      quarantined: true,
+      quarantineId: quarantined.id,
+      reason: validation.reason,
+      details: validation.details
+    };
+  }
+
+  async saveSensorData(sensorData) {
+    const { deviceCode, rainfall, waterlevel: waterLevel, rawRainfall, rawWaterLevel, timestamp } = sensorData;
+    
+    if (waterLevel === null && rainfall === null) {
+      return { saved: false, reason: 'No valid sensor data to save' };
+    }
+
+    // Written to the database by the sensor log buffer on its next flush,
+    // which then broadcasts `sensor-data-saved` with this sensor data
+    const entry = this.sensorLogBuffer.add({
+      deviceCode,
+      rainfall,
+      waterLevel,
+      rawRainfall,
+      rawWaterLevel,
+      timestamp
+    }, sensorData);
+
+    logger.debug('MQTT sensor data queued:', {
+      id: entry.id,
+      deviceCode,
+      rainfall,
+      waterLevel
+    });
+
+    return { saved: true, queued: true, logId: entry.id };
   }
 
   async processLocationStatus(deviceCode, waterLevel, rainfall, timestamp) {
@@ -156,8 +448,11 @@ export class SensorDataHandler {
         await this.handleLocationStatusChange(locationResult, deviceCode, waterLevel, rainfall, timestamp);
       }
 
+      // Warn before the BAHAYA threshold is actually crossed
+      await this.checkPredictedBahaya(locationResult, deviceCode);
+
       // Update flood warnings and summary
-      await this.updateFloodInformation(timestamp);
+      this.scheduleFloodInformationUpdate();
 
       return locationResult;
 
@@ -183,7 +478,9 @@ export class SensorDataHandler {
       waterLevel,
       rainfall,
       timestamp: timestamp.toISOString(),
-      duration: locationResult.duration || 0
+      duration: locationResult.duration || 0,
+      rapidRise: locationResult.rapidRise?.triggered ? locationResult.rapidRise : null,
+      firedRule: locationResult.firedRule || null
     };
 
     // Emit location status change
@@ -200,6 +497,10 @@ export class SensorDataHandler {
       await this.createLocationNotifications(locationResult, deviceCode, waterLevel, rainfall);
     }
 
+    if (locationResult.rapidRise?.triggered) {
+      this.createRapidRiseNotification(locationResult, deviceCode, waterLevel, rainfall);
+    }
+
     logger.info(`Location status changed: ${locationResult.location.name} from ${locationResult.previousStatus} to ${locationResult.newStatus}`);
   }
 
@@ -283,6 +584,146 @@ export class SensorDataHandler {
     }
   }
 
+  createRapidRiseNotification(locationResult, deviceCode, waterLevel, rainfall) {
+    const { rapidRise } = locationResult;
+
+    const notification = createNotification('rapid_rise', {
+      title: `Kenaikan Cepat ${rapidRise.rate}cm/menit`,
+      locationId: locationResult.location.id,
+      locationName: locationResult.location.name,
+      deviceCode,
+      location: locationResult.location.district || locationResult.location.name,
+      timeframe: `dalam ${rapidRise.windowMinutes} minutes`,
+      severity: 'high',
+      previousStatus: locationResult.previousStatus,
+      newStatus: locationResult.newStatus,
+      waterLevel,
+      rainfall,
+      rate: rapidRise.rate,
+      threshold: rapidRise.threshold,
+      statusHistoryId: locationResult.statusHistory?.id
+    });
+
+    this.notificationEmitter.emit(notification);
+  }
+
+  async checkPredictedBahaya(locationResult, deviceCode) {
+    const location = locationResult.location;
+
+    if (locationResult.newStatus === 'BAHAYA') {
+      this.predictionAlerts.delete(location.id);
+      return;
+    }
+
+    try {
+      const forecast = await forecastService.forecastLocation(location, deviceCode);
+      const prediction = forecast.predictions.find(p => p.status === 'BAHAYA');
+
+      if (!prediction) {
+        return;
+      }
+
+      const lastAlert = this.predictionAlerts.get(location.id);
+      if (lastAlert && Date.now() - lastAlert < PREDICTION_ALERT_COOLDOWN_MS) {
+        return;
+      }
+
+      const notification = createNotification('predicted_bahaya', {
+        title: `Prediksi Banjir ${prediction.waterLevel}cm`,
+        locationId: location.id,
+        locationName: location.name,
+        deviceCode,
+        location: location.district || location.name,
+        timeframe: `dalam ${prediction.horizonMinutes} minutes`,
+        severity: 'critical',
+        currentStatus: locationResult.newStatus,
+        predictedStatus: prediction.status,
+        predictedWaterLevel: prediction.waterLevel,
+        predictedAt: prediction.at,
+        model: forecast.model
+      });
+
+      this.notificationEmitter.emit(notification);
+      this.predictionAlerts.set(location.id, Date.now());
+    } catch (error) {
+      logger.error('Error checking predicted flood status:', error);
+    }
+  }
+
+  /**
+   * Debounce flood warning and summary broadcasts so a burst of readings
+   * triggers a single rebuild
+   */
+  scheduleFloodInformationUpdate() {
+    if (this.floodInfoTimer) return;
+
+    this.floodInfoTimer = setTimeout(() => {
+      this.floodInfoTimer = null;
+      this.updateFloodInformation(new Date());
+    }, FLOOD_INFO_DEBOUNCE_MS);
+  }
+
+  /**
+   * Collect the time range of replayed readings per device and reconcile it
+   * once the device has stopped replaying
+   * @param {string} deviceCode - Device code
+   * @param {Date} timestamp - Reading time
+   */
+  scheduleReplayReconciliation(deviceCode, timestamp) {
+    const replay = this.replayWindows.get(deviceCode) || { from: timestamp, to: timestamp, count: 0, timer: null };
+
+    if (timestamp < replay.from) replay.from = timestamp;
+    if (timestamp > replay.to) replay.to = timestamp;
+    replay.count++;
+
+    clearTimeout(replay.timer);
+    replay.timer = setTimeout(() => {
+      this.replayWindows.delete(deviceCode);
+      this.reconcileReplay(deviceCode, replay);
+    }, REPLAY_SETTLE_MS);
+
+    this.replayWindows.set(deviceCode, replay);
+  }
+
+  /**
+   * Rebuild the device's rollups covering replayed readings, which are
+   * usually older than the rollup lookback, and optionally the status
+   * history of the gap
+   * @param {string} deviceCode - Device code
+   * @param {Object} replay - Replayed range ({ from, to, count })
+   */
+  async reconcileReplay(deviceCode, { from, to, count }) {
+    try {
+      // Replayed readings may still be in the write buffer
+      await this.sensorLogBuffer.flush();
+
+      // Buckets past the checkpoints are rolled up by the scheduler
+      const rollups = await sensorRollupService.refreshDevice(deviceCode, from, to);
+
+      const statusHistory = REPLAY_RECOMPUTE_HISTORY
+        ? await locationService.recomputeStatusHistory(deviceCode, from, to, 'Reconstructed from replayed device readings')
+        : null;
+
+      logger.info(`Reconciled ${count} replayed readings from ${deviceCode}`, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        statusHistory
+      });
+
+      this.notificationEmitter.emitToAll('sensor-data-replay-completed', {
+        deviceCode,
+        count,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        rollups,
+        statusHistory,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error reconciling replayed readings from ${deviceCode}:`, error);
+    }
+  }
+
   async updateFloodInformation(timestamp) {
     try {
       // Update active flood warnings
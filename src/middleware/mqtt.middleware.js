@@ -0,0 +1,159 @@
+import logger from '../utils/logger.js';
+import { detectPayloadEncoding, decodePayload } from '../utils/payloadDecoder.js';
+import { deviceAuthService } from '../services/deviceAuth.service.js';
+
+// Middleware for MQTT routes, see MqttRouteRegistry
+
+/**
+ * Reject a message as a possible spoofing attempt
+ * @param {Object} ctx - Message context
+ * @param {string} reason - Rejection reason
+ * @param {string|null} deviceCode - Device the message claims to come from
+ * @param {string} [details] - Additional information
+ * @returns {Object} Route result
+ */
+const rejectMessage = (ctx, reason, deviceCode, details = null) => {
+  logger.warn(`Rejected MQTT message on ${ctx.topic}: ${reason}`, { deviceCode, details });
+
+  ctx.reportSecurityAlert?.({ reason, deviceCode, topic: ctx.topic, details });
+
+  return { success: false, reason, topic: ctx.topic };
+};
+
+/**
+ * Auth: verify the signature of signed messages (see DeviceAuthService) and
+ * unwrap the signed payload. Sets ctx.identity to the verified device.
+ * Unsigned messages are passed on to authorizeDevice.
+ */
+export const authenticateDevice = async (ctx, next) => {
+  const signed = deviceAuthService.extractSignedMessage(ctx.payload, ctx.properties);
+
+  if (!signed) {
+    return next();
+  }
+
+  const topicDevice = ctx.params.deviceCode || null;
+
+  if (signed.error) {
+    return rejectMessage(ctx, 'MALFORMED_SIGNATURE', topicDevice, signed.error);
+  }
+
+  if (topicDevice && signed.deviceCode && signed.deviceCode !== topicDevice) {
+    return rejectMessage(ctx, 'TOPIC_IDENTITY_MISMATCH', signed.deviceCode, `Signed as ${signed.deviceCode} on the topic of ${topicDevice}`);
+  }
+
+  const identity = topicDevice || signed.deviceCode;
+
+  if (!identity) {
+    return rejectMessage(ctx, 'MISSING_IDENTITY', null, 'Signed message names no device');
+  }
+
+  const verification = await deviceAuthService.verify(identity, ctx.topic, signed);
+
+  if (!verification.valid) {
+    return rejectMessage(ctx, verification.reason, identity);
+  }
+
+  ctx.identity = identity;
+  ctx.payload = signed.payload;
+
+  return next();
+};
+
+/**
+ * Auth: make sure the device named by the message is the authenticated one.
+ * Unsigned messages are rejected for devices that have a key, and for every
+ * device when MQTT_REQUIRE_SIGNATURE is enabled.
+ */
+export const authorizeDevice = async (ctx, next) => {
+  const deviceCode = ctx.deviceCode || ctx.body?.deviceCode || ctx.body?.code || null;
+
+  if (ctx.identity) {
+    if (deviceCode && deviceCode !== ctx.identity) {
+      return rejectMessage(ctx, 'TOPIC_IDENTITY_MISMATCH', deviceCode, `Authenticated as ${ctx.identity}`);
+    }
+    return next();
+  }
+
+  const credentials = deviceCode ? await deviceAuthService.getCredentials(deviceCode) : null;
+
+  if (credentials?.authKey) {
+    return rejectMessage(ctx, 'MISSING_SIGNATURE', deviceCode, 'Device has a key but the message is unsigned');
+  }
+
+  if (deviceAuthService.requireSignature) {
+    return rejectMessage(ctx, 'UNSIGNED_MESSAGE', deviceCode);
+  }
+
+  deviceAuthService.recordUnsigned();
+  return next();
+};
+
+/**
+ * Parse: decode compact payloads to JSON text and parse the body.
+ * Sets ctx.encoding, ctx.message (JSON text for the handlers) and ctx.body.
+ */
+export const parsePayload = async (ctx, next) => {
+  ctx.encoding = detectPayloadEncoding(ctx.topic, ctx.payload);
+
+  if (ctx.encoding === 'json') {
+    ctx.message = ctx.payload.toString();
+  } else {
+    // Keep a printable copy for error reports until decoding succeeds
+    ctx.message = ctx.payload.toString('base64');
+    ctx.message = JSON.stringify(decodePayload(ctx.payload, ctx.encoding));
+  }
+
+  try {
+    ctx.body = JSON.parse(ctx.message);
+  } catch (error) {
+    const parseError = new Error(`Invalid JSON payload: ${error.message}`);
+    parseError.code = 'PAYLOAD_PARSE_ERROR';
+    throw parseError;
+  }
+
+  return next();
+};
+
+/**
+ * Validate: require a device code in the topic or the body and store it in
+ * ctx.deviceCode. Batch payloads may carry it on their first reading.
+ */
+export const requireDeviceCode = async (ctx, next) => {
+  const body = ctx.body || {};
+  const first = Array.isArray(body) ? body[0] : body.readings?.[0];
+
+  ctx.deviceCode = ctx.params.deviceCode || ctx.identity || body.deviceCode || body.code || first?.deviceCode || first?.code || null;
+
+  if (!ctx.deviceCode) {
+    const error = new Error('Message missing device code');
+    error.code = 'MISSING_DEVICE_CODE';
+    throw error;
+  }
+
+  return next();
+};
+
+/**
+ * Auth: reject messages whose readings name another device than the topic
+ * or the authenticated identity, so a device cannot publish readings on
+ * behalf of another one. On the legacy topic the device code of the message
+ * is expected, so a batch cannot mix readings of several devices.
+ */
+export const matchTopicDevice = async (ctx, next) => {
+  const body = ctx.body || {};
+  const entries = Array.isArray(body) ? body : [body, ...(Array.isArray(body.readings) ? body.readings : [])];
+  const expected = ctx.identity || ctx.params.deviceCode || ctx.deviceCode;
+
+  const mismatch = expected && entries.find(entry => {
+    const code = entry?.deviceCode || entry?.code;
+    return code && code !== expected;
+  });
+
+  if (mismatch) {
+    const claimed = mismatch.deviceCode || mismatch.code;
+    return rejectMessage(ctx, 'PAYLOAD_DEVICE_MISMATCH', claimed, `Payload names ${claimed}, expected ${expected}`);
+  }
+
+  return next();
+};
@@ -1,2 +1,8 @@
 import { PrismaClient } from "@prisma/client";
-export const prisma = new PrismaClient();
\ No newline at end of file
+
+// Device keys are only read through the device auth repository
+export const prisma = new PrismaClient({
+  omit: {
+    device: { authKey: true, previousAuthKey: true }
+  }
+});
@@ -0,0 +1,164 @@
+import { prisma } from "../prisma/prismaClient.js";
+import { Prisma } from '@prisma/client';
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for handling device calibration profiles
+ */
+class CalibrationRepository {
+  /**
+   * Find calibration profile of a device
+   * @param {string} deviceId - Device UUID
+   * @returns {Promise<Object|null>} Calibration or null
+   */
+  async findByDeviceId(deviceId) {
+    try {
+      return await prisma.deviceCalibration.findUnique({
+        where: { deviceId }
+      });
+    } catch (error) {
+      logger.error(`Error finding calibration by device ID: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find calibration profile by device code
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object|null>} Calibration or null
+   */
+  async findByDeviceCode(deviceCode) {
+    try {
+      return await prisma.deviceCalibration.findFirst({
+        where: {
+          device: { code: deviceCode }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error finding calibration by device code: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a calibration profile
+   * @param {string} deviceId - Device UUID
+   * @param {Object} data - Calibration data
+   * @returns {Promise<Object>} Created calibration
+   */
+  async create(deviceId, data) {
+    try {
+      return await prisma.deviceCalibration.create({
+        data: {
+          deviceId,
+          mountingOffset: data.mountingOffset,
+          scaleFactor: data.scaleFactor,
+          invert: data.invert,
+          rainTipSize: data.rainTipSize
+        }
+      });
+    } catch (error) {
+      if (error instanceof Prisma.PrismaClientKnownRequestError) {
+        if (error.code === 'P2002') {
+          const conflictError = new Error('Calibration already exists for this device');
+          conflictError.code = 'CALIBRATION_EXISTS';
+          conflictError.statusCode = 409;
+          throw conflictError;
+        }
+        if (error.code === 'P2003') {
+          const notFoundError = new Error('Device not found');
+          notFoundError.code = 'DEVICE_NOT_FOUND';
+          notFoundError.statusCode = 404;
+          throw notFoundError;
+        }
+      }
+      logger.error(`Error creating calibration: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a calibration profile
+   * @param {string} deviceId - Device UUID
+   * @param {Object} data - Calibration data
+   * @returns {Promise<Object>} Updated calibration
+   */
+  async update(deviceId, data) {
+    try {
+      return await prisma.deviceCalibration.update({
+        where: { deviceId },
+        data: {
+          mountingOffset: data.mountingOffset,
+          scaleFactor: data.scaleFactor,
+          invert: data.invert,
+          rainTipSize: data.rainTipSize
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        const notFoundError = new Error('Calibration not found');
+        notFoundError.code = 'CALIBRATION_NOT_FOUND';
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+      logger.error(`Error updating calibration: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a calibration profile
+   * @param {string} deviceId - Device UUID
+   * @returns {Promise<Object>} Deleted calibration
+   */
+  async delete(deviceId) {
+    try {
+      return await prisma.deviceCalibration.delete({
+        where: { deviceId }
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        const notFoundError = new Error('Calibration not found');
+        notFoundError.code = 'CALIBRATION_NOT_FOUND';
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+      logger.error(`Error deleting calibration: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute calibrated values of historic sensor logs from their raw values.
+   * Logs stored before calibration existed keep their stored value as raw value.
+   * MySQL applies SET assignments left to right, so the calibrated columns
+   * see the raw columns that were just filled in.
+   * @param {string} deviceCode - Device code
+   * @param {Object} calibration - Calibration profile
+   * @param {Object} [range] - Optional time range
+   * @param {Date} [range.from] - Start time
+   * @param {Date} [range.to] - End time
+   * @returns {Promise<number>} Number of updated rows
+   */
+  async reprocessSensorLogs(deviceCode, calibration, { from = null, to = null } = {}) {
+    try {
+      const { mountingOffset, scaleFactor, invert, rainTipSize } = calibration;
+
+      return await prisma.$executeRaw`
+        UPDATE sensor_logs
+        SET rawWaterLevel = COALESCE(rawWaterLevel, waterLevel),
+            rawRainfall = COALESCE(rawRainfall, rainfall),
+            waterLevel = IF(${invert}, ${mountingOffset} - rawWaterLevel * ${scaleFactor}, rawWaterLevel * ${scaleFactor} + ${mountingOffset}),
+            rainfall = rawRainfall * ${rainTipSize}
+        WHERE deviceCode = ${deviceCode}
+          ${from ? Prisma.sql`AND timestamp >= ${from}` : Prisma.empty}
+          ${to ? Prisma.sql`AND timestamp <= ${to}` : Prisma.empty}
+      `;
+    } catch (error) {
+      logger.error(`Error reprocessing sensor logs: ${error.message}`, error);
+      throw error;
+    }
+  }
+}
+
+export const calibrationRepository = new CalibrationRepository();
@@ -10,8 +10,9 @@ class DeviceRepository {
    * Create a new device in the database
    * @param {Object} data - Device data
    * @param {string} data.code - Device code
-   * @param {string} data.locationId - Location ID (required)
+   * @param {string} [data.locationId] - Location ID (required unless pending)
    * @param {string} [data.description] - Device description (optional)
+   * @param {string} [data.provisioningStatus] - PENDING for unknown MQTT devices
    * @returns {Promise<Object>} Created device
    */
   async create(data) {
@@ -21,8 +22,14 @@ class DeviceRepository {
           code: data.code,
           locationId: data.locationId,
           description: data.description,
+          provisioningStatus: data.provisioningStatus,
           status: 'DISCONNECTED', // Default status
           lastSeen: null,
+          minWaterLevel: data.minWaterLevel,
+          maxWaterLevel: data.maxWaterLevel,
+          maxRainfall: data.maxRainfall,
+          maxWaterLevelDelta: data.maxWaterLevelDelta,
+          outlierFilter: data.outlierFilter,
         },
         include: {
           location: {
@@ -112,13 +119,15 @@ class DeviceRepository {
    * @param {Object} [options] - Query options
    * @param {number} [options.skip] - Number of records to skip
    * @param {number} [options.take] - Number of records to take
+   * @param {string} [options.provisioningStatus] - Only devices with this provisioning status
    * @returns {Promise<Array>} List of devices with status
    */
   async findAll(options = {}) {
     try {
-      const { skip, take } = options;
+      const { skip, take, provisioningStatus } = options;
       
       return await prisma.device.findMany({
+        where: provisioningStatus ? { provisioningStatus } : undefined,
         skip: skip ? parseInt(skip) : undefined,
         take: take ? parseInt(take) : undefined,
         include: {
@@ -157,6 +166,12 @@ class DeviceRepository {
           code: data.code,
           locationId: data.locationId,
           description: data.description,
+          minWaterLevel: data.minWaterLevel,
+          maxWaterLevel: data.maxWaterLevel,
+          maxRainfall: data.maxRainfall,
+          maxWaterLevelDelta: data.maxWaterLevelDelta,
+          outlierFilter: data.outlierFilter,
+          retentionDays: data.retentionDays,
         },
         include: {
           location: {
@@ -171,63 +186,31 @@ class DeviceRepository {
   }
 
   /**
-   * Update device status and lastSeen timestamp
+   * Update a device only while it still has the values a change is based on,
+   * so a concurrent heartbeat or status check is not overwritten
    * @param {string} code - Device code
-   * @param {string} status - Device status ('CONNECTED' or 'DISCONNECTED')
-   * @param {Date} [lastSeen] - Last seen timestamp
-   * @returns {Promise<Object>} Updated device
+   * @param {Object} expected - Values the device was read with ({ status, lastSeen })
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Written fields, null when the device changed in between
    */
-  async updateStatus(code, status, lastSeen = new Date()) {
+  async updateIfUnchanged(code, expected, data) {
     try {
-      return await prisma.device.update({
-        where: { code },
-        data: {
-          status,
-          lastSeen,
-          updatedAt: new Date()
-        },
-        include: {
-          location: {
-            select: { name: true }
-          }
-        }
+      const changes = { ...data, updatedAt: new Date() };
+      const result = await prisma.device.updateMany({
+        where: { code, ...expected },
+        data: changes
       });
-    } catch (error) {
-      logger.error(`Error updating device status: ${error.message}`, error);
-      throw error;
-    }
-  }
 
-  /**
-   * Update lastSeen timestamp for heartbeat
-   * @param {string} code - Device code
-   * @param {Date} [timestamp] - Heartbeat timestamp
-   * @returns {Promise<Object>} Updated device
-   */
-  async updateHeartbeat(code, timestamp = new Date()) {
-    try {
-      return await prisma.device.update({
-        where: { code },
-        data: {
-          status: 'CONNECTED',
-          lastSeen: timestamp,
-          updatedAt: new Date()
-        },
-        include: {
-          location: {
-            select: { name: true }
-          }
-        }
-      });
+      return result.count > 0 ? changes : null;
     } catch (error) {
-      logger.error(`Error updating device heartbeat: ${error.message}`, error);
+      logger.error(`Error updating device status: ${error.message}`, error);
       throw error;
     }
   }
 
   /**
    * Get devices by status
-   * @param {string} status - Device status ('CONNECTED' or 'DISCONNECTED')
+   * @param {string} status - Device status ('CONNECTED', 'LATE' or 'DISCONNECTED')
    * @returns {Promise<Array>} Devices with specified status
    */
   async findByStatus(status) {
@@ -264,7 +247,7 @@ class DeviceRepository {
       return await prisma.device.findMany({
         where: {
           AND: [
-            { status: 'CONNECTED' },
+            { status: { in: ['CONNECTED', 'LATE'] } },
             {
               OR: [
                 { lastSeen: { lt: thresholdTime } },
@@ -285,31 +268,67 @@ class DeviceRepository {
     }
   }
 
+  /**
+   * Get devices that count as online with what decides their expected interval
+   * @returns {Promise<Array>} Connected and late devices with their desired config
+   */
+  async findLiveDevices() {
+    try {
+      return await prisma.device.findMany({
+        where: {
+          status: { in: ['CONNECTED', 'LATE'] }
+        },
+        include: {
+          location: {
+            select: { name: true }
+          },
+          config: {
+            select: { desired: true }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error finding live devices: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get device status summary (counts by status)
    * @returns {Promise<Object>} Status summary
    */
   async getStatusSummary() {
     try {
-      const [connected, disconnected, total, active] = await Promise.all([
+      const [connected, late, disconnected, total, pending] = await Promise.all([
         prisma.device.count({ 
           where: { 
             status: 'CONNECTED',
           } 
         }),
+        prisma.device.count({
+          where: {
+            status: 'LATE',
+          }
+        }),
         prisma.device.count({ 
           where: { 
             status: 'DISCONNECTED',
           } 
         }),
-        prisma.device.count()
+        prisma.device.count(),
+        prisma.device.count({
+          where: {
+            provisioningStatus: 'PENDING',
+          }
+        })
       ]);
 
       return {
         connected,
+        late,
         disconnected,
         total,
-        active
+        pending
       };
     } catch (error) {
       logger.error(`Error getting status summary: ${error.message}`, error);
@@ -462,30 +481,6 @@ class DeviceRepository {
     }
   }
 
-  /**
-   * Bulk update devices status to DISCONNECTED (for cleanup/maintenance)
-   * @param {string[]} deviceCodes - Array of device codes
-   * @returns {Promise<Object>} Update result
-   */
-  async bulkUpdateStatusToDisconnected(deviceCodes) {
-    try {
-      return await prisma.device.updateMany({
-        where: {
-          code: {
-            in: deviceCodes
-          },
-        },
-        data: {
-          status: 'DISCONNECTED',
-          updatedAt: new Date()
-        }
-      });
-    } catch (error) {
-      logger.error(`Error bulk updating device status: ${error.message}`, error);
-      throw error;
-    }
-  }
-
   /**
    * Get devices by location ID
    * @param {string} locationId - Location ID
@@ -512,6 +507,84 @@ class DeviceRepository {
     }
   }
 
+  /**
+   * Get the codes of the devices assigned to some locations
+   * @param {Array<string>} locationIds - Location IDs
+   * @returns {Promise<Array>} Devices ({ code, locationId })
+   */
+  async findCodesByLocationIds(locationIds) {
+    try {
+      return await prisma.device.findMany({
+        where: { locationId: { in: locationIds } },
+        select: { code: true, locationId: true }
+      });
+    } catch (error) {
+      logger.error(`Error finding devices by locations: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the approved devices covered by availability reports
+   * @param {Object} [filters] - { deviceCodes, locationId }
+   * @returns {Promise<Array>} Devices with their location
+   */
+  async findForAvailability({ deviceCodes = null, locationId = null } = {}) {
+    const where = { provisioningStatus: 'APPROVED' };
+
+    if (deviceCodes) where.code = { in: deviceCodes };
+    if (locationId) where.locationId = locationId;
+
+    try {
+      return await prisma.device.findMany({
+        where,
+        select: {
+          code: true,
+          status: true,
+          createdAt: true,
+          provisionedAt: true,
+          location: {
+            select: { id: true, name: true, district: true, city: true }
+          }
+        },
+        orderBy: { code: 'asc' }
+      });
+    } catch (error) {
+      logger.error(`Error finding devices for availability: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the provisioning state of a device
+   * @param {string} code - Device code
+   * @param {Object} data - Provisioning fields
+   * @returns {Promise<Object>} Updated device
+   */
+  async updateProvisioning(code, data) {
+    try {
+      return await prisma.device.update({
+        where: { code },
+        data: {
+          provisioningStatus: data.provisioningStatus,
+          provisionedAt: data.provisionedAt,
+          rejectionReason: data.rejectionReason,
+          locationId: data.locationId,
+          description: data.description,
+          status: data.status
+        },
+        include: {
+          location: {
+            select: { id: true, name: true, address: true }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error updating device provisioning: ${error.message}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get default location ID (for auto-created devices)
    * @returns {Promise<string>} Default location ID
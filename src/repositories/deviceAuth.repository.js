@@ -0,0 +1,59 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+const CREDENTIAL_FIELDS = {
+  id: true,
+  code: true,
+  authKey: true,
+  previousAuthKey: true,
+  previousAuthKeyExpiresAt: true,
+  authKeyRotatedAt: true
+};
+
+/**
+ * Repository for device MQTT credentials
+ */
+class DeviceAuthRepository {
+  /**
+   * Get the keys of a device
+   * @param {string} code - Device code
+   * @returns {Promise<Object|null>} Device credentials or null
+   */
+  async findCredentials(code) {
+    try {
+      return await prisma.device.findUnique({
+        where: { code },
+        select: CREDENTIAL_FIELDS
+      });
+    } catch (error) {
+      logger.error('Error finding device credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store new keys of a device
+   * @param {string} code - Device code
+   * @param {Object} data - Key fields
+   * @returns {Promise<Object>} Updated device credentials
+   */
+  async updateKeys(code, data) {
+    try {
+      return await prisma.device.update({
+        where: { code },
+        data: {
+          authKey: data.authKey,
+          previousAuthKey: data.previousAuthKey,
+          previousAuthKeyExpiresAt: data.previousAuthKeyExpiresAt,
+          authKeyRotatedAt: data.authKeyRotatedAt
+        },
+        select: CREDENTIAL_FIELDS
+      });
+    } catch (error) {
+      logger.error('Error updating device keys:', error);
+      throw error;
+    }
+  }
+}
+
+export const deviceAuthRepository = new DeviceAuthRepository();
@@ -0,0 +1,162 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for downlink commands sent to devices
+ */
+class DeviceCommandRepository {
+  /**
+   * Store a new command
+   * @param {Object} data - Command data
+   * @returns {Promise<Object>} Created command
+   */
+  async create(data) {
+    try {
+      return await prisma.deviceCommand.create({
+        data: {
+          deviceCode: data.deviceCode,
+          type: data.type,
+          params: data.params ?? undefined,
+          createdBy: data.createdBy,
+          expiresAt: data.expiresAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating device command:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a command by ID
+   * @param {string} id - Command ID
+   * @returns {Promise<Object|null>} Command or null
+   */
+  async findById(id) {
+    try {
+      return await prisma.deviceCommand.findUnique({
+        where: { id }
+      });
+    } catch (error) {
+      logger.error('Error finding device command by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the commands of a device, newest first
+   * @param {string} deviceCode - Device code
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Data and pagination
+   */
+  async findByDevice(deviceCode, params = {}) {
+    const { page = 1, limit = 20, status = null } = params;
+    const where = { deviceCode };
+
+    if (status) where.status = status;
+
+    try {
+      const [data, total] = await Promise.all([
+        prisma.deviceCommand.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.deviceCommand.count({ where })
+      ]);
+
+      return {
+        data,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing device commands:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get commands waiting to be published that have not expired
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Queued commands, oldest first
+   */
+  async findQueued(now) {
+    try {
+      return await prisma.deviceCommand.findMany({
+        where: { status: 'QUEUED', expiresAt: { gt: now } },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding queued device commands:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get queued or sent commands past their deadline
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Expired commands
+   */
+  async findExpired(now) {
+    try {
+      return await prisma.deviceCommand.findMany({
+        where: { status: { in: ['QUEUED', 'SENT'] }, expiresAt: { lte: now } }
+      });
+    } catch (error) {
+      logger.error('Error finding expired device commands:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a command
+   * @param {string} id - Command ID
+   * @param {Object} data - Status fields
+   * @returns {Promise<Object>} Updated command
+   */
+  async update(id, data) {
+    try {
+      return await prisma.deviceCommand.update({
+        where: { id },
+        data: {
+          status: data.status,
+          result: data.result ?? undefined,
+          error: data.error,
+          sentAt: data.sentAt,
+          ackedAt: data.ackedAt,
+          expiresAt: data.expiresAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating device command:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark commands as timed out unless they were acknowledged meanwhile
+   * @param {Array<string>} ids - Command IDs
+   * @returns {Promise<number>} Number of updated commands
+   */
+  async markTimedOut(ids) {
+    try {
+      const { count } = await prisma.deviceCommand.updateMany({
+        where: { id: { in: ids }, status: { in: ['QUEUED', 'SENT'] } },
+        data: { status: 'TIMEOUT', error: 'No acknowledgement before the deadline' }
+      });
+
+      return count;
+    } catch (error) {
+      logger.error('Error timing out device commands:', error);
+      throw error;
+    }
+  }
+}
+
+export const deviceCommandRepository = new DeviceCommandRepository();
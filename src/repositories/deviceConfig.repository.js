@@ -0,0 +1,143 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for desired and reported device configuration
+ */
+class DeviceConfigRepository {
+  /**
+   * Get the configuration of a device
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object|null>} Configuration or null
+   */
+  async findByDeviceCode(deviceCode) {
+    try {
+      return await prisma.deviceConfig.findUnique({
+        where: { deviceCode }
+      });
+    } catch (error) {
+      logger.error('Error finding device config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List configurations, optionally of some devices only
+   * @param {Array<string>} [deviceCodes] - Device codes
+   * @returns {Promise<Array>} Configurations with their device
+   */
+  async findAll(deviceCodes = null) {
+    try {
+      return await prisma.deviceConfig.findMany({
+        where: deviceCodes ? { deviceCode: { in: deviceCodes } } : undefined,
+        include: {
+          device: {
+            select: {
+              code: true,
+              status: true,
+              location: {
+                select: { id: true, name: true }
+              }
+            }
+          }
+        },
+        orderBy: { deviceCode: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error listing device configs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get configurations whose latest desired version was not published yet
+   * @returns {Promise<Array>} Configurations
+   */
+  async findUnpublished() {
+    try {
+      const configs = await prisma.deviceConfig.findMany({
+        where: { desiredVersion: { gt: 0 } }
+      });
+
+      return configs.filter(config => config.publishedVersion !== config.desiredVersion);
+    } catch (error) {
+      logger.error('Error finding unpublished device configs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new desired configuration and increment its version, provided
+   * the stored version is still the one the change was based on
+   * @param {string} deviceCode - Device code
+   * @param {Object} desired - Complete desired configuration
+   * @param {string} [updatedBy] - Username of the editing user
+   * @param {number|null} [expectedVersion] - Desired version the change was based on, null when no config is stored
+   * @returns {Promise<Object|null>} Updated configuration or null when another change was saved first
+   */
+  async saveDesired(deviceCode, desired, updatedBy = null, expectedVersion = null) {
+    try {
+      if (expectedVersion === null) {
+        return await prisma.deviceConfig.create({
+          data: { deviceCode, desired, desiredVersion: 1, updatedBy }
+        });
+      }
+
+      const { count } = await prisma.deviceConfig.updateMany({
+        where: { deviceCode, desiredVersion: expectedVersion },
+        data: { desired, desiredVersion: { increment: 1 }, updatedBy }
+      });
+
+      return count > 0 ? await this.findByDeviceCode(deviceCode) : null;
+    } catch (error) {
+      // Another change created the config first
+      if (error.code === 'P2002') {
+        return null;
+      }
+      logger.error('Error saving desired device config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a desired version was published
+   * @param {string} deviceCode - Device code
+   * @param {number} version - Published version
+   * @returns {Promise<Object>} Updated configuration
+   */
+  async markPublished(deviceCode, version) {
+    try {
+      return await prisma.deviceConfig.update({
+        where: { deviceCode },
+        data: { publishedVersion: version, publishedAt: new Date() }
+      });
+    } catch (error) {
+      logger.error('Error marking device config published:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the configuration reported by a device
+   * @param {string} deviceCode - Device code
+   * @param {Object} reported - Reported configuration
+   * @param {number|null} version - Desired version the device applied
+   * @returns {Promise<Object>} Updated configuration
+   */
+  async saveReported(deviceCode, reported, version) {
+    try {
+      const data = { reported, reportedVersion: version, reportedAt: new Date() };
+
+      return await prisma.deviceConfig.upsert({
+        where: { deviceCode },
+        create: { deviceCode, ...data },
+        update: data
+      });
+    } catch (error) {
+      logger.error('Error saving reported device config:', error);
+      throw error;
+    }
+  }
+}
+
+export const deviceConfigRepository = new DeviceConfigRepository();
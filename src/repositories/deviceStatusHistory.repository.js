@@ -0,0 +1,166 @@
+import { prisma } from "../prisma/prismaClient.js";
+import { Prisma } from '@prisma/client';
+import logger from '../utils/logger.js';
+
+// Migration that started recording status transitions
+const HISTORY_MIGRATION = '20261019108000_add_device_status_history';
+
+/**
+ * Repository for device connection status transitions
+ */
+class DeviceStatusHistoryRepository {
+  /**
+   * Store status transitions
+   * @param {Array<Object>} transitions - Transitions ({ deviceCode, previousStatus, newStatus, reason, changedAt })
+   * @returns {Promise<Object>} { count }
+   */
+  async createMany(transitions) {
+    try {
+      return await prisma.deviceStatusHistory.createMany({
+        data: transitions.map(transition => ({
+          deviceCode: transition.deviceCode,
+          previousStatus: transition.previousStatus,
+          newStatus: transition.newStatus,
+          reason: transition.reason,
+          changedAt: transition.changedAt
+        }))
+      });
+    } catch (error) {
+      logger.error('Error creating device status history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the transitions of devices within a range, oldest first
+   * @param {Array<string>} deviceCodes - Device codes
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @returns {Promise<Array>} Transitions
+   */
+  async findInRange(deviceCodes, from, to) {
+    try {
+      return await prisma.deviceStatusHistory.findMany({
+        where: {
+          deviceCode: { in: deviceCodes },
+          changedAt: { gte: from, lt: to }
+        },
+        orderBy: { changedAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding device status history in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the last transition of each device before a point in time
+   * @param {Array<string>} deviceCodes - Device codes
+   * @param {Date} before - Point in time
+   * @returns {Promise<Array>} At most one transition per device
+   */
+  async findLastBefore(deviceCodes, before) {
+    try {
+      // Grouped in SQL so only one row per device is read
+      return await prisma.$queryRaw`
+        SELECT history.deviceCode, history.previousStatus, history.newStatus, history.reason, history.changedAt
+        FROM device_status_history history
+        JOIN (
+          SELECT deviceCode, MAX(changedAt) AS changedAt
+          FROM device_status_history
+          WHERE deviceCode IN (${Prisma.join(deviceCodes)})
+            AND changedAt < ${before}
+          GROUP BY deviceCode
+        ) latest ON latest.deviceCode = history.deviceCode AND latest.changedAt = history.changedAt
+      `;
+    } catch (error) {
+      logger.error('Error finding last device status transitions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time of the first transition of each device
+   * @param {Array<string>} deviceCodes - Device codes
+   * @returns {Promise<Array>} Rows ({ deviceCode, changedAt }) of devices with transitions
+   */
+  async findFirstChanges(deviceCodes) {
+    try {
+      return await prisma.$queryRaw`
+        SELECT deviceCode, MIN(changedAt) AS changedAt
+        FROM device_status_history
+        WHERE deviceCode IN (${Prisma.join(deviceCodes)})
+        GROUP BY deviceCode
+      `;
+    } catch (error) {
+      logger.error('Error finding first device status transitions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when status recording began, i.e. when the status history migration
+   * was applied
+   * @returns {Promise<Date|null>} Start of recording, null when unknown (e.g. a schema pushed without migrations)
+   */
+  async findRecordingStart() {
+    try {
+      const rows = await prisma.$queryRaw`
+        SELECT finished_at AS finishedAt
+        FROM _prisma_migrations
+        WHERE migration_name = ${HISTORY_MIGRATION}
+          AND finished_at IS NOT NULL
+          AND rolled_back_at IS NULL
+      `;
+
+      return rows[0]?.finishedAt ? new Date(rows[0].finishedAt) : null;
+    } catch (error) {
+      logger.warn('Could not read the status history migration:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List the transitions of a device, newest first
+   * @param {string} deviceCode - Device code
+   * @param {Object} params - { page, limit, from, to }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async findByDevice(deviceCode, params = {}) {
+    const { page = 1, limit = 20, from = null, to = null } = params;
+    const where = { deviceCode };
+
+    if (from || to) {
+      where.changedAt = {};
+      if (from) where.changedAt.gte = from;
+      if (to) where.changedAt.lt = to;
+    }
+
+    try {
+      const [data, total] = await Promise.all([
+        prisma.deviceStatusHistory.findMany({
+          where,
+          orderBy: { changedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.deviceStatusHistory.count({ where })
+      ]);
+
+      return {
+        data,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing device status history:', error);
+      throw error;
+    }
+  }
+}
+
+export const deviceStatusHistoryRepository = new DeviceStatusHistoryRepository();
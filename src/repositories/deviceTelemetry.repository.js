@@ -0,0 +1,130 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for health telemetry reported by devices
+ */
+class DeviceTelemetryRepository {
+  /**
+   * Store a telemetry sample
+   * @param {Object} data - Sample ({ deviceCode, batteryVoltage, solarCharge, rssi, temperature })
+   * @returns {Promise<Object>} Created sample
+   */
+  async create(data) {
+    try {
+      return await prisma.deviceTelemetry.create({
+        data: {
+          deviceCode: data.deviceCode,
+          batteryVoltage: data.batteryVoltage,
+          solarCharge: data.solarCharge,
+          rssi: data.rssi,
+          temperature: data.temperature,
+          recordedAt: data.recordedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating device telemetry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the newest telemetry sample of a device
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object|null>} Sample or null
+   */
+  async findLatest(deviceCode) {
+    try {
+      return await prisma.deviceTelemetry.findFirst({
+        where: { deviceCode },
+        orderBy: { recordedAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error finding latest device telemetry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the newest sample of a device with a field at or above a value
+   * @param {string} deviceCode - Device code
+   * @param {string} field - Telemetry field (batteryVoltage, rssi, ...)
+   * @param {number} min - Lower bound (inclusive)
+   * @returns {Promise<Object|null>} Sample or null
+   */
+  async findLatestAtLeast(deviceCode, field, min) {
+    try {
+      return await prisma.deviceTelemetry.findFirst({
+        where: { deviceCode, [field]: { gte: min } },
+        orderBy: { recordedAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error finding device telemetry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the oldest sample of a device with a field below a value
+   * @param {string} deviceCode - Device code
+   * @param {string} field - Telemetry field (batteryVoltage, rssi, ...)
+   * @param {number} below - Upper bound (exclusive)
+   * @param {Date|null} [from] - Earliest recordedAt (inclusive)
+   * @returns {Promise<Object|null>} Sample or null
+   */
+  async findFirstBelow(deviceCode, field, below, from = null) {
+    try {
+      return await prisma.deviceTelemetry.findFirst({
+        where: {
+          deviceCode,
+          [field]: { lt: below },
+          ...(from && { recordedAt: { gte: from } })
+        },
+        orderBy: { recordedAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding device telemetry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group the telemetry of a device into buckets of the given interval,
+   * aligned to the Unix epoch
+   * @param {string} deviceCode - Device code
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @param {number} intervalSeconds - Bucket size in seconds
+   * @returns {Promise<Array>} Aggregated rows
+   */
+  async aggregateByInterval(deviceCode, from, to, intervalSeconds) {
+    try {
+      return await prisma.$queryRaw`
+        SELECT
+          FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', recordedAt) / ${intervalSeconds}) AS bucket,
+          COUNT(*) AS count,
+          AVG(batteryVoltage) AS batteryVoltageAvg,
+          MIN(batteryVoltage) AS batteryVoltageMin,
+          MAX(batteryVoltage) AS batteryVoltageMax,
+          AVG(solarCharge) AS solarChargeAvg,
+          MAX(solarCharge) AS solarChargeMax,
+          AVG(rssi) AS rssiAvg,
+          MIN(rssi) AS rssiMin,
+          AVG(temperature) AS temperatureAvg,
+          MIN(temperature) AS temperatureMin,
+          MAX(temperature) AS temperatureMax
+        FROM device_telemetry
+        WHERE deviceCode = ${deviceCode}
+          AND recordedAt >= ${from}
+          AND recordedAt < ${to}
+        GROUP BY bucket
+        ORDER BY bucket
+      `;
+    } catch (error) {
+      logger.error('Error aggregating device telemetry:', error);
+      throw error;
+    }
+  }
+}
+
+export const deviceTelemetryRepository = new DeviceTelemetryRepository();
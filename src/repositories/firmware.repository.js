@@ -0,0 +1,161 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for firmware images and the firmware history of devices
+ */
+class FirmwareRepository {
+  /**
+   * Store a firmware image record
+   * @param {Object} data - Image metadata
+   * @returns {Promise<Object>} Created image
+   */
+  async createImage(data) {
+    try {
+      return await prisma.firmwareImage.create({
+        data: {
+          version: data.version,
+          hardwareRevision: data.hardwareRevision,
+          filename: data.filename,
+          size: data.size,
+          sha256: data.sha256,
+          downloadToken: data.downloadToken,
+          notes: data.notes,
+          uploadedBy: data.uploadedBy
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating firmware image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List firmware images, newest first
+   * @returns {Promise<Array>} Images with their rollout count
+   */
+  async findImages() {
+    try {
+      return await prisma.firmwareImage.findMany({
+        include: {
+          _count: { select: { rollouts: true } }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error listing firmware images:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a firmware image by ID
+   * @param {string} id - Image ID
+   * @returns {Promise<Object|null>} Image or null
+   */
+  async findImageById(id) {
+    try {
+      return await prisma.firmwareImage.findUnique({
+        where: { id },
+        include: {
+          _count: { select: { rollouts: true } }
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding firmware image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an image by version and hardware revision
+   * @param {string} version - Firmware version
+   * @param {string|null} hardwareRevision - Hardware revision
+   * @returns {Promise<Object|null>} Image or null
+   */
+  async findImageByVersion(version, hardwareRevision) {
+    try {
+      return await prisma.firmwareImage.findFirst({
+        where: { version, hardwareRevision }
+      });
+    } catch (error) {
+      logger.error('Error finding firmware image by version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a firmware image record
+   * @param {string} id - Image ID
+   * @returns {Promise<Object>} Deleted image
+   */
+  async deleteImage(id) {
+    try {
+      return await prisma.firmwareImage.delete({
+        where: { id }
+      });
+    } catch (error) {
+      logger.error('Error deleting firmware image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the firmware fields of a device and add a history entry
+   * @param {string} deviceCode - Device code
+   * @param {Object} deviceData - Firmware fields of the device
+   * @param {Object} historyEntry - History entry
+   * @returns {Promise<Object>} Updated device
+   */
+  async recordDeviceInfo(deviceCode, deviceData, historyEntry) {
+    try {
+      const [device] = await prisma.$transaction([
+        prisma.device.update({
+          where: { code: deviceCode },
+          data: {
+            firmwareVersion: deviceData.firmwareVersion,
+            hardwareRevision: deviceData.hardwareRevision,
+            lastBootReason: deviceData.lastBootReason,
+            firmwareUpdatedAt: deviceData.firmwareUpdatedAt
+          }
+        }),
+        prisma.deviceFirmwareHistory.create({
+          data: {
+            deviceCode,
+            event: historyEntry.event,
+            firmwareVersion: historyEntry.firmwareVersion,
+            previousVersion: historyEntry.previousVersion,
+            hardwareRevision: historyEntry.hardwareRevision,
+            bootReason: historyEntry.bootReason
+          }
+        })
+      ]);
+
+      return device;
+    } catch (error) {
+      logger.error('Error recording device firmware info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the firmware history of a device, newest first
+   * @param {string} deviceCode - Device code
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {Promise<Array>} History entries
+   */
+  async findHistory(deviceCode, limit = 50) {
+    try {
+      return await prisma.deviceFirmwareHistory.findMany({
+        where: { deviceCode },
+        orderBy: { recordedAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      logger.error('Error finding device firmware history:', error);
+      throw error;
+    }
+  }
+}
+
+export const firmwareRepository = new FirmwareRepository();
@@ -0,0 +1,305 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for OTA firmware rollouts and their target devices
+ */
+class FirmwareRolloutRepository {
+  /**
+   * Create a rollout with its target devices
+   * @param {Object} data - Rollout data
+   * @param {Array<Object>} devices - Targets ({ deviceCode, previousVersion })
+   * @returns {Promise<Object>} Created rollout
+   */
+  async create(data, devices) {
+    try {
+      return await prisma.firmwareRollout.create({
+        data: {
+          firmwareId: data.firmwareId,
+          percentage: data.percentage,
+          failureThreshold: data.failureThreshold,
+          batchSize: data.batchSize,
+          createdBy: data.createdBy,
+          devices: {
+            create: devices.map(device => ({
+              deviceCode: device.deviceCode,
+              previousVersion: device.previousVersion
+            }))
+          }
+        },
+        include: { firmware: true }
+      });
+    } catch (error) {
+      logger.error('Error creating firmware rollout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List rollouts, newest first
+   * @returns {Promise<Array>} Rollouts with their firmware
+   */
+  async findAll() {
+    try {
+      return await prisma.firmwareRollout.findMany({
+        include: {
+          firmware: { select: { id: true, version: true, hardwareRevision: true } }
+        },
+        orderBy: { startedAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error listing firmware rollouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a rollout by ID
+   * @param {string} id - Rollout ID
+   * @param {boolean} [withDevices] - Include the target devices
+   * @returns {Promise<Object|null>} Rollout or null
+   */
+  async findById(id, withDevices = false) {
+    try {
+      return await prisma.firmwareRollout.findUnique({
+        where: { id },
+        include: {
+          firmware: true,
+          devices: withDevices ? { orderBy: { deviceCode: 'asc' } } : false
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding firmware rollout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the unfinished rollout of a firmware image
+   * @param {string} firmwareId - Image ID
+   * @returns {Promise<Object|null>} Running or halted rollout, or null
+   */
+  async findActiveByFirmware(firmwareId) {
+    try {
+      return await prisma.firmwareRollout.findFirst({
+        where: { firmwareId, status: { in: ['RUNNING', 'HALTED'] } }
+      });
+    } catch (error) {
+      logger.error('Error finding active firmware rollout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get running rollouts
+   * @returns {Promise<Array>} Rollouts with their firmware
+   */
+  async findRunning() {
+    try {
+      return await prisma.firmwareRollout.findMany({
+        where: { status: 'RUNNING' },
+        include: { firmware: true }
+      });
+    } catch (error) {
+      logger.error('Error finding running firmware rollouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rollout
+   * @param {string} id - Rollout ID
+   * @param {Object} data - Rollout fields
+   * @returns {Promise<Object>} Updated rollout
+   */
+  async update(id, data) {
+    try {
+      return await prisma.firmwareRollout.update({
+        where: { id },
+        data: {
+          status: data.status,
+          percentage: data.percentage,
+          failureThreshold: data.failureThreshold,
+          haltReason: data.haltReason,
+          finishedAt: data.finishedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating firmware rollout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the target devices of a rollout per status
+   * @param {string} rolloutId - Rollout ID
+   * @returns {Promise<Object>} Counts by status
+   */
+  async countByStatus(rolloutId) {
+    try {
+      const groups = await prisma.firmwareRolloutDevice.groupBy({
+        by: ['status'],
+        where: { rolloutId },
+        _count: { _all: true }
+      });
+
+      return Object.fromEntries(groups.map(group => [group.status, group._count._all]));
+    } catch (error) {
+      logger.error('Error counting firmware rollout devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get target devices of a rollout with a given status
+   * @param {string} rolloutId - Rollout ID
+   * @param {string} status - Target status
+   * @returns {Promise<Array>} Target devices with their connection status
+   */
+  async findDevices(rolloutId, status) {
+    try {
+      return await prisma.firmwareRolloutDevice.findMany({
+        where: { rolloutId, status },
+        include: {
+          device: { select: { status: true } }
+        },
+        orderBy: { deviceCode: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding firmware rollout devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the update in progress for a device
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object|null>} Target device with its rollout and firmware
+   */
+  async findInFlight(deviceCode) {
+    try {
+      return await prisma.firmwareRolloutDevice.findFirst({
+        where: { deviceCode, status: 'SENT' },
+        include: {
+          rollout: { include: { firmware: true } }
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding in-flight firmware update:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every update waiting for its device, whatever the rollout status
+   * @returns {Promise<Array>} Target devices with their rollout and firmware
+   */
+  async findSent() {
+    try {
+      return await prisma.firmwareRolloutDevice.findMany({
+        where: { status: 'SENT' },
+        include: {
+          rollout: { include: { firmware: true } }
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding sent firmware updates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add target devices to a rollout
+   * @param {string} rolloutId - Rollout ID
+   * @param {Array<Object>} devices - Targets ({ deviceCode, previousVersion })
+   * @returns {Promise<number>} Number of added devices
+   */
+  async addDevices(rolloutId, devices) {
+    try {
+      const { count } = await prisma.firmwareRolloutDevice.createMany({
+        data: devices.map(device => ({
+          rolloutId,
+          deviceCode: device.deviceCode,
+          previousVersion: device.previousVersion
+        })),
+        skipDuplicates: true
+      });
+
+      return count;
+    } catch (error) {
+      logger.error('Error adding firmware rollout devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a target device
+   * @param {string} id - Target device ID
+   * @param {Object} data - Status fields
+   * @returns {Promise<Object>} Updated target device
+   */
+  async updateDevice(id, data) {
+    try {
+      return await prisma.firmwareRolloutDevice.update({
+        where: { id },
+        data: {
+          status: data.status,
+          commandId: data.commandId,
+          error: data.error,
+          sentAt: data.sentAt,
+          finishedAt: data.finishedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating firmware rollout device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Skip the remaining pending devices of a rollout
+   * @param {string} rolloutId - Rollout ID
+   * @param {string} reason - Why they are skipped
+   * @returns {Promise<number>} Number of skipped devices
+   */
+  async skipPending(rolloutId, reason) {
+    try {
+      const { count } = await prisma.firmwareRolloutDevice.updateMany({
+        where: { rolloutId, status: 'PENDING' },
+        data: { status: 'SKIPPED', error: reason, finishedAt: new Date() }
+      });
+
+      return count;
+    } catch (error) {
+      logger.error('Error skipping firmware rollout devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get approved devices that can receive an update: matching hardware and
+   * not targeted by another unfinished update
+   * @param {string|null} hardwareRevision - Required hardware revision, null for any
+   * @returns {Promise<Array>} Devices ({ code, firmwareVersion, hardwareRevision })
+   */
+  async findEligibleDevices(hardwareRevision) {
+    try {
+      return await prisma.device.findMany({
+        where: {
+          provisioningStatus: 'APPROVED',
+          ...(hardwareRevision && { hardwareRevision }),
+          rolloutDevices: {
+            none: { status: { in: ['PENDING', 'SENT'] } }
+          }
+        },
+        select: { code: true, firmwareVersion: true, hardwareRevision: true },
+        orderBy: { code: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding devices eligible for a firmware update:', error);
+      throw error;
+    }
+  }
+}
+
+export const firmwareRolloutRepository = new FirmwareRolloutRepository();
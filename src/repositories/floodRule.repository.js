@@ -0,0 +1,148 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+/**
+ * Repository for handling flood rule database operations
+ */
+class FloodRuleRepository {
+  /**
+   * Get all rules of a location
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Array>} Rules ordered by priority
+   */
+  async findByLocationId(locationId) {
+    try {
+      return await prisma.floodRule.findMany({
+        where: { locationId },
+        orderBy: [
+          { priority: 'desc' },
+          { createdAt: 'asc' }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error finding flood rules by location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active rules of a location
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Array>} Active rules ordered by priority
+   */
+  async findActiveByLocationId(locationId) {
+    try {
+      return await prisma.floodRule.findMany({
+        where: { locationId, isActive: true },
+        orderBy: [
+          { priority: 'desc' },
+          { createdAt: 'asc' }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error finding active flood rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find rule by ID
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object|null>} Rule or null
+   */
+  async findById(id) {
+    try {
+      return await prisma.floodRule.findUnique({
+        where: { id }
+      });
+    } catch (error) {
+      logger.error('Error finding flood rule by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} data - Rule data
+   * @returns {Promise<Object>} Created rule
+   */
+  async create(data) {
+    try {
+      return await prisma.floodRule.create({
+        data: {
+          locationId: data.locationId,
+          name: data.name,
+          status: data.status,
+          match: data.match,
+          conditions: data.conditions,
+          priority: data.priority,
+          isActive: data.isActive
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2003') {
+        const notFoundError = new Error('Location not found');
+        notFoundError.code = 'LOCATION_NOT_FOUND';
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+      logger.error('Error creating flood rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rule
+   * @param {string} id - Rule ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object>} Updated rule
+   */
+  async update(id, data) {
+    try {
+      return await prisma.floodRule.update({
+        where: { id },
+        data: {
+          name: data.name,
+          status: data.status,
+          match: data.match,
+          conditions: data.conditions,
+          priority: data.priority,
+          isActive: data.isActive
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        const notFoundError = new Error('Flood rule not found');
+        notFoundError.code = 'RULE_NOT_FOUND';
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+      logger.error('Error updating flood rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object>} Deleted rule
+   */
+  async delete(id) {
+    try {
+      return await prisma.floodRule.delete({
+        where: { id }
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        const notFoundError = new Error('Flood rule not found');
+        notFoundError.code = 'RULE_NOT_FOUND';
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+      logger.error('Error deleting flood rule:', error);
+      throw error;
+    }
+  }
+}
+
+export const floodRuleRepository = new FloodRuleRepository();
@@ -38,12 +38,12 @@ class LocationRepository {
           province: data.province,
           latitude: data.latitude,
           longitude: data.longitude,
-          amanMax: data.amanMax || 79,
-          waspadaMin: data.amanMax + 1 || 80,
-          waspadaMax: data.waspadaMax || 149,
-          siagaMin: data.waspadaMax + 1 || 150,
-          siagaMax: data.siagaMax || 199,
-          bahayaMin: data.siagaMax + 1 || 200
+          amanMax: data.amanMax,
+          waspadaMin: data.waspadaMin,
+          waspadaMax: data.waspadaMax,
+          siagaMin: data.siagaMin,
+          siagaMax: data.siagaMax,
+          bahayaMin: data.bahayaMin
         }
       });
     } catch (error) {
@@ -291,6 +291,9 @@ class LocationRepository {
           currentStatus: data.currentStatus,
           currentWaterLevel: data.currentWaterLevel,
           currentRainfall: data.currentRainfall,
+          pendingStatus: data.pendingStatus,
+          pendingStatusCount: data.pendingStatusCount,
+          pendingStatusSince: data.pendingStatusSince,
           lastUpdate: new Date(),
           updatedAt: new Date()
         }
@@ -317,20 +320,90 @@ class LocationRepository {
     }
   }
 
-  async getLocationStatusHistory(params = {}) {
-    const {
-      page = 1,
-      limit = 10,
-      status = null,
-      startDate = null,
-      endDate = null,
-      sortBy = 'changedAt',
-      sortOrder = 'desc'
-    } = params;
+  /**
+   * Find the last status change of a location before a time
+   * @param {string} locationId - Location ID
+   * @param {Date} before - Time (exclusive)
+   * @returns {Promise<Object|null>} Status history record or null
+   */
+  async findLastStatusChangeBefore(locationId, before) {
+    try {
+      return await prisma.locationStatusHistory.findFirst({
+        where: {
+          locationId,
+          changedAt: { lt: before }
+        },
+        orderBy: { changedAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error finding last status change:', error);
+      throw error;
+    }
+  }
 
-    const skip = (page - 1) * limit;
+  /**
+   * Find the first status changes of a location after a time
+   * @param {string} locationId - Location ID
+   * @param {Date} after - Time (exclusive)
+   * @param {number} [take] - Number of records
+   * @returns {Promise<Array>} Status changes, oldest first
+   */
+  async findStatusChangesAfter(locationId, after, take = 1) {
+    try {
+      return await prisma.locationStatusHistory.findMany({
+        where: {
+          locationId,
+          changedAt: { gt: after }
+        },
+        orderBy: { changedAt: 'asc' },
+        take
+      });
+    } catch (error) {
+      logger.error('Error finding status changes after time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the status history of a location within a period
+   * @param {string} locationId - Location ID
+   * @param {Date} from - Period start (inclusive)
+   * @param {Date} to - Period end (inclusive)
+   * @param {Array<Object>} entries - New history records
+   * @param {Object} [following] - Fixes to the records after the period
+   * @param {Array<Object>} [following.update] - Records to update ({ id, data })
+   * @param {Array<string>} [following.remove] - IDs of records to delete
+   * @returns {Promise<Object>} Deleted and created counts
+   */
+  async replaceStatusHistory(locationId, from, to, entries, { update = [], remove = [] } = {}) {
+    try {
+      const [deleted, created] = await prisma.$transaction([
+        prisma.locationStatusHistory.deleteMany({
+          where: {
+            locationId,
+            changedAt: { gte: from, lte: to }
+          }
+        }),
+        prisma.locationStatusHistory.createMany({
+          data: entries.map(entry => ({ ...entry, locationId }))
+        }),
+        ...update.map(({ id, data }) => prisma.locationStatusHistory.update({ where: { id }, data })),
+        ...(remove.length > 0 ? [prisma.locationStatusHistory.deleteMany({ where: { id: { in: remove } } })] : [])
+      ]);
+
+      return { deleted: deleted.count, created: created.count };
+    } catch (error) {
+      logger.error('Error replacing status history:', error);
+      throw error;
+    }
+  }
 
-    // Build where clause
+  /**
+   * Build the where clause shared by the status history list and export
+   * @param {Object} filters - Filters ({ status, startDate, endDate })
+   * @returns {Object} Prisma where clause
+   */
+  buildStatusHistoryWhere({ status = null, startDate = null, endDate = null } = {}) {
     const whereClause = {};
 
     // Exclude AMAN status kecuali jika specifically diminta
@@ -352,6 +425,61 @@ class LocationRepository {
       if (endDate) whereClause.changedAt.lte = new Date(endDate);
     }
 
+    return whereClause;
+  }
+
+  /**
+   * Get one batch of status history for streaming exports (cursor based)
+   * @param {Object} params - Filters and sort ({ status, startDate, endDate, sortBy, sortOrder })
+   * @param {Object} [options] - Batch options
+   * @param {string} [options.cursor] - ID of the last row of the previous batch
+   * @param {number} [options.take] - Batch size
+   * @returns {Promise<Array>} Status history rows
+   */
+  async findStatusHistoryBatch(params = {}, { cursor = null, take = 1000 } = {}) {
+    const { sortBy = 'changedAt', sortOrder = 'desc' } = params;
+
+    try {
+      return await prisma.locationStatusHistory.findMany({
+        where: this.buildStatusHistoryWhere(params),
+        include: {
+          location: {
+            select: {
+              name: true,
+              address: true,
+              district: true,
+              city: true,
+              province: true
+            }
+          }
+        },
+        orderBy: [
+          { [sortBy]: sortOrder },
+          { id: sortOrder }
+        ],
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        take
+      });
+    } catch (error) {
+      logger.error('Error fetching status history batch:', error);
+      throw error;
+    }
+  }
+
+  async getLocationStatusHistory(params = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      status = null,
+      startDate = null,
+      endDate = null,
+      sortBy = 'changedAt',
+      sortOrder = 'desc'
+    } = params;
+
+    const skip = (page - 1) * limit;
+    const whereClause = this.buildStatusHistoryWhere({ status, startDate, endDate });
+
     try {
       // Get data with pagination
       const [data, total] = await Promise.all([
@@ -477,6 +605,11 @@ class LocationRepository {
           siagaMin: thresholds.siagaMin,
           siagaMax: thresholds.siagaMax,
           bahayaMin: thresholds.bahayaMin,
+          hysteresisMargin: thresholds.hysteresisMargin,
+          escalationReadings: thresholds.escalationReadings,
+          deescalationMinutes: thresholds.deescalationMinutes,
+          riseRateThreshold: thresholds.riseRateThreshold,
+          riseRateWindowMinutes: thresholds.riseRateWindowMinutes,
           updatedAt: new Date()
         }
       });
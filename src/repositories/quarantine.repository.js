@@ -0,0 +1,269 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+// One release runs a statement per reading inside its transaction
+const RELEASE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Repository for handling quarantined sensor readings
+ */
+class QuarantineRepository {
+  /**
+   * Store a rejected reading
+   * @param {Object} data - Reading and rejection reason
+   * @returns {Promise<Object>} Quarantined reading
+   */
+  async create(data) {
+    try {
+      return await prisma.quarantinedReading.create({
+        data: {
+          deviceCode: data.deviceCode,
+          timestamp: data.timestamp || new Date(),
+          rainfall: data.rainfall,
+          waterLevel: data.waterLevel,
+          rawRainfall: data.rawRainfall,
+          rawWaterLevel: data.rawWaterLevel,
+          reason: data.reason,
+          details: data.details
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating quarantined reading:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store several rejected readings
+   * @param {Array<Object>} dataArray - Readings with a pregenerated id and their rejection reason
+   * @returns {Promise<Object>} { count }
+   */
+  async createMany(dataArray) {
+    try {
+      return await prisma.quarantinedReading.createMany({
+        data: dataArray.map(data => ({
+          id: data.id,
+          deviceCode: data.deviceCode,
+          timestamp: data.timestamp || new Date(),
+          rainfall: data.rainfall,
+          waterLevel: data.waterLevel,
+          rawRainfall: data.rawRainfall,
+          rawWaterLevel: data.rawWaterLevel,
+          reason: data.reason,
+          details: data.details
+        }))
+      });
+    } catch (error) {
+      logger.error('Error creating quarantined readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find quarantined reading by ID
+   * @param {string} id - Quarantined reading ID
+   * @returns {Promise<Object|null>} Quarantined reading or null
+   */
+  async findById(id) {
+    try {
+      return await prisma.quarantinedReading.findUnique({
+        where: { id }
+      });
+    } catch (error) {
+      logger.error('Error finding quarantined reading by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest pending reading of a device since a given time
+   * @param {string} deviceCode - Device code
+   * @param {Date} since - Lower time bound
+   * @returns {Promise<Object|null>} Latest pending reading or null
+   */
+  async findLatestPending(deviceCode, since) {
+    try {
+      return await prisma.quarantinedReading.findFirst({
+        where: {
+          deviceCode,
+          status: 'PENDING',
+          timestamp: { gte: since }
+        },
+        orderBy: { timestamp: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error finding latest pending quarantined reading:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all pending readings of a device quarantined for a given reason
+   * @param {string} deviceCode - Device code
+   * @param {string} reason - Quarantine reason
+   * @returns {Promise<Array>} Pending readings, oldest first
+   */
+  async findPendingByReason(deviceCode, reason) {
+    try {
+      return await prisma.quarantinedReading.findMany({
+        where: { deviceCode, reason, status: 'PENDING' },
+        orderBy: { timestamp: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding pending quarantined readings by reason:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the pending readings of a device quarantined for a given reason
+   * @param {string} deviceCode - Device code
+   * @param {string} reason - Quarantine reason
+   * @returns {Promise<number>} Number of pending readings
+   */
+  async countPendingByReason(deviceCode, reason) {
+    try {
+      return await prisma.quarantinedReading.count({
+        where: { deviceCode, reason, status: 'PENDING' }
+      });
+    } catch (error) {
+      logger.error('Error counting pending quarantined readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * File a pending reading under another reason
+   * @param {string} id - Quarantined reading ID
+   * @param {Object} data - { reason, details }
+   * @returns {Promise<Object>} Updated reading
+   */
+  async updateReason(id, data) {
+    try {
+      return await prisma.quarantinedReading.update({
+        where: { id },
+        data: {
+          reason: data.reason,
+          details: data.details
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating quarantine reason:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move pending readings into sensor_logs in one transaction. Readings that
+   * are no longer pending are skipped, so concurrent releases of the same
+   * reading store it only once.
+   * @param {Array<Object>} entries - { quarantineId, log } pairs, log with a pregenerated id
+   * @returns {Promise<number>} Number of released readings
+   */
+  async releaseMany(entries) {
+    try {
+      const reviewedAt = new Date();
+
+      return await prisma.$transaction(async (tx) => {
+        const logs = [];
+
+        for (const { quarantineId, log } of entries) {
+          const { count } = await tx.quarantinedReading.updateMany({
+            where: { id: quarantineId, status: 'PENDING' },
+            data: { status: 'RELEASED', releasedLogId: log.id, reviewedAt }
+          });
+
+          if (count > 0) logs.push(log);
+        }
+
+        if (logs.length > 0) {
+          await tx.sensorLog.createMany({ data: logs });
+        }
+
+        return logs.length;
+      }, { timeout: RELEASE_TIMEOUT_MS });
+    } catch (error) {
+      logger.error('Error releasing quarantined readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discard all pending readings of a device quarantined for a given reason
+   * @param {string} deviceCode - Device code
+   * @param {string} reason - Quarantine reason
+   * @returns {Promise<number>} Number of discarded readings
+   */
+  async discardPendingByReason(deviceCode, reason) {
+    try {
+      const { count } = await prisma.quarantinedReading.updateMany({
+        where: { deviceCode, reason, status: 'PENDING' },
+        data: { status: 'DISCARDED', reviewedAt: new Date() }
+      });
+
+      return count;
+    } catch (error) {
+      logger.error('Error discarding quarantined readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List quarantined readings with pagination and filters
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Data and pagination
+   */
+  async findMany(params = {}) {
+    const { page = 1, limit = 20, status = null, deviceCode = null } = params;
+    const where = {};
+
+    if (status) where.status = status;
+    if (deviceCode) where.deviceCode = deviceCode;
+
+    try {
+      const [data, total] = await Promise.all([
+        prisma.quarantinedReading.findMany({
+          where,
+          orderBy: { timestamp: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.quarantinedReading.count({ where })
+      ]);
+
+      return {
+        data,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing quarantined readings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discard a reading that is still pending
+   * @param {string} id - Quarantined reading ID
+   * @returns {Promise<number>} 1 when discarded, 0 when no longer pending
+   */
+  async discard(id) {
+    try {
+      const { count } = await prisma.quarantinedReading.updateMany({
+        where: { id, status: 'PENDING' },
+        data: { status: 'DISCARDED', reviewedAt: new Date() }
+      });
+
+      return count;
+    } catch (error) {
+      logger.error('Error discarding quarantined reading:', error);
+      throw error;
+    }
+  }
+}
+
+export const quarantineRepository = new QuarantineRepository();
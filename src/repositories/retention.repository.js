@@ -0,0 +1,182 @@
+import { prisma } from "../prisma/prismaClient.js";
+import logger from '../utils/logger.js';
+
+// Maximum number of IDs per DELETE statement
+const DELETE_CHUNK_SIZE = 1000;
+
+/**
+ * Repository for sensor log retention runs and expired data
+ */
+class RetentionRepository {
+  /**
+   * Record the start of a retention run
+   * @returns {Promise<Object>} Retention run
+   */
+  async createRun() {
+    try {
+      return await prisma.retentionRun.create({
+        data: { status: 'RUNNING' }
+      });
+    } catch (error) {
+      logger.error('Error creating retention run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a retention run
+   * @param {string} id - Retention run ID
+   * @param {Object} data - Run result
+   * @returns {Promise<Object>} Updated retention run
+   */
+  async updateRun(id, data) {
+    try {
+      return await prisma.retentionRun.update({
+        where: { id },
+        data: {
+          status: data.status,
+          finishedAt: data.finishedAt,
+          archivedCount: data.archivedCount,
+          deletedCount: data.deletedCount,
+          rollupDeletedCount: data.rollupDeletedCount,
+          telemetryDeletedCount: data.telemetryDeletedCount,
+          files: data.files,
+          error: data.error
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating retention run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent retention runs
+   * @param {number} [limit] - Number of runs
+   * @returns {Promise<Array>} Retention runs, newest first
+   */
+  async findRecentRuns(limit = 10) {
+    try {
+      return await prisma.retentionRun.findMany({
+        orderBy: { startedAt: 'desc' },
+        take: limit
+      });
+    } catch (error) {
+      logger.error('Error finding retention runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the retention override of every device
+   * @returns {Promise<Array>} Devices ({ code, retentionDays })
+   */
+  async findDeviceRetention() {
+    try {
+      return await prisma.device.findMany({
+        select: {
+          code: true,
+          retentionDays: true
+        },
+        orderBy: { code: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error finding device retention settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the oldest sensor logs of a device recorded before a time
+   * @param {string} deviceCode - Device code
+   * @param {Date} before - Cutoff time (exclusive)
+   * @param {number} limit - Maximum number of logs
+   * @returns {Promise<Array>} Sensor logs, oldest first
+   */
+  async findExpiredSensorLogs(deviceCode, before, limit) {
+    try {
+      return await prisma.sensorLog.findMany({
+        where: {
+          deviceCode,
+          timestamp: { lt: before }
+        },
+        orderBy: [{ timestamp: 'asc' }, { id: 'asc' }],
+        take: limit,
+        select: {
+          id: true,
+          deviceCode: true,
+          timestamp: true,
+          waterLevel: true,
+          rainfall: true,
+          rawWaterLevel: true,
+          rawRainfall: true
+        }
+      });
+    } catch (error) {
+      logger.error('Error finding expired sensor logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete sensor logs by ID
+   * @param {Array<string>} ids - Sensor log IDs
+   * @returns {Promise<number>} Number of deleted logs
+   */
+  async deleteSensorLogsByIds(ids) {
+    try {
+      let deleted = 0;
+
+      for (let i = 0; i < ids.length; i += DELETE_CHUNK_SIZE) {
+        const result = await prisma.sensorLog.deleteMany({
+          where: { id: { in: ids.slice(i, i + DELETE_CHUNK_SIZE) } }
+        });
+        deleted += result.count;
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting sensor logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete hourly and daily rollups older than a time
+   * @param {Date} before - Cutoff time (exclusive)
+   * @returns {Promise<number>} Number of deleted rollup rows
+   */
+  async deleteRollupsBefore(before) {
+    try {
+      const [hourly, daily] = await prisma.$transaction([
+        prisma.sensorLogHourly.deleteMany({ where: { bucketStart: { lt: before } } }),
+        prisma.sensorLogDaily.deleteMany({ where: { bucketStart: { lt: before } } })
+      ]);
+
+      return hourly.count + daily.count;
+    } catch (error) {
+      logger.error('Error deleting rollups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete device health telemetry recorded before a date
+   * @param {Date} before - Cutoff (exclusive)
+   * @returns {Promise<number>} Deleted samples
+   */
+  async deleteTelemetryBefore(before) {
+    try {
+      const result = await prisma.deviceTelemetry.deleteMany({
+        where: { recordedAt: { lt: before } }
+      });
+
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting device telemetry:', error);
+      throw error;
+    }
+  }
+}
+
+export const retentionRepository = new RetentionRepository();
@@ -1,4 +1,5 @@
 import { prisma } from "../prisma/prismaClient.js";
+import { Prisma } from '@prisma/client';
 
 class SensorLogRepository {
   async create(data) {
@@ -7,6 +8,8 @@ class SensorLogRepository {
         deviceCode: data.deviceCode,
         rainfall: data.rainfall,
         waterLevel: data.waterLevel,
+        rawRainfall: data.rawRainfall,
+        rawWaterLevel: data.rawWaterLevel,
         timestamp: data.timestamp || new Date()
       },
       include: {
@@ -18,9 +21,12 @@ class SensorLogRepository {
   async createMany(dataArray) {
     return await prisma.sensorLog.createMany({
       data: dataArray.map(data => ({
+        id: data.id,
         deviceCode: data.deviceCode,
         rainfall: data.rainfall,
         waterLevel: data.waterLevel,
+        rawRainfall: data.rawRainfall,
+        rawWaterLevel: data.rawWaterLevel,
         timestamp: data.timestamp || new Date()
       }))
     });
@@ -94,6 +100,173 @@ class SensorLogRepository {
         id: true, 
         rainfall: true,
         waterLevel: true,
+        rawRainfall: true,
+        rawWaterLevel: true,
+        timestamp: true
+      }
+    });
+  }
+
+  async findByDateRangeBatch(deviceCode, startDate, endDate, { sortOrder = 'desc', cursor = null, take = 1000 } = {}) {
+    // Same day boundaries as findByDateRange
+    const start = new Date(startDate);
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setUTCHours(23, 59, 59, 999);
+
+    return await prisma.sensorLog.findMany({
+      where: {
+        deviceCode,
+        timestamp: {
+          gte: start,
+          lte: end
+        }
+      },
+      orderBy: [
+        { timestamp: sortOrder },
+        { id: sortOrder }
+      ],
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      take,
+      select: {
+        id: true,
+        deviceCode: true,
+        rainfall: true,
+        waterLevel: true,
+        rawRainfall: true,
+        rawWaterLevel: true,
+        timestamp: true
+      }
+    });
+  }
+
+  /**
+   * Register the source of readings that are accepted but not written yet
+   * (the sensor log buffer). The windowed reads below include them so live
+   * evaluations do not lag one flush behind.
+   * @param {Object} source - Object with getPending(deviceCode, since)
+   */
+  setPendingSource(source) {
+    this.pendingSource = source;
+  }
+
+  findPending(deviceCode, since = null) {
+    return this.pendingSource ? this.pendingSource.getPending(deviceCode, since) : [];
+  }
+
+  mergePending(rows, pending, fields) {
+    const ids = new Set(rows.map(row => row.id));
+    const extra = pending
+      .filter(entry => !ids.has(entry.id))
+      .map(entry => Object.fromEntries(['id', ...fields].map(field => [field, entry[field]])));
+
+    return [...rows, ...extra].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async findLatestWaterLevels(deviceCode, limit = 5) {
+    const rows = await prisma.sensorLog.findMany({
+      where: {
+        deviceCode,
+        waterLevel: {
+          not: null
+        }
+      },
+      orderBy: {
+        timestamp: 'desc'
+      },
+      take: limit,
+      select: {
+        id: true,
+        waterLevel: true,
+        timestamp: true
+      }
+    });
+
+    const pending = this.findPending(deviceCode).filter(entry => entry.waterLevel !== null);
+
+    return this.mergePending(rows, pending, ['waterLevel', 'timestamp'])
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async findRecentWaterLevels(deviceCode, since) {
+    const rows = await prisma.sensorLog.findMany({
+      where: {
+        deviceCode,
+        timestamp: {
+          gte: since
+        },
+        waterLevel: {
+          not: null
+        }
+      },
+      orderBy: {
+        timestamp: 'asc'
+      },
+      select: {
+        id: true,
+        waterLevel: true,
+        timestamp: true
+      }
+    });
+
+    const pending = this.findPending(deviceCode, since).filter(entry => entry.waterLevel !== null);
+
+    return this.mergePending(rows, pending, ['waterLevel', 'timestamp']);
+  }
+
+  async findRecentReadings(deviceCode, since) {
+    const rows = await prisma.sensorLog.findMany({
+      where: {
+        deviceCode,
+        timestamp: {
+          gte: since
+        }
+      },
+      orderBy: {
+        timestamp: 'asc'
+      },
+      select: {
+        id: true,
+        waterLevel: true,
+        rainfall: true,
+        timestamp: true
+      }
+    });
+
+    return this.mergePending(rows, this.findPending(deviceCode, since), ['waterLevel', 'rainfall', 'timestamp']);
+  }
+
+  async findTimestampsBetween(deviceCode, from, to) {
+    return await prisma.sensorLog.findMany({
+      where: {
+        deviceCode,
+        timestamp: {
+          gte: from,
+          lte: to
+        }
+      },
+      select: {
+        timestamp: true
+      }
+    });
+  }
+
+  async findReadingsBetween(deviceCode, from, to) {
+    return await prisma.sensorLog.findMany({
+      where: {
+        deviceCode,
+        timestamp: {
+          gte: from,
+          lte: to
+        }
+      },
+      orderBy: {
+        timestamp: 'asc'
+      },
+      select: {
+        waterLevel: true,
+        rainfall: true,
         timestamp: true
       }
     });
@@ -182,6 +355,28 @@ class SensorLogRepository {
     });
   }
 
+  async aggregateByInterval(deviceCodes, from, to, intervalSeconds) {
+    // Buckets are aligned to the Unix epoch, independent of the session time zone
+    return await prisma.$queryRaw`
+      SELECT
+        deviceCode,
+        FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', timestamp) / ${intervalSeconds}) AS bucket,
+        COUNT(*) AS count,
+        SUM(waterLevel) AS waterLevelSum,
+        MIN(waterLevel) AS waterLevelMin,
+        MAX(waterLevel) AS waterLevelMax,
+        COUNT(waterLevel) AS waterLevelCount,
+        SUM(rainfall) AS rainfallTotal,
+        MAX(rainfall) AS rainfallMax
+      FROM sensor_logs
+      WHERE deviceCode IN (${Prisma.join(deviceCodes)})
+        AND timestamp >= ${from}
+        AND timestamp < ${to}
+      GROUP BY deviceCode, bucket
+      ORDER BY deviceCode, bucket
+    `;
+  }
+
   async getLatestReading(deviceCode) {
     console.log("device code : ", deviceCode)
     return await prisma.sensorLog.findFirst({
@@ -0,0 +1,225 @@
+import { prisma } from "../prisma/prismaClient.js";
+import { Prisma } from '@prisma/client';
+import logger from '../utils/logger.js';
+
+// Rollup level -> table name (table names cannot be bound as parameters)
+const ROLLUP_TABLES = {
+  hourly: 'sensor_log_hourly',
+  daily: 'sensor_log_daily'
+};
+
+/**
+ * Repository for the hourly and daily sensor log rollup tables
+ */
+class SensorRollupRepository {
+  /**
+   * Summarize raw sensor logs into hourly buckets. Existing buckets in the
+   * range are overwritten, so re-running a range is safe.
+   * @param {Date} from - Range start (inclusive, hour aligned)
+   * @param {Date} to - Range end (exclusive, hour aligned)
+   * @param {string} [deviceCode] - Only summarize this device
+   * @returns {Promise<number>} Number of affected rows
+   */
+  async rollupHourly(from, to, deviceCode = null) {
+    try {
+      return await prisma.$executeRaw`
+        INSERT INTO sensor_log_hourly
+          (id, deviceCode, bucketStart, count, waterLevelSum, waterLevelMin, waterLevelMax,
+           waterLevelCount, rainfallTotal, rainfallMax, updatedAt)
+        SELECT UUID(), deviceCode, bucketStart, COUNT(*), SUM(waterLevel), MIN(waterLevel), MAX(waterLevel),
+               COUNT(waterLevel), SUM(rainfall), MAX(rainfall), NOW(3)
+        FROM (
+          SELECT deviceCode, waterLevel, rainfall,
+                 CAST(DATE_FORMAT(timestamp, '%Y-%m-%d %H:00:00') AS DATETIME(3)) AS bucketStart
+          FROM sensor_logs
+          WHERE timestamp >= ${from} AND timestamp < ${to}
+            ${deviceCode ? Prisma.sql`AND deviceCode = ${deviceCode}` : Prisma.empty}
+        ) AS logs
+        GROUP BY deviceCode, bucketStart
+        ON DUPLICATE KEY UPDATE
+          count = VALUES(count),
+          waterLevelSum = VALUES(waterLevelSum),
+          waterLevelMin = VALUES(waterLevelMin),
+          waterLevelMax = VALUES(waterLevelMax),
+          waterLevelCount = VALUES(waterLevelCount),
+          rainfallTotal = VALUES(rainfallTotal),
+          rainfallMax = VALUES(rainfallMax),
+          updatedAt = VALUES(updatedAt)
+      `;
+    } catch (error) {
+      logger.error(`Error rolling up hourly sensor logs: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize hourly rollups into daily buckets
+   * @param {Date} from - Range start (inclusive, day aligned)
+   * @param {Date} to - Range end (exclusive, day aligned)
+   * @param {string} [deviceCode] - Only summarize this device
+   * @returns {Promise<number>} Number of affected rows
+   */
+  async rollupDaily(from, to, deviceCode = null) {
+    try {
+      return await prisma.$executeRaw`
+        INSERT INTO sensor_log_daily
+          (id, deviceCode, bucketStart, count, waterLevelSum, waterLevelMin, waterLevelMax,
+           waterLevelCount, rainfallTotal, rainfallMax, updatedAt)
+        SELECT UUID(), deviceCode, bucketStart, SUM(count), SUM(waterLevelSum), MIN(waterLevelMin), MAX(waterLevelMax),
+               SUM(waterLevelCount), SUM(rainfallTotal), MAX(rainfallMax), NOW(3)
+        FROM (
+          SELECT deviceCode, count, waterLevelSum, waterLevelMin, waterLevelMax,
+                 waterLevelCount, rainfallTotal, rainfallMax,
+                 CAST(DATE(bucketStart) AS DATETIME(3)) AS bucketStart
+          FROM sensor_log_hourly
+          WHERE bucketStart >= ${from} AND bucketStart < ${to}
+            ${deviceCode ? Prisma.sql`AND deviceCode = ${deviceCode}` : Prisma.empty}
+        ) AS hours
+        GROUP BY deviceCode, bucketStart
+        ON DUPLICATE KEY UPDATE
+          count = VALUES(count),
+          waterLevelSum = VALUES(waterLevelSum),
+          waterLevelMin = VALUES(waterLevelMin),
+          waterLevelMax = VALUES(waterLevelMax),
+          waterLevelCount = VALUES(waterLevelCount),
+          rainfallTotal = VALUES(rainfallTotal),
+          rainfallMax = VALUES(rainfallMax),
+          updatedAt = VALUES(updatedAt)
+      `;
+    } catch (error) {
+      logger.error(`Error rolling up daily sensor logs: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group rollup rows into buckets of the given interval. Returns the same
+   * row shape as sensorLogRepository.aggregateByInterval.
+   * @param {string} level - Rollup level (hourly, daily)
+   * @param {Array<string>} deviceCodes - Device codes
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @param {number} intervalSeconds - Bucket size in seconds
+   * @returns {Promise<Array>} Aggregated rows
+   */
+  async aggregateByInterval(level, deviceCodes, from, to, intervalSeconds) {
+    try {
+      const table = Prisma.raw(ROLLUP_TABLES[level]);
+
+      return await prisma.$queryRaw`
+        SELECT
+          deviceCode,
+          FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', bucketStart) / ${intervalSeconds}) AS bucket,
+          SUM(count) AS count,
+          SUM(waterLevelSum) AS waterLevelSum,
+          MIN(waterLevelMin) AS waterLevelMin,
+          MAX(waterLevelMax) AS waterLevelMax,
+          SUM(waterLevelCount) AS waterLevelCount,
+          SUM(rainfallTotal) AS rainfallTotal,
+          MAX(rainfallMax) AS rainfallMax
+        FROM ${table}
+        WHERE deviceCode IN (${Prisma.join(deviceCodes)})
+          AND bucketStart >= ${from}
+          AND bucketStart < ${to}
+        GROUP BY deviceCode, bucket
+        ORDER BY deviceCode, bucket
+      `;
+    } catch (error) {
+      logger.error(`Error aggregating ${level} rollups: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the rollup buckets of a device, so buckets whose logs are all gone
+   * do not survive a rebuild
+   * @param {string} level - Rollup level (hourly, daily)
+   * @param {string} deviceCode - Device code
+   * @param {Date} [from] - Range start (inclusive), null for no lower bound
+   * @param {Date} [to] - Range end (exclusive), null for no upper bound
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteBuckets(level, deviceCode, from = null, to = null) {
+    try {
+      const table = Prisma.raw(ROLLUP_TABLES[level]);
+
+      return await prisma.$executeRaw`
+        DELETE FROM ${table}
+        WHERE deviceCode = ${deviceCode}
+          ${from ? Prisma.sql`AND bucketStart >= ${from}` : Prisma.empty}
+          ${to ? Prisma.sql`AND bucketStart < ${to}` : Prisma.empty}
+      `;
+    } catch (error) {
+      logger.error(`Error deleting ${level} rollups: ${error.message}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the checkpoint of a rollup level
+   * @param {string} name - Rollup level
+   * @returns {Promise<Object|null>} Checkpoint or null
+   */
+  async getCheckpoint(name) {
+    try {
+      return await prisma.rollupCheckpoint.findUnique({
+        where: { name }
+      });
+    } catch (error) {
+      logger.error('Error finding rollup checkpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all rollup checkpoints
+   * @returns {Promise<Array>} Checkpoints
+   */
+  async getCheckpoints() {
+    try {
+      return await prisma.rollupCheckpoint.findMany();
+    } catch (error) {
+      logger.error('Error finding rollup checkpoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the checkpoint of a rollup level
+   * @param {string} name - Rollup level
+   * @param {Date} rolledUntil - End of the last summarized bucket
+   * @returns {Promise<Object>} Checkpoint
+   */
+  async setCheckpoint(name, rolledUntil) {
+    try {
+      return await prisma.rollupCheckpoint.upsert({
+        where: { name },
+        create: { name, rolledUntil },
+        update: { rolledUntil }
+      });
+    } catch (error) {
+      logger.error('Error saving rollup checkpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the timestamp of the oldest raw sensor log
+   * @param {string} [deviceCode] - Only look at this device
+   * @returns {Promise<Date|null>} Oldest timestamp or null when there are no logs
+   */
+  async findOldestSensorLogTimestamp(deviceCode = null) {
+    try {
+      const result = await prisma.sensorLog.aggregate({
+        where: deviceCode ? { deviceCode } : undefined,
+        _min: { timestamp: true }
+      });
+      return result._min.timestamp;
+    } catch (error) {
+      logger.error('Error finding oldest sensor log:', error);
+      throw error;
+    }
+  }
+}
+
+export const sensorRollupRepository = new SensorRollupRepository();
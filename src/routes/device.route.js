@@ -6,7 +6,49 @@ export const router = express.Router();
 
 router.get("/", authenticateToken, deviceController.getAllDevices);
 router.get("/status", authenticateToken, deviceController.getStatusSummary);
+router.get("/provisioning", authenticateToken, deviceController.getProvisioningQueue);
+router.get("/config/drift", authenticateToken, deviceController.getFleetConfig);
+router.patch("/config", authenticateToken, deviceController.bulkUpdateConfig);
+// Monitoring settings are kept in memory; a restart goes back to the environment configuration
+router.get("/monitoring", authenticateToken, deviceController.getMonitoringSettings);
+router.put("/monitoring", authenticateToken, deviceController.updateMonitoringSettings);
+router.get("/availability", authenticateToken, deviceController.getAvailability);
+router.get("/availability/export", authenticateToken, deviceController.exportAvailability);
 router.get("/:code", authenticateToken, deviceController.findDeviceByCode);
 router.post("/", authenticateToken, deviceController.createDevice);
 router.put("/:id", authenticateToken, deviceController.updateDevice);
 router.delete("/:id", authenticateToken, deviceController.deleteDevice);
+
+// Calibration profile
+router.get("/:id/calibration", authenticateToken, deviceController.getCalibration);
+router.post("/:id/calibration", authenticateToken, deviceController.createCalibration);
+router.put("/:id/calibration", authenticateToken, deviceController.updateCalibration);
+router.delete("/:id/calibration", authenticateToken, deviceController.deleteCalibration);
+
+// MQTT signing key
+router.post("/:code/auth-key/rotate", authenticateToken, deviceController.rotateAuthKey);
+
+// Provisioning of self-registered devices
+router.post("/:code/approve", authenticateToken, deviceController.approveDevice);
+router.post("/:code/reject", authenticateToken, deviceController.rejectDevice);
+
+// Downlink commands
+router.post("/:code/commands", authenticateToken, deviceController.sendCommand);
+router.get("/:code/commands", authenticateToken, deviceController.getCommands);
+router.get("/:code/commands/:commandId", authenticateToken, deviceController.getCommand);
+
+// Desired / reported configuration
+router.get("/:code/config", authenticateToken, deviceController.getDeviceConfig);
+router.patch("/:code/config", authenticateToken, deviceController.updateDeviceConfig);
+
+// Firmware reported in heartbeats
+router.get("/:code/firmware-history", authenticateToken, deviceController.getFirmwareHistory);
+
+// Health telemetry reported in heartbeats
+router.get("/:code/health", authenticateToken, deviceController.getDeviceHealth);
+
+// Expected reporting interval and late/offline thresholds
+router.get("/:code/liveness", authenticateToken, deviceController.getDeviceLiveness);
+
+// Connection status transitions
+router.get("/:code/status-history", authenticateToken, deviceController.getStatusHistory);
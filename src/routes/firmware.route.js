@@ -0,0 +1,26 @@
+import express from 'express';
+import { firmwareController } from '../controllers/firmware.controller.js';
+import { authenticateToken } from "../middleware/auth.middleware.js";
+import { firmwareConfig } from '../config/firmware.js';
+
+export const router = express.Router();
+
+const rawFirmware = express.raw({ type: 'application/octet-stream', limit: firmwareConfig.maxSizeBytes });
+
+// Rollouts (static paths before /:id)
+router.post('/rollouts', authenticateToken, firmwareController.createRollout);
+router.get('/rollouts', authenticateToken, firmwareController.getRollouts);
+router.get('/rollouts/:id', authenticateToken, firmwareController.getRollout);
+router.patch('/rollouts/:id', authenticateToken, firmwareController.expandRollout);
+router.post('/rollouts/:id/halt', authenticateToken, firmwareController.haltRollout);
+router.post('/rollouts/:id/resume', authenticateToken, firmwareController.resumeRollout);
+router.post('/rollouts/:id/cancel', authenticateToken, firmwareController.cancelRollout);
+
+// Firmware images
+router.post('/', authenticateToken, rawFirmware, firmwareController.uploadFirmware);
+router.get('/', authenticateToken, firmwareController.getFirmwareImages);
+router.get('/:id', authenticateToken, firmwareController.getFirmwareImage);
+router.delete('/:id', authenticateToken, firmwareController.deleteFirmwareImage);
+
+// Devices download with the token of their update command (X-Firmware-Token header), no user session
+router.get('/:id/download', firmwareController.downloadFirmware);
@@ -1,5 +1,6 @@
 import express from 'express';
 import { locationController } from '../controllers/location.controller.js';
+import { floodRuleController } from '../controllers/floodRule.controller.js';
 import { authenticateToken } from "../middleware/auth.middleware.js";
 
 export const router = express.Router();
@@ -7,6 +8,7 @@ export const router = express.Router();
 // Static routes HARUS di atas sebelum dynamic routes
 router.get('/total', authenticateToken, locationController.getTotalLocation);
 router.get('/location-status-history', authenticateToken, locationController.getAllLocationStatusHistory);
+router.get('/location-status-history/export', authenticateToken, locationController.exportLocationStatusHistory);
 router.get('/search', authenticateToken, locationController.searchLocations);
 
 // Flood management routes (static paths)
@@ -20,6 +22,13 @@ router.post('/', authenticateToken, locationController.createLocation);
 
 // Dynamic routes HARUS di bawah (paling akhir)
 router.get('/:id', authenticateToken, locationController.getLocationById);
+router.get('/:id/forecast', authenticateToken, locationController.getForecast);
+
+// Composite flood rules per location
+router.get('/:id/rules', authenticateToken, floodRuleController.getRules);
+router.post('/:id/rules', authenticateToken, floodRuleController.createRule);
+router.put('/:id/rules/:ruleId', authenticateToken, floodRuleController.updateRule);
+router.delete('/:id/rules/:ruleId', authenticateToken, floodRuleController.deleteRule);
 
 // PUT routes bisa di mana saja karena method berbeda
 router.put('/:id/thresholds', authenticateToken, locationController.updateThresholds);
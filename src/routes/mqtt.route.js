@@ -2,52 +2,155 @@ import logger from '../utils/logger.js';
 import { HeartbeatHandler } from '../handlers/mqtt/heartbeatHandler.js';
 import { DeviceCheckHandler } from '../handlers/mqtt/deviceCheckHandler.js';
 import { SensorDataHandler } from '../handlers/mqtt/sensorDataHandler.js';
+import { CommandAckHandler } from '../handlers/mqtt/commandAckHandler.js';
+import { ConfigReportHandler } from '../handlers/mqtt/configReportHandler.js';
+import { MqttRouteRegistry } from '../utils/mqttRouteRegistry.js';
+import { PAYLOAD_ENCODINGS } from '../utils/payloadDecoder.js';
+import { createNotification } from '../utils/notification.js';
+import {
+  authenticateDevice,
+  parsePayload,
+  requireDeviceCode,
+  authorizeDevice,
+  matchTopicDevice
+} from '../middleware/mqtt.middleware.js';
+
+// Minimum time between two security alerts for the same device and reason
+const SECURITY_ALERT_COOLDOWN_MS = 60 * 1000;
 
 export class MqttMessageRouter {
-  constructor(deviceMonitoring, notificationEmitter) {
+  constructor(deviceMonitoring, notificationEmitter, sensorLogBuffer) {
     this.deviceMonitoring = deviceMonitoring;
     this.notificationEmitter = notificationEmitter;
     
     // Initialize handlers
     this.heartbeatHandler = new HeartbeatHandler(deviceMonitoring, notificationEmitter);
     this.deviceCheckHandler = new DeviceCheckHandler(notificationEmitter);
-    this.sensorDataHandler = new SensorDataHandler(deviceMonitoring, notificationEmitter);
+    this.sensorDataHandler = new SensorDataHandler(deviceMonitoring, notificationEmitter, sensorLogBuffer);
+    this.commandAckHandler = new CommandAckHandler(notificationEmitter);
+    this.configReportHandler = new ConfigReportHandler(notificationEmitter);
+
+    // Received messages per payload encoding
+    this.encodingStats = Object.fromEntries(PAYLOAD_ENCODINGS.map(encoding => [encoding, 0]));
+    this.decodeErrors = 0;
+
+    // Last security alert time per device and reason
+    this.securityAlerts = new Map();
+
+    this.registry = new MqttRouteRegistry();
+    this.registerRoutes();
+  }
+
+  /**
+   * Route table. Subscriptions are generated from these patterns.
+   */
+  registerRoutes() {
+    const deviceMessage = [authenticateDevice, parsePayload, requireDeviceCode, authorizeDevice, matchTopicDevice];
+
+    const handleSensorData = (ctx) =>
+      this.sensorDataHandler.handleSensorData(ctx.topic, ctx.message, ctx.deviceCode);
+
+    this.registry
+      .register({
+        name: 'heartbeat',
+        pattern: 'binatra-device/:deviceCode/heartbeat',
+        middleware: deviceMessage,
+        handler: (ctx) => this.heartbeatHandler.handleHeartbeat(ctx.topic, ctx.message, ctx.deviceCode)
+      })
+      .register({
+        name: 'device-check',
+        pattern: 'binatra-device/check/device',
+        middleware: [authenticateDevice, parsePayload, authorizeDevice],
+        handler: (ctx) => this.deviceCheckHandler.handleDeviceCheck(ctx.topic, ctx.message)
+      })
+      // Legacy topic without a device code in the path
+      .register({
+        name: 'sensor-legacy',
+        pattern: 'binatra-device/sensor',
+        middleware: deviceMessage,
+        handler: handleSensorData
+      })
+      .register({
+        name: 'sensor-legacy-encoded',
+        pattern: 'binatra-device/sensor/:encoding',
+        middleware: deviceMessage,
+        handler: handleSensorData
+      })
+      // A single reading, an array of readings or { readings: [...] }
+      .register({
+        name: 'sensor',
+        pattern: 'binatra-device/:deviceCode/sensor',
+        middleware: deviceMessage,
+        handler: handleSensorData
+      })
+      // Compact encodings: binatra-device/{deviceCode}/sensor/{cbor|msgpack|bin}
+      .register({
+        name: 'sensor-encoded',
+        pattern: 'binatra-device/:deviceCode/sensor/:encoding',
+        middleware: deviceMessage,
+        handler: handleSensorData
+      })
+      // Replies to commands published on binatra-device/{deviceCode}/command
+      .register({
+        name: 'command-ack',
+        pattern: 'binatra-device/:deviceCode/command/ack',
+        middleware: deviceMessage,
+        handler: (ctx) => this.commandAckHandler.handleCommandAck(ctx.topic, ctx.message, ctx.deviceCode)
+      })
+      // Config the device runs, answering the retained binatra-device/{deviceCode}/config
+      .register({
+        name: 'config-reported',
+        pattern: 'binatra-device/:deviceCode/config/reported',
+        middleware: deviceMessage,
+        handler: (ctx) => this.configReportHandler.handleConfigReport(ctx.topic, ctx.message, ctx.deviceCode)
+      });
   }
 
-  async routeMessage(topic, message) {
+  async routeMessage(topic, message, packet = null) {
     const timestamp = new Date();
-    const msg = message.toString();
+    const ctx = {
+      topic,
+      payload: Buffer.isBuffer(message) ? message : Buffer.from(String(message)),
+      properties: packet?.properties || null,
+      params: {},
+      receivedAt: timestamp,
+      reportSecurityAlert: (alert) => this.emitSecurityAlert(alert)
+    };
 
     try {
-      const topicParts = topic.split('/');
-      let deviceCode = null;
+      const routeResult = await this.registry.dispatch(ctx);
 
-      // Extract device code from topic if exists
-      if (topicParts.length >= 3 && topicParts[0] === 'binatra-device') {
-        deviceCode = topicParts[1];
+      if (ctx.encoding) {
+        this.encodingStats[ctx.encoding]++;
       }
-
-      // Route to appropriate handler based on topic pattern
-      const routeResult = await this.determineRoute(topic, msg, deviceCode);
       
       if (routeResult.handled) {
         logger.info(`MQTT message routed successfully`, {
           topic,
-          handler: routeResult.handler,
-          deviceCode,
+          route: routeResult.route,
+          rejected: routeResult.rejected,
+          deviceCode: ctx.deviceCode || null,
           timestamp: timestamp.toISOString()
         });
         return routeResult.result;
       } else {
-        logger.warn(`Unhandled MQTT topic: ${topic}`, { message: msg });
+        logger.warn(`Unhandled MQTT topic: ${topic}`, { message: ctx.payload.toString() });
         return { success: false, reason: 'Unhandled topic', topic };
       }
 
     } catch (error) {
+      if (error.code === 'PAYLOAD_DECODE_ERROR') {
+        this.decodeErrors++;
+      }
+
+      const msg = ctx.message ?? ctx.payload.toString();
+
       logger.error(`Error routing MQTT message from topic ${topic}:`, {
         error: error.message,
         topic,
+        route: ctx.route || null,
         message: msg,
+        encoding: ctx.encoding || null,
         timestamp: timestamp.toISOString()
       });
 
@@ -55,6 +158,7 @@ export class MqttMessageRouter {
       this.notificationEmitter.emitToAll('sensor-data-error', {
         topic,
         message: msg,
+        encoding: ctx.encoding || null,
         error: error.message,
         timestamp: timestamp.toISOString()
       });
@@ -63,44 +167,48 @@ export class MqttMessageRouter {
     }
   }
 
-  async determineRoute(topic, message, deviceCode) {
-    // Handle heartbeat messages: binatra-device/{deviceCode}/heartbeat
-    if (topic.includes('/heartbeat')) {
-      const result = await this.heartbeatHandler.handleHeartbeat(topic, message, deviceCode);
-      return { handled: true, handler: 'HeartbeatHandler', result };
-    }
+  /**
+   * Notify clients about a rejected, possibly spoofed message
+   * @param {Object} alert - Alert ({ reason, deviceCode, topic, details })
+   */
+  emitSecurityAlert({ reason, deviceCode, topic, details }) {
+    const key = `${deviceCode || topic}:${reason}`;
+    const lastAlert = this.securityAlerts.get(key);
 
-    // Handle device check messages: binatra-device/check/device
-    if (topic === 'binatra-device/check/device') {
-      const result = await this.deviceCheckHandler.handleDeviceCheck(topic, message);
-      return { handled: true, handler: 'DeviceCheckHandler', result };
+    if (lastAlert && Date.now() - lastAlert < SECURITY_ALERT_COOLDOWN_MS) {
+      return;
     }
 
-    // Handle sensor data messages: binatra-device/sensor or binatra-device/{deviceCode}/sensor
-    if (topic === 'binatra-device/sensor' || topic.includes('/sensor')) {
-      const result = await this.sensorDataHandler.handleSensorData(topic, message, deviceCode);
-      return { handled: true, handler: 'SensorDataHandler', result };
-    }
+    this.securityAlerts.set(key, Date.now());
+
+    const notification = createNotification('security_alert', {
+      title: deviceCode ? `Pesan MQTT Ditolak: ${deviceCode}` : 'Pesan MQTT Ditolak',
+      message: details || reason,
+      severity: ['MISSING_SIGNATURE', 'UNSIGNED_MESSAGE', 'EXPIRED_SIGNATURE'].includes(reason) ? 'high' : 'critical',
+      deviceCode,
+      topic,
+      reason
+    });
+
+    this.notificationEmitter.emit(notification);
+  }
 
-    // Topic not handled by any route
-    return { handled: false, handler: null, result: null };
+  /**
+   * Get the topic filters generated from the route table
+   * @returns {Array<string>} MQTT subscriptions
+   */
+  getSubscriptions() {
+    return this.registry.getSubscriptions();
   }
 
   // Helper method to get routing statistics
   getRoutingStats() {
     return {
-      supportedTopics: [
-        'binatra-device/+/heartbeat',
-        'binatra-device/+/sensor', 
-        'binatra-device/sensor',
-        'binatra-device/check/device'
-      ],
-      handlers: [
-        'HeartbeatHandler',
-        'DeviceCheckHandler', 
-        'SensorDataHandler'
-      ],
+      supportedTopics: this.getSubscriptions(),
+      ...this.registry.getStats(),
+      encodings: this.encodingStats,
+      decodeErrors: this.decodeErrors,
       timestamp: new Date().toISOString()
     };
   }
-}
\ No newline at end of file
+}
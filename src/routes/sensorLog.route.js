@@ -4,7 +4,23 @@ import { authenticateToken } from "../middleware/auth.middleware.js";
 
 export const router = express.Router();
 
+router.get('/quarantine', authenticateToken, sensorLogController.getQuarantinedReadings);
+router.post('/quarantine/:id/release', authenticateToken, sensorLogController.releaseQuarantinedReading);
+router.post('/quarantine/:id/discard', authenticateToken, sensorLogController.discardQuarantinedReading);
+router.get('/rollups', authenticateToken, sensorLogController.getRollupStatus);
+router.post('/rollups/backfill', authenticateToken, sensorLogController.backfillRollups);
+router.get('/retention', authenticateToken, sensorLogController.getRetentionPolicy);
+router.post('/retention/run', authenticateToken, sensorLogController.runRetention);
 router.get('/:deviceCode', authenticateToken, sensorLogController.getSensorLogs);
+router.get('/:deviceCode/aggregate', authenticateToken, sensorLogController.getAggregatedSensorLogs);
 router.get('/history/:deviceCode', authenticateToken, sensorLogController.getSensorLogsByDateRange)
+router.get('/history/:deviceCode/export', authenticateToken, sensorLogController.exportSensorLogsByDateRange);
 router.post('/', authenticateToken, sensorLogController.createSensorLog);
+
+// Historical data upload (CSV, NDJSON or JSON { logs: [...] })
+const importBody = express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  limit: '20mb'
+});
+router.post('/import', authenticateToken, importBody, sensorLogController.importSensorLogs);
  
\ No newline at end of file
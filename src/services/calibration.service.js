@@ -0,0 +1,269 @@
+import { calibrationRepository } from '../repositories/calibration.repository.js';
+import { deviceRepository } from '../repositories/device.repository.js';
+import { sensorRollupRepository } from '../repositories/sensorRollup.repository.js';
+import { sensorRollupService } from './sensorRollup.service.js';
+import { parseBoolean } from '../utils/boolean.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_CALIBRATION = {
+  mountingOffset: 0,
+  scaleFactor: 1,
+  invert: false,
+  rainTipSize: 1
+};
+
+class CalibrationService {
+  /**
+   * Get calibration profile of a device
+   * @param {string} deviceId - Device UUID
+   * @returns {Promise<Object>} Calibration
+   */
+  async getCalibration(deviceId) {
+    try {
+      const calibration = await calibrationRepository.findByDeviceId(deviceId);
+
+      if (!calibration) {
+        const error = new Error('Calibration not found');
+        error.code = 'CALIBRATION_NOT_FOUND';
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return calibration;
+    } catch (error) {
+      logger.error('Error in getCalibration service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create calibration profile for a device
+   * @param {string} deviceId - Device UUID
+   * @param {Object} data - Calibration data
+   * @param {Object} [options] - Reprocess options ({ reprocess, from, to })
+   * @returns {Promise<Object>} Calibration with the reprocess and rollup results
+   */
+  async createCalibration(deviceId, data, options = {}) {
+    try {
+      const reprocessOptions = this.validateReprocessOptions(options);
+      const calibration = await calibrationRepository.create(deviceId, {
+        ...DEFAULT_CALIBRATION,
+        ...this.validateCalibration(data)
+      });
+
+      return {
+        calibration,
+        ...await this.reprocessIfRequested(deviceId, calibration, reprocessOptions)
+      };
+    } catch (error) {
+      logger.error('Error in createCalibration service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update calibration profile of a device
+   * @param {string} deviceId - Device UUID
+   * @param {Object} data - Calibration data
+   * @param {Object} [options] - Reprocess options ({ reprocess, from, to })
+   * @returns {Promise<Object>} Calibration with the reprocess and rollup results
+   */
+  async updateCalibration(deviceId, data, options = {}) {
+    try {
+      const reprocessOptions = this.validateReprocessOptions(options);
+      const calibration = await calibrationRepository.update(deviceId, this.validateCalibration(data));
+
+      return {
+        calibration,
+        ...await this.reprocessIfRequested(deviceId, calibration, reprocessOptions)
+      };
+    } catch (error) {
+      logger.error('Error in updateCalibration service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete calibration profile of a device
+   * @param {string} deviceId - Device UUID
+   * @param {Object} [options] - Reprocess options ({ reprocess, from, to })
+   * @returns {Promise<Object>} Deleted calibration with the reprocess and rollup results
+   */
+  async deleteCalibration(deviceId, options = {}) {
+    try {
+      const reprocessOptions = this.validateReprocessOptions(options);
+      const calibration = await calibrationRepository.delete(deviceId);
+
+      return {
+        calibration,
+        ...await this.reprocessIfRequested(deviceId, DEFAULT_CALIBRATION, reprocessOptions)
+      };
+    } catch (error) {
+      logger.error('Error in deleteCalibration service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the reprocess flag and range before anything is written
+   * @param {Object} options - Reprocess options ({ reprocess, from, to })
+   * @returns {Object} { reprocess, from, to } with a boolean flag and dates
+   */
+  validateReprocessOptions({ reprocess = false, from = null, to = null } = {}) {
+    const errors = [];
+    const flag = parseBoolean(reprocess);
+
+    if (flag === undefined) {
+      errors.push('reprocess must be true or false');
+    }
+
+    const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+
+    Object.entries(range).forEach(([field, date]) => {
+      if (date && Number.isNaN(date.getTime())) {
+        errors.push(`${field} must be a valid date`);
+      }
+    });
+
+    if (errors.length === 0 && range.from && range.to && range.from > range.to) {
+      errors.push('from must not be later than to');
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Invalid reprocess options');
+      error.code = 'INVALID_REPROCESS_OPTIONS';
+      error.statusCode = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    return { reprocess: flag, ...range };
+  }
+
+  /**
+   * Recompute historic logs with the given calibration when requested and
+   * rebuild the rollups of the recomputed range
+   * @param {string} deviceId - Device UUID
+   * @param {Object} calibration - Calibration profile
+   * @param {Object} options - Validated reprocess options ({ reprocess, from, to })
+   * @returns {Promise<Object>} { reprocessed, rollups }, both null when not requested
+   */
+  async reprocessIfRequested(deviceId, calibration, { reprocess, from, to }) {
+    if (!reprocess) {
+      return { reprocessed: null, rollups: null };
+    }
+
+    const device = await deviceRepository.findById(deviceId);
+
+    const updated = await calibrationRepository.reprocessSensorLogs(device.code, calibration, { from, to });
+
+    logger.info(`Reprocessed ${updated} sensor logs for device ${device.code}`, { from, to });
+
+    const start = from || await sensorRollupRepository.findOldestSensorLogTimestamp(device.code);
+    const rollups = updated > 0 && start
+      ? await sensorRollupService.refreshDevice(device.code, start, to || new Date())
+      : null;
+
+    return { reprocessed: updated, rollups };
+  }
+
+  /**
+   * Apply the device's calibration profile to a raw reading
+   * @param {string} deviceCode - Device code
+   * @param {Object} reading - Raw reading ({ waterLevel, rainfall })
+   * @returns {Promise<Object>} Calibrated and raw values
+   */
+  async applyCalibration(deviceCode, reading) {
+    const calibration = await calibrationRepository.findByDeviceCode(deviceCode);
+
+    return {
+      ...this.calibrate(reading, calibration || DEFAULT_CALIBRATION),
+      rawWaterLevel: reading.waterLevel,
+      rawRainfall: reading.rainfall,
+      calibrated: Boolean(calibration)
+    };
+  }
+
+  /**
+   * Load the device's calibration profile once and return a converter for
+   * many readings (used by bulk imports)
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Function>} Converter returning calibrated and raw values
+   */
+  async getCalibrator(deviceCode) {
+    const calibration = await calibrationRepository.findByDeviceCode(deviceCode);
+
+    return (reading) => ({
+      ...this.calibrate(reading, calibration || DEFAULT_CALIBRATION),
+      rawWaterLevel: reading.waterLevel,
+      rawRainfall: reading.rainfall
+    });
+  }
+
+  /**
+   * Convert raw values using a calibration profile. Inverted sensors report
+   * distance-to-water, so the level is the mounting offset minus the distance.
+   * @param {Object} reading - Raw reading ({ waterLevel, rainfall })
+   * @param {Object} calibration - Calibration profile
+   * @returns {Object} Calibrated reading
+   */
+  calibrate(reading, calibration) {
+    const { mountingOffset, scaleFactor, invert, rainTipSize } = calibration;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    let waterLevel = null;
+    if (reading.waterLevel !== null && reading.waterLevel !== undefined) {
+      const scaled = reading.waterLevel * scaleFactor;
+      waterLevel = round(invert ? mountingOffset - scaled : scaled + mountingOffset);
+    }
+
+    const rainfall = reading.rainfall !== null && reading.rainfall !== undefined
+      ? round(reading.rainfall * rainTipSize)
+      : null;
+
+    return { waterLevel, rainfall };
+  }
+
+  /**
+   * Validate and normalize calibration input
+   * @param {Object} data - Calibration data
+   * @returns {Object} Normalized calibration fields
+   */
+  validateCalibration(data = {}) {
+    const errors = [];
+    const calibration = {};
+
+    if (data.mountingOffset !== undefined) {
+      if (Number.isNaN(Number(data.mountingOffset))) errors.push('mountingOffset must be a number');
+      calibration.mountingOffset = Number(data.mountingOffset);
+    }
+
+    if (data.scaleFactor !== undefined) {
+      if (Number.isNaN(Number(data.scaleFactor)) || Number(data.scaleFactor) === 0) {
+        errors.push('scaleFactor must be a non-zero number');
+      }
+      calibration.scaleFactor = Number(data.scaleFactor);
+    }
+
+    if (data.invert !== undefined) {
+      calibration.invert = parseBoolean(data.invert);
+      if (calibration.invert === undefined) errors.push('invert must be true or false');
+    }
+
+    if (data.rainTipSize !== undefined) {
+      if (!(Number(data.rainTipSize) > 0)) errors.push('rainTipSize must be a positive number');
+      calibration.rainTipSize = Number(data.rainTipSize);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join(', '));
+      error.code = 'INVALID_CALIBRATION';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return calibration;
+  }
+}
+
+export const calibrationService = new CalibrationService();
@@ -1,6 +1,13 @@
 import { deviceRepository } from '../repositories/device.repository.js';
+import { deviceConfigRepository } from '../repositories/deviceConfig.repository.js';
+import { deviceLivenessService } from './deviceLiveness.service.js';
+import { deviceAvailabilityService } from './deviceAvailability.service.js';
+import { hasDeviceLimitFields, validateDeviceLimits } from '../utils/deviceLimitsValidator.js';
 import logger from '../utils/logger.js';
 
+// Reads of a device before giving up on a status change that keeps racing
+const STATUS_UPDATE_ATTEMPTS = 3;
+
 class DeviceService {
     /**
      * Get all devices with status information
@@ -23,6 +30,8 @@ class DeviceService {
      */
     async createDevice(data) {
         try {
+            const limits = validateDeviceLimits(data);
+
             // Check if device with same code already exists
             const existingDevice = await deviceRepository.findByCode(data.code);
 
@@ -46,7 +55,7 @@ class DeviceService {
                 data.locationId = await deviceRepository.getDefaultLocationId();
             }
 
-            return await deviceRepository.create(data);
+            return await deviceRepository.create({ ...data, ...limits });
         } catch (error) {
             logger.error('Error in createDevice service:', error);
             throw error;
@@ -75,14 +84,20 @@ class DeviceService {
      * Update device heartbeat (mark as connected)
      * @param {string} code - Device code
      * @param {Date} timestamp - Heartbeat timestamp
+     * @param {Object} [options] - { heartbeat: true for heartbeats, which the reporting interval is learned from }
      * @returns {Promise<Object>} Updated device
      */
-    async updateHeartbeat(code, timestamp = new Date()) {
+    async updateHeartbeat(code, timestamp = new Date(), { heartbeat = false } = {}) {
         try {
-            // Check if device exists first
-            await this.findByCode(code);
-
-            return await deviceRepository.updateHeartbeat(code, timestamp);
+            return await this.applyStatusChange(code, device => ({
+                status: 'CONNECTED',
+                lastSeen: timestamp,
+                // Sensor messages only update lastSeen; their cadence says nothing about the heartbeat interval
+                ...(heartbeat && {
+                    lastHeartbeatAt: timestamp,
+                    observedIntervalSeconds: deviceLivenessService.learnInterval(device, timestamp)
+                })
+            }), 'heartbeat', timestamp);
         } catch (error) {
             logger.error('Error in updateHeartbeat service:', error);
             throw error;
@@ -92,19 +107,55 @@ class DeviceService {
     /**
      * Update device status
      * @param {string} code - Device code
-     * @param {string} status - Device status ('CONNECTED' or 'DISCONNECTED')
+     * @param {string} status - Device status ('CONNECTED', 'LATE' or 'DISCONNECTED')
      * @param {Date} lastSeen - Last seen timestamp
+     * @param {string} [reason] - Reason recorded in the status history
      * @returns {Promise<Object>} Updated device
      */
-    async updateStatus(code, status, lastSeen = new Date()) {
+    async updateStatus(code, status, lastSeen = new Date(), reason = 'manual') {
         try {
-            return await deviceRepository.updateStatus(code, status, lastSeen);
+            return await this.applyStatusChange(code, () => ({ status, lastSeen }), reason);
         } catch (error) {
             logger.error('Error in updateStatus service:', error);
             throw error;
         }
     }
 
+    /**
+     * Change a device and record its status transition. The update only
+     * applies while the device still has the status it was read with, so the
+     * recorded previous status is the one actually replaced; after a
+     * concurrent change the device is read again.
+     * @param {string} code - Device code
+     * @param {Function} buildChanges - Receives the device, returns the fields to update including status
+     * @param {string} reason - Reason recorded in the status history
+     * @param {Date} [changedAt] - Time of the transition
+     * @returns {Promise<Object>} Updated device
+     */
+    async applyStatusChange(code, buildChanges, reason, changedAt = new Date()) {
+        for (let attempt = 1; attempt <= STATUS_UPDATE_ATTEMPTS; attempt++) {
+            const device = await this.findByCode(code);
+            const changes = await deviceRepository.updateIfUnchanged(code, { status: device.status }, buildChanges(device));
+
+            if (changes) {
+                await deviceAvailabilityService.recordTransitions([{
+                    deviceCode: code,
+                    previousStatus: device.status,
+                    newStatus: changes.status,
+                    reason,
+                    changedAt
+                }]);
+
+                return { ...device, ...changes };
+            }
+        }
+
+        const error = new Error(`Status of device ${code} changed concurrently, please retry`);
+        error.code = 'DEVICE_STATUS_CONFLICT';
+        error.statusCode = 409;
+        throw error;
+    }
+
     /**
      * Get devices by status
      * @param {string} status - Device status
@@ -153,24 +204,127 @@ class DeviceService {
     async checkAndUpdateOfflineDevices(timeoutMinutes = 5) {
         try {
             const potentiallyOfflineDevices = await deviceRepository.findPotentiallyOfflineDevices(timeoutMinutes);
+            const offlineDevices = await this.markDevices(potentiallyOfflineDevices, 'DISCONNECTED', 'timeout');
 
-            const offlineDeviceCodes = potentiallyOfflineDevices.map(device => device.code);
+            const offlineDeviceCodes = offlineDevices.map(device => device.code);
 
             if (offlineDeviceCodes.length > 0) {
-                await deviceRepository.bulkUpdateStatusToDisconnected(offlineDeviceCodes);
                 logger.info(`Marked ${offlineDeviceCodes.length} devices as DISCONNECTED due to timeout`, {
                     deviceCodes: offlineDeviceCodes,
                     timeoutMinutes
                 });
             }
 
-            return potentiallyOfflineDevices;
+            return offlineDevices;
         } catch (error) {
             logger.error('Error in checkAndUpdateOfflineDevices service:', error);
             throw error;
         }
     }
 
+    /**
+     * Move connected and late devices to the status their silence calls for,
+     * each measured against its own expected interval
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<Object>} { late, disconnected } devices whose status changed
+     */
+    async updateLiveness(now = new Date()) {
+        try {
+            const devices = await deviceRepository.findLiveDevices();
+            const changed = { LATE: [], DISCONNECTED: [] };
+
+            devices.forEach(device => {
+                const liveness = deviceLivenessService.describe(device, now);
+
+                if (liveness.expectedStatus !== 'CONNECTED' && liveness.expectedStatus !== device.status) {
+                    changed[liveness.expectedStatus].push({ ...device, liveness });
+                }
+            });
+
+            for (const [status, candidates] of Object.entries(changed)) {
+                changed[status] = await this.markDevices(candidates, status, status === 'LATE' ? 'late' : 'timeout', now);
+
+                if (changed[status].length > 0) {
+                    logger.info(`Marked ${changed[status].length} devices as ${status}`, {
+                        deviceCodes: changed[status].map(device => device.code)
+                    });
+                }
+            }
+
+            return { late: changed.LATE, disconnected: changed.DISCONNECTED };
+        } catch (error) {
+            logger.error('Error in updateLiveness service:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the status of devices found silent, skipping devices that sent a
+     * message or changed status since they were read
+     * @param {Array<Object>} devices - Devices as read ({ code, status, lastSeen })
+     * @param {string} status - New status
+     * @param {string} reason - Reason recorded in the status history
+     * @param {Date} [changedAt] - Time of the transition
+     * @returns {Promise<Array>} Devices whose status changed, with their previousStatus
+     */
+    async markDevices(devices, status, reason, changedAt = new Date()) {
+        const marked = [];
+
+        for (const device of devices) {
+            const changes = await deviceRepository.updateIfUnchanged(
+                device.code,
+                { status: device.status, lastSeen: device.lastSeen },
+                { status }
+            );
+
+            if (changes) {
+                marked.push({ ...device, ...changes, previousStatus: device.status });
+            }
+        }
+
+        await deviceAvailabilityService.recordTransitions(marked.map(device => ({
+            deviceCode: device.code,
+            previousStatus: device.previousStatus,
+            newStatus: status,
+            reason,
+            changedAt
+        })));
+
+        return marked;
+    }
+
+    /**
+     * Get the expected interval and offline thresholds of a device
+     * @param {string} code - Device code
+     * @returns {Promise<Object>} Liveness
+     */
+    async getLiveness(code) {
+        try {
+            const device = await deviceRepository.findByCode(code);
+
+            if (!device) {
+                const error = new Error('Device not found');
+                error.code = 'DEVICE_NOT_FOUND';
+                error.statusCode = 404;
+                throw error;
+            }
+
+            const config = await deviceConfigRepository.findByDeviceCode(code);
+
+            return {
+                deviceCode: code,
+                status: device.status,
+                lastSeen: device.lastSeen,
+                lastHeartbeatAt: device.lastHeartbeatAt,
+                observedIntervalSeconds: device.observedIntervalSeconds,
+                ...deviceLivenessService.describe({ ...device, config })
+            };
+        } catch (error) {
+            logger.error('Error in getLiveness service:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get device status summary
      * @returns {Promise<Object>} Status summary
@@ -221,6 +375,19 @@ class DeviceService {
      */
     async updateDevice(id, data) {
         try {
+            if (hasDeviceLimitFields(data)) {
+                const device = await deviceRepository.findById(id);
+
+                if (!device) {
+                    const error = new Error('Device not found');
+                    error.code = 'DEVICE_NOT_FOUND';
+                    error.statusCode = 404;
+                    throw error;
+                }
+
+                data = { ...data, ...validateDeviceLimits(data, device) };
+            }
+
             return await deviceRepository.update(id, data);
         } catch (error) {
             logger.error('Error in updateDevice service:', error);
@@ -243,42 +410,37 @@ class DeviceService {
     }
 
     /**
-     * Check if device exists and create if not (for MQTT auto-registration)
+     * Check if device exists and register it if not (for MQTT auto-registration).
+     * Unknown devices are created as PENDING without a location and wait for
+     * an admin to approve them; rejected devices are returned untouched.
      * @param {Object} deviceData - Device data from MQTT
-     * @returns {Promise<Object>} Device (existing or newly created)
+     * @returns {Promise<Object>} Device (existing or newly registered, with isNewDevice)
      */
     async ensureDeviceExists(deviceData) {
         try {
-            const { code, description, location } = deviceData;
-
-            // Try to find existing device
-            try {
-                const existingDevice = await this.findByCode(code);
-                if (existingDevice) {
-                    // Update heartbeat for existing device
-                    return await this.updateHeartbeat(code);
+            const { code, description } = deviceData;
+
+            const existingDevice = await deviceRepository.findByCode(code);
+            if (existingDevice) {
+                // Blocklisted devices never come back online
+                if (existingDevice.provisioningStatus === 'REJECTED') {
+                    return existingDevice;
                 }
-            } catch (error) {
-                // Device doesn't exist, create new one
-                logger.info(`Device ${code} not found, creating new device`);
-            }
 
-            // Get default location for new device
-            const defaultLocationId = await deviceRepository.getDefaultLocationId();
+                // Update heartbeat for existing device
+                return await this.updateHeartbeat(code);
+            }
 
-            // Create new device
-            const newDevice = await this.createDevice({
+            const newDevice = await deviceRepository.create({
                 code,
-                description: description || `Auto-created device ${code}`,
-                locationId: defaultLocationId
+                description: description || `Auto-registered device ${code}`,
+                provisioningStatus: 'PENDING'
             });
 
-            logger.info(`New device created: ${code}`, {
-                deviceId: newDevice.id,
-                locationId: newDevice.locationId,
-                locationName: newDevice.location?.name
+            logger.info(`New device registered: ${code}, awaiting approval`, {
+                deviceId: newDevice.id
             });
-            return newDevice;
+            return { ...newDevice, isNewDevice: true };
 
         } catch (error) {
             logger.error('Error in ensureDeviceExists service:', error);
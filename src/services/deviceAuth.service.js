@@ -0,0 +1,270 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { deviceAuthRepository } from '../repositories/deviceAuth.repository.js';
+import logger from '../utils/logger.js';
+
+// Reject unsigned messages from every device, not only from devices with a key
+const REQUIRE_SIGNATURE = process.env.MQTT_REQUIRE_SIGNATURE === 'true';
+
+// Accepted difference between the signature time and the server time
+const SIGNATURE_MAX_AGE_MS = Number(process.env.MQTT_SIGNATURE_MAX_AGE_MS) || 5 * 60 * 1000;
+
+// How long the previous key stays valid after a rotation
+const KEY_ROTATION_GRACE_MS = Number(process.env.MQTT_KEY_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000;
+
+const CREDENTIAL_CACHE_TTL_MS = 60 * 1000;
+
+// Signatures are lowercase hex HMAC-SHA256 digests. Anything else is rejected
+// before comparing, as Buffer.from(hex) ignores case and stops at the first
+// non-hex character: a replayed signature in upper case or with a suffix
+// would decode to the same bytes under a different replay cache key.
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Compute the signature of an MQTT message
+ * @param {string} key - Device key (hex)
+ * @param {string} topic - MQTT topic
+ * @param {number} ts - Signature time, Unix seconds
+ * @param {Buffer} payload - Signed payload
+ * @returns {string} HMAC-SHA256 as hex
+ */
+export const signMessage = (key, topic, ts, payload) =>
+  createHmac('sha256', Buffer.from(key, 'hex'))
+    .update(`${topic}|${ts}|`)
+    .update(payload)
+    .digest('hex');
+
+/**
+ * DeviceAuth Service
+ * Verifies signed MQTT messages. A device signs `topic|ts|payload` with
+ * HMAC-SHA256 using its key and sends the signature either as MQTT v5 user
+ * properties (`sig`, `ts`, optional `device`) next to the raw payload, or
+ * wrapped in a JSON envelope:
+ *
+ *   { "deviceCode": "A1", "ts": 1760000000, "payload": "<JSON text or base64>",
+ *     "encoding": "base64", "sig": "<hex>" }
+ *
+ * `encoding` is only set for base64 wrapped binary payloads. The signature
+ * is computed over the inner payload bytes.
+ */
+class DeviceAuthService {
+  constructor() {
+    this.requireSignature = REQUIRE_SIGNATURE;
+
+    // Device credentials by code ({ credentials, expiresAt })
+    this.cache = new Map();
+
+    // Signatures seen within the accepted age, to reject replays
+    this.seenSignatures = new Map();
+
+    this.stats = {
+      verified: 0,
+      rejected: 0,
+      unsigned: 0
+    };
+  }
+
+  /**
+   * Extract the signature of a message
+   * @param {Buffer} payload - Raw payload
+   * @param {Object} [properties] - MQTT v5 packet properties
+   * @returns {Object|null} { deviceCode, ts, sig, payload } or { error }, null when unsigned
+   */
+  extractSignedMessage(payload, properties) {
+    const userProperties = properties?.userProperties;
+
+    if (userProperties?.sig) {
+      return {
+        deviceCode: userProperties.device || null,
+        ts: Number(userProperties.ts),
+        sig: String(userProperties.sig),
+        payload
+      };
+    }
+
+    // Only JSON objects can be envelopes
+    if (payload.length === 0 || payload[0] !== 0x7B) {
+      return null;
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(payload.toString());
+    } catch {
+      return null;
+    }
+
+    if (!envelope || typeof envelope.sig !== 'string' || typeof envelope.payload !== 'string') {
+      return null;
+    }
+
+    if (envelope.encoding && envelope.encoding !== 'base64') {
+      return { error: `Unsupported envelope encoding ${envelope.encoding}` };
+    }
+
+    return {
+      deviceCode: envelope.deviceCode || null,
+      ts: Number(envelope.ts),
+      sig: envelope.sig,
+      payload: envelope.encoding === 'base64'
+        ? Buffer.from(envelope.payload, 'base64')
+        : Buffer.from(envelope.payload)
+    };
+  }
+
+  /**
+   * Verify a signed message against the keys of the claimed device
+   * @param {string} deviceCode - Claimed device code
+   * @param {string} topic - MQTT topic
+   * @param {Object} signed - Signed message from extractSignedMessage
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  async verify(deviceCode, topic, signed, now = new Date()) {
+    const result = await this.checkSignature(deviceCode, topic, signed, now);
+
+    if (result.valid) {
+      this.stats.verified++;
+    } else {
+      this.stats.rejected++;
+    }
+
+    return result;
+  }
+
+  async checkSignature(deviceCode, topic, { ts, sig, payload }, now) {
+    const credentials = await this.getCredentials(deviceCode);
+
+    if (!credentials) {
+      return { valid: false, reason: 'UNKNOWN_DEVICE' };
+    }
+
+    if (!credentials.authKey) {
+      return { valid: false, reason: 'NO_DEVICE_KEY' };
+    }
+
+    if (!Number.isFinite(ts) || Math.abs(now.getTime() - ts * 1000) > SIGNATURE_MAX_AGE_MS) {
+      return { valid: false, reason: 'EXPIRED_SIGNATURE' };
+    }
+
+    if (typeof sig !== 'string' || !SIGNATURE_PATTERN.test(sig)) {
+      return { valid: false, reason: 'MALFORMED_SIGNATURE' };
+    }
+
+    const keys = [credentials.authKey];
+    if (credentials.previousAuthKey && new Date(credentials.previousAuthKeyExpiresAt) > now) {
+      keys.push(credentials.previousAuthKey);
+    }
+
+    const matches = keys.some(key => this.safeEqual(signMessage(key, topic, ts, payload), sig));
+    if (!matches) {
+      return { valid: false, reason: 'INVALID_SIGNATURE' };
+    }
+
+    this.pruneSeenSignatures(now);
+    if (this.seenSignatures.has(sig)) {
+      return { valid: false, reason: 'REPLAYED_SIGNATURE' };
+    }
+    this.seenSignatures.set(sig, ts * 1000 + SIGNATURE_MAX_AGE_MS);
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Get the credentials of a device, cached briefly
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object|null>} Credentials or null when the device does not exist
+   */
+  async getCredentials(deviceCode) {
+    const cached = this.cache.get(deviceCode);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.credentials;
+    }
+
+    const credentials = await deviceAuthRepository.findCredentials(deviceCode);
+    this.cache.set(deviceCode, { credentials, expiresAt: Date.now() + CREDENTIAL_CACHE_TTL_MS });
+
+    return credentials;
+  }
+
+  /**
+   * Record an unsigned message that was let through
+   */
+  recordUnsigned() {
+    this.stats.unsigned++;
+  }
+
+  /**
+   * Generate a new key for a device. The current key stays valid for the
+   * rotation grace period so the device can be updated.
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object>} New key (only returned once) and its validity
+   */
+  async rotateKey(deviceCode) {
+    try {
+      const credentials = await deviceAuthRepository.findCredentials(deviceCode);
+
+      if (!credentials) {
+        const error = new Error('Device not found');
+        error.code = 'DEVICE_NOT_FOUND';
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const now = new Date();
+      const authKey = randomBytes(32).toString('hex');
+      const previousAuthKeyExpiresAt = credentials.authKey ? new Date(now.getTime() + KEY_ROTATION_GRACE_MS) : null;
+
+      await deviceAuthRepository.updateKeys(deviceCode, {
+        authKey,
+        previousAuthKey: credentials.authKey,
+        previousAuthKeyExpiresAt,
+        authKeyRotatedAt: now
+      });
+
+      this.cache.delete(deviceCode);
+
+      logger.info(`MQTT key of device ${deviceCode} rotated`, {
+        previousKeyValidUntil: previousAuthKeyExpiresAt?.toISOString() || null
+      });
+
+      return {
+        deviceCode,
+        authKey,
+        algorithm: 'HMAC-SHA256',
+        rotatedAt: now.toISOString(),
+        previousKeyValidUntil: previousAuthKeyExpiresAt?.toISOString() || null
+      };
+    } catch (error) {
+      logger.error('Error in rotateKey service:', error);
+      throw error;
+    }
+  }
+
+  pruneSeenSignatures(now) {
+    // Entries are added in roughly chronological order
+    for (const [sig, expiresAt] of this.seenSignatures) {
+      if (expiresAt >= now.getTime()) break;
+      this.seenSignatures.delete(sig);
+    }
+  }
+
+  safeEqual(expected, actual) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(actual, 'hex');
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  /**
+   * Get verification statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      requireSignature: this.requireSignature,
+      signatureMaxAge: SIGNATURE_MAX_AGE_MS
+    };
+  }
+}
+
+export const deviceAuthService = new DeviceAuthService();
@@ -0,0 +1,326 @@
+import { deviceRepository } from '../repositories/device.repository.js';
+import { deviceStatusHistoryRepository } from '../repositories/deviceStatusHistory.repository.js';
+import { measureAvailability } from '../utils/availability.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range used when `from` is omitted
+const AVAILABILITY_DEFAULT_RANGE_MS = 30 * DAY_MS;
+
+const MAX_AVAILABILITY_RANGE_MS = 366 * DAY_MS;
+
+const minutes = (value) => value === null ? null : Math.round(value / 60);
+
+// One row per device
+const AVAILABILITY_EXPORT_COLUMNS = [
+  { key: 'from', type: 'datetime', label: { id: 'Dari', en: 'From' } },
+  { key: 'to', type: 'datetime', label: { id: 'Sampai', en: 'To' } },
+  { key: 'locationName', value: row => row.location?.name, label: { id: 'Lokasi', en: 'Location' } },
+  { key: 'district', value: row => row.location?.district, label: { id: 'Kecamatan', en: 'District' } },
+  { key: 'city', value: row => row.location?.city, label: { id: 'Kota', en: 'City' } },
+  { key: 'deviceCode', label: { id: 'Kode Perangkat', en: 'Device Code' } },
+  { key: 'uptimePercentage', label: { id: 'Uptime (%)', en: 'Uptime (%)' } },
+  { key: 'outageCount', label: { id: 'Jumlah Gangguan', en: 'Outages' } },
+  { key: 'mttr', value: row => minutes(row.mttrSeconds), label: { id: 'MTTR (menit)', en: 'MTTR (min)' } },
+  { key: 'longestOutage', value: row => minutes(row.longestOutageSeconds), label: { id: 'Gangguan Terlama (menit)', en: 'Longest Outage (min)' } },
+  { key: 'downtime', value: row => minutes(row.downtimeSeconds), label: { id: 'Total Waktu Mati (menit)', en: 'Downtime (min)' } },
+  { key: 'late', value: row => minutes(row.lateSeconds), label: { id: 'Total Waktu Terlambat (menit)', en: 'Late Time (min)' } },
+  { key: 'unknown', value: row => minutes(row.unknownSeconds), label: { id: 'Waktu Tanpa Data (menit)', en: 'Unknown (min)' } }
+];
+
+const createAvailabilityError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const percentage = (part, total) => total > 0 ? Math.round(part / total * 10000) / 100 : null;
+
+const seconds = (ms) => Math.round(ms / 1000);
+
+/**
+ * DeviceAvailability Service
+ * Records the connection status transitions of devices and turns them into
+ * availability reports. Uptime counts CONNECTED and LATE time; an outage is a
+ * DISCONNECTED period. Each device is measured from the later of the range
+ * start and the moment it was approved, up to the range end or now. Time
+ * before status recording began is reported as unknown and left out of the
+ * uptime percentage. An outage that began before the range keeps its full
+ * length for the repair time, while downtime only counts the part within the
+ * range.
+ */
+class DeviceAvailabilityService {
+  constructor() {
+    // Set once status recording has been found to have started
+    this.recordingStart = null;
+  }
+
+  /**
+   * Store status transitions; unchanged statuses are skipped
+   * @param {Array<Object>} transitions - Transitions ({ deviceCode, previousStatus, newStatus, reason, changedAt })
+   * @returns {Promise<number>} Number of stored transitions
+   */
+  async recordTransitions(transitions) {
+    const changed = transitions.filter(transition => transition.previousStatus !== transition.newStatus);
+
+    if (changed.length === 0) return 0;
+
+    try {
+      await deviceStatusHistoryRepository.createMany(changed.map(transition => ({
+        ...transition,
+        reason: String(transition.reason).slice(0, 20),
+        changedAt: transition.changedAt || new Date()
+      })));
+
+      return changed.length;
+    } catch (error) {
+      // The status itself is already updated; a lost transition only skews reports
+      logger.error('Error recording device status transitions:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the status transitions of a device
+   * @param {string} deviceCode - Device code
+   * @param {Object} [params] - { page, limit, from, to }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getStatusHistory(deviceCode, params = {}) {
+    try {
+      const device = await deviceRepository.findByCode(deviceCode);
+
+      if (!device) {
+        throw createAvailabilityError('Device not found', 'DEVICE_NOT_FOUND', 404);
+      }
+
+      const page = parseInt(params.page) || 1;
+      const limit = parseInt(params.limit) || 20;
+
+      if (page < 1 || limit < 1 || limit > 100) {
+        throw createAvailabilityError('page must be >= 1 and limit between 1 and 100', 'INVALID_PAGINATION', 400);
+      }
+
+      const from = params.from ? new Date(params.from) : null;
+      const to = params.to ? new Date(params.to) : null;
+
+      if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+        throw createAvailabilityError('from and to must be valid dates', 'INVALID_DATE_RANGE', 400);
+      }
+
+      return await deviceStatusHistoryRepository.findByDevice(deviceCode, { page, limit, from, to });
+    } catch (error) {
+      logger.error('Error in getStatusHistory service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute uptime, outages and repair times per device, per location and
+   * for the whole selection
+   * @param {Object} [params] - { from, to, deviceCodes (array or comma separated), locationId }
+   * @returns {Promise<Object>} { from, to, summary, locations, devices }
+   */
+  async getAvailability(params = {}) {
+    try {
+      const { from, to, deviceCodes, locationId } = this.validateParams(params);
+
+      const devices = await deviceRepository.findForAvailability({ deviceCodes, locationId });
+      const codes = devices.map(device => device.code);
+
+      const [before, transitions, knownFrom] = codes.length > 0
+        ? await Promise.all([
+          deviceStatusHistoryRepository.findLastBefore(codes, from),
+          deviceStatusHistoryRepository.findInRange(codes, from, to),
+          this.getRecordingStarts(codes)
+        ])
+        : [[], [], new Map()];
+
+      const lastBefore = new Map(before.map(transition => [transition.deviceCode, transition]));
+      const byDevice = new Map(codes.map(code => [code, []]));
+      transitions.forEach(transition => byDevice.get(transition.deviceCode)?.push(transition));
+
+      const deviceReports = devices.map(device => this.measureDevice(
+        device,
+        lastBefore.get(device.code),
+        byDevice.get(device.code),
+        from,
+        to,
+        knownFrom.get(device.code) || null
+      ));
+
+      const byLocation = new Map();
+      deviceReports.forEach(report => {
+        const key = report.location?.id || null;
+        if (!byLocation.has(key)) byLocation.set(key, { location: report.location, reports: [] });
+        byLocation.get(key).reports.push(report);
+      });
+
+      const locations = [...byLocation.values()].map(({ location, reports }) => ({
+        location,
+        ...this.summarize(reports)
+      }));
+
+      return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        summary: this.summarize(deviceReports),
+        locations,
+        devices: deviceReports
+      };
+    } catch (error) {
+      logger.error('Error in getAvailability service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when status recording began for each device: when the status history
+   * migration was applied, else at the first transition of the device.
+   * Devices without either have no known status.
+   * @param {Array<string>} deviceCodes - Device codes
+   * @returns {Promise<Map>} Device code -> start of recording
+   */
+  async getRecordingStarts(deviceCodes) {
+    if (!this.recordingStart) {
+      this.recordingStart = await deviceStatusHistoryRepository.findRecordingStart();
+    }
+
+    if (this.recordingStart) {
+      return new Map(deviceCodes.map(code => [code, this.recordingStart]));
+    }
+
+    const first = await deviceStatusHistoryRepository.findFirstChanges(deviceCodes);
+    return new Map(first.map(row => [row.deviceCode, new Date(row.changedAt)]));
+  }
+
+  /**
+   * Build the availability report as spreadsheet rows
+   * @param {Object} [params] - Same as getAvailability
+   * @returns {Promise<Object>} { fileName, sheetName, columns, batches }
+   */
+  async getAvailabilityExport(params = {}) {
+    const report = await this.getAvailability(params);
+    const rows = report.devices.map(device => ({ ...device, from: report.from, to: report.to }));
+
+    logger.info('Exporting device availability', { from: report.from, to: report.to, devices: rows.length });
+
+    return {
+      fileName: `device-availability_${report.from.slice(0, 10)}_${report.to.slice(0, 10)}`,
+      sheetName: 'Availability',
+      columns: AVAILABILITY_EXPORT_COLUMNS,
+      batches: [rows]
+    };
+  }
+
+  /**
+   * Validate the parameters of an availability report
+   * @param {Object} params - Query parameters
+   * @returns {Object} { from, to, deviceCodes, locationId }
+   */
+  validateParams(params) {
+    const now = new Date();
+    const to = params.to ? new Date(params.to) : now;
+    const from = params.from ? new Date(params.from) : new Date(to.getTime() - AVAILABILITY_DEFAULT_RANGE_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      throw createAvailabilityError('from and to must be valid dates, from before to', 'INVALID_DATE_RANGE', 400);
+    }
+
+    if (to - from > MAX_AVAILABILITY_RANGE_MS) {
+      throw createAvailabilityError('Range must not exceed 366 days', 'INVALID_DATE_RANGE', 400);
+    }
+
+    const deviceCodes = Array.isArray(params.deviceCodes)
+      ? params.deviceCodes
+      : params.deviceCodes?.split(',').map(code => code.trim()).filter(Boolean);
+
+    return {
+      from,
+      // The future has not been observed yet
+      to: to > now ? now : to,
+      deviceCodes: deviceCodes?.length ? deviceCodes : null,
+      locationId: params.locationId || null
+    };
+  }
+
+  /**
+   * Walk the transitions of a device through the range
+   * @param {Object} device - Device with its location
+   * @param {Object|undefined} lastBefore - Last transition before the range
+   * @param {Array} transitions - Transitions within the range, oldest first
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {Date|null} knownFrom - Start of status recording for the device
+   * @returns {Object} Device report
+   */
+  measureDevice(device, lastBefore, transitions, from, to, knownFrom) {
+    const { observedMs, unknownMs, uptimeMs, totals, outages } = measureAvailability(
+      { status: device.status, lastBefore, transitions },
+      { from, to, since: new Date(device.provisionedAt || device.createdAt), knownFrom }
+    );
+
+    const report = {
+      deviceCode: device.code,
+      location: device.location || null,
+      currentStatus: device.status,
+      observedSeconds: seconds(observedMs),
+      unknownSeconds: seconds(unknownMs),
+      uptimeSeconds: seconds(uptimeMs),
+      lateSeconds: seconds(totals.LATE),
+      downtimeSeconds: seconds(totals.DISCONNECTED),
+      uptimePercentage: percentage(uptimeMs, observedMs - unknownMs),
+      outages: outages.map(outage => ({
+        start: outage.start.toISOString(),
+        end: outage.end ? outage.end.toISOString() : null,
+        durationSeconds: seconds((outage.end || to) - outage.start),
+        ongoing: !outage.end
+      }))
+    };
+
+    return { ...report, ...this.describeOutages(report.outages) };
+  }
+
+  /**
+   * Count outages with their mean time to repair and the longest one.
+   * Ongoing outages count but have no repair time yet.
+   * @param {Array} outages - Outages ({ durationSeconds, ongoing })
+   * @returns {Object} { outageCount, mttrSeconds, longestOutageSeconds }
+   */
+  describeOutages(outages) {
+    const repaired = outages.filter(outage => !outage.ongoing).map(outage => outage.durationSeconds);
+
+    return {
+      outageCount: outages.length,
+      mttrSeconds: repaired.length > 0 ? Math.round(repaired.reduce((sum, value) => sum + value, 0) / repaired.length) : null,
+      longestOutageSeconds: outages.length > 0 ? Math.max(...outages.map(outage => outage.durationSeconds)) : null
+    };
+  }
+
+  /**
+   * Combine device reports; uptime is weighted by the time with a known status
+   * @param {Array} reports - Device reports
+   * @returns {Object} Summary
+   */
+  summarize(reports) {
+    const sum = (key) => reports.reduce((total, report) => total + report[key], 0);
+    const observedSeconds = sum('observedSeconds');
+    const unknownSeconds = sum('unknownSeconds');
+    const uptimeSeconds = sum('uptimeSeconds');
+
+    return {
+      deviceCount: reports.length,
+      observedSeconds,
+      unknownSeconds,
+      uptimeSeconds,
+      lateSeconds: sum('lateSeconds'),
+      downtimeSeconds: sum('downtimeSeconds'),
+      uptimePercentage: percentage(uptimeSeconds, observedSeconds - unknownSeconds),
+      ...this.describeOutages(reports.flatMap(report => report.outages))
+    };
+  }
+}
+
+export const deviceAvailabilityService = new DeviceAvailabilityService();
@@ -0,0 +1,285 @@
+import { parseTimestamp } from '../utils/timestamp.js';
+import logger from '../utils/logger.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Clock differences up to this are treated as network latency
+const CLOCK_SKEW_TOLERANCE_MS = Number(process.env.DEVICE_CLOCK_SKEW_TOLERANCE_MS) || 2 * MINUTE_MS;
+
+// Readings older than this on arrival are replays from the device's offline buffer
+const LATE_READING_THRESHOLD_MS = Number(process.env.SENSOR_LATE_READING_MS) || 2 * MINUTE_MS;
+
+// Oldest replayed reading accepted with its device timestamp
+const MAX_REPLAY_AGE_MS = (Number(process.env.SENSOR_MAX_REPLAY_AGE_HOURS) || 7 * 24) * HOUR_MS;
+
+// A measured skew is applied to readings without `sentAt` for this long,
+// as long as their timestamps agree with it
+const SKEW_ESTIMATE_TTL_MS = 24 * HOUR_MS;
+
+const SKEW_WARNING_INTERVAL_MS = HOUR_MS;
+
+// Without `sentAt` an old timestamp is taken as a replay from the offline
+// buffer, unless the device keeps lagging by the same amount for this many
+// messages spread over at least LAG_CONFIRM_MS. Replays arrive in bursts
+// with a shrinking lag, so they never confirm a lagging clock.
+const LAG_CONFIRM_READINGS = 3;
+const LAG_CONFIRM_MS = 10 * MINUTE_MS;
+
+// Payload keys holding the time the reading was taken
+const TIMESTAMP_KEYS = ['timestamp', 'ts', 'time'];
+
+// Devices without an offset in their timestamps run on WIB
+const DEVICE_UTC_OFFSET = '+07:00';
+
+/**
+ * DeviceClock Service
+ * Resolves the time of a sensor reading from the timestamp sent by the
+ * device. Devices may add `sentAt` (their clock at publish time) to every
+ * message; the difference to the server clock is the clock skew, which is
+ * used to correct the reading timestamps of that device. Timestamps that are
+ * missing, in the future or implausibly old fall back to the server time.
+ */
+class DeviceClockService {
+  constructor() {
+    // Last measured skew per device ({ skewMs, measuredAt, warnedAt })
+    this.skews = new Map();
+
+    // Run of readings without `sentAt` lagging by a similar amount, per device
+    // ({ lagMs, count, firstReceivedAt, lastReceivedAt })
+    this.lags = new Map();
+
+    // Newest reading time that drove the live status, per device
+    this.latestReadings = new Map();
+
+    this.stats = {
+      deviceTimestamps: 0,
+      serverTimestamps: 0,
+      rejectedTimestamps: 0,
+      skewCorrected: 0,
+      lateReadings: 0
+    };
+  }
+
+  /**
+   * Resolve the timestamp of a reading
+   * @param {string} deviceCode - Device code
+   * @param {Object} payload - Parsed MQTT payload
+   * @param {Date} receivedAt - Time the message was received
+   * @returns {Object} { timestamp, source, deviceTimestamp, skewMs, skewDetected, late, lateByMs, rejectedReason }
+   */
+  resolveTimestamp(deviceCode, payload, receivedAt) {
+    const key = TIMESTAMP_KEYS.find(name => payload[name] !== undefined && payload[name] !== null);
+    const deviceTimestamp = key ? parseTimestamp(payload[key], DEVICE_UTC_OFFSET) : null;
+    const result = {
+      timestamp: receivedAt,
+      source: 'server',
+      deviceTimestamp,
+      skewMs: 0,
+      skewDetected: false,
+      late: false,
+      lateByMs: 0,
+      rejectedReason: null
+    };
+
+    if (!deviceTimestamp) {
+      if (key) {
+        result.rejectedReason = `Invalid ${key} "${payload[key]}"`;
+        this.stats.rejectedTimestamps++;
+      }
+      this.stats.serverTimestamps++;
+      this.markLive(deviceCode, receivedAt);
+      return result;
+    }
+
+    const skewMs = this.measureSkew(deviceCode, payload, deviceTimestamp, receivedAt);
+    const corrected = new Date(deviceTimestamp.getTime() + skewMs);
+
+    result.skewMs = skewMs;
+    result.skewDetected = skewMs !== 0;
+
+    if (corrected.getTime() - receivedAt.getTime() > CLOCK_SKEW_TOLERANCE_MS) {
+      result.rejectedReason = `Timestamp ${corrected.toISOString()} is in the future`;
+    } else if (receivedAt.getTime() - corrected.getTime() > MAX_REPLAY_AGE_MS) {
+      result.rejectedReason = `Timestamp ${corrected.toISOString()} is older than ${MAX_REPLAY_AGE_MS / HOUR_MS}h`;
+    }
+
+    if (result.rejectedReason) {
+      logger.warn(`Ignoring timestamp of ${deviceCode}: ${result.rejectedReason}`);
+      this.stats.rejectedTimestamps++;
+      this.stats.serverTimestamps++;
+      this.markLive(deviceCode, receivedAt);
+      return result;
+    }
+
+    // Never stamp a reading later than its arrival
+    result.timestamp = corrected > receivedAt ? receivedAt : corrected;
+    result.source = 'device';
+    this.stats.deviceTimestamps++;
+    if (result.skewDetected) this.stats.skewCorrected++;
+
+    const latest = this.latestReadings.get(deviceCode);
+    const lateByMs = receivedAt.getTime() - result.timestamp.getTime();
+
+    if (lateByMs > LATE_READING_THRESHOLD_MS || (latest && result.timestamp <= latest)) {
+      result.late = true;
+      result.lateByMs = lateByMs;
+      this.stats.lateReadings++;
+    } else {
+      this.markLive(deviceCode, result.timestamp);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve the timestamps of a batch of readings. Every entry must carry
+   * its own timestamp; entries are resolved oldest first so only the newest
+   * can count as a live reading. `sentAt` may be set once on the batch.
+   * @param {string} deviceCode - Device code
+   * @param {Array<Object>} entries - Batch entries
+   * @param {Date} receivedAt - Time the message was received
+   * @param {*} [sentAt] - Device clock at publish time
+   * @returns {Array<Object>} { entry, index, clock } oldest first, or { entry, index, error }
+   */
+  resolveBatch(deviceCode, entries, receivedAt, sentAt) {
+    const parsed = entries.map((entry, index) => {
+      const key = entry && typeof entry === 'object'
+        ? TIMESTAMP_KEYS.find(name => entry[name] !== undefined && entry[name] !== null)
+        : null;
+      const deviceTimestamp = key ? parseTimestamp(entry[key], DEVICE_UTC_OFFSET) : null;
+
+      return deviceTimestamp
+        ? { entry, index, deviceTimestamp }
+        : { entry, index, error: key ? `Invalid ${key} "${entry[key]}"` : 'Reading has no timestamp' };
+    });
+
+    const failed = parsed.filter(item => item.error);
+    const resolved = parsed
+      .filter(item => !item.error)
+      .sort((a, b) => a.deviceTimestamp - b.deviceTimestamp)
+      .map(({ entry, index }) => ({
+        entry,
+        index,
+        clock: this.resolveTimestamp(deviceCode, { ...entry, sentAt: entry.sentAt ?? sentAt }, receivedAt)
+      }));
+
+    this.stats.rejectedTimestamps += failed.length;
+
+    return [...failed, ...resolved];
+  }
+
+  /**
+   * Get the correction to add to the device clock. Uses `sentAt` when the
+   * device sends it, otherwise a recent measurement the reading agrees with,
+   * otherwise assumes a future timestamp is a live reading from a clock
+   * running ahead and a steady lag over several messages comes from a clock
+   * running behind.
+   * @param {string} deviceCode - Device code
+   * @param {Object} payload - Parsed MQTT payload
+   * @param {Date} deviceTimestamp - Reading time on the device clock
+   * @param {Date} receivedAt - Time the message was received
+   * @returns {number} Skew in milliseconds (0 when within tolerance)
+   */
+  measureSkew(deviceCode, payload, deviceTimestamp, receivedAt) {
+    const sentAt = parseTimestamp(payload.sentAt, DEVICE_UTC_OFFSET);
+    let skewMs;
+
+    if (sentAt) {
+      skewMs = receivedAt.getTime() - sentAt.getTime();
+    } else {
+      const estimate = this.skews.get(deviceCode);
+      skewMs = receivedAt.getTime() - deviceTimestamp.getTime();
+
+      if (estimate && receivedAt.getTime() - estimate.measuredAt < SKEW_ESTIMATE_TTL_MS) {
+        if (Math.abs(skewMs - estimate.skewMs) <= CLOCK_SKEW_TOLERANCE_MS) {
+          return estimate.skewMs;
+        }
+
+        // The clock was reset or resynced, or this is a replay: measure again
+        this.skews.delete(deviceCode);
+      }
+
+      // A lagging timestamp is a replay until the lag turns out to be steady
+      if (skewMs > CLOCK_SKEW_TOLERANCE_MS && !this.confirmLag(deviceCode, skewMs, receivedAt)) {
+        return 0;
+      }
+
+      this.lags.delete(deviceCode);
+    }
+
+    if (Math.abs(skewMs) <= CLOCK_SKEW_TOLERANCE_MS) {
+      this.skews.delete(deviceCode);
+      return 0;
+    }
+
+    const previous = this.skews.get(deviceCode);
+    const warnedAt = previous?.warnedAt || 0;
+
+    if (receivedAt.getTime() - warnedAt >= SKEW_WARNING_INTERVAL_MS) {
+      logger.warn(`Clock of device ${deviceCode} is off by ${Math.round(skewMs / 1000)}s, correcting timestamps`);
+    }
+
+    this.skews.set(deviceCode, {
+      skewMs,
+      measuredAt: receivedAt.getTime(),
+      warnedAt: receivedAt.getTime() - warnedAt >= SKEW_WARNING_INTERVAL_MS ? receivedAt.getTime() : warnedAt
+    });
+
+    return skewMs;
+  }
+
+  /**
+   * Track readings without `sentAt` that lag the server clock
+   * @param {string} deviceCode - Device code
+   * @param {number} lagMs - Server time minus device time
+   * @param {Date} receivedAt - Time the message was received
+   * @returns {boolean} True once the lag is steady enough to be clock skew
+   */
+  confirmLag(deviceCode, lagMs, receivedAt) {
+    const time = receivedAt.getTime();
+    const run = this.lags.get(deviceCode);
+
+    if (run && time === run.lastReceivedAt) {
+      // Entries of one batch message count once
+      return false;
+    }
+
+    if (!run || Math.abs(lagMs - run.lagMs) > CLOCK_SKEW_TOLERANCE_MS) {
+      this.lags.set(deviceCode, { lagMs, count: 1, firstReceivedAt: time, lastReceivedAt: time });
+      return false;
+    }
+
+    run.count++;
+    run.lastReceivedAt = time;
+
+    return run.count >= LAG_CONFIRM_READINGS && time - run.firstReceivedAt >= LAG_CONFIRM_MS;
+  }
+
+  markLive(deviceCode, timestamp) {
+    const latest = this.latestReadings.get(deviceCode);
+    if (!latest || timestamp > latest) {
+      this.latestReadings.set(deviceCode, timestamp);
+    }
+  }
+
+  /**
+   * Get timestamp statistics and the devices with a detected clock skew
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      skewedDevices: Array.from(this.skews, ([deviceCode, skew]) => ({
+        deviceCode,
+        skewMs: skew.skewMs,
+        measuredAt: new Date(skew.measuredAt).toISOString()
+      })),
+      skewTolerance: CLOCK_SKEW_TOLERANCE_MS,
+      lateThreshold: LATE_READING_THRESHOLD_MS,
+      maxReplayAge: MAX_REPLAY_AGE_MS
+    };
+  }
+}
+
+export const deviceClockService = new DeviceClockService();
@@ -0,0 +1,384 @@
+import { deviceRepository } from '../repositories/device.repository.js';
+import { deviceCommandRepository } from '../repositories/deviceCommand.repository.js';
+import { deviceConfigService } from './deviceConfig.service.js';
+import logger from '../utils/logger.js';
+
+// How long a command may wait for the MQTT connection before it times out
+const COMMAND_QUEUE_TTL_MS = Number(process.env.COMMAND_QUEUE_TTL_MS) || 10 * 60 * 1000;
+
+// How long a device has to acknowledge a published command
+const COMMAND_ACK_TIMEOUT_MS = Number(process.env.COMMAND_ACK_TIMEOUT_MS) || 60 * 1000;
+
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+const COMMAND_STATUSES = ['QUEUED', 'SENT', 'ACKED', 'FAILED', 'TIMEOUT'];
+
+// Accepted report interval, seconds
+const MIN_REPORT_INTERVAL = 10;
+const MAX_REPORT_INTERVAL = 24 * 60 * 60;
+
+const createCommandError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Supported commands and their parameter checks
+const COMMAND_TYPES = {
+  reboot: () => null,
+  request_reading: () => null,
+  // The server time is added when the command is published
+  sync_clock: () => null,
+  set_report_interval: (params = {}) => {
+    const intervalSeconds = Number(params.intervalSeconds);
+
+    if (!Number.isInteger(intervalSeconds) || intervalSeconds < MIN_REPORT_INTERVAL || intervalSeconds > MAX_REPORT_INTERVAL) {
+      throw createCommandError(
+        `intervalSeconds must be an integer between ${MIN_REPORT_INTERVAL} and ${MAX_REPORT_INTERVAL}`,
+        'INVALID_COMMAND_PARAMS',
+        400
+      );
+    }
+
+    return { intervalSeconds };
+  },
+  // Sent by firmware rollouts; the device downloads url with the token in the
+  // tokenHeader header, checks sha256 and reboots
+  ota_update: (params = {}) => {
+    const { url, version, sha256 } = params;
+
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url) || typeof version !== 'string' || !/^[0-9a-f]{64}$/.test(sha256 || '')) {
+      throw createCommandError('ota_update needs url, version and a sha256 hex digest', 'INVALID_COMMAND_PARAMS', 400);
+    }
+
+    return params;
+  }
+};
+
+export const DEVICE_COMMAND_TYPES = Object.keys(COMMAND_TYPES);
+
+// Commands that change a setting of the device config. The desired config
+// is updated as well, or its retained message would reset the setting the
+// next time the device connects.
+const CONFIG_COMMANDS = {
+  set_report_interval: ({ intervalSeconds }) => ({ reportIntervalSeconds: intervalSeconds })
+};
+
+/**
+ * DeviceCommand Service
+ * Sends downlink commands to devices on binatra-device/{code}/command:
+ *
+ *   { "id": "<uuid>", "type": "set_report_interval", "params": { "intervalSeconds": 60 },
+ *     "issuedAt": "...", "expiresAt": "..." }
+ *
+ * and tracks them until the device answers on binatra-device/{code}/command/ack:
+ *
+ *   { "id": "<uuid>", "status": "ok" | "error", "result": { ... }, "error": "..." }
+ *
+ * Commands stay QUEUED while the MQTT client is disconnected and time out
+ * when they are not published and acknowledged in time.
+ */
+class DeviceCommandService {
+  constructor() {
+    this.client = null;
+    this.notificationEmitter = null;
+    this.intervalId = null;
+    this.sweeping = false;
+
+    // Commands being published, so the sweep does not publish them twice
+    this.publishing = new Set();
+
+    this.stats = {
+      sent: 0,
+      acked: 0,
+      failed: 0,
+      timedOut: 0,
+      lateAcks: 0
+    };
+  }
+
+  /**
+   * Attach the MQTT client, publish queued commands and start the timeout sweep
+   * @param {Object} client - Connected MQTT client
+   * @param {Object} notificationEmitter - Emitter for command updates
+   */
+  start(client, notificationEmitter) {
+    this.client = client;
+    this.notificationEmitter = notificationEmitter;
+
+    if (!this.intervalId) {
+      this.intervalId = setInterval(() => {
+        this.sweep();
+      }, SWEEP_INTERVAL_MS);
+
+      logger.info(`Device command sweep started, ack timeout ${COMMAND_ACK_TIMEOUT_MS / 1000}s`);
+    }
+
+    this.sweep();
+  }
+
+  /**
+   * Stop the timeout sweep
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Device command sweep stopped');
+    }
+  }
+
+  /**
+   * Create a command and publish it when the MQTT client is connected
+   * @param {string} deviceCode - Device code
+   * @param {Object} data - Command ({ type, params })
+   * @param {string} [createdBy] - Username of the issuing user
+   * @returns {Promise<Object>} Command
+   */
+  async sendCommand(deviceCode, { type, params } = {}, createdBy = null) {
+    try {
+      if (!COMMAND_TYPES[type]) {
+        throw createCommandError(`type must be one of ${DEVICE_COMMAND_TYPES.join(', ')}`, 'INVALID_COMMAND_TYPE', 400);
+      }
+
+      const normalizedParams = COMMAND_TYPES[type](params);
+      const device = await deviceRepository.findByCode(deviceCode);
+
+      if (!device) {
+        throw createCommandError('Device not found', 'DEVICE_NOT_FOUND', 404);
+      }
+
+      if (device.provisioningStatus === 'REJECTED') {
+        throw createCommandError('Device is rejected', 'DEVICE_REJECTED', 409);
+      }
+
+      if (CONFIG_COMMANDS[type]) {
+        await deviceConfigService.updateDeviceConfig(deviceCode, CONFIG_COMMANDS[type](normalizedParams), createdBy);
+      }
+
+      const command = await deviceCommandRepository.create({
+        deviceCode,
+        type,
+        params: normalizedParams,
+        createdBy,
+        expiresAt: new Date(Date.now() + COMMAND_QUEUE_TTL_MS)
+      });
+
+      logger.info(`Command ${type} queued for device ${deviceCode}`, { commandId: command.id, createdBy });
+
+      return this.isConnected() ? await this.publish(command) : command;
+    } catch (error) {
+      logger.error('Error in sendCommand service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the command history of a device
+   * @param {string} deviceCode - Device code
+   * @param {Object} params - Query parameters ({ page, limit, status })
+   * @returns {Promise<Object>} Data and pagination
+   */
+  async getCommands(deviceCode, params = {}) {
+    try {
+      const page = Math.max(1, parseInt(params.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(params.limit) || 20));
+      const status = params.status ? String(params.status).toUpperCase() : null;
+
+      return await deviceCommandRepository.findByDevice(deviceCode, {
+        page,
+        limit,
+        status: COMMAND_STATUSES.includes(status) ? status : null
+      });
+    } catch (error) {
+      logger.error('Error in getCommands service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single command of a device
+   * @param {string} deviceCode - Device code
+   * @param {string} id - Command ID
+   * @returns {Promise<Object>} Command
+   */
+  async getCommand(deviceCode, id) {
+    try {
+      const command = await deviceCommandRepository.findById(id);
+
+      if (!command || command.deviceCode !== deviceCode) {
+        throw createCommandError('Command not found', 'COMMAND_NOT_FOUND', 404);
+      }
+
+      return command;
+    } catch (error) {
+      logger.error('Error in getCommand service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the acknowledgement of a command. Acks arriving after the
+   * timeout still record the outcome.
+   * @param {string} deviceCode - Acknowledging device
+   * @param {Object} ack - Ack message ({ id, status, result, error })
+   * @returns {Promise<Object>} { command, duplicate }
+   */
+  async handleAck(deviceCode, ack = {}) {
+    if (!ack.id) {
+      throw createCommandError('Command ack missing id', 'INVALID_COMMAND_ACK', 400);
+    }
+
+    const command = await deviceCommandRepository.findById(String(ack.id));
+
+    if (!command || command.deviceCode !== deviceCode) {
+      throw createCommandError(`Unknown command ${ack.id} for device ${deviceCode}`, 'COMMAND_NOT_FOUND', 404);
+    }
+
+    if (command.status === 'ACKED' || command.status === 'FAILED') {
+      logger.debug(`Duplicate ack for command ${command.id} ignored`);
+      return { command, duplicate: true };
+    }
+
+    if (command.status === 'TIMEOUT') {
+      this.stats.lateAcks++;
+      logger.warn(`Late ack for command ${command.id} from ${deviceCode}`);
+    }
+
+    const succeeded = ack.status ? String(ack.status).toLowerCase() === 'ok' : ack.success !== false;
+
+    const updated = await deviceCommandRepository.update(command.id, {
+      status: succeeded ? 'ACKED' : 'FAILED',
+      result: ack.result ?? null,
+      error: succeeded ? null : String(ack.error || 'Command failed on the device'),
+      ackedAt: new Date()
+    });
+
+    this.stats[succeeded ? 'acked' : 'failed']++;
+    this.emitUpdate(updated);
+
+    return { command: updated, duplicate: false };
+  }
+
+  /**
+   * Publish a command to its device
+   * @param {Object} command - Queued command
+   * @returns {Promise<Object>} Updated command
+   */
+  async publish(command) {
+    if (this.publishing.has(command.id)) return command;
+    this.publishing.add(command.id);
+
+    const sentAt = new Date();
+    const message = {
+      id: command.id,
+      type: command.type,
+      params: command.type === 'sync_clock'
+        ? { serverTime: sentAt.toISOString(), epoch: Math.floor(sentAt.getTime() / 1000) }
+        : command.params,
+      issuedAt: command.createdAt,
+      expiresAt: new Date(sentAt.getTime() + COMMAND_ACK_TIMEOUT_MS).toISOString()
+    };
+
+    let updated;
+    try {
+      await new Promise((resolve, reject) => {
+        this.client.publish(`binatra-device/${command.deviceCode}/command`, JSON.stringify(message), { qos: 1 }, (error) => {
+          if (error) reject(error);
+          else resolve();
+        });
+      });
+
+      this.stats.sent++;
+      updated = await deviceCommandRepository.update(command.id, {
+        status: 'SENT',
+        sentAt,
+        expiresAt: new Date(sentAt.getTime() + COMMAND_ACK_TIMEOUT_MS)
+      });
+
+      logger.info(`Command ${command.type} sent to device ${command.deviceCode}`, { commandId: command.id });
+    } catch (error) {
+      logger.error(`Error publishing command ${command.id}:`, error);
+
+      this.stats.failed++;
+      updated = await deviceCommandRepository.update(command.id, {
+        status: 'FAILED',
+        error: `Publish failed: ${error.message}`
+      });
+    } finally {
+      this.publishing.delete(command.id);
+    }
+
+    this.emitUpdate(updated);
+    return updated;
+  }
+
+  /**
+   * Publish queued commands and time out expired ones
+   */
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const now = new Date();
+      const expired = await deviceCommandRepository.findExpired(now);
+
+      if (expired.length > 0) {
+        this.stats.timedOut += await deviceCommandRepository.markTimedOut(expired.map(command => command.id));
+
+        expired.forEach(command => {
+          logger.warn(`Command ${command.type} for device ${command.deviceCode} timed out`, { commandId: command.id });
+          this.emitUpdate({ ...command, status: 'TIMEOUT' });
+        });
+      }
+
+      if (this.isConnected()) {
+        for (const command of await deviceCommandRepository.findQueued(now)) {
+          await this.publish(command);
+        }
+      }
+    } catch (error) {
+      logger.error('Error in device command sweep:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  isConnected() {
+    return Boolean(this.client?.connected);
+  }
+
+  emitUpdate(command) {
+    if (!this.notificationEmitter) return;
+
+    const data = {
+      id: command.id,
+      deviceCode: command.deviceCode,
+      type: command.type,
+      status: command.status,
+      result: command.result,
+      error: command.error,
+      timestamp: new Date().toISOString()
+    };
+
+    this.notificationEmitter.emitToAll('device-command-updated', data);
+    this.notificationEmitter.emitToAll(`device-command-${command.deviceCode}`, data);
+  }
+
+  /**
+   * Get command statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      connected: this.isConnected(),
+      ackTimeout: COMMAND_ACK_TIMEOUT_MS,
+      queueTtl: COMMAND_QUEUE_TTL_MS
+    };
+  }
+}
+
+export const deviceCommandService = new DeviceCommandService();
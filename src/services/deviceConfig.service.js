@@ -0,0 +1,397 @@
+import { deviceRepository } from '../repositories/device.repository.js';
+import { deviceConfigRepository } from '../repositories/deviceConfig.repository.js';
+import logger from '../utils/logger.js';
+
+const createConfigError = (message, code, statusCode, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const integerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max ? null : `must be an integer between ${min} and ${max}`;
+
+const nonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a number >= 0';
+
+// Configurable keys (dotted paths for nested objects) and their checks
+const CONFIG_FIELDS = {
+  reportIntervalSeconds: integerBetween(10, 24 * 60 * 60),
+  heartbeatIntervalSeconds: integerBetween(10, 24 * 60 * 60),
+  'alarmThresholds.waterLevelCm': nonNegativeNumber,
+  'alarmThresholds.rainfallMm': nonNegativeNumber
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSameConfig = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.keys(a).every(key => key in b && JSON.stringify(a[key]) === JSON.stringify(b[key]));
+
+/**
+ * Flatten nested objects to dotted keys
+ * @param {Object} value - Configuration document
+ * @param {string} [prefix] - Key prefix
+ * @returns {Object} Flat configuration
+ */
+const flatten = (value, prefix = '') => {
+  const flat = {};
+
+  Object.entries(value || {}).forEach(([key, entry]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(entry)) {
+      Object.assign(flat, flatten(entry, path));
+    } else {
+      flat[path] = entry;
+    }
+  });
+
+  return flat;
+};
+
+const unflatten = (flat) => {
+  const value = {};
+
+  Object.entries(flat).forEach(([path, entry]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), value);
+    parent[last] = entry;
+  });
+
+  return value;
+};
+
+/**
+ * DeviceConfig Service
+ * Keeps a desired configuration document per device and publishes it
+ * retained on binatra-device/{code}/config:
+ *
+ *   { "version": 3, "config": { "reportIntervalSeconds": 60, ... }, "updatedAt": "..." }
+ *
+ * Devices apply it and echo what they run on binatra-device/{code}/config/reported:
+ *
+ *   { "version": 3, "config": { "reportIntervalSeconds": 60, ... } }
+ *
+ * Drift is the set of desired keys whose reported value differs. Keys only
+ * the device reports are ignored.
+ */
+class DeviceConfigService {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Attach the MQTT client and publish configurations changed while disconnected
+   * @param {Object} client - Connected MQTT client
+   */
+  async start(client) {
+    this.client = client;
+
+    try {
+      const unpublished = await deviceConfigRepository.findUnpublished();
+
+      for (const config of unpublished) {
+        await this.publish(config);
+      }
+
+      if (unpublished.length > 0) {
+        logger.info(`Published ${unpublished.length} pending device configs`);
+      }
+    } catch (error) {
+      logger.error('Error publishing pending device configs:', error);
+    }
+  }
+
+  /**
+   * Get the desired and reported configuration of a device with its drift
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object>} Configuration state
+   */
+  async getDeviceConfig(deviceCode) {
+    try {
+      await this.findDevice(deviceCode);
+
+      const config = await deviceConfigRepository.findByDeviceCode(deviceCode);
+
+      return this.describe(deviceCode, config);
+    } catch (error) {
+      logger.error('Error in getDeviceConfig service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the configuration state of all configured devices
+   * @param {Object} [params] - Filters ({ status })
+   * @returns {Promise<Array>} Configuration states
+   */
+  async getFleetConfig(params = {}) {
+    try {
+      const status = params.status ? String(params.status).toUpperCase() : null;
+      const configs = await deviceConfigRepository.findAll();
+
+      return configs
+        .map(config => ({
+          ...this.describe(config.deviceCode, config),
+          location: config.device?.location || null,
+          connection: config.device?.status || null
+        }))
+        .filter(config => !status || config.drift.status === status);
+    } catch (error) {
+      logger.error('Error in getFleetConfig service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the desired configuration of a device. Keys set to null are
+   * removed; other keys are kept.
+   * @param {string} deviceCode - Device code
+   * @param {Object} changes - Partial configuration
+   * @param {string} [updatedBy] - Username of the editing user
+   * @returns {Promise<Object>} Configuration state
+   */
+  async updateDeviceConfig(deviceCode, changes, updatedBy = null) {
+    try {
+      const patch = this.validateChanges(changes);
+      await this.findDevice(deviceCode);
+
+      return await this.applyChanges(deviceCode, patch, updatedBy);
+    } catch (error) {
+      logger.error('Error in updateDeviceConfig service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the desired configuration of the devices of some locations
+   * @param {Object} data - Bulk edit ({ locationIds, deviceCodes, config })
+   * @param {string} [updatedBy] - Username of the editing user
+   * @returns {Promise<Object>} Per-device results
+   */
+  async bulkUpdateConfig({ locationIds = [], deviceCodes = [], config } = {}, updatedBy = null) {
+    try {
+      const patch = this.validateChanges(config);
+
+      if (!Array.isArray(locationIds) || !Array.isArray(deviceCodes) || locationIds.length + deviceCodes.length === 0) {
+        throw createConfigError('locationIds or deviceCodes must list at least one target', 'INVALID_CONFIG_TARGETS', 400);
+      }
+
+      const located = locationIds.length > 0 ? await deviceRepository.findCodesByLocationIds(locationIds) : [];
+      const targets = [...new Set([...located.map(device => device.code), ...deviceCodes])];
+
+      const updated = [];
+      const failed = [];
+
+      for (const deviceCode of targets) {
+        try {
+          await this.findDevice(deviceCode);
+          const state = await this.applyChanges(deviceCode, patch, updatedBy);
+          updated.push({ deviceCode, version: state.desiredVersion, published: state.published, changed: state.changed });
+        } catch (error) {
+          failed.push({ deviceCode, error: error.message });
+        }
+      }
+
+      const locationsWithoutDevice = locationIds.filter(id => !located.some(device => device.locationId === id));
+
+      logger.info(`Bulk device config update: ${updated.length} updated, ${failed.length} failed`, { updatedBy });
+
+      return { updated, failed, locationsWithoutDevice };
+    } catch (error) {
+      logger.error('Error in bulkUpdateConfig service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the configuration a device reports
+   * @param {string} deviceCode - Device code
+   * @param {Object} report - { version, config } or the bare configuration
+   * @returns {Promise<Object>} Configuration state
+   */
+  async recordReported(deviceCode, report) {
+    if (!isPlainObject(report)) {
+      throw createConfigError('Reported config must be an object', 'INVALID_REPORTED_CONFIG', 400);
+    }
+
+    const device = await this.findDevice(deviceCode);
+
+    if (device.provisioningStatus === 'REJECTED') {
+      throw createConfigError('Device is rejected', 'DEVICE_REJECTED', 409);
+    }
+
+    const reported = isPlainObject(report.config) ? report.config : report;
+    const version = Number.isInteger(report.version) ? report.version : null;
+
+    const config = await deviceConfigRepository.saveReported(deviceCode, reported, version);
+
+    return this.describe(deviceCode, config);
+  }
+
+  /**
+   * Apply a flat patch to the stored desired configuration. Nothing is saved
+   * or published when the patch changes nothing, and the change is refused
+   * when another one was saved since the configuration was read.
+   * @param {string} deviceCode - Device code
+   * @param {Object} patch - Flat patch
+   * @param {string} [updatedBy] - Username of the editing user
+   * @returns {Promise<Object>} Configuration state with published and changed flags
+   */
+  async applyChanges(deviceCode, patch, updatedBy) {
+    const current = await deviceConfigRepository.findByDeviceCode(deviceCode);
+    const previous = flatten(current?.desired);
+    const desired = { ...previous };
+
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value !== null) {
+        desired[key] = value;
+        return;
+      }
+
+      // null removes the key, or every key of a group
+      Object.keys(desired)
+        .filter(path => path === key || path.startsWith(`${key}.`))
+        .forEach(path => delete desired[path]);
+    });
+
+    if (isSameConfig(previous, desired)) {
+      return {
+        ...this.describe(deviceCode, current),
+        published: current ? current.publishedVersion === current.desiredVersion : false,
+        changed: false
+      };
+    }
+
+    const saved = await deviceConfigRepository.saveDesired(deviceCode, unflatten(desired), updatedBy, current ? current.desiredVersion : null);
+
+    if (!saved) {
+      throw createConfigError('Device config was changed by another request, reload and try again', 'CONFIG_VERSION_CONFLICT', 409);
+    }
+
+    const published = await this.publish(saved);
+
+    return {
+      ...this.describe(deviceCode, published || saved),
+      published: Boolean(published),
+      changed: true
+    };
+  }
+
+  /**
+   * Publish the desired configuration as a retained message
+   * @param {Object} config - Stored configuration
+   * @returns {Promise<Object|null>} Updated configuration or null when not connected
+   */
+  async publish(config) {
+    if (!this.client?.connected) {
+      return null;
+    }
+
+    const message = {
+      version: config.desiredVersion,
+      config: config.desired || {},
+      updatedAt: new Date(config.updatedAt || Date.now()).toISOString()
+    };
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.client.publish(`binatra-device/${config.deviceCode}/config`, JSON.stringify(message), { qos: 1, retain: true }, (error) => {
+          if (error) reject(error);
+          else resolve();
+        });
+      });
+
+      return await deviceConfigRepository.markPublished(config.deviceCode, config.desiredVersion);
+    } catch (error) {
+      logger.error(`Error publishing config of device ${config.deviceCode}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Check a partial configuration against the known keys
+   * @param {Object} changes - Partial configuration
+   * @returns {Object} Flat patch
+   */
+  validateChanges(changes) {
+    if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+      throw createConfigError('config must be a non-empty object', 'INVALID_DEVICE_CONFIG', 400);
+    }
+
+    const patch = flatten(changes);
+    const errors = [];
+
+    Object.entries(patch).forEach(([key, value]) => {
+      const isGroup = Object.keys(CONFIG_FIELDS).some(field => field.startsWith(`${key}.`));
+
+      if (value === null && isGroup) return;
+
+      // Own keys only, so constructor or toString are not configurable
+      if (!Object.hasOwn(CONFIG_FIELDS, key)) {
+        errors.push(`${key} is not a configurable key`);
+        return;
+      }
+
+      const problem = value === null ? null : CONFIG_FIELDS[key](value);
+      if (problem) errors.push(`${key} ${problem}`);
+    });
+
+    if (errors.length > 0) {
+      throw createConfigError('Invalid device config', 'INVALID_DEVICE_CONFIG', 400, errors);
+    }
+
+    return patch;
+  }
+
+  /**
+   * Compare desired and reported configuration
+   * @param {Object|null} desired - Desired configuration
+   * @param {Object|null} reported - Reported configuration
+   * @returns {Object} { status, differences }
+   */
+  computeDrift(desired, reported) {
+    if (!desired) return { status: 'UNMANAGED', differences: [] };
+    if (!reported) return { status: 'UNREPORTED', differences: [] };
+
+    const flatDesired = flatten(desired);
+    const flatReported = flatten(reported);
+
+    const differences = Object.keys(flatDesired)
+      .filter(key => JSON.stringify(flatDesired[key]) !== JSON.stringify(flatReported[key]))
+      .map(key => ({ key, desired: flatDesired[key], reported: flatReported[key] ?? null }));
+
+    return { status: differences.length > 0 ? 'DRIFTED' : 'IN_SYNC', differences };
+  }
+
+  describe(deviceCode, config) {
+    return {
+      deviceCode,
+      desired: config?.desired || null,
+      desiredVersion: config?.desiredVersion || 0,
+      publishedVersion: config?.publishedVersion ?? null,
+      publishedAt: config?.publishedAt || null,
+      reported: config?.reported || null,
+      reportedVersion: config?.reportedVersion ?? null,
+      reportedAt: config?.reportedAt || null,
+      updatedBy: config?.updatedBy || null,
+      drift: this.computeDrift(config?.desired, config?.reported)
+    };
+  }
+
+  async findDevice(deviceCode) {
+    const device = await deviceRepository.findByCode(deviceCode);
+
+    if (!device) {
+      throw createConfigError('Device not found', 'DEVICE_NOT_FOUND', 404);
+    }
+
+    return device;
+  }
+}
+
+export const deviceConfigService = new DeviceConfigService();
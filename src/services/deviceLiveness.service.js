@@ -0,0 +1,181 @@
+import { monitoringConfig } from '../config/monitoring.js';
+import logger from '../utils/logger.js';
+
+// Weight of a new gap in the learned interval
+const LEARNING_RATE = 0.3;
+
+// Gaps shorter than this come from a retransmitted heartbeat
+const MIN_GAP_SECONDS = 2;
+
+const MIN_INTERVAL_SECONDS = 5;
+const MAX_INTERVAL_SECONDS = 24 * 60 * 60;
+
+const createSettingsError = (message, details) => {
+  const error = new Error(message);
+  error.code = 'INVALID_MONITORING_SETTINGS';
+  error.statusCode = 400;
+  if (details) error.details = details;
+  return error;
+};
+
+const SETTING_CHECKS = {
+  defaultIntervalSeconds: (value) => Number.isInteger(value) && value >= MIN_INTERVAL_SECONDS && value <= MAX_INTERVAL_SECONDS
+    ? null : `must be an integer between ${MIN_INTERVAL_SECONDS} and ${MAX_INTERVAL_SECONDS}`,
+  lateMultiplier: (value) => typeof value === 'number' && value >= 1 ? null : 'must be a number >= 1',
+  offlineMultiplier: (value) => typeof value === 'number' && value >= 1 ? null : 'must be a number >= 1',
+  checkIntervalSeconds: (value) => Number.isInteger(value) && value >= 5 && value <= 3600
+    ? null : 'must be an integer between 5 and 3600'
+};
+
+/**
+ * DeviceLiveness Service
+ * Decides when a device is LATE or DISCONNECTED from its own expected
+ * reporting interval, in this order:
+ *
+ *   1. heartbeatIntervalSeconds of its desired device config
+ *   2. the interval learned from the gaps between its heartbeats
+ *   3. the default interval
+ *
+ * The learned interval is a moving average of the gaps. A single gap counts
+ * at most twice the current estimate, so missed heartbeats and outages only
+ * nudge it while a device that really slowed down is followed within a few
+ * heartbeats. Sensor messages only count for lastSeen: devices that send
+ * readings more often than heartbeats would otherwise teach it their
+ * sampling rate.
+ *
+ * Settings changed through updateSettings() live in memory only; a restart
+ * goes back to the DEVICE_* environment variables.
+ */
+class DeviceLivenessService {
+  constructor() {
+    this.settings = { ...monitoringConfig };
+    this.listeners = [];
+  }
+
+  /**
+   * Get the current monitoring settings
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Change monitoring settings until the next restart
+   * @param {Object} changes - Partial settings
+   * @returns {Object} Settings
+   */
+  updateSettings(changes = {}) {
+    const entries = Object.entries(changes || {});
+    const errors = [];
+
+    if (entries.length === 0) {
+      throw createSettingsError('At least one setting is required');
+    }
+
+    entries.forEach(([key, value]) => {
+      if (!SETTING_CHECKS[key]) {
+        errors.push(`${key} is not a monitoring setting`);
+        return;
+      }
+
+      const problem = SETTING_CHECKS[key](value);
+      if (problem) errors.push(`${key} ${problem}`);
+    });
+
+    const next = { ...this.settings, ...changes };
+
+    if (errors.length === 0 && next.offlineMultiplier <= next.lateMultiplier) {
+      errors.push('offlineMultiplier must be greater than lateMultiplier');
+    }
+
+    if (errors.length > 0) {
+      throw createSettingsError('Invalid monitoring settings', errors);
+    }
+
+    this.settings = next;
+    logger.info('Device monitoring settings updated', this.settings);
+
+    this.listeners.forEach(listener => listener(this.getSettings()));
+
+    return this.getSettings();
+  }
+
+  /**
+   * Register a callback for settings changes
+   * @param {Function} listener - Receives the new settings
+   */
+  onSettingsChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Update the learned interval of a device with a new heartbeat
+   * @param {Object} device - Device before the heartbeat ({ lastHeartbeatAt, observedIntervalSeconds })
+   * @param {Date} timestamp - Time of the heartbeat
+   * @returns {number|undefined} New learned interval, undefined when unchanged
+   */
+  learnInterval(device, timestamp) {
+    if (!device?.lastHeartbeatAt) return undefined;
+
+    const gap = (new Date(timestamp) - new Date(device.lastHeartbeatAt)) / 1000;
+
+    if (!(gap >= MIN_GAP_SECONDS)) return undefined;
+
+    const current = device.observedIntervalSeconds;
+    const sample = current ? Math.min(gap, current * 2) : gap;
+    const learned = current ? current + LEARNING_RATE * (sample - current) : sample;
+
+    return Math.round(Math.min(MAX_INTERVAL_SECONDS, Math.max(MIN_INTERVAL_SECONDS, learned)));
+  }
+
+  /**
+   * Get the expected reporting interval of a device
+   * @param {Object} device - Device with its config ({ observedIntervalSeconds, config })
+   * @returns {Object} { intervalSeconds, source }
+   */
+  resolveInterval(device) {
+    const configured = device?.config?.desired?.heartbeatIntervalSeconds;
+
+    if (Number.isInteger(configured) && configured > 0) {
+      return { intervalSeconds: configured, source: 'config' };
+    }
+
+    if (device?.observedIntervalSeconds) {
+      return { intervalSeconds: device.observedIntervalSeconds, source: 'learned' };
+    }
+
+    return { intervalSeconds: this.settings.defaultIntervalSeconds, source: 'default' };
+  }
+
+  /**
+   * Describe when a device counts as late and offline
+   * @param {Object} device - Device with its config
+   * @param {Date} [now] - Reference time
+   * @returns {Object} Interval, thresholds and the status the device should have
+   */
+  describe(device, now = new Date()) {
+    const { intervalSeconds, source } = this.resolveInterval(device);
+    const lateAfterSeconds = Math.round(intervalSeconds * this.settings.lateMultiplier);
+    const offlineAfterSeconds = Math.round(intervalSeconds * this.settings.offlineMultiplier);
+    const silentSeconds = device?.lastSeen ? Math.max(0, Math.round((now - new Date(device.lastSeen)) / 1000)) : null;
+
+    let expectedStatus = 'CONNECTED';
+    if (silentSeconds === null || silentSeconds >= offlineAfterSeconds) {
+      expectedStatus = 'DISCONNECTED';
+    } else if (silentSeconds >= lateAfterSeconds) {
+      expectedStatus = 'LATE';
+    }
+
+    return {
+      intervalSeconds,
+      source,
+      lateAfterSeconds,
+      offlineAfterSeconds,
+      silentSeconds,
+      expectedStatus
+    };
+  }
+}
+
+export const deviceLivenessService = new DeviceLivenessService();
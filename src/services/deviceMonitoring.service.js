@@ -1,26 +1,37 @@
 import { deviceService } from '../services/device.service.js';
+import { deviceLivenessService } from './deviceLiveness.service.js';
 import logger from '../utils/logger.js';
 
 class DeviceMonitoringService {
   constructor(io) {
     this.io = io;
-    this.heartbeatTimeout = 5; // minutes
-    this.checkInterval = 2; // minutes
     this.intervalId = null;
+
+    // Restart the check with a changed check interval
+    deviceLivenessService.onSettingsChange(() => {
+      if (this.intervalId) {
+        this.stop();
+        this.start();
+      }
+    });
   }
 
   /**
    * Start the device monitoring service
    */
   start() {
+    if (this.intervalId) return;
+
     logger.info('Starting device monitoring service...');
-    
-    // Check for offline devices every 2 minutes
+
+    const { checkIntervalSeconds, lateMultiplier, offlineMultiplier } = deviceLivenessService.getSettings();
+
     this.intervalId = setInterval(() => {
       this.checkOfflineDevices();
-    }, this.checkInterval * 60 * 1000);
+    }, checkIntervalSeconds * 1000);
 
-    logger.info(`Device monitoring started with ${this.heartbeatTimeout}min timeout, checking every ${this.checkInterval}min`);
+    logger.info(`Device monitoring started: late after ${lateMultiplier}x and offline after ${offlineMultiplier}x ` +
+      `of each device's interval, checking every ${checkIntervalSeconds}s`);
   }
 
   /**
@@ -38,18 +49,33 @@ class DeviceMonitoringService {
    * Handle device heartbeat from MQTT
    * @param {string} deviceCode - Device code
    * @param {Object} heartbeatData - Heartbeat data from device
+   * @param {Object} [options] - { heartbeat: false when called for a sensor message }
    */
-  async handleHeartbeat(deviceCode, heartbeatData = {}) {
+  async handleHeartbeat(deviceCode, heartbeatData = {}, { heartbeat = false } = {}) {
     try {
-      // Ensure device exists (auto-create if needed)
-      await deviceService.ensureDeviceExists({
+      // Ensure device exists (registered as pending if needed)
+      const registered = await deviceService.ensureDeviceExists({
         code: deviceCode,
         description: heartbeatData.description,
         location: heartbeatData.location
       });
 
+      // Rejected devices stay disconnected
+      if (registered.provisioningStatus === 'REJECTED') {
+        logger.debug(`Ignoring heartbeat from rejected device: ${deviceCode}`);
+        return registered;
+      }
+
+      if (registered.isNewDevice) {
+        this.io.emit('device_pending_approval', {
+          deviceCode,
+          description: registered.description,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Update heartbeat
-      const device = await deviceService.updateHeartbeat(deviceCode, new Date());
+      const device = await deviceService.updateHeartbeat(deviceCode, new Date(), { heartbeat });
       
       logger.debug(`Heartbeat received from device: ${deviceCode}`);
       
@@ -64,23 +90,32 @@ class DeviceMonitoringService {
   }
 
   /**
-   * Check for offline devices and update their status
+   * Check for late and offline devices and update their status
    */
   async checkOfflineDevices() {
     try {
-      const offlineDevices = await deviceService.checkAndUpdateOfflineDevices(this.heartbeatTimeout);
-      
-      if (offlineDevices.length > 0) {
-        logger.info(`Found ${offlineDevices.length} devices that went offline`);
-        
+      const { late, disconnected } = await deviceService.updateLiveness();
+
+      if (late.length > 0) {
+        logger.info(`Found ${late.length} devices that missed their heartbeat`);
+
+        for (const device of late) {
+          this.emitDeviceStatusChange(device, 'late');
+        }
+      }
+
+      if (disconnected.length > 0) {
+        logger.info(`Found ${disconnected.length} devices that went offline`);
+
         // Emit status changes for each offline device
-        for (const device of offlineDevices) {
-          this.emitDeviceStatusChange({
-            ...device,
-            status: 'DISCONNECTED'
-          }, 'timeout');
+        for (const device of disconnected) {
+          this.emitDeviceStatusChange(device, 'timeout');
         }
       }
+
+      if (late.length + disconnected.length > 0) {
+        this.io.emit('device_status_summary', await this.getStatusSummary());
+      }
     } catch (error) {
       logger.error('Error checking offline devices:', error);
     }
@@ -95,7 +130,9 @@ class DeviceMonitoringService {
     const statusData = {
       deviceCode: device.code,
       status: device.status,
+      provisioningStatus: device.provisioningStatus,
       lastSeen: device.lastSeen,
+      expectedIntervalSeconds: device.liveness?.intervalSeconds,
       timestamp: new Date().toISOString(),
       reason
     };
@@ -129,7 +166,7 @@ class DeviceMonitoringService {
    */
   async forceStatusUpdate(deviceCode, status, reason = 'manual') {
     try {
-      const device = await deviceService.updateStatus(deviceCode, status);
+      const device = await deviceService.updateStatus(deviceCode, status, new Date(), reason);
       this.emitDeviceStatusChange(device, reason);
       return device;
     } catch (error) {
@@ -139,28 +176,11 @@ class DeviceMonitoringService {
   }
 
   /**
-   * Set heartbeat timeout (in minutes)
-   * @param {number} minutes - Timeout in minutes
+   * Get the monitoring settings
+   * @returns {Object} Settings
    */
-  setHeartbeatTimeout(minutes) {
-    this.heartbeatTimeout = minutes;
-    logger.info(`Heartbeat timeout updated to ${minutes} minutes`);
-  }
-
-  /**
-   * Set check interval (in minutes)
-   * @param {number} minutes - Check interval in minutes
-   */
-  setCheckInterval(minutes) {
-    this.checkInterval = minutes;
-    
-    // Restart the interval with new timing
-    if (this.intervalId) {
-      this.stop();
-      this.start();
-    }
-    
-    logger.info(`Check interval updated to ${minutes} minutes`);
+  getSettings() {
+    return deviceLivenessService.getSettings();
   }
 }
 
@@ -0,0 +1,290 @@
+import { randomUUID } from 'crypto';
+import { deviceRepository } from '../repositories/device.repository.js';
+import { locationRepository } from '../repositories/location.repository.js';
+import { quarantineRepository } from '../repositories/quarantine.repository.js';
+import { locationService } from './location.service.js';
+import { sensorRollupService } from './sensorRollup.service.js';
+import { sensorValidationService, HELD_READING_REASON } from './sensorValidation.service.js';
+import { deviceAvailabilityService } from './deviceAvailability.service.js';
+import logger from '../utils/logger.js';
+
+// What happens to readings of pending devices: hold (default) or discard
+const PENDING_DEVICE_READINGS = process.env.PENDING_DEVICE_READINGS === 'discard' ? 'discard' : 'hold';
+
+// Held readings kept per pending device; later readings are discarded
+const MAX_HELD_READINGS = Number(process.env.PENDING_DEVICE_MAX_HELD) || 10000;
+
+const PROVISIONING_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+// Held readings released per transaction
+const RELEASE_CHUNK_SIZE = 500;
+
+/**
+ * DeviceProvisioning Service
+ * Devices that register themselves over MQTT start as PENDING without a
+ * location. Their readings are held in quarantine (or discarded) so they
+ * never affect a flood status, until an admin approves the device with a
+ * location or rejects it. Rejected devices stay in the table as a blocklist
+ * and everything they send is dropped. At most MAX_HELD_READINGS readings
+ * are held per device, so an unattended device cannot fill the table.
+ */
+class DeviceProvisioningService {
+  constructor() {
+    this.holdMode = PENDING_DEVICE_READINGS;
+  }
+
+  /**
+   * List devices by provisioning status
+   * @param {string} [status] - PENDING (default), APPROVED or REJECTED
+   * @returns {Promise<Array>} Devices
+   */
+  async listDevices(status = 'PENDING') {
+    try {
+      if (!PROVISIONING_STATUSES.includes(status)) {
+        throw this.createProvisioningError(`status must be one of ${PROVISIONING_STATUSES.join(', ')}`, 'INVALID_PROVISIONING_STATUS', 400);
+      }
+
+      return await deviceRepository.findAll({ provisioningStatus: status });
+    } catch (error) {
+      logger.error('Error in listDevices service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold or drop readings of a device that is not approved
+   * @param {Object} device - Device ({ code, provisioningStatus })
+   * @param {Array<Object>} readings - Calibrated readings ({ waterLevel, rainfall, rawWaterLevel, rawRainfall, timestamp })
+   * @returns {Promise<Object>} { action, count, discarded, quarantineIds }
+   */
+  async holdReadings(device, readings) {
+    if (device.provisioningStatus === 'REJECTED' || this.holdMode === 'discard') {
+      return { action: 'discard', count: 0, discarded: readings.length, quarantineIds: [] };
+    }
+
+    const alreadyHeld = await quarantineRepository.countPendingByReason(device.code, HELD_READING_REASON);
+    const toHold = readings.slice(0, Math.max(0, MAX_HELD_READINGS - alreadyHeld)).map(reading => ({
+      id: randomUUID(),
+      deviceCode: device.code,
+      timestamp: reading.timestamp,
+      waterLevel: reading.waterLevel,
+      rainfall: reading.rainfall,
+      rawWaterLevel: reading.rawWaterLevel,
+      rawRainfall: reading.rawRainfall,
+      reason: HELD_READING_REASON,
+      details: 'Device is awaiting provisioning approval'
+    }));
+    const discarded = readings.length - toHold.length;
+
+    if (toHold.length > 0) {
+      await quarantineRepository.createMany(toHold);
+    }
+
+    if (discarded > 0) {
+      logger.warn(`Pending device ${device.code} reached ${MAX_HELD_READINGS} held readings, discarded ${discarded}`);
+    }
+
+    return {
+      action: toHold.length > 0 ? 'hold' : 'discard',
+      count: toHold.length,
+      discarded,
+      quarantineIds: toHold.map(reading => reading.id)
+    };
+  }
+
+  /**
+   * Approve a pending or rejected device and assign it to a location
+   * @param {string} code - Device code
+   * @param {Object} data - Approval data
+   * @param {string} data.locationId - Location the device measures
+   * @param {string} [data.description] - Device description
+   * @param {boolean} [data.releaseHeld] - Move held readings into sensor_logs (default true)
+   * @param {boolean} [data.recompute] - Rebuild the location status history from released readings
+   * @returns {Promise<Object>} { device, released, quarantined, discarded, rollups, statusHistory }
+   */
+  async approveDevice(code, { locationId, description, releaseHeld = true, recompute = false } = {}) {
+    try {
+      const device = await this.findDevice(code);
+
+      if (device.provisioningStatus === 'APPROVED') {
+        throw this.createProvisioningError('Device is already approved', 'DEVICE_ALREADY_APPROVED', 409);
+      }
+
+      if (!locationId) {
+        throw this.createProvisioningError('locationId is required to approve a device', 'LOCATION_REQUIRED', 400);
+      }
+
+      const location = await locationRepository.findById(locationId);
+
+      if (!location) {
+        throw this.createProvisioningError('Location not found', 'LOCATION_NOT_FOUND', 404);
+      }
+
+      if (location.device) {
+        throw this.createProvisioningError(`Location already has device ${location.device.code}`, 'LOCATION_HAS_DEVICE', 409);
+      }
+
+      // The device only counts as approved once its held readings are
+      // released, so a failed release leaves it pending and the approval can
+      // be retried; readings released before are not released again.
+      const held = releaseHeld ? await this.releaseHeldReadings(code) : null;
+
+      const approved = await deviceRepository.updateProvisioning(code, {
+        provisioningStatus: 'APPROVED',
+        provisionedAt: new Date(),
+        rejectionReason: null,
+        locationId,
+        description
+      });
+
+      const result = { device: approved, released: 0, quarantined: 0, discarded: 0, rollups: null, statusHistory: null };
+
+      if (releaseHeld) {
+        // Readings held while the first release ran
+        const late = await this.releaseHeldReadings(code);
+        const times = [held.from, held.to, late.from, late.to].filter(Boolean).map(time => time.getTime());
+
+        result.released = held.released + late.released;
+        result.quarantined = held.quarantined + late.quarantined;
+
+        if (times.length > 0) {
+          const from = new Date(Math.min(...times));
+          const to = new Date(Math.max(...times));
+
+          result.rollups = await sensorRollupService.refreshDevice(code, from, to);
+          result.statusHistory = recompute
+            ? await locationService.recomputeStatusHistory(code, from, to, 'Reconstructed from readings held during provisioning')
+            : null;
+        }
+      } else {
+        result.discarded = await quarantineRepository.discardPendingByReason(code, HELD_READING_REASON);
+      }
+
+      logger.info(`Device ${code} approved for location ${location.name}`, {
+        released: result.released,
+        quarantined: result.quarantined,
+        discarded: result.discarded
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Error in approveDevice service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a device. It keeps its row as a blocklist entry, loses its
+   * location and its held readings are discarded.
+   * @param {string} code - Device code
+   * @param {Object} [data] - Rejection data
+   * @param {string} [data.reason] - Why the device was rejected
+   * @returns {Promise<Object>} { device, discarded }
+   */
+  async rejectDevice(code, { reason = null } = {}) {
+    try {
+      const device = await this.findDevice(code);
+
+      if (device.provisioningStatus === 'REJECTED') {
+        throw this.createProvisioningError('Device is already rejected', 'DEVICE_ALREADY_REJECTED', 409);
+      }
+
+      const rejected = await deviceRepository.updateProvisioning(code, {
+        provisioningStatus: 'REJECTED',
+        provisionedAt: new Date(),
+        rejectionReason: reason,
+        locationId: null,
+        status: 'DISCONNECTED'
+      });
+
+      await deviceAvailabilityService.recordTransitions([{
+        deviceCode: code,
+        previousStatus: device.status,
+        newStatus: 'DISCONNECTED',
+        reason: 'rejected'
+      }]);
+
+      const discarded = await quarantineRepository.discardPendingByReason(code, HELD_READING_REASON);
+
+      logger.warn(`Device ${code} rejected`, { reason, discarded });
+
+      return { device: rejected, discarded };
+    } catch (error) {
+      logger.error('Error in rejectDevice service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the held readings of a device being approved to sensor_logs. Held
+   * readings were never validated, so they are range checked against the
+   * device limits first; the delta and outlier checks only apply to live
+   * readings. Readings out of range stay in quarantine for review. Only
+   * readings still pending are moved, so the release can be repeated.
+   * @param {string} code - Device code
+   * @returns {Promise<Object>} { released, quarantined, from, to } with the time range of the released readings
+   */
+  async releaseHeldReadings(code) {
+    const device = await this.findDevice(code);
+    const pending = await quarantineRepository.findPendingByReason(code, HELD_READING_REASON);
+    const held = [];
+    let quarantined = 0;
+
+    for (const reading of pending) {
+      const rangeProblems = sensorValidationService.checkRange(device, reading);
+
+      if (rangeProblems.length > 0) {
+        await quarantineRepository.updateReason(reading.id, { reason: 'OUT_OF_RANGE', details: rangeProblems.join('; ') });
+        quarantined++;
+      } else {
+        held.push(reading);
+      }
+    }
+
+    if (held.length === 0) {
+      return { released: 0, quarantined, from: null, to: null };
+    }
+
+    let released = 0;
+    for (let i = 0; i < held.length; i += RELEASE_CHUNK_SIZE) {
+      released += await quarantineRepository.releaseMany(held.slice(i, i + RELEASE_CHUNK_SIZE).map(reading => ({
+        quarantineId: reading.id,
+        log: {
+          id: randomUUID(),
+          deviceCode: code,
+          waterLevel: reading.waterLevel,
+          rainfall: reading.rainfall,
+          rawWaterLevel: reading.rawWaterLevel,
+          rawRainfall: reading.rawRainfall,
+          timestamp: reading.timestamp
+        }
+      })));
+    }
+
+    return {
+      released,
+      quarantined,
+      from: new Date(held[0].timestamp),
+      to: new Date(held[held.length - 1].timestamp)
+    };
+  }
+
+  async findDevice(code) {
+    const device = await deviceRepository.findByCode(code);
+
+    if (!device) {
+      throw this.createProvisioningError('Device not found', 'DEVICE_NOT_FOUND', 404);
+    }
+
+    return device;
+  }
+
+  createProvisioningError(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export const deviceProvisioningService = new DeviceProvisioningService();
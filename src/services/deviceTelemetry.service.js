@@ -0,0 +1,371 @@
+import { deviceRepository } from '../repositories/device.repository.js';
+import { deviceTelemetryRepository } from '../repositories/deviceTelemetry.repository.js';
+import { telemetryConfig } from '../config/telemetry.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported trend intervals in seconds
+const HEALTH_INTERVALS = {
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+// Range used when `from` is omitted
+const HEALTH_DEFAULT_RANGES = {
+  '5m': 24 * 60 * 60,
+  '1h': 7 * 24 * 60 * 60,
+  '1d': 30 * 24 * 60 * 60
+};
+
+const MAX_HEALTH_BUCKETS = 2000;
+
+// Heartbeat keys per field, long name first, with the accepted range
+const TELEMETRY_FIELDS = {
+  batteryVoltage: { keys: ['batteryVoltage', 'battery', 'vbat'], min: 0, max: 60 },
+  solarCharge: { keys: ['solarCharge', 'solar'], min: 0, max: 100000 },
+  rssi: { keys: ['rssi', 'signal'], min: -150, max: 0, integer: true },
+  temperature: { keys: ['temperature', 'temp'], min: -50, max: 120 }
+};
+
+// Field and limits of each alert; an alert raises below its threshold and
+// clears at clearAt
+const ALERTS = {
+  lowBattery: {
+    field: 'batteryVoltage',
+    threshold: telemetryConfig.lowBatteryVoltage,
+    clearAt: telemetryConfig.lowBatteryVoltage + telemetryConfig.batteryRecoveryMargin
+  },
+  weakSignal: {
+    field: 'rssi',
+    threshold: telemetryConfig.weakSignalRssi,
+    clearAt: telemetryConfig.weakSignalRssi + telemetryConfig.signalRecoveryMargin
+  }
+};
+
+const createTelemetryError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value) => value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100;
+
+/**
+ * DeviceTelemetry Service
+ * Stores the health fields of heartbeats as time series:
+ *
+ *   { "batteryVoltage": 3.92, "solarCharge": 120, "rssi": -87, "temperature": 41.5, ... }
+ *
+ * ("battery"/"vbat", "solar", "signal" and "temp" are accepted as short
+ * names). Values outside a plausible range are dropped. A low battery or a
+ * weak signal raises an alert when it starts and again every alertRepeatMs
+ * while it lasts; it clears once the value is back above its threshold plus
+ * a recovery margin, so a value hovering around the threshold does not flap.
+ * The alert state of a device is rebuilt from its stored samples on its
+ * first heartbeat after a restart.
+ */
+class DeviceTelemetryService {
+  constructor() {
+    // Active alerts per device ({ lowBattery, weakSignal } -> { since, notifiedAt })
+    this.alerts = new Map();
+
+    this.stats = {
+      samples: 0,
+      droppedValues: 0,
+      alerts: 0
+    };
+  }
+
+  /**
+   * Store the health fields of a heartbeat and check them against the thresholds
+   * @param {Object} device - Device that sent the heartbeat
+   * @param {Object} payload - Heartbeat payload
+   * @returns {Promise<Object|null>} { telemetry, alerts, recovered }, or null without health fields
+   */
+  async recordHeartbeat(device, payload = {}) {
+    if (!device || device.provisioningStatus === 'REJECTED') return null;
+
+    const values = this.parse(device.code, payload);
+
+    if (!values) return null;
+
+    try {
+      if (!this.alerts.has(device.code)) {
+        this.alerts.set(device.code, await this.restoreAlerts(device.code));
+      }
+
+      const telemetry = await deviceTelemetryRepository.create({ deviceCode: device.code, ...values });
+      this.stats.samples++;
+
+      return { telemetry, ...this.evaluate(device.code, values) };
+    } catch (error) {
+      logger.error(`Error recording telemetry of device ${device.code}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the latest health values of a device with trends over a range
+   * @param {string} deviceCode - Device code
+   * @param {Object} [options] - { interval (5m, 1h or 1d), from, to }
+   * @returns {Promise<Object>} Health summary
+   */
+  async getHealth(deviceCode, { interval = '1h', from, to } = {}) {
+    try {
+      const device = await deviceRepository.findByCode(deviceCode);
+
+      if (!device) {
+        throw createTelemetryError('Device not found', 'DEVICE_NOT_FOUND', 404);
+      }
+
+      const intervalSeconds = HEALTH_INTERVALS[interval];
+      if (!intervalSeconds) {
+        throw createTelemetryError(`interval must be one of ${Object.keys(HEALTH_INTERVALS).join(', ')}`, 'INVALID_INTERVAL', 400);
+      }
+
+      const intervalMs = intervalSeconds * 1000;
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - HEALTH_DEFAULT_RANGES[interval] * 1000);
+
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+        throw createTelemetryError('from and to must be valid dates, from before to', 'INVALID_DATE_RANGE', 400);
+      }
+
+      // Expand the range to whole buckets; `to` is exclusive
+      const firstBucket = Math.floor(start.getTime() / intervalMs);
+      const lastBucket = Math.max(firstBucket, Math.ceil(end.getTime() / intervalMs) - 1);
+
+      if (lastBucket - firstBucket + 1 > MAX_HEALTH_BUCKETS) {
+        throw createTelemetryError(
+          `Range contains more than ${MAX_HEALTH_BUCKETS} buckets; use a larger interval or a shorter range`,
+          'TOO_MANY_BUCKETS',
+          400
+        );
+      }
+
+      const [latest, rows] = await Promise.all([
+        deviceTelemetryRepository.findLatest(deviceCode),
+        deviceTelemetryRepository.aggregateByInterval(
+          deviceCode,
+          new Date(firstBucket * intervalMs),
+          new Date((lastBucket + 1) * intervalMs),
+          intervalSeconds
+        )
+      ]);
+
+      const byBucket = new Map(rows.map(row => [Number(row.bucket), row]));
+      const buckets = [];
+
+      for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+        buckets.push(this.formatBucket(bucket, intervalMs, byBucket.get(bucket)));
+      }
+
+      return {
+        deviceCode,
+        status: device.status,
+        latest: latest || null,
+        alerts: this.describeAlerts(deviceCode, latest),
+        thresholds: {
+          lowBatteryVoltage: telemetryConfig.lowBatteryVoltage,
+          weakSignalRssi: telemetryConfig.weakSignalRssi
+        },
+        trend: this.computeTrend(buckets, latest),
+        interval,
+        buckets
+      };
+    } catch (error) {
+      logger.error('Error in getHealth service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the health fields of a heartbeat
+   * @param {string} deviceCode - Device code
+   * @param {Object} payload - Heartbeat payload
+   * @returns {Object|null} Values, or null when the heartbeat has none
+   */
+  parse(deviceCode, payload) {
+    const values = {};
+
+    Object.entries(TELEMETRY_FIELDS).forEach(([field, { keys, min, max, integer }]) => {
+      const key = keys.find(name => payload[name] !== undefined && payload[name] !== null && payload[name] !== '');
+      if (!key) return;
+
+      const value = Number(payload[key]);
+
+      if (!Number.isFinite(value) || value < min || value > max) {
+        this.stats.droppedValues++;
+        logger.debug(`Dropping implausible ${field} ${payload[key]} from device ${deviceCode}`);
+        return;
+      }
+
+      values[field] = integer ? Math.round(value) : value;
+    });
+
+    return Object.keys(values).length > 0 ? values : null;
+  }
+
+  /**
+   * Update the alert state of a device
+   * @param {string} deviceCode - Device code
+   * @param {Object} values - Parsed telemetry
+   * @returns {Object} { alerts, recovered } raised and cleared by these values
+   */
+  evaluate(deviceCode, values) {
+    const state = this.alerts.get(deviceCode) || {};
+    const now = Date.now();
+    const alerts = [];
+    const recovered = [];
+
+    Object.entries(ALERTS)
+      .filter(([, { field }]) => values[field] !== undefined)
+      .forEach(([type, { field, threshold, clearAt }]) => {
+        const value = values[field];
+        const active = state[type];
+
+        if (value < threshold) {
+          if (!active || now - active.notifiedAt >= telemetryConfig.alertRepeatMs) {
+            state[type] = { since: active?.since || now, notifiedAt: now };
+            alerts.push({ type, value, threshold, since: new Date(state[type].since).toISOString(), repeated: Boolean(active) });
+            this.stats.alerts++;
+          }
+        } else if (active && value >= clearAt) {
+          delete state[type];
+          recovered.push({ type, value, threshold });
+        }
+      });
+
+    this.alerts.set(deviceCode, state);
+
+    return { alerts, recovered };
+  }
+
+  /**
+   * Rebuild the alert state of a device from its stored samples by replaying
+   * evaluate(): an alert started with the first low sample after the last
+   * recovered one and was repeated with the first low sample at least
+   * alertRepeatMs after the previous notification
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object>} Alert state ({ lowBattery, weakSignal } -> { since, notifiedAt })
+   */
+  async restoreAlerts(deviceCode) {
+    const state = {};
+
+    for (const [type, { field, threshold, clearAt }] of Object.entries(ALERTS)) {
+      const recovered = await deviceTelemetryRepository.findLatestAtLeast(deviceCode, field, clearAt);
+      const first = await deviceTelemetryRepository.findFirstBelow(deviceCode, field, threshold, recovered?.recordedAt);
+
+      if (!first) continue;
+
+      let notifiedAt;
+      let next = first;
+
+      while (next) {
+        notifiedAt = next.recordedAt.getTime();
+        next = await deviceTelemetryRepository.findFirstBelow(
+          deviceCode,
+          field,
+          threshold,
+          new Date(notifiedAt + telemetryConfig.alertRepeatMs)
+        );
+      }
+
+      state[type] = { since: first.recordedAt.getTime(), notifiedAt };
+    }
+
+    if (Object.keys(state).length > 0) {
+      logger.info(`Restored telemetry alerts of device ${deviceCode}`, { alerts: Object.keys(state) });
+    }
+
+    return state;
+  }
+
+  describeAlerts(deviceCode, latest) {
+    const state = this.alerts.get(deviceCode) || {};
+
+    return {
+      lowBattery: Boolean(state.lowBattery) || (latest?.batteryVoltage ?? Infinity) < telemetryConfig.lowBatteryVoltage,
+      weakSignal: Boolean(state.weakSignal) || (latest?.rssi ?? Infinity) < telemetryConfig.weakSignalRssi
+    };
+  }
+
+  /**
+   * Fit a line through the average battery voltage of the buckets
+   * @param {Array} buckets - Formatted buckets
+   * @param {Object|null} latest - Newest sample
+   * @returns {Object} { batteryVoltagePerDay, hoursToLowBattery }
+   */
+  computeTrend(buckets, latest) {
+    const points = buckets
+      .filter(bucket => bucket.batteryVoltage.avg !== null)
+      .map(bucket => ({ x: new Date(bucket.start).getTime() / DAY_MS, y: bucket.batteryVoltage.avg }));
+
+    if (points.length < 2) {
+      return { batteryVoltagePerDay: null, hoursToLowBattery: null };
+    }
+
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+    const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+
+    const voltage = latest?.batteryVoltage;
+    const hoursToLowBattery = slope < 0 && voltage > telemetryConfig.lowBatteryVoltage
+      ? round((voltage - telemetryConfig.lowBatteryVoltage) / -slope * 24)
+      : null;
+
+    return {
+      batteryVoltagePerDay: Math.round(slope * 1000) / 1000,
+      hoursToLowBattery
+    };
+  }
+
+  formatBucket(bucket, intervalMs, row) {
+    return {
+      start: new Date(bucket * intervalMs).toISOString(),
+      end: new Date((bucket + 1) * intervalMs).toISOString(),
+      count: row ? Number(row.count) : 0,
+      batteryVoltage: {
+        avg: round(row?.batteryVoltageAvg),
+        min: round(row?.batteryVoltageMin),
+        max: round(row?.batteryVoltageMax)
+      },
+      solarCharge: {
+        avg: round(row?.solarChargeAvg),
+        max: round(row?.solarChargeMax)
+      },
+      rssi: {
+        avg: round(row?.rssiAvg),
+        min: round(row?.rssiMin)
+      },
+      temperature: {
+        avg: round(row?.temperatureAvg),
+        min: round(row?.temperatureMin),
+        max: round(row?.temperatureMax)
+      }
+    };
+  }
+
+  /**
+   * Get telemetry statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const active = [...this.alerts.values()];
+
+    return {
+      ...this.stats,
+      lowBatteryDevices: active.filter(state => state.lowBattery).length,
+      weakSignalDevices: active.filter(state => state.weakSignal).length,
+      lowBatteryVoltage: telemetryConfig.lowBatteryVoltage,
+      weakSignalRssi: telemetryConfig.weakSignalRssi
+    };
+  }
+}
+
+export const deviceTelemetryService = new DeviceTelemetryService();
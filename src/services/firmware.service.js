@@ -0,0 +1,281 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { firmwareRepository } from '../repositories/firmware.repository.js';
+import { deviceRepository } from '../repositories/device.repository.js';
+import { firmwareRolloutService } from './firmwareRollout.service.js';
+import { firmwareConfig } from '../config/firmware.js';
+import { verifyDownloadToken } from '../utils/firmwareToken.js';
+import logger from '../utils/logger.js';
+
+const VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z._+-]{0,49}$/;
+
+const createFirmwareError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Heartbeat fields, long name first
+const readField = (payload, ...keys) => {
+  const key = keys.find(name => payload[name] !== undefined && payload[name] !== null && payload[name] !== '');
+  return key ? String(payload[key]).slice(0, 50) : null;
+};
+
+/**
+ * Firmware Service
+ * Stores firmware binaries on local disk and keeps the firmware version,
+ * hardware revision and last boot reason of every device from its heartbeats:
+ *
+ *   { "firmwareVersion": "1.4.2", "hardwareRevision": "B", "bootReason": "power_on", ... }
+ *
+ * ("fw" and "hw" are accepted as short names). Devices send bootReason in the
+ * first heartbeat after a boot only. Version changes, hardware changes and
+ * boots are kept in the firmware history of the device.
+ */
+class FirmwareService {
+  /**
+   * Store an uploaded firmware binary
+   * @param {Buffer} buffer - Binary content
+   * @param {Object} data - Metadata ({ version, hardwareRevision, notes })
+   * @param {string} [uploadedBy] - Username of the uploading user
+   * @returns {Promise<Object>} Stored image
+   */
+  async uploadImage(buffer, { version, hardwareRevision, notes } = {}, uploadedBy = null) {
+    try {
+      if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw createFirmwareError('Firmware binary is required (application/octet-stream body)', 'FIRMWARE_MISSING', 400);
+      }
+
+      if (buffer.length > firmwareConfig.maxSizeBytes) {
+        throw createFirmwareError(`Firmware binary exceeds ${firmwareConfig.maxSizeBytes} bytes`, 'FIRMWARE_TOO_LARGE', 413);
+      }
+
+      if (!VERSION_PATTERN.test(version || '')) {
+        throw createFirmwareError('version is required (letters, digits, ".", "_", "+" or "-", at most 50)', 'INVALID_FIRMWARE_VERSION', 400);
+      }
+
+      if (hardwareRevision && !VERSION_PATTERN.test(hardwareRevision)) {
+        throw createFirmwareError('hardwareRevision may only contain letters, digits, ".", "_", "+" or "-"', 'INVALID_HARDWARE_REVISION', 400);
+      }
+
+      const revision = hardwareRevision || null;
+
+      if (await firmwareRepository.findImageByVersion(version, revision)) {
+        throw createFirmwareError(
+          `Firmware ${version} already exists${revision ? ` for hardware ${revision}` : ''}`,
+          'FIRMWARE_EXISTS',
+          409
+        );
+      }
+
+      const sha256 = createHash('sha256').update(buffer).digest('hex');
+      const filename = `${version}_${revision || 'any'}_${sha256.slice(0, 12)}.bin`;
+
+      await fs.promises.mkdir(firmwareConfig.directory, { recursive: true });
+      await fs.promises.writeFile(path.join(firmwareConfig.directory, filename), buffer);
+
+      try {
+        const image = await firmwareRepository.createImage({
+          version,
+          hardwareRevision: revision,
+          filename,
+          size: buffer.length,
+          sha256,
+          downloadToken: randomBytes(24).toString('hex'),
+          notes: notes || null,
+          uploadedBy
+        });
+
+        logger.info(`Firmware ${version} uploaded (${buffer.length} bytes)`, { firmwareId: image.id, uploadedBy });
+
+        return image;
+      } catch (error) {
+        await fs.promises.rm(path.join(firmwareConfig.directory, filename), { force: true });
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error in uploadImage service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List stored firmware images
+   * @returns {Promise<Array>} Images
+   */
+  async listImages() {
+    try {
+      const images = await firmwareRepository.findImages();
+      return images.map(image => this.describeImage(image));
+    } catch (error) {
+      logger.error('Error in listImages service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a firmware image
+   * @param {string} id - Image ID
+   * @returns {Promise<Object>} Image
+   */
+  async getImage(id) {
+    try {
+      return this.describeImage(await this.findImage(id));
+    } catch (error) {
+      logger.error('Error in getImage service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a firmware image that no rollout uses
+   * @param {string} id - Image ID
+   * @returns {Promise<Object>} Deleted image
+   */
+  async deleteImage(id) {
+    try {
+      const image = await this.findImage(id);
+
+      if (image._count?.rollouts > 0) {
+        throw createFirmwareError('Firmware is used by a rollout', 'FIRMWARE_IN_USE', 409);
+      }
+
+      await firmwareRepository.deleteImage(id);
+      await fs.promises.rm(path.join(firmwareConfig.directory, image.filename), { force: true });
+
+      logger.info(`Firmware ${image.version} deleted`, { firmwareId: id });
+
+      return this.describeImage(image);
+    } catch (error) {
+      logger.error('Error in deleteImage service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the file of a firmware download. Devices authenticate with the
+   * short-lived token of their update command.
+   * @param {string} id - Image ID
+   * @param {string} token - Download token
+   * @returns {Promise<Object>} { path, filename, image, deviceCode }
+   */
+  async getDownload(id, token) {
+    const image = await firmwareRepository.findImageById(id);
+    const deviceCode = image ? verifyDownloadToken(image.downloadToken, image.id, token) : null;
+
+    if (!deviceCode) {
+      throw createFirmwareError('Firmware not found', 'FIRMWARE_NOT_FOUND', 404);
+    }
+
+    logger.info(`Firmware ${image.version} downloaded by ${deviceCode}`, { firmwareId: image.id });
+
+    return {
+      path: path.resolve(firmwareConfig.directory, image.filename),
+      filename: `firmware-${image.version}.bin`,
+      image,
+      deviceCode
+    };
+  }
+
+  /**
+   * Record firmware fields of a heartbeat
+   * @param {Object} device - Device before the heartbeat
+   * @param {Object} payload - Heartbeat payload
+   * @returns {Promise<Object|null>} History entry, or null when nothing changed
+   */
+  async recordHeartbeat(device, payload = {}) {
+    if (!device || device.provisioningStatus === 'REJECTED') return null;
+
+    const firmwareVersion = readField(payload, 'firmwareVersion', 'fw');
+    const hardwareRevision = readField(payload, 'hardwareRevision', 'hw');
+    const bootReason = readField(payload, 'bootReason');
+
+    const firmwareChanged = Boolean(firmwareVersion) && firmwareVersion !== device.firmwareVersion;
+    const hardwareChanged = Boolean(hardwareRevision) && hardwareRevision !== device.hardwareRevision;
+
+    if (!firmwareChanged && !hardwareChanged && !bootReason) return null;
+
+    const event = firmwareChanged ? 'FIRMWARE_CHANGED' : hardwareChanged ? 'HARDWARE_CHANGED' : 'BOOT';
+    const previousVersion = device.firmwareVersion || null;
+    const currentVersion = firmwareVersion || previousVersion;
+
+    try {
+      await firmwareRepository.recordDeviceInfo(device.code, {
+        firmwareVersion: currentVersion,
+        hardwareRevision: hardwareRevision || device.hardwareRevision || null,
+        lastBootReason: bootReason || device.lastBootReason || null,
+        firmwareUpdatedAt: firmwareChanged ? new Date() : undefined
+      }, {
+        event,
+        firmwareVersion: currentVersion,
+        previousVersion: firmwareChanged ? previousVersion : null,
+        hardwareRevision: hardwareRevision || device.hardwareRevision || null,
+        bootReason
+      });
+
+      if (firmwareChanged) {
+        logger.info(`Device ${device.code} firmware ${previousVersion || 'unknown'} -> ${firmwareVersion}`);
+      }
+
+      if (currentVersion && (firmwareChanged || bootReason)) {
+        await firmwareRolloutService.confirmVersion(device.code, currentVersion, bootReason);
+      }
+
+      return { event, firmwareVersion: currentVersion, bootReason };
+    } catch (error) {
+      logger.error(`Error recording firmware info of device ${device.code}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the firmware history of a device
+   * @param {string} deviceCode - Device code
+   * @param {Object} [params] - Query parameters ({ limit })
+   * @returns {Promise<Object>} Current firmware and history
+   */
+  async getHistory(deviceCode, params = {}) {
+    try {
+      const device = await deviceRepository.findByCode(deviceCode);
+
+      if (!device) {
+        throw createFirmwareError('Device not found', 'DEVICE_NOT_FOUND', 404);
+      }
+
+      const limit = Math.min(500, Math.max(1, parseInt(params.limit) || 50));
+      const history = await firmwareRepository.findHistory(deviceCode, limit);
+
+      return {
+        deviceCode,
+        firmwareVersion: device.firmwareVersion || null,
+        hardwareRevision: device.hardwareRevision || null,
+        lastBootReason: device.lastBootReason || null,
+        firmwareUpdatedAt: device.firmwareUpdatedAt || null,
+        history
+      };
+    } catch (error) {
+      logger.error('Error in getHistory service:', error);
+      throw error;
+    }
+  }
+
+  async findImage(id) {
+    const image = await firmwareRepository.findImageById(id);
+
+    if (!image) {
+      throw createFirmwareError('Firmware not found', 'FIRMWARE_NOT_FOUND', 404);
+    }
+
+    return image;
+  }
+
+  // The image secret signs the download tokens and is never handed out
+  describeImage(image) {
+    const { downloadToken, _count, ...rest } = image;
+    return { ...rest, rollouts: _count?.rollouts ?? 0 };
+  }
+}
+
+export const firmwareService = new FirmwareService();
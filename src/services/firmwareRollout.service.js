@@ -0,0 +1,603 @@
+import { firmwareRolloutRepository } from '../repositories/firmwareRollout.repository.js';
+import { firmwareRepository } from '../repositories/firmware.repository.js';
+import { deviceCommandRepository } from '../repositories/deviceCommand.repository.js';
+import { deviceCommandService } from './deviceCommand.service.js';
+import { firmwareConfig } from '../config/firmware.js';
+import { createDownloadToken, FIRMWARE_TOKEN_HEADER } from '../utils/firmwareToken.js';
+import logger from '../utils/logger.js';
+
+const ROLLOUT_STATUSES = ['RUNNING', 'HALTED', 'COMPLETED', 'CANCELLED'];
+
+const createRolloutError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parsePercentage = (value) => {
+  const percentage = Number(value);
+
+  if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) {
+    throw createRolloutError('percentage must be an integer between 1 and 100', 'INVALID_ROLLOUT', 400);
+  }
+
+  return percentage;
+};
+
+const parseThreshold = (value) => {
+  if (value === undefined || value === null) return firmwareConfig.rollout.failureThreshold;
+
+  const threshold = Number(value);
+
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw createRolloutError('failureThreshold must be a number between 0 and 1', 'INVALID_ROLLOUT', 400);
+  }
+
+  return threshold;
+};
+
+const parseBatchSize = (value) => {
+  if (value === undefined || value === null) return firmwareConfig.rollout.batchSize;
+
+  const batchSize = Number(value);
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw createRolloutError('batchSize must be a positive integer', 'INVALID_ROLLOUT', 400);
+  }
+
+  return batchSize;
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+/**
+ * FirmwareRollout Service
+ * Rolls a firmware image out to a random share of the eligible devices:
+ * approved, on a matching hardware revision, not on the target version yet
+ * and not part of another unfinished update.
+ *
+ * Connected targets receive an ota_update command, at most batchSize at a
+ * time. An update succeeds when the device reports the target version in a
+ * heartbeat and fails when the command is rejected or not acknowledged, the
+ * device boots on another version, or it does not come back on the target
+ * version within the update timeout. Once minSample updates finished, the
+ * rollout halts by itself when the share of failed updates exceeds its
+ * failure threshold.
+ */
+class FirmwareRolloutService {
+  constructor() {
+    this.intervalId = null;
+    this.notificationEmitter = null;
+    this.running = false;
+
+    this.stats = {
+      sent: 0,
+      succeeded: 0,
+      failed: 0,
+      halted: 0,
+      lastRunAt: null
+    };
+  }
+
+  /**
+   * Start the rollout scheduler
+   * @param {Object} [notificationEmitter] - Emitter for rollout updates
+   */
+  start(notificationEmitter = null) {
+    this.notificationEmitter = notificationEmitter;
+
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.run();
+    }, firmwareConfig.rollout.runInterval);
+
+    logger.info(`Firmware rollout scheduler started, running every ${firmwareConfig.rollout.runInterval / 1000}s`);
+  }
+
+  /**
+   * Stop the rollout scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Firmware rollout scheduler stopped');
+    }
+  }
+
+  /**
+   * Start a rollout of a firmware image
+   * @param {Object} data - Rollout ({ firmwareId, percentage, failureThreshold, batchSize })
+   * @param {string} [createdBy] - Username of the user
+   * @returns {Promise<Object>} Rollout with progress
+   */
+  async createRollout({ firmwareId, percentage, failureThreshold, batchSize } = {}, createdBy = null) {
+    try {
+      const data = {
+        firmwareId,
+        percentage: parsePercentage(percentage),
+        failureThreshold: parseThreshold(failureThreshold),
+        batchSize: parseBatchSize(batchSize),
+        createdBy
+      };
+
+      const image = firmwareId ? await firmwareRepository.findImageById(firmwareId) : null;
+
+      if (!image) {
+        throw createRolloutError('Firmware not found', 'FIRMWARE_NOT_FOUND', 404);
+      }
+
+      if (await firmwareRolloutRepository.findActiveByFirmware(firmwareId)) {
+        throw createRolloutError('Firmware already has an unfinished rollout, expand it instead', 'ROLLOUT_EXISTS', 409);
+      }
+
+      const eligible = await this.findEligible(image);
+
+      if (eligible.length === 0) {
+        throw createRolloutError('No devices are eligible for this firmware', 'NO_ELIGIBLE_DEVICES', 409);
+      }
+
+      const targets = shuffle(eligible).slice(0, Math.ceil(eligible.length * data.percentage / 100));
+
+      const rollout = await firmwareRolloutRepository.create(data, targets.map(device => ({
+        deviceCode: device.code,
+        previousVersion: device.firmwareVersion
+      })));
+
+      logger.info(`Firmware ${image.version} rollout started for ${targets.length} of ${eligible.length} devices`, {
+        rolloutId: rollout.id,
+        createdBy
+      });
+
+      this.emitUpdate(rollout);
+      this.run();
+
+      return await this.getRollout(rollout.id);
+    } catch (error) {
+      logger.error('Error in createRollout service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List rollouts with their progress
+   * @param {Object} [params] - Filters ({ status })
+   * @returns {Promise<Array>} Rollouts
+   */
+  async listRollouts(params = {}) {
+    try {
+      const status = params.status ? String(params.status).toUpperCase() : null;
+      const rollouts = await firmwareRolloutRepository.findAll();
+      const filtered = ROLLOUT_STATUSES.includes(status)
+        ? rollouts.filter(rollout => rollout.status === status)
+        : rollouts;
+
+      return await Promise.all(filtered.map(async rollout => ({
+        ...rollout,
+        progress: this.summarize(await firmwareRolloutRepository.countByStatus(rollout.id))
+      })));
+    } catch (error) {
+      logger.error('Error in listRollouts service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a rollout with its progress and target devices
+   * @param {string} id - Rollout ID
+   * @returns {Promise<Object>} Rollout
+   */
+  async getRollout(id) {
+    try {
+      const rollout = await firmwareRolloutRepository.findById(id, true);
+
+      if (!rollout) {
+        throw createRolloutError('Rollout not found', 'ROLLOUT_NOT_FOUND', 404);
+      }
+
+      const { downloadToken, ...firmware } = rollout.firmware;
+
+      return {
+        ...rollout,
+        firmware,
+        progress: this.summarize(await firmwareRolloutRepository.countByStatus(id))
+      };
+    } catch (error) {
+      logger.error('Error in getRollout service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise the share of devices targeted by a rollout. Devices that became
+   * eligible since the rollout started count towards the new share.
+   * @param {string} id - Rollout ID
+   * @param {Object} data - { percentage }
+   * @returns {Promise<Object>} Rollout
+   */
+  async expandRollout(id, { percentage } = {}) {
+    try {
+      const value = parsePercentage(percentage);
+      const rollout = await firmwareRolloutRepository.findById(id, true);
+
+      if (!rollout) {
+        throw createRolloutError('Rollout not found', 'ROLLOUT_NOT_FOUND', 404);
+      }
+
+      if (rollout.status === 'CANCELLED') {
+        throw createRolloutError('Rollout is cancelled', 'ROLLOUT_CANCELLED', 409);
+      }
+
+      if (value <= rollout.percentage) {
+        throw createRolloutError(`percentage must be above the current ${rollout.percentage}`, 'INVALID_ROLLOUT', 400);
+      }
+
+      const targeted = new Set(rollout.devices.map(device => device.deviceCode));
+      const candidates = (await this.findEligible(rollout.firmware)).filter(device => !targeted.has(device.code));
+      const wanted = Math.ceil((targeted.size + candidates.length) * value / 100) - targeted.size;
+      const added = wanted > 0
+        ? await firmwareRolloutRepository.addDevices(id, shuffle(candidates).slice(0, wanted).map(device => ({
+          deviceCode: device.code,
+          previousVersion: device.firmwareVersion
+        })))
+        : 0;
+
+      // A completed rollout picks up again when devices were added
+      const reopen = rollout.status === 'COMPLETED' && added > 0;
+
+      const updated = await firmwareRolloutRepository.update(id, {
+        percentage: value,
+        status: reopen ? 'RUNNING' : undefined,
+        finishedAt: reopen ? null : undefined
+      });
+
+      logger.info(`Firmware rollout ${id} expanded to ${value}%, ${added} devices added`);
+
+      this.emitUpdate({ ...updated, firmware: rollout.firmware });
+      this.run();
+
+      return await this.getRollout(id);
+    } catch (error) {
+      logger.error('Error in expandRollout service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Halt a running rollout. Updates already sent are still tracked.
+   * @param {string} id - Rollout ID
+   * @param {string} [haltedBy] - Username of the user
+   * @returns {Promise<Object>} Rollout
+   */
+  async haltRollout(id, haltedBy = null) {
+    try {
+      const rollout = await this.findRollout(id, ['RUNNING']);
+
+      await this.halt(rollout, `Halted by ${haltedBy || 'an operator'}`);
+
+      return await this.getRollout(id);
+    } catch (error) {
+      logger.error('Error in haltRollout service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a halted rollout. Failures so far still count, so a rollout
+   * halted for its failure rate needs a higher failureThreshold to go on.
+   * @param {string} id - Rollout ID
+   * @param {Object} [data] - { failureThreshold }
+   * @returns {Promise<Object>} Rollout
+   */
+  async resumeRollout(id, { failureThreshold } = {}) {
+    try {
+      const rollout = await this.findRollout(id, ['HALTED']);
+
+      const updated = await firmwareRolloutRepository.update(id, {
+        status: 'RUNNING',
+        haltReason: null,
+        failureThreshold: failureThreshold === undefined ? undefined : parseThreshold(failureThreshold)
+      });
+
+      logger.info(`Firmware rollout ${id} resumed`);
+
+      this.emitUpdate({ ...updated, firmware: rollout.firmware });
+      this.run();
+
+      return await this.getRollout(id);
+    } catch (error) {
+      logger.error('Error in resumeRollout service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a rollout and skip the devices that did not receive it yet
+   * @param {string} id - Rollout ID
+   * @returns {Promise<Object>} Rollout
+   */
+  async cancelRollout(id) {
+    try {
+      const rollout = await this.findRollout(id, ['RUNNING', 'HALTED']);
+
+      const skipped = await firmwareRolloutRepository.skipPending(id, 'Rollout cancelled');
+      const updated = await firmwareRolloutRepository.update(id, {
+        status: 'CANCELLED',
+        finishedAt: new Date()
+      });
+
+      logger.info(`Firmware rollout ${id} cancelled, ${skipped} devices skipped`);
+
+      this.emitUpdate({ ...updated, firmware: rollout.firmware });
+
+      return await this.getRollout(id);
+    } catch (error) {
+      logger.error('Error in cancelRollout service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Settle the update of a device that reported a firmware version
+   * @param {string} deviceCode - Device code
+   * @param {string} version - Reported firmware version
+   * @param {string|null} bootReason - Boot reason when the device just booted
+   * @returns {Promise<Object|null>} Updated target device, or null
+   */
+  async confirmVersion(deviceCode, version, bootReason = null) {
+    try {
+      const target = await firmwareRolloutRepository.findInFlight(deviceCode);
+
+      if (!target) return null;
+
+      const expected = target.rollout.firmware.version;
+
+      if (version === expected) {
+        return await this.finishDevice(target, 'SUCCEEDED');
+      }
+
+      if (bootReason) {
+        return await this.finishDevice(target, 'FAILED', `Booted on ${version} instead of ${expected} (${bootReason})`);
+      }
+
+      return null;
+    } catch (error) {
+      logger.error(`Error confirming firmware version of device ${deviceCode}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Track sent updates, halt or complete rollouts and send the next batches.
+   * Overlapping calls are skipped.
+   */
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.trackSent(new Date());
+
+      for (const rollout of await firmwareRolloutRepository.findRunning()) {
+        await this.advance(rollout);
+      }
+
+      this.stats.lastRunAt = new Date().toISOString();
+    } catch (error) {
+      logger.error('Error in firmware rollout run:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async trackSent(now) {
+    for (const target of await firmwareRolloutRepository.findSent()) {
+      const command = target.commandId ? await deviceCommandRepository.findById(target.commandId) : null;
+
+      if (command?.status === 'FAILED' || command?.status === 'TIMEOUT') {
+        await this.finishDevice(target, 'FAILED', command.error || 'Update command was not acknowledged');
+      } else if (target.sentAt && now - new Date(target.sentAt) > firmwareConfig.rollout.updateTimeoutMs) {
+        await this.finishDevice(target, 'FAILED', `Did not report ${target.rollout.firmware.version} in time`);
+      }
+    }
+  }
+
+  async advance(rollout) {
+    const progress = this.summarize(await firmwareRolloutRepository.countByStatus(rollout.id));
+
+    if (progress.finished >= firmwareConfig.rollout.minSample && progress.failureRate > rollout.failureThreshold) {
+      await this.halt(rollout, `Failure rate ${Math.round(progress.failureRate * 100)}% exceeded ` +
+        `${Math.round(rollout.failureThreshold * 100)}% (${progress.failed} of ${progress.finished} updates failed)`);
+      return;
+    }
+
+    if (progress.pending === 0 && progress.sent === 0) {
+      const updated = await firmwareRolloutRepository.update(rollout.id, {
+        status: 'COMPLETED',
+        finishedAt: new Date()
+      });
+
+      logger.info(`Firmware rollout ${rollout.id} completed: ${progress.succeeded} succeeded, ${progress.failed} failed`);
+      this.emitUpdate({ ...updated, firmware: rollout.firmware });
+      return;
+    }
+
+    const slots = rollout.batchSize - progress.sent;
+
+    if (slots <= 0 || !deviceCommandService.isConnected()) return;
+
+    // Disconnected devices wait for their next connection
+    const next = (await firmwareRolloutRepository.findDevices(rollout.id, 'PENDING'))
+      .filter(target => target.device?.status === 'CONNECTED')
+      .slice(0, slots);
+
+    for (const target of next) {
+      await this.sendUpdate(rollout, target);
+    }
+  }
+
+  async sendUpdate(rollout, target) {
+    const { firmware } = rollout;
+
+    try {
+      const command = await deviceCommandService.sendCommand(target.deviceCode, {
+        type: 'ota_update',
+        params: {
+          rolloutId: rollout.id,
+          firmwareId: firmware.id,
+          version: firmware.version,
+          url: `${firmwareConfig.publicBaseUrl}/api/v1/firmware/${firmware.id}/download`,
+          // Sent back in this header, never in the URL
+          tokenHeader: FIRMWARE_TOKEN_HEADER,
+          token: createDownloadToken(
+            firmware.downloadToken,
+            firmware.id,
+            target.deviceCode,
+            new Date(Date.now() + firmwareConfig.downloadTokenTtlMs)
+          ),
+          sha256: firmware.sha256,
+          size: firmware.size
+        }
+      }, rollout.createdBy);
+
+      await firmwareRolloutRepository.updateDevice(target.id, {
+        status: 'SENT',
+        commandId: command.id,
+        sentAt: new Date()
+      });
+
+      this.stats.sent++;
+    } catch (error) {
+      // The device cannot be updated at all (deleted or rejected meanwhile)
+      await firmwareRolloutRepository.updateDevice(target.id, {
+        status: 'SKIPPED',
+        error: error.message,
+        finishedAt: new Date()
+      });
+    }
+  }
+
+  async finishDevice(target, status, error = null) {
+    const updated = await firmwareRolloutRepository.updateDevice(target.id, {
+      status,
+      error,
+      finishedAt: new Date()
+    });
+
+    this.stats[status === 'SUCCEEDED' ? 'succeeded' : 'failed']++;
+
+    if (status === 'FAILED') {
+      logger.warn(`Firmware update of device ${target.deviceCode} failed: ${error}`, { rolloutId: target.rolloutId });
+    } else {
+      logger.info(`Firmware update of device ${target.deviceCode} succeeded`, { rolloutId: target.rolloutId });
+    }
+
+    if (this.notificationEmitter) {
+      this.notificationEmitter.emitToAll('firmware-rollout-device-updated', {
+        rolloutId: target.rolloutId,
+        deviceCode: target.deviceCode,
+        status,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return updated;
+  }
+
+  async halt(rollout, reason) {
+    const updated = await firmwareRolloutRepository.update(rollout.id, {
+      status: 'HALTED',
+      haltReason: reason
+    });
+
+    this.stats.halted++;
+    logger.warn(`Firmware rollout ${rollout.id} halted: ${reason}`);
+
+    this.emitUpdate({ ...updated, firmware: rollout.firmware });
+
+    if (this.notificationEmitter) {
+      this.notificationEmitter.emitSystemNotification('warning', `Firmware ${rollout.firmware.version} rollout halted: ${reason}`, {
+        rolloutId: rollout.id
+      });
+    }
+
+    return updated;
+  }
+
+  async findEligible(image) {
+    const devices = await firmwareRolloutRepository.findEligibleDevices(image.hardwareRevision);
+    return devices.filter(device => device.firmwareVersion !== image.version);
+  }
+
+  async findRollout(id, statuses) {
+    const rollout = await firmwareRolloutRepository.findById(id);
+
+    if (!rollout) {
+      throw createRolloutError('Rollout not found', 'ROLLOUT_NOT_FOUND', 404);
+    }
+
+    if (!statuses.includes(rollout.status)) {
+      throw createRolloutError(`Rollout is ${rollout.status.toLowerCase()}`, 'INVALID_ROLLOUT_STATUS', 409);
+    }
+
+    return rollout;
+  }
+
+  summarize(counts) {
+    const progress = {
+      pending: counts.PENDING || 0,
+      sent: counts.SENT || 0,
+      succeeded: counts.SUCCEEDED || 0,
+      failed: counts.FAILED || 0,
+      skipped: counts.SKIPPED || 0
+    };
+
+    progress.total = Object.values(progress).reduce((sum, count) => sum + count, 0);
+    progress.finished = progress.succeeded + progress.failed;
+    progress.failureRate = progress.finished > 0 ? progress.failed / progress.finished : 0;
+
+    return progress;
+  }
+
+  emitUpdate(rollout) {
+    if (!this.notificationEmitter) return;
+
+    this.notificationEmitter.emitToAll('firmware-rollout-updated', {
+      id: rollout.id,
+      firmwareId: rollout.firmwareId,
+      version: rollout.firmware?.version,
+      status: rollout.status,
+      percentage: rollout.percentage,
+      haltReason: rollout.haltReason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get rollout statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.intervalId !== null,
+      failureThreshold: firmwareConfig.rollout.failureThreshold,
+      minSample: firmwareConfig.rollout.minSample,
+      updateTimeout: firmwareConfig.rollout.updateTimeoutMs
+    };
+  }
+}
+
+export const firmwareRolloutService = new FirmwareRolloutService();
@@ -0,0 +1,337 @@
+import { floodRuleRepository } from '../repositories/floodRule.repository.js';
+import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { parseBoolean } from '../utils/boolean.js';
+import logger from '../utils/logger.js';
+
+const FLOOD_STATUS_ORDER = ['AMAN', 'WASPADA', 'SIAGA', 'BAHAYA'];
+const RULE_MATCHES = ['ALL', 'ANY'];
+const METRICS = ['waterLevel', 'rainfall'];
+const OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b
+};
+const AGGREGATES = ['all', 'any', 'avg', 'max', 'min'];
+
+// A sustained ("all") condition needs readings starting within this fraction of the window
+const WINDOW_COVERAGE_TOLERANCE = 0.1;
+
+class FloodRuleService {
+  /**
+   * Get all rules of a location
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Array>} Rules
+   */
+  async getRulesByLocation(locationId) {
+    try {
+      return await floodRuleRepository.findByLocationId(locationId);
+    } catch (error) {
+      logger.error('Error in getRulesByLocation service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a rule for a location
+   * @param {string} locationId - Location ID
+   * @param {Object} data - Rule data
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(locationId, data) {
+    try {
+      const rule = this.validateRule(data);
+      return await floodRuleRepository.create({ ...rule, locationId });
+    } catch (error) {
+      logger.error('Error in createRule service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rule of a location
+   * @param {string} locationId - Location ID
+   * @param {string} ruleId - Rule ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(locationId, ruleId, data) {
+    try {
+      await this.findLocationRule(locationId, ruleId);
+      const rule = this.validateRule(data, { partial: true });
+      return await floodRuleRepository.update(ruleId, rule);
+    } catch (error) {
+      logger.error('Error in updateRule service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule of a location
+   * @param {string} locationId - Location ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object>} Deleted rule
+   */
+  async deleteRule(locationId, ruleId) {
+    try {
+      await this.findLocationRule(locationId, ruleId);
+      return await floodRuleRepository.delete(ruleId);
+    } catch (error) {
+      logger.error('Error in deleteRule service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a rule and make sure it belongs to the location
+   * @param {string} locationId - Location ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object>} Rule
+   */
+  async findLocationRule(locationId, ruleId) {
+    const rule = await floodRuleRepository.findById(ruleId);
+
+    if (!rule || rule.locationId !== locationId) {
+      const error = new Error('Flood rule not found');
+      error.code = 'RULE_NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Validate and normalize a rule definition
+   * @param {Object} data - Rule data
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial] - Only validate provided fields
+   * @returns {Object} Normalized rule data
+   */
+  validateRule(data = {}, { partial = false } = {}) {
+    const errors = [];
+    const rule = {};
+
+    if (data.name !== undefined || !partial) {
+      if (!data.name || typeof data.name !== 'string') {
+        errors.push('name is required');
+      } else {
+        rule.name = data.name.trim();
+      }
+    }
+
+    if (data.status !== undefined || !partial) {
+      if (!FLOOD_STATUS_ORDER.includes(data.status)) {
+        errors.push(`status must be one of ${FLOOD_STATUS_ORDER.join(', ')}`);
+      } else {
+        rule.status = data.status;
+      }
+    }
+
+    if (data.match !== undefined) {
+      if (!RULE_MATCHES.includes(data.match)) {
+        errors.push(`match must be one of ${RULE_MATCHES.join(', ')}`);
+      } else {
+        rule.match = data.match;
+      }
+    }
+
+    if (data.priority !== undefined) {
+      if (!Number.isInteger(Number(data.priority))) {
+        errors.push('priority must be an integer');
+      } else {
+        rule.priority = Number(data.priority);
+      }
+    }
+
+    if (data.isActive !== undefined) {
+      const isActive = parseBoolean(data.isActive);
+      if (isActive === undefined) {
+        errors.push('isActive must be true or false');
+      } else {
+        rule.isActive = isActive;
+      }
+    }
+
+    if (data.conditions !== undefined || !partial) {
+      if (!Array.isArray(data.conditions) || data.conditions.length === 0) {
+        errors.push('conditions must be a non-empty array');
+      } else {
+        rule.conditions = data.conditions.map((condition, index) => {
+          const prefix = `conditions[${index}]`;
+          const normalized = {
+            metric: condition?.metric,
+            operator: condition?.operator,
+            value: Number(condition?.value)
+          };
+
+          if (!METRICS.includes(normalized.metric)) {
+            errors.push(`${prefix}.metric must be one of ${METRICS.join(', ')}`);
+          }
+
+          if (!Object.keys(OPERATORS).includes(normalized.operator)) {
+            errors.push(`${prefix}.operator must be one of ${Object.keys(OPERATORS).join(', ')}`);
+          }
+
+          if (condition?.value === undefined || condition?.value === null || Number.isNaN(normalized.value)) {
+            errors.push(`${prefix}.value must be a number`);
+          }
+
+          if (condition?.windowMinutes !== undefined && condition?.windowMinutes !== null) {
+            const windowMinutes = Number(condition.windowMinutes);
+            if (!Number.isInteger(windowMinutes) || windowMinutes < 1) {
+              errors.push(`${prefix}.windowMinutes must be an integer of at least 1`);
+            }
+            normalized.windowMinutes = windowMinutes;
+            normalized.aggregate = condition.aggregate || 'all';
+
+            if (!AGGREGATES.includes(normalized.aggregate)) {
+              errors.push(`${prefix}.aggregate must be one of ${AGGREGATES.join(', ')}`);
+            }
+          }
+
+          return normalized;
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Invalid flood rule');
+      error.code = 'INVALID_RULE';
+      error.statusCode = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Evaluate the active rules of a location against the current reading and
+   * recent sensor logs. Rules can only raise the status above the one derived
+   * from the threshold bands; the most severe firing rule wins, ties go to
+   * the higher priority.
+   * @param {Object} location - Location
+   * @param {string} deviceCode - Device code
+   * @param {Object} reading - Current reading ({ waterLevel, rainfall })
+   * @param {string} baseStatus - Status derived from the threshold bands
+   * @param {Date} [now] - Evaluation time
+   * @param {Object} [sources] - Preloaded { rules, logs } (ascending sensor logs), read from the database when omitted
+   * @returns {Promise<Object>} Resulting status and the rule that fired
+   */
+  async evaluate(location, deviceCode, reading, baseStatus, now = new Date(), sources = {}) {
+    const result = { status: baseStatus, baseStatus, firedRule: null };
+    const rules = sources.rules ?? await floodRuleRepository.findActiveByLocationId(location.id);
+
+    if (rules.length === 0) {
+      return result;
+    }
+
+    const maxWindow = this.getMaxWindowMinutes(rules);
+    const since = new Date(now.getTime() - maxWindow * 60 * 1000);
+
+    let logs = [];
+    if (maxWindow > 0) {
+      logs = sources.logs
+        ? sources.logs.filter(log => new Date(log.timestamp) >= since && new Date(log.timestamp) <= now)
+        : await sensorLogRepository.findRecentReadings(deviceCode, since);
+    }
+
+    for (const rule of rules) {
+      const conditions = (rule.conditions || []).map(condition => ({
+        ...condition,
+        ...this.evaluateCondition(condition, reading, logs, now)
+      }));
+
+      const fired = rule.match === 'ANY'
+        ? conditions.some(condition => condition.satisfied)
+        : conditions.length > 0 && conditions.every(condition => condition.satisfied);
+
+      if (fired && FLOOD_STATUS_ORDER.indexOf(rule.status) > FLOOD_STATUS_ORDER.indexOf(result.status)) {
+        result.status = rule.status;
+        result.firedRule = {
+          id: rule.id,
+          name: rule.name,
+          status: rule.status,
+          match: rule.match,
+          conditions
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the longest condition window of a set of rules
+   * @param {Array<Object>} rules - Rules
+   * @returns {number} Window in minutes, 0 when no condition looks back
+   */
+  getMaxWindowMinutes(rules) {
+    return Math.max(0, ...rules.flatMap(rule =>
+      (rule.conditions || []).map(condition => condition.windowMinutes || 0)
+    ));
+  }
+
+  /**
+   * Evaluate a single rule condition
+   * @param {Object} condition - Condition definition
+   * @param {Object} reading - Current reading
+   * @param {Array} logs - Recent sensor logs (ascending)
+   * @param {Date} now - Evaluation time
+   * @returns {Object} Whether the condition is satisfied and the observed value
+   */
+  evaluateCondition(condition, reading, logs, now) {
+    const compare = OPERATORS[condition.operator];
+
+    if (!compare) {
+      return { satisfied: false, observed: null };
+    }
+
+    if (!condition.windowMinutes) {
+      const value = reading[condition.metric];
+      if (value === null || value === undefined) {
+        return { satisfied: false, observed: null };
+      }
+      return { satisfied: compare(value, condition.value), observed: value };
+    }
+
+    const windowStart = now.getTime() - condition.windowMinutes * 60 * 1000;
+    const samples = logs.filter(log =>
+      new Date(log.timestamp).getTime() >= windowStart &&
+      log[condition.metric] !== null && log[condition.metric] !== undefined
+    );
+
+    if (samples.length === 0) {
+      return { satisfied: false, observed: null };
+    }
+
+    const values = samples.map(log => log[condition.metric]);
+
+    switch (condition.aggregate) {
+      case 'any':
+        return { satisfied: values.some(value => compare(value, condition.value)), observed: Math.max(...values) };
+      case 'avg': {
+        const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+        return { satisfied: compare(avg, condition.value), observed: Math.round(avg * 100) / 100 };
+      }
+      case 'max': {
+        const max = Math.max(...values);
+        return { satisfied: compare(max, condition.value), observed: max };
+      }
+      case 'min': {
+        const min = Math.min(...values);
+        return { satisfied: compare(min, condition.value), observed: min };
+      }
+      default: {
+        // Sustained: every reading must match and the readings must cover the window
+        const firstSample = new Date(samples[0].timestamp).getTime();
+        const covered = firstSample - windowStart <= condition.windowMinutes * 60 * 1000 * WINDOW_COVERAGE_TOLERANCE;
+        const observed = ['gt', 'gte'].includes(condition.operator) ? Math.min(...values) : Math.max(...values);
+        return { satisfied: covered && values.every(value => compare(value, condition.value)), observed };
+      }
+    }
+  }
+}
+
+export const floodRuleService = new FloodRuleService();
@@ -0,0 +1,199 @@
+import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { locationService } from './location.service.js';
+import logger from '../utils/logger.js';
+
+const FORECAST_HORIZONS = [15, 30, 60]; // minutes
+const HISTORY_MINUTES = 120;
+const RAINFALL_LAG_MINUTES = 30;
+const MIN_SAMPLES = 3;
+
+class ForecastService {
+  /**
+   * Get water level forecast for a location
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Object>} Forecast
+   */
+  async getLocationForecast(locationId) {
+    try {
+      const location = await locationService.getLocationById(locationId);
+
+      if (!location.device) {
+        const error = new Error('No device found for this location');
+        error.code = 'NO_DEVICE';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.forecastLocation(location, location.device.code);
+    } catch (error) {
+      logger.error('Error in getLocationForecast service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forecast water level at each horizon by fitting a linear trend with a
+   * lagged rainfall term to the device's recent sensor logs:
+   *   waterLevel(t) = a + b * t + c * rainfall(t - lag)
+   * Falls back to a plain linear trend when there is not enough rainfall data.
+   * @param {Object} location - Location with thresholds
+   * @param {string} deviceCode - Device code
+   * @param {Date} [now] - Forecast reference time
+   * @returns {Promise<Object>} Forecast
+   */
+  async forecastLocation(location, deviceCode, now = new Date()) {
+    const since = new Date(now.getTime() - (HISTORY_MINUTES + RAINFALL_LAG_MINUTES) * 60 * 1000);
+    const logs = await sensorLogRepository.findRecentReadings(deviceCode, since);
+    const historyStart = now.getTime() - HISTORY_MINUTES * 60 * 1000;
+
+    const toMinutes = (timestamp) => (new Date(timestamp).getTime() - now.getTime()) / (1000 * 60);
+    const rainfallLogs = logs
+      .filter(log => log.rainfall !== null && log.rainfall !== undefined)
+      .map(log => ({ t: toMinutes(log.timestamp), rainfall: log.rainfall }));
+
+    // Most recent rainfall reading at or before a given time
+    const rainfallAt = (t) => {
+      let value = null;
+      for (const log of rainfallLogs) {
+        if (log.t > t) break;
+        value = log.rainfall;
+      }
+      return value;
+    };
+
+    const samples = logs
+      .filter(log => log.waterLevel !== null && log.waterLevel !== undefined &&
+        new Date(log.timestamp).getTime() >= historyStart)
+      .map(log => {
+        const t = toMinutes(log.timestamp);
+        return { t, waterLevel: log.waterLevel, rainfallLag: rainfallAt(t - RAINFALL_LAG_MINUTES) };
+      });
+
+    const forecast = {
+      locationId: location.id,
+      deviceCode,
+      generatedAt: now.toISOString(),
+      current: {
+        waterLevel: location.currentWaterLevel,
+        status: location.currentStatus
+      },
+      model: null,
+      predictions: []
+    };
+
+    if (samples.length < MIN_SAMPLES) {
+      return forecast;
+    }
+
+    const withRainfall = samples.filter(sample => sample.rainfallLag !== null);
+    let coefficients = null;
+    let type = 'linear';
+
+    if (withRainfall.length >= MIN_SAMPLES + 1) {
+      coefficients = this.fitLeastSquares(
+        withRainfall.map(sample => [1, sample.t, sample.rainfallLag]),
+        withRainfall.map(sample => sample.waterLevel)
+      );
+      if (coefficients) type = 'linear_rainfall_lag';
+    }
+
+    if (!coefficients) {
+      const linear = this.fitLeastSquares(
+        samples.map(sample => [1, sample.t]),
+        samples.map(sample => sample.waterLevel)
+      );
+      if (!linear) {
+        return forecast;
+      }
+      coefficients = [...linear, 0];
+    }
+
+    const [intercept, trend, rainfallCoefficient] = coefficients;
+    const fitSamples = type === 'linear' ? samples : withRainfall;
+    const predict = (t, rainfallLag) => intercept + trend * t + rainfallCoefficient * (rainfallLag ?? 0);
+
+    forecast.model = {
+      type,
+      intercept: this.round(intercept),
+      trendPerMinute: this.round(trend),
+      rainfallCoefficient: this.round(rainfallCoefficient),
+      rainfallLagMinutes: RAINFALL_LAG_MINUTES,
+      samples: fitSamples.length,
+      rSquared: this.round(this.rSquared(fitSamples, sample => predict(sample.t, sample.rainfallLag)))
+    };
+
+    const latestRainfall = rainfallLogs.length > 0 ? rainfallLogs[rainfallLogs.length - 1].rainfall : null;
+
+    forecast.predictions = FORECAST_HORIZONS.map(horizonMinutes => {
+      // Rainfall beyond the lag is unknown, so assume the latest reading persists
+      const rainfallLag = horizonMinutes <= RAINFALL_LAG_MINUTES
+        ? rainfallAt(horizonMinutes - RAINFALL_LAG_MINUTES)
+        : latestRainfall;
+      const waterLevel = Math.max(0, this.round(predict(horizonMinutes, rainfallLag)));
+
+      return {
+        horizonMinutes,
+        at: new Date(now.getTime() + horizonMinutes * 60 * 1000).toISOString(),
+        waterLevel,
+        status: locationService.calculateFloodStatus(waterLevel, location)
+      };
+    });
+
+    return forecast;
+  }
+
+  /**
+   * Solve ordinary least squares via the normal equations
+   * @param {Array<Array<number>>} rows - Feature rows
+   * @param {Array<number>} targets - Target values
+   * @returns {Array<number>|null} Coefficients or null when singular
+   */
+  fitLeastSquares(rows, targets) {
+    const size = rows[0].length;
+    const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+
+    rows.forEach((row, index) => {
+      for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+          matrix[i][j] += row[i] * row[j];
+        }
+        matrix[i][size] += row[i] * targets[index];
+      }
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < size; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < size; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      if (Math.abs(matrix[pivot][col]) < 1e-9) {
+        return null;
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+      for (let row = 0; row < size; row++) {
+        if (row === col) continue;
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k <= size; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    return matrix.map((row, index) => row[size] / row[index]);
+  }
+
+  rSquared(samples, predict) {
+    const mean = samples.reduce((sum, sample) => sum + sample.waterLevel, 0) / samples.length;
+    const total = samples.reduce((sum, sample) => sum + (sample.waterLevel - mean) ** 2, 0);
+    const residual = samples.reduce((sum, sample) => sum + (sample.waterLevel - predict(sample)) ** 2, 0);
+    return total === 0 ? 1 : 1 - residual / total;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export const forecastService = new ForecastService();
@@ -1,5 +1,32 @@
 import { locationRepository } from '../repositories/location.repository.js';
+import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { floodRuleRepository } from '../repositories/floodRule.repository.js';
+import { floodRuleService } from './floodRule.service.js';
+import { EXPORT_BATCH_SIZE } from '../utils/spreadsheetExport.js';
 import logger from '../utils/logger.js';
+import {
+  THRESHOLD_FIELDS,
+  DEFAULT_THRESHOLDS,
+  hasThresholdFields,
+  validateThresholds,
+  classifyWaterLevel
+} from '../utils/thresholdValidator.js';
+
+// Flood statuses ordered from least to most severe
+const FLOOD_STATUS_ORDER = ['AMAN', 'WASPADA', 'SIAGA', 'BAHAYA'];
+
+const STATUS_HISTORY_EXPORT_COLUMNS = [
+  { key: 'changedAt', type: 'datetime', label: { id: 'Waktu Perubahan', en: 'Changed At' } },
+  { key: 'locationName', value: row => row.location?.name, label: { id: 'Lokasi', en: 'Location' } },
+  { key: 'district', value: row => row.location?.district, label: { id: 'Kecamatan', en: 'District' } },
+  { key: 'city', value: row => row.location?.city, label: { id: 'Kota', en: 'City' } },
+  { key: 'previousStatus', label: { id: 'Status Sebelumnya', en: 'Previous Status' } },
+  { key: 'newStatus', label: { id: 'Status Baru', en: 'New Status' } },
+  { key: 'waterLevel', label: { id: 'Ketinggian Air (cm)', en: 'Water Level (cm)' } },
+  { key: 'rainfall', label: { id: 'Curah Hujan (mm/jam)', en: 'Rainfall (mm/h)' } },
+  { key: 'duration', label: { id: 'Durasi Status Sebelumnya (menit)', en: 'Previous Status Duration (min)' } },
+  { key: 'notes', label: { id: 'Catatan', en: 'Notes' } }
+];
 
 class LocationService {
   /**
@@ -31,10 +58,19 @@ class LocationService {
   /**
    * Create new location
    * @param {Object} data - Location data
+   * @param {Object} [options] - Threshold options
+   * @param {boolean} [options.autoFill] - Derive band min values from the previous band's max.
+   *   Defaults to true when no min values are given.
    * @returns {Promise<Object>} Created location
    */
-  async createLocation(data) {
+  async createLocation(data, { autoFill } = {}) {
     try {
+      const hasMinValues = ['waspadaMin', 'siagaMin', 'bahayaMin'].some(field => data[field] !== undefined);
+      const thresholds = validateThresholds(
+        this.mergeThresholds(DEFAULT_THRESHOLDS, data),
+        { autoFill: autoFill ?? !hasMinValues }
+      );
+
       const existingLocation = await locationRepository.findByUniqueData(data);
 
       if (existingLocation) {
@@ -53,7 +89,7 @@ class LocationService {
         };
         throw error;
       }
-      return await locationRepository.create(data);
+      return await locationRepository.create({ ...data, ...thresholds });
     } catch (error) {
       logger.error('Error in createLocation service:', error);
       throw error;
@@ -80,6 +116,12 @@ class LocationService {
         }
       }
 
+      if (hasThresholdFields(data)) {
+        const location = await this.getLocationById(id);
+        const thresholds = validateThresholds(this.mergeThresholds(location, data));
+        data = { ...data, ...thresholds };
+      }
+
       const newLocatinData = await locationRepository.update(id, data);
 
       this.processSensorData(newLocatinData.device.code, newLocatinData.currentWaterLevel, newLocatinData.currentRainfall)
@@ -114,7 +156,10 @@ class LocationService {
     try {
       const location = await locationRepository.findById(id);
       if (!location) {
-        throw new Error(`Location with ID ${id} not found`);
+        const error = new Error(`Location with ID ${id} not found`);
+        error.code = 'LOCATION_NOT_FOUND';
+        error.statusCode = 404;
+        throw error;
       }
       return location;
     } catch (error) {
@@ -154,22 +199,27 @@ class LocationService {
         throw new Error(`Location not found for device ${deviceCode}`);
       }
 
-      // 2. Calculate new flood status
-      const newStatus = this.calculateFloodStatus(waterLevel, location);
+      // 2. Calculate new flood status (with rules, rate of rise, hysteresis and dwell time)
+      const { transition, ruleResult, rapidRise } = await this.decideStatus(location, deviceCode, { waterLevel, rainfall });
+
+      const newStatus = transition.status;
       const previousStatus = location.currentStatus;
 
       // 3. Update location current status
       const updatedLocation = await locationRepository.updateCurrentStatus(location.id, {
         currentStatus: newStatus,
         currentWaterLevel: waterLevel,
-        currentRainfall: rainfall
+        currentRainfall: rainfall,
+        ...transition.pending
       });
 
       let statusHistory = null;
 
       // 4. Create status history if status changed
       if (previousStatus !== newStatus) {
-        statusHistory = await this.createStatusHistory(location.id, previousStatus, newStatus, waterLevel, rainfall);
+        const notes = this.describeStatusChange(ruleResult, rapidRise);
+
+        statusHistory = await this.createStatusHistory(location.id, previousStatus, newStatus, waterLevel, rainfall, notes);
 
         logger.info(`Location status changed: ${location.name} from ${previousStatus} to ${newStatus}`, {
           locationId: location.id,
@@ -186,7 +236,11 @@ class LocationService {
         previousStatus,
         newStatus,
         statusHistory,  // ✅ TAMBAH: Return history data
-        duration: statusHistory?.duration || 0
+        duration: statusHistory?.duration || 0,
+        pendingStatus: transition.pending.pendingStatus,
+        rapidRise,
+        baseStatus: ruleResult.baseStatus,
+        firedRule: ruleResult.firedRule
       };
     } catch (error) {
       logger.error('Error in processSensorData service:', error);
@@ -194,6 +248,68 @@ class LocationService {
     }
   }
 
+  /**
+   * Decide the status a reading moves a location to. The threshold band is
+   * raised by the composite rules and the rate-of-rise escalation, then held
+   * back by the hysteresis and dwell settings; a rapid rise escalates without
+   * waiting for the dwell readings. Live readings and replays of stored
+   * readings both go through here.
+   * @param {Object} location - Location with thresholds and pending state
+   * @param {string} deviceCode - Device code
+   * @param {Object} reading - Reading ({ waterLevel, rainfall })
+   * @param {Date} [now] - Reading time
+   * @param {Object} [sources] - Preloaded { rules, logs } (ascending sensor logs up to the reading), read from the database when omitted
+   * @returns {Promise<Object>} { transition, ruleResult, rapidRise }
+   */
+  async decideStatus(location, deviceCode, reading, now = new Date(), sources = {}) {
+    const rapidRise = await this.evaluateRateOfRise(deviceCode, location, now, sources.logs);
+    const ruleResult = await floodRuleService.evaluate(
+      location,
+      deviceCode,
+      reading,
+      this.calculateFloodStatus(reading.waterLevel, location),
+      now,
+      sources
+    );
+    let rawStatus = ruleResult.status;
+
+    if (rapidRise.exceeded) {
+      rawStatus = this.escalateStatus(rawStatus);
+    }
+
+    let transition = this.resolveStatusTransition(reading.waterLevel, location, now, rawStatus);
+
+    if (rapidRise.exceeded &&
+      FLOOD_STATUS_ORDER.indexOf(rawStatus) > FLOOD_STATUS_ORDER.indexOf(transition.status)) {
+      transition = {
+        status: rawStatus,
+        pending: { pendingStatus: null, pendingStatusCount: 0, pendingStatusSince: null }
+      };
+    }
+
+    rapidRise.triggered = rapidRise.exceeded &&
+      FLOOD_STATUS_ORDER.indexOf(transition.status) > FLOOD_STATUS_ORDER.indexOf(location.currentStatus);
+
+    return { transition, ruleResult, rapidRise };
+  }
+
+  /**
+   * Describe why a status changed, for the history notes
+   * @param {Object} ruleResult - Rule evaluation result
+   * @param {Object} rapidRise - Rate-of-rise result
+   * @returns {string|null} Notes
+   */
+  describeStatusChange(ruleResult, rapidRise) {
+    return [
+      ruleResult.firedRule
+        ? `Rule fired: ${ruleResult.firedRule.name} (${ruleResult.firedRule.status})`
+        : null,
+      rapidRise.triggered
+        ? `Rapid rise: ${rapidRise.rate} cm/min over ${rapidRise.windowMinutes} min (threshold ${rapidRise.threshold} cm/min)`
+        : null
+    ].filter(Boolean).join('; ') || null;
+  }
+
   /**
    * Calculate flood status based on water level and thresholds
    * @param {number} waterLevel - Current water level
@@ -201,19 +317,167 @@ class LocationService {
    * @returns {string} Flood status
    */
   calculateFloodStatus(waterLevel, location) {
-    // Menggunakan field threshold baru sesuai schema Prisma yang updated
-    if (waterLevel >= location.bahayaMin) {
-      return 'BAHAYA';
-    } else if (waterLevel >= location.siagaMin && waterLevel <= location.siagaMax) {
-      return 'SIAGA';
-    } else if (waterLevel >= location.waspadaMin && waterLevel <= location.waspadaMax) {
-      return 'WASPADA';
-    } else if (waterLevel <= location.amanMax) {
-      return 'AMAN';
-    } else {
-      // Fallback case - jika waterLevel di antara range yang tidak terdefinisi
-      // Misalnya waterLevel > amanMax tapi < waspadaMin
-      return 'AMAN';
+    return classifyWaterLevel(waterLevel, location);
+  }
+
+  /**
+   * Resolve the status a location should move to, applying the location's
+   * hysteresis margin and minimum dwell configuration.
+   *
+   * Escalation only happens after `escalationReadings` consecutive readings
+   * above the current band. De-escalation only happens once the level has
+   * stayed below the current band (minus `hysteresisMargin`) for
+   * `deescalationMinutes`. With the default configuration every reading is
+   * applied immediately.
+   *
+   * @param {number} waterLevel - Current water level
+   * @param {Object} location - Location with thresholds and pending state
+   * @param {Date} [now] - Reading time
+   * @param {string} [rawStatus] - Status derived from the reading, defaults to the band status
+   * @returns {Object} Resolved status and pending state to persist
+   */
+  resolveStatusTransition(waterLevel, location, now = new Date(), rawStatus = this.calculateFloodStatus(waterLevel, location)) {
+    const currentStatus = location.currentStatus;
+    const currentRank = FLOOD_STATUS_ORDER.indexOf(currentStatus);
+    const rawRank = FLOOD_STATUS_ORDER.indexOf(rawStatus);
+
+    const clearPending = {
+      pendingStatus: null,
+      pendingStatusCount: 0,
+      pendingStatusSince: null
+    };
+
+    const pendingRank = location.pendingStatus
+      ? FLOOD_STATUS_ORDER.indexOf(location.pendingStatus)
+      : currentRank;
+
+    if (rawRank > currentRank) {
+      const requiredReadings = Math.max(1, location.escalationReadings ?? 1);
+      const count = pendingRank > currentRank ? (location.pendingStatusCount || 0) + 1 : 1;
+
+      if (count >= requiredReadings) {
+        return { status: rawStatus, pending: clearPending };
+      }
+
+      return {
+        status: currentStatus,
+        pending: {
+          pendingStatus: rawStatus,
+          pendingStatusCount: count,
+          pendingStatusSince: pendingRank > currentRank && location.pendingStatusSince
+            ? location.pendingStatusSince
+            : now
+        }
+      };
+    }
+
+    if (rawRank < currentRank) {
+      // Stay in the current band while inside the hysteresis margin
+      const lowerBound = this.getStatusLowerBound(currentStatus, location);
+      if (waterLevel >= lowerBound - (location.hysteresisMargin || 0)) {
+        return { status: currentStatus, pending: clearPending };
+      }
+
+      const since = pendingRank < currentRank && location.pendingStatusSince
+        ? new Date(location.pendingStatusSince)
+        : now;
+      const dwellMinutes = (now - since) / (1000 * 60);
+
+      if (dwellMinutes >= (location.deescalationMinutes || 0)) {
+        return { status: rawStatus, pending: clearPending };
+      }
+
+      return {
+        status: currentStatus,
+        pending: {
+          pendingStatus: rawStatus,
+          pendingStatusCount: pendingRank < currentRank ? (location.pendingStatusCount || 0) + 1 : 1,
+          pendingStatusSince: since
+        }
+      };
+    }
+
+    return { status: currentStatus, pending: clearPending };
+  }
+
+  /**
+   * Evaluate the water level rate of rise over the location's sliding window
+   * of sensor logs. The rate is the least-squares slope of the readings.
+   * @param {string} deviceCode - Device code
+   * @param {Object} location - Location with rate-of-rise configuration
+   * @param {Date} [now] - Evaluation time
+   * @param {Array<Object>} [recentLogs] - Preloaded sensor logs (ascending), read from the database when omitted
+   * @returns {Promise<Object>} Rate in cm/minute and whether the threshold is exceeded
+   */
+  async evaluateRateOfRise(deviceCode, location, now = new Date(), recentLogs = null) {
+    const windowMinutes = location.riseRateWindowMinutes || 10;
+    const threshold = location.riseRateThreshold ?? null;
+    const result = { rate: null, windowMinutes, threshold, samples: 0, exceeded: false, triggered: false };
+
+    if (threshold === null) {
+      return result;
+    }
+
+    const since = new Date(now.getTime() - windowMinutes * 60 * 1000);
+    const logs = recentLogs
+      ? recentLogs.filter(log =>
+        log.waterLevel !== null && log.waterLevel !== undefined &&
+        new Date(log.timestamp) >= since && new Date(log.timestamp) <= now)
+      : await sensorLogRepository.findRecentWaterLevels(deviceCode, since);
+    result.samples = logs.length;
+
+    if (logs.length < 2) {
+      return result;
+    }
+
+    const origin = new Date(logs[0].timestamp).getTime();
+    const points = logs.map(log => ({
+      x: (new Date(log.timestamp).getTime() - origin) / (1000 * 60),
+      y: log.waterLevel
+    }));
+
+    // Require at least one minute of data to avoid inflated rates
+    if (points[points.length - 1].x < 1) {
+      return result;
+    }
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+    if (variance === 0) {
+      return result;
+    }
+
+    result.rate = Math.round((covariance / variance) * 100) / 100;
+    result.exceeded = result.rate >= threshold;
+
+    return result;
+  }
+
+  /**
+   * Get the next more severe status (BAHAYA stays BAHAYA)
+   * @param {string} status - Flood status
+   * @returns {string} Escalated status
+   */
+  escalateStatus(status) {
+    const rank = FLOOD_STATUS_ORDER.indexOf(status);
+    return FLOOD_STATUS_ORDER[Math.min(rank + 1, FLOOD_STATUS_ORDER.length - 1)];
+  }
+
+  /**
+   * Get the lower water level bound of a status band
+   * @param {string} status - Flood status
+   * @param {Object} location - Location with thresholds
+   * @returns {number} Lower bound in cm
+   */
+  getStatusLowerBound(status, location) {
+    switch (status) {
+      case 'WASPADA': return location.waspadaMin;
+      case 'SIAGA': return location.siagaMin;
+      case 'BAHAYA': return location.bahayaMin;
+      default: return 0;
     }
   }
 
@@ -224,9 +488,10 @@ class LocationService {
    * @param {string} newStatus - New status
    * @param {number} waterLevel - Water level
    * @param {number} rainfall - Rainfall
+   * @param {string} [notes] - Context for the change
    * @returns {Promise<Object>} History record
    */
-  async createStatusHistory(locationId, previousStatus, newStatus, waterLevel, rainfall) {
+  async createStatusHistory(locationId, previousStatus, newStatus, waterLevel, rainfall, notes = null) {
     try {
       // Calculate duration in previous status
       const location = await locationRepository.findById(locationId);
@@ -240,6 +505,7 @@ class LocationService {
         waterLevel,
         rainfall,
         duration,
+        notes,
         changedAt: new Date()
       };
 
@@ -266,6 +532,161 @@ class LocationService {
     }
   }
 
+  /**
+   * Rebuild the status history of a device's location for a past period by
+   * replaying its stored sensor logs through the same status decision as
+   * live readings, with rule and rate-of-rise windows read from the stored
+   * logs before each reading. The first record after the period is chained
+   * to the rebuilt status, and when no reading is newer than the period the
+   * location's current status is updated as well.
+   * @param {string} deviceCode - Device code
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {string} [notes] - Notes stored on the rebuilt records
+   * @returns {Promise<Object|null>} Replay result or null when the device has no location
+   */
+  async recomputeStatusHistory(deviceCode, from, to, notes = 'Recomputed from imported sensor data') {
+    try {
+      const location = await locationRepository.findByDeviceCode(deviceCode);
+
+      if (!location) {
+        return null;
+      }
+
+      const lastChange = await locationRepository.findLastStatusChangeBefore(location.id, from);
+      const rules = await floodRuleRepository.findActiveByLocationId(location.id);
+
+      // Load the readings the windows of the first replayed readings look back on
+      const lookbackMinutes = Math.max(
+        floodRuleService.getMaxWindowMinutes(rules),
+        location.riseRateThreshold !== null && location.riseRateThreshold !== undefined ? location.riseRateWindowMinutes || 10 : 0
+      );
+      const logs = await sensorLogRepository.findReadingsBetween(
+        deviceCode,
+        new Date(from.getTime() - lookbackMinutes * 60 * 1000),
+        to
+      );
+      const readings = logs.filter(log => new Date(log.timestamp) >= from);
+
+      const state = {
+        ...location,
+        currentStatus: lastChange ? lastChange.newStatus : 'AMAN',
+        pendingStatus: null,
+        pendingStatusCount: 0,
+        pendingStatusSince: null
+      };
+      let lastChangedAt = lastChange ? new Date(lastChange.changedAt) : null;
+      const entries = [];
+      let windowStart = 0;
+
+      for (let i = logs.length - readings.length; i < logs.length; i++) {
+        const reading = logs[i];
+        if (reading.waterLevel === null || reading.waterLevel === undefined) continue;
+
+        const timestamp = new Date(reading.timestamp);
+        while (new Date(logs[windowStart].timestamp) < timestamp.getTime() - lookbackMinutes * 60 * 1000) {
+          windowStart++;
+        }
+
+        // Live readings without rainfall are processed as 0 mm/h
+        const { transition, ruleResult, rapidRise } = await this.decideStatus(
+          state,
+          deviceCode,
+          { waterLevel: reading.waterLevel, rainfall: reading.rainfall || 0 },
+          timestamp,
+          { rules, logs: logs.slice(windowStart, i + 1) }
+        );
+
+        if (transition.status !== state.currentStatus) {
+          entries.push({
+            previousStatus: state.currentStatus,
+            newStatus: transition.status,
+            waterLevel: reading.waterLevel,
+            rainfall: reading.rainfall,
+            duration: lastChangedAt ? Math.floor((timestamp - lastChangedAt) / (1000 * 60)) : 0,
+            notes: [notes, this.describeStatusChange(ruleResult, rapidRise)].filter(Boolean).join('; '),
+            changedAt: timestamp
+          });
+          lastChangedAt = timestamp;
+        }
+
+        Object.assign(state, { currentStatus: transition.status, ...transition.pending });
+      }
+
+      // The first change after the period was recorded against the old history
+      const following = await locationRepository.findStatusChangesAfter(location.id, to, 2);
+      const result = await locationRepository.replaceStatusHistory(
+        location.id,
+        from,
+        to,
+        entries,
+        this.chainFollowingHistory(following, state.currentStatus, lastChangedAt)
+      );
+
+      const latest = await sensorLogRepository.getLatestReading(deviceCode);
+      const reachesPresent = following.length === 0 && (!latest || new Date(latest.timestamp) <= to);
+
+      if (reachesPresent && readings.length > 0) {
+        const last = readings[readings.length - 1];
+
+        await locationRepository.updateCurrentStatus(location.id, {
+          currentStatus: state.currentStatus,
+          currentWaterLevel: last.waterLevel ?? location.currentWaterLevel,
+          currentRainfall: last.rainfall ?? location.currentRainfall,
+          pendingStatus: state.pendingStatus,
+          pendingStatusCount: state.pendingStatusCount,
+          pendingStatusSince: state.pendingStatusSince
+        });
+        result.currentStatus = state.currentStatus;
+      }
+
+      logger.info(`Recomputed status history of ${location.name}`, {
+        locationId: location.id,
+        deviceCode,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        readings: readings.length,
+        ...result
+      });
+
+      return { locationId: location.id, readings: readings.length, ...result };
+    } catch (error) {
+      logger.error('Error in recomputeStatusHistory service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out how the status changes after a recomputed period have to be
+   * adjusted so the history stays a chain: the first one now starts from the
+   * rebuilt status, and is removed when it no longer changes anything
+   * @param {Array<Object>} following - First two changes after the period
+   * @param {string} status - Status at the end of the period
+   * @param {Date|null} lastChangedAt - Time of the last change up to the period end
+   * @returns {Object} { update, remove }
+   */
+  chainFollowingHistory(following, status, lastChangedAt) {
+    const [next, afterNext] = following;
+    const minutesSince = (changedAt) =>
+      lastChangedAt ? Math.floor((new Date(changedAt) - lastChangedAt) / (1000 * 60)) : 0;
+
+    if (!next) {
+      return { update: [], remove: [] };
+    }
+
+    if (next.newStatus !== status) {
+      return {
+        update: [{ id: next.id, data: { previousStatus: status, duration: minutesSince(next.changedAt) } }],
+        remove: []
+      };
+    }
+
+    return {
+      update: afterNext ? [{ id: afterNext.id, data: { duration: minutesSince(afterNext.changedAt) } }] : [],
+      remove: [next.id]
+    };
+  }
+
   /**
    * Get flood summary statistics
    * @returns {Promise<Object>} Summary statistics
@@ -323,6 +744,39 @@ class LocationService {
   }
 
 
+  /**
+   * Prepare a streaming export of location status history. Uses the same
+   * filters and sort as getAllLocationStatusHistory, without pagination.
+   * @param {Object} params - Query parameters
+   * @returns {Object} Export definition ({ fileName, sheetName, columns, batches })
+   */
+  getStatusHistoryExport(params = {}) {
+    const { status, startDate, endDate, sortBy, sortOrder } = this.validateGetAllParams(params);
+    const filters = { status, startDate, endDate, sortBy, sortOrder };
+
+    logger.info('Exporting location status history', filters);
+
+    return {
+      fileName: `location-status-history_${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Status History',
+      columns: STATUS_HISTORY_EXPORT_COLUMNS,
+      batches: this.iterateStatusHistory(filters)
+    };
+  }
+
+  async *iterateStatusHistory(filters) {
+    let cursor = null;
+
+    for (;;) {
+      const batch = await locationRepository.findStatusHistoryBatch(filters, { cursor, take: EXPORT_BATCH_SIZE });
+
+      if (batch.length > 0) yield batch;
+      if (batch.length < EXPORT_BATCH_SIZE) return;
+
+      cursor = batch[batch.length - 1].id;
+    }
+  }
+
   /**
  * Validate parameters for getAllLocationStatusHistory
  */
@@ -369,10 +823,18 @@ class LocationService {
    * Update location thresholds
    * @param {string} locationId - Location ID
    * @param {Object} thresholds - New threshold values
+   * @param {Object} [options] - Threshold options
+   * @param {boolean} [options.autoFill] - Derive band min values from the previous band's max
    * @returns {Promise<Object>} Updated location
    */
-  async updateThresholds(locationId, thresholds) {
+  async updateThresholds(locationId, thresholds, { autoFill = false } = {}) {
     try {
+      if (hasThresholdFields(thresholds)) {
+        const location = await this.getLocationById(locationId);
+        const bands = validateThresholds(this.mergeThresholds(location, thresholds), { autoFill });
+        thresholds = { ...thresholds, ...bands };
+      }
+
       return await locationRepository.updateThresholds(locationId, thresholds);
     } catch (error) {
       logger.error('Error in updateThresholds service:', error);
@@ -380,6 +842,19 @@ class LocationService {
     }
   }
 
+  /**
+   * Overlay provided threshold values on top of existing ones
+   * @param {Object} current - Current thresholds (location or defaults)
+   * @param {Object} changes - Provided threshold values
+   * @returns {Object} Merged thresholds
+   */
+  mergeThresholds(current, changes) {
+    return Object.fromEntries(THRESHOLD_FIELDS.map(field => [
+      field,
+      changes[field] !== undefined ? changes[field] : current[field]
+    ]));
+  }
+
   /**
    * Search locations
    * @param {string} query - Search query
@@ -475,6 +950,15 @@ class LocationService {
         siagaMin: location.siagaMin,
         siagaMax: location.siagaMax,
         bahayaMin: location.bahayaMin
+      },
+      hysteresis: {
+        hysteresisMargin: location.hysteresisMargin,
+        escalationReadings: location.escalationReadings,
+        deescalationMinutes: location.deescalationMinutes
+      },
+      rateOfRise: {
+        riseRateThreshold: location.riseRateThreshold,
+        riseRateWindowMinutes: location.riseRateWindowMinutes
       }
     };
   }
@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { retentionRepository } from '../repositories/retention.repository.js';
+import { sensorRollupService } from './sensorRollup.service.js';
+import { retentionConfig } from '../config/retention.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ARCHIVE_COLUMNS = ['id', 'deviceCode', 'timestamp', 'waterLevel', 'rainfall', 'rawWaterLevel', 'rawRainfall'];
+
+/**
+ * Retention Service
+ * Archives raw sensor logs that are older than the retention period of their
+ * device to gzip-compressed NDJSON or CSV files and deletes them afterwards.
+ * Device health telemetry is only kept for telemetryRetentionDays and is
+ * deleted without an archive.
+ * Raw logs are only removed once they are covered by the hourly rollups, and
+ * cutoffs are aligned to whole UTC days so no rollup bucket is ever left with
+ * partially deleted source rows.
+ */
+class RetentionService {
+  constructor() {
+    this.intervalId = null;
+    this.startTimeoutId = null;
+    this.running = null;
+  }
+
+  /**
+   * Start the retention scheduler; the first run follows shortly after startup
+   */
+  start() {
+    if (this.intervalId) return;
+
+    const run = () => {
+      this.runRetention().catch(error => logger.error('Error starting retention run:', error));
+    };
+
+    this.startTimeoutId = setTimeout(() => {
+      this.startTimeoutId = null;
+      run();
+    }, retentionConfig.startDelay);
+
+    this.intervalId = setInterval(run, retentionConfig.runInterval);
+
+    logger.info(`Retention scheduler started, first run in ${retentionConfig.startDelay / 1000}s, then every ${retentionConfig.runInterval / 1000}s`);
+  }
+
+  /**
+   * Stop the retention scheduler
+   */
+  stop() {
+    if (this.startTimeoutId) {
+      clearTimeout(this.startTimeoutId);
+      this.startTimeoutId = null;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Retention scheduler stopped');
+    }
+  }
+
+  /**
+   * Archive and delete expired sensor logs of every device, then prune
+   * rollups when a rollup retention is configured and expired device
+   * telemetry.
+   * Overlapping calls share the running job.
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} Retention run
+   */
+  async runRetention(now = new Date()) {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = this.executeRun(now).finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  async executeRun(now) {
+    const run = await retentionRepository.createRun();
+    const result = {
+      archivedCount: 0,
+      deletedCount: 0,
+      rollupDeletedCount: 0,
+      telemetryDeletedCount: 0,
+      files: []
+    };
+
+    try {
+      const rolledUntil = await sensorRollupService.getRolledUntil('hourly');
+
+      if (!rolledUntil) {
+        logger.warn('Skipping raw sensor log retention: hourly rollups have not run yet');
+      } else {
+        const devices = await retentionRepository.findDeviceRetention();
+
+        for (const device of devices) {
+          const cutoff = this.getCutoff(device.retentionDays ?? retentionConfig.rawRetentionDays, now, rolledUntil);
+          await this.archiveDevice(device.code, cutoff, result);
+        }
+      }
+
+      if (retentionConfig.rollupRetentionDays !== null) {
+        const rollupCutoff = this.floorToDay(new Date(now.getTime() - retentionConfig.rollupRetentionDays * DAY_MS));
+        result.rollupDeletedCount = await retentionRepository.deleteRollupsBefore(rollupCutoff);
+      }
+
+      const telemetryCutoff = new Date(now.getTime() - retentionConfig.telemetryRetentionDays * DAY_MS);
+      result.telemetryDeletedCount = await retentionRepository.deleteTelemetryBefore(telemetryCutoff);
+
+      logger.info('Retention run completed', {
+        runId: run.id,
+        archived: result.archivedCount,
+        deleted: result.deletedCount,
+        rollupsDeleted: result.rollupDeletedCount,
+        telemetryDeleted: result.telemetryDeletedCount
+      });
+
+      return await retentionRepository.updateRun(run.id, {
+        ...result,
+        status: 'SUCCESS',
+        finishedAt: new Date()
+      });
+    } catch (error) {
+      logger.error('Error running retention:', error);
+
+      return await retentionRepository.updateRun(run.id, {
+        ...result,
+        status: 'FAILED',
+        finishedAt: new Date(),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the time before which raw logs may be deleted
+   * @param {number} retentionDays - Days to keep raw logs
+   * @param {Date} now - Reference time
+   * @param {Date} rolledUntil - End of the hourly rollup range
+   * @returns {Date} Day-aligned cutoff
+   */
+  getCutoff(retentionDays, now, rolledUntil) {
+    const expiry = now.getTime() - Math.max(1, retentionDays) * DAY_MS;
+    return this.floorToDay(new Date(Math.min(expiry, rolledUntil.getTime())));
+  }
+
+  /**
+   * Archive and delete the expired logs of a device, one file per batch.
+   * A batch is only deleted after its file has been written completely.
+   * @param {string} deviceCode - Device code
+   * @param {Date} cutoff - Logs before this time are expired
+   * @param {Object} result - Run result to update
+   */
+  async archiveDevice(deviceCode, cutoff, result) {
+    const { maxRowsPerFile } = retentionConfig.archive;
+
+    for (;;) {
+      const logs = await retentionRepository.findExpiredSensorLogs(deviceCode, cutoff, maxRowsPerFile);
+
+      if (logs.length === 0) {
+        return;
+      }
+
+      const file = await this.writeArchive(deviceCode, logs);
+      result.archivedCount += logs.length;
+      result.files.push(file);
+
+      result.deletedCount += await retentionRepository.deleteSensorLogsByIds(logs.map(log => log.id));
+
+      if (logs.length < maxRowsPerFile) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Write sensor logs to a gzip-compressed archive file
+   * @param {string} deviceCode - Device code
+   * @param {Array} logs - Sensor logs, oldest first
+   * @returns {Promise<Object>} Archive file information
+   */
+  async writeArchive(deviceCode, logs) {
+    const { directory, format } = retentionConfig.archive;
+    const from = new Date(logs[0].timestamp).toISOString();
+    const to = new Date(logs[logs.length - 1].timestamp).toISOString();
+
+    const safeCode = deviceCode.replace(/[^A-Za-z0-9_-]/g, '_');
+    const fileName = `${safeCode}_${from.replace(/[:.]/g, '-')}_${to.replace(/[:.]/g, '-')}.${format}.gz`;
+    const filePath = path.join(directory, safeCode, fileName);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const lines = format === 'csv' ? this.toCsvLines(logs) : this.toNdjsonLines(logs);
+    await pipeline(Readable.from(lines), createGzip(), fs.createWriteStream(filePath));
+
+    return { deviceCode, path: filePath, rows: logs.length, from, to };
+  }
+
+  *toNdjsonLines(logs) {
+    for (const log of logs) {
+      yield JSON.stringify(log) + '\n';
+    }
+  }
+
+  *toCsvLines(logs) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    yield ARCHIVE_COLUMNS.join(',') + '\n';
+    for (const log of logs) {
+      yield ARCHIVE_COLUMNS.map(column => escape(log[column])).join(',') + '\n';
+    }
+  }
+
+  /**
+   * Get the retention policy and the most recent runs
+   * @returns {Promise<Object>} Policy and run results
+   */
+  async getPolicy() {
+    try {
+      const [devices, runs] = await Promise.all([
+        retentionRepository.findDeviceRetention(),
+        retentionRepository.findRecentRuns()
+      ]);
+
+      return {
+        policy: {
+          raw: {
+            defaultRetentionDays: retentionConfig.rawRetentionDays,
+            overrides: devices
+              .filter(device => device.retentionDays !== null)
+              .map(device => ({ deviceCode: device.code, retentionDays: device.retentionDays }))
+          },
+          rollups: {
+            retentionDays: retentionConfig.rollupRetentionDays,
+            keepForever: retentionConfig.rollupRetentionDays === null
+          },
+          telemetry: {
+            retentionDays: retentionConfig.telemetryRetentionDays
+          },
+          archive: retentionConfig.archive,
+          runInterval: retentionConfig.runInterval
+        },
+        scheduler: {
+          active: this.intervalId !== null,
+          running: this.running !== null
+        },
+        lastRun: runs[0] || null,
+        recentRuns: runs
+      };
+    } catch (error) {
+      logger.error('Error in getPolicy service:', error);
+      throw error;
+    }
+  }
+
+  floorToDay(date) {
+    return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+  }
+}
+
+export const retentionService = new RetentionService();
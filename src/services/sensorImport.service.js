@@ -0,0 +1,384 @@
+import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { deviceRepository } from '../repositories/device.repository.js';
+import { calibrationService } from './calibration.service.js';
+import { sensorValidationService } from './sensorValidation.service.js';
+import { locationService } from './location.service.js';
+import { sensorRollupService } from './sensorRollup.service.js';
+import { parseTimestamp } from '../utils/timestamp.js';
+import logger from '../utils/logger.js';
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+const INSERT_BATCH_SIZE = 1000;
+const MAX_REPORTED_ROWS = 1000;
+
+// SD card logs are written in local time, so timestamps without an offset are read as WIB
+const DEFAULT_UTC_OFFSET = '+07:00';
+
+// Accepted column names, including the keys used in MQTT payloads
+const FIELD_ALIASES = {
+  deviceCode: ['deviceCode', 'code', 'device_code'],
+  timestamp: ['timestamp', 'time', 'datetime'],
+  waterLevel: ['waterLevel', 'waterlevel', 'waterlevel_cm', 'water_level'],
+  rainfall: ['rainfall', 'rainfall_mm', 'rain']
+};
+
+/**
+ * SensorImport Service
+ * Imports historical sensor readings (e.g. SD card logs of devices that lost
+ * connectivity) from CSV, NDJSON or a JSON array. Every row is validated,
+ * readings outside the device's range limits or older than its raw retention
+ * period are rejected, duplicates by (deviceCode, timestamp) are skipped and
+ * a per-row report is returned.
+ */
+class SensorImportService {
+  /**
+   * Import sensor readings
+   * @param {string|Array<Object>} input - CSV/NDJSON text or an array of rows
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format] - csv or ndjson (detected when omitted)
+   * @param {boolean} [options.calibrate] - Apply the device calibration to the values
+   * @param {boolean} [options.recompute] - Rebuild status history for the imported period
+   * @param {string} [options.utcOffset] - Offset for timestamps without one
+   * @returns {Promise<Object>} Import report
+   */
+  async importReadings(input, { format, calibrate = true, recompute = false, utcOffset = DEFAULT_UTC_OFFSET } = {}) {
+    try {
+      if (!/^[+-]\d{2}:\d{2}$/.test(utcOffset)) {
+        throw this.createImportError('utcOffset must look like +07:00', 'INVALID_IMPORT_OPTIONS');
+      }
+
+      const rows = Array.isArray(input) ? input : this.parse(input, format);
+
+      if (rows.length === 0) {
+        throw this.createImportError('No rows to import', 'EMPTY_IMPORT');
+      }
+
+      const report = {
+        totalRows: rows.length,
+        imported: 0,
+        duplicates: 0,
+        rejected: 0,
+        failed: 0,
+        errors: [],
+        skipped: [],
+        truncated: false,
+        statusHistory: [],
+        rollups: {}
+      };
+
+      const addIssue = (list, entry) => {
+        if (list.length < MAX_REPORTED_ROWS) list.push(entry);
+        else report.truncated = true;
+      };
+
+      // 1. Validate rows
+      const valid = [];
+      rows.forEach((row, index) => {
+        const line = row.__line ?? index + 1;
+
+        if (row.__error) {
+          report.failed++;
+          addIssue(report.errors, { row: line, errors: [row.__error] });
+          return;
+        }
+
+        const { reading, errors } = this.normalizeRow(row, utcOffset);
+        if (errors.length > 0) {
+          report.failed++;
+          addIssue(report.errors, { row: line, errors });
+          return;
+        }
+
+        valid.push({ ...reading, line });
+      });
+
+      // 2. Group by device, dropping unknown devices, duplicates, readings
+      // outside the device's range limits and readings retention has pruned
+      const byDevice = new Map();
+      valid.forEach(reading => {
+        if (!byDevice.has(reading.deviceCode)) byDevice.set(reading.deviceCode, []);
+        byDevice.get(reading.deviceCode).push(reading);
+      });
+
+      const toInsert = [];
+      const periods = [];
+
+      for (const [deviceCode, readings] of byDevice) {
+        const device = await deviceRepository.findByCode(deviceCode);
+
+        if (!device) {
+          report.failed += readings.length;
+          readings.forEach(reading => addIssue(report.errors, { row: reading.line, errors: [`Device ${deviceCode} not found`] }));
+          continue;
+        }
+
+        // The raw logs of older days may already be archived with only their
+        // rollups left, which a partial import would overwrite
+        const retentionStart = sensorRollupService.getRetentionStart(device);
+        const retained = readings.filter(reading => {
+          if (reading.timestamp >= retentionStart) return true;
+
+          report.rejected++;
+          addIssue(report.errors, {
+            row: reading.line,
+            reason: 'BEYOND_RETENTION',
+            errors: [`timestamp is before ${retentionStart.toISOString()}, the start of the raw data kept for the device`]
+          });
+          return false;
+        });
+
+        if (retained.length === 0) continue;
+
+        // reduce instead of Math.min(...) so large uploads don't overflow the stack
+        const times = retained.map(reading => reading.timestamp.getTime());
+        const from = new Date(times.reduce((min, time) => Math.min(min, time)));
+        const to = new Date(times.reduce((max, time) => Math.max(max, time)));
+
+        const existing = await sensorLogRepository.findTimestampsBetween(deviceCode, from, to);
+        const seen = new Set(existing.map(log => new Date(log.timestamp).getTime()));
+        const convert = calibrate ? await calibrationService.getCalibrator(deviceCode) : null;
+        let added = 0;
+
+        retained.forEach(reading => {
+          const time = reading.timestamp.getTime();
+
+          if (seen.has(time)) {
+            report.duplicates++;
+            addIssue(report.skipped, { row: reading.line, reason: 'DUPLICATE', deviceCode, timestamp: reading.timestamp.toISOString() });
+            return;
+          }
+          seen.add(time);
+
+          const values = convert
+            ? convert({ waterLevel: reading.waterLevel, rainfall: reading.rainfall })
+            : { waterLevel: reading.waterLevel, rainfall: reading.rainfall, rawWaterLevel: null, rawRainfall: null };
+
+          // Imported readings are history, so only the range limits apply
+          const rangeProblems = sensorValidationService.checkRange(device, values);
+          if (rangeProblems.length > 0) {
+            report.rejected++;
+            addIssue(report.errors, { row: reading.line, reason: 'OUT_OF_RANGE', errors: rangeProblems });
+            return;
+          }
+
+          toInsert.push({ deviceCode, timestamp: reading.timestamp, ...values });
+          added++;
+        });
+
+        if (added > 0) {
+          periods.push({ deviceCode, from, to });
+        }
+      }
+
+      // 3. Insert in batches
+      for (let i = 0; i < toInsert.length; i += INSERT_BATCH_SIZE) {
+        const result = await sensorLogRepository.createMany(toInsert.slice(i, i + INSERT_BATCH_SIZE));
+        report.imported += result.count;
+      }
+
+      if (periods.length > 0) {
+        // 4. Refresh the rollups of each device over its imported period;
+        // buckets not rolled up yet are left to the scheduler
+        for (const period of periods) {
+          report.rollups[period.deviceCode] = await sensorRollupService.refreshDevice(period.deviceCode, period.from, period.to);
+        }
+
+        // 5. Optionally rebuild status history
+        if (recompute) {
+          for (const period of periods) {
+            const result = await locationService.recomputeStatusHistory(period.deviceCode, period.from, period.to);
+            report.statusHistory.push({
+              deviceCode: period.deviceCode,
+              from: period.from.toISOString(),
+              to: period.to.toISOString(),
+              ...(result || { skipped: 'Device has no location' })
+            });
+          }
+        }
+      }
+
+      report.errors.sort((a, b) => a.row - b.row);
+
+      logger.info('Sensor data import finished', {
+        totalRows: report.totalRows,
+        imported: report.imported,
+        duplicates: report.duplicates,
+        rejected: report.rejected,
+        failed: report.failed
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Error in importReadings service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a parsed row and convert it to a reading
+   * @param {Object} row - Parsed row
+   * @param {string} utcOffset - Offset for timestamps without one
+   * @returns {Object} Normalized reading and validation errors
+   */
+  normalizeRow(row, utcOffset) {
+    const errors = [];
+    const pick = (field) => {
+      const key = FIELD_ALIASES[field].find(alias => row[alias] !== undefined && row[alias] !== '');
+      return key ? row[key] : null;
+    };
+
+    const deviceCode = pick('deviceCode') !== null ? String(pick('deviceCode')).trim() : '';
+    if (!deviceCode) {
+      errors.push('deviceCode is required');
+    }
+
+    const timestamp = parseTimestamp(pick('timestamp'), utcOffset);
+    if (!timestamp) {
+      errors.push('timestamp is missing or invalid');
+    } else if (timestamp > new Date()) {
+      errors.push('timestamp is in the future');
+    }
+
+    const toNumber = (field) => {
+      const value = pick(field);
+      if (value === null) return null;
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        errors.push(`${field} must be a number`);
+        return null;
+      }
+      return number;
+    };
+
+    const waterLevel = toNumber('waterLevel');
+    const rainfall = toNumber('rainfall');
+
+    if (waterLevel === null && rainfall === null && errors.length === 0) {
+      errors.push('At least one of rainfall or waterLevel must be provided');
+    }
+
+    return { reading: { deviceCode, timestamp, waterLevel, rainfall }, errors };
+  }
+
+  /**
+   * Parse CSV or NDJSON text into row objects
+   * @param {string} text - Uploaded content
+   * @param {string} [format] - csv or ndjson (detected when omitted)
+   * @returns {Array<Object>} Rows with their line numbers
+   */
+  parse(text, format) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return [];
+    }
+
+    const content = text.replace(/^\uFEFF/, '');
+    const detected = format || (content.trimStart().startsWith('{') ? 'ndjson' : 'csv');
+
+    if (!IMPORT_FORMATS.includes(detected)) {
+      throw this.createImportError(`format must be one of ${IMPORT_FORMATS.join(', ')}`, 'INVALID_IMPORT_OPTIONS');
+    }
+
+    return detected === 'ndjson' ? this.parseNdjson(content) : this.parseCsv(content);
+  }
+
+  parseNdjson(content) {
+    const rows = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      try {
+        rows.push({ ...JSON.parse(line), __line: index + 1 });
+      } catch {
+        rows.push({ __line: index + 1, __error: 'Invalid JSON' });
+      }
+    });
+
+    return rows;
+  }
+
+  parseCsv(content) {
+    const records = this.splitCsv(content);
+    const header = records.shift();
+
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.fields.map(field => field.trim());
+
+    return records
+      .filter(record => record.fields.some(field => field.trim() !== ''))
+      .map(record => {
+        if (record.fields.length !== columns.length) {
+          return { __line: record.line, __error: `Expected ${columns.length} columns, got ${record.fields.length}` };
+        }
+
+        return {
+          ...Object.fromEntries(columns.map((column, i) => [column, record.fields[i].trim()])),
+          __line: record.line
+        };
+      });
+  }
+
+  /**
+   * Split CSV text into records, honouring quoted fields
+   * @param {string} content - CSV text
+   * @returns {Array<Object>} Records ({ line, fields })
+   */
+  splitCsv(content) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || fields.length > 0) {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+    }
+
+    return records;
+  }
+
+  createImportError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+export const sensorImportService = new SensorImportService();
@@ -1,6 +1,38 @@
 import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { sensorRollupRepository } from '../repositories/sensorRollup.repository.js';
+import { sensorRollupService, ROLLUP_LEVELS } from './sensorRollup.service.js';
+import { EXPORT_BATCH_SIZE } from '../utils/spreadsheetExport.js';
 import logger from '../utils/logger.js';
 
+// Supported aggregation intervals in seconds
+const AGGREGATE_INTERVALS = {
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+// Range used when `from` is omitted
+const AGGREGATE_DEFAULT_RANGES = {
+  '5m': 24 * 60 * 60,
+  '1h': 7 * 24 * 60 * 60,
+  '1d': 30 * 24 * 60 * 60
+};
+
+// Upper bound on gap-filled buckets per device
+const MAX_AGGREGATE_BUCKETS = 2000;
+
+// Rollup levels, coarsest first
+const ROLLUP_SOURCES = Object.entries(ROLLUP_LEVELS).sort(([, a], [, b]) => b - a);
+
+const SENSOR_LOG_EXPORT_COLUMNS = [
+  { key: 'timestamp', type: 'datetime', label: { id: 'Waktu', en: 'Time' } },
+  { key: 'deviceCode', label: { id: 'Kode Perangkat', en: 'Device Code' } },
+  { key: 'waterLevel', label: { id: 'Ketinggian Air (cm)', en: 'Water Level (cm)' } },
+  { key: 'rainfall', label: { id: 'Curah Hujan (mm/jam)', en: 'Rainfall (mm/h)' } },
+  { key: 'rawWaterLevel', label: { id: 'Ketinggian Air Mentah', en: 'Raw Water Level' } },
+  { key: 'rawRainfall', label: { id: 'Curah Hujan Mentah', en: 'Raw Rainfall' } }
+];
+
 class SensorLogService {
   async createSensorLog(data) {
     try {
@@ -19,6 +51,8 @@ class SensorLogService {
         deviceCode: data.deviceCode,
         rainfall: data.rainfall !== undefined ? parseFloat(data.rainfall) : null,
         waterLevel: data.waterLevel !== undefined ? parseFloat(data.waterLevel) : null,
+        rawRainfall: data.rawRainfall !== undefined && data.rawRainfall !== null ? parseFloat(data.rawRainfall) : null,
+        rawWaterLevel: data.rawWaterLevel !== undefined && data.rawWaterLevel !== null ? parseFloat(data.rawWaterLevel) : null,
         timestamp: data.timestamp ? new Date(data.timestamp) : new Date()
       };
 
@@ -46,6 +80,8 @@ class SensorLogService {
           deviceCode: log.deviceCode,
           rainfall: log.rainfall !== undefined ? parseFloat(log.rainfall) : null,
           waterLevel: log.waterLevel !== undefined ? parseFloat(log.waterLevel) : null,
+          rawRainfall: log.rawRainfall !== undefined && log.rawRainfall !== null ? parseFloat(log.rawRainfall) : null,
+          rawWaterLevel: log.rawWaterLevel !== undefined && log.rawWaterLevel !== null ? parseFloat(log.rawWaterLevel) : null,
           timestamp: log.timestamp ? new Date(log.timestamp) : new Date()
         };
       });
@@ -107,6 +143,57 @@ class SensorLogService {
     }
   }
 
+  /**
+   * Prepare a streaming export of sensor logs in a date range
+   * @param {string} deviceCode - Device code
+   * @param {Object} params - Filters ({ startDate, endDate, sortOrder })
+   * @returns {Object} Export definition ({ fileName, sheetName, columns, batches })
+   */
+  getSensorLogExport(deviceCode, { startDate, endDate, sortOrder = 'desc' } = {}) {
+    if (!deviceCode || !startDate || !endDate) {
+      throw this.createAggregateError('Device ID, start date, and end date are required', 'INVALID_DATE_RANGE');
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw this.createAggregateError('startDate and endDate must be valid dates', 'INVALID_DATE_RANGE');
+    }
+
+    if (start > end) {
+      throw this.createAggregateError('Start date cannot be later than end date', 'INVALID_DATE_RANGE');
+    }
+
+    const order = String(sortOrder).toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+    logger.info(`Exporting sensor logs for device ${deviceCode} from ${startDate} to ${endDate}`);
+
+    return {
+      fileName: `sensor-logs_${deviceCode}_${startDate}_${endDate}`.replace(/[^A-Za-z0-9_.-]/g, '_'),
+      sheetName: 'Sensor Logs',
+      columns: SENSOR_LOG_EXPORT_COLUMNS,
+      batches: this.iterateSensorLogs(deviceCode, start, end, order)
+    };
+  }
+
+  async *iterateSensorLogs(deviceCode, start, end, sortOrder) {
+    let cursor = null;
+
+    for (;;) {
+      const batch = await sensorLogRepository.findByDateRangeBatch(deviceCode, start, end, {
+        sortOrder,
+        cursor,
+        take: EXPORT_BATCH_SIZE
+      });
+
+      if (batch.length > 0) yield batch;
+      if (batch.length < EXPORT_BATCH_SIZE) return;
+
+      cursor = batch[batch.length - 1].id;
+    }
+  }
+
   async getSensorLogStatistics(deviceCode, startDate, endDate) {
     try {
       if (!deviceCode || !startDate || !endDate) {
@@ -128,6 +215,179 @@ class SensorLogService {
     }
   }
 
+  /**
+   * Get time-bucketed sensor statistics for one or more devices.
+   * Buckets are aligned to the interval (UTC) and empty buckets are filled
+   * with a zero count and null values. Reads from the coarsest rollup table
+   * whose bucket size divides the interval and from raw sensor logs for the
+   * part of the range that has not been rolled up yet.
+   * @param {Array<string>} deviceCodes - Device codes
+   * @param {Object} options - Aggregation options
+   * @param {string} options.interval - Bucket size (5m, 1h or 1d)
+   * @param {string} [options.from] - Range start (defaults depend on the interval)
+   * @param {string} [options.to] - Range end (defaults to now)
+   * @returns {Promise<Object>} Buckets per device
+   */
+  async getAggregatedSensorLogs(deviceCodes, { interval = '1h', from, to } = {}) {
+    try {
+      const codes = [...new Set((deviceCodes || []).map(code => code.trim()).filter(Boolean))];
+
+      if (codes.length === 0) {
+        throw this.createAggregateError('At least one device code is required', 'DEVICE_CODE_REQUIRED');
+      }
+
+      const intervalSeconds = AGGREGATE_INTERVALS[interval];
+      if (!intervalSeconds) {
+        throw this.createAggregateError(
+          `interval must be one of ${Object.keys(AGGREGATE_INTERVALS).join(', ')}`,
+          'INVALID_INTERVAL'
+        );
+      }
+
+      const intervalMs = intervalSeconds * 1000;
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - AGGREGATE_DEFAULT_RANGES[interval] * 1000);
+
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw this.createAggregateError('from and to must be valid dates', 'INVALID_DATE_RANGE');
+      }
+
+      if (start > end) {
+        throw this.createAggregateError('Start date cannot be later than end date', 'INVALID_DATE_RANGE');
+      }
+
+      // Expand the range to whole buckets; `to` is exclusive
+      const firstBucket = Math.floor(start.getTime() / intervalMs);
+      const lastBucket = Math.max(firstBucket, Math.ceil(end.getTime() / intervalMs) - 1);
+      const bucketCount = lastBucket - firstBucket + 1;
+
+      if (bucketCount > MAX_AGGREGATE_BUCKETS) {
+        throw this.createAggregateError(
+          `Range contains ${bucketCount} buckets (max ${MAX_AGGREGATE_BUCKETS}); use a larger interval or a shorter range`,
+          'RANGE_TOO_LARGE'
+        );
+      }
+
+      const rangeStart = new Date(firstBucket * intervalMs);
+      const rangeEnd = new Date((lastBucket + 1) * intervalMs);
+
+      logger.info(`Aggregating sensor logs for ${codes.join(', ')} by ${interval} from ${rangeStart.toISOString()} to ${rangeEnd.toISOString()}`);
+      const { rows, sources } = await this.fetchAggregateRows(codes, rangeStart, rangeEnd, intervalSeconds);
+
+      const rowsByDevice = new Map(codes.map(code => [code, new Map()]));
+      rows.forEach(row => {
+        const deviceRows = rowsByDevice.get(row.deviceCode);
+        if (!deviceRows) return;
+
+        // A bucket can be split between a rollup table and raw logs
+        const bucket = Number(row.bucket);
+        const existing = deviceRows.get(bucket);
+        deviceRows.set(bucket, existing ? this.mergeAggregateRows(existing, row) : row);
+      });
+
+      const data = codes.map(deviceCode => {
+        const deviceRows = rowsByDevice.get(deviceCode);
+        const buckets = [];
+
+        for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+          buckets.push(this.formatAggregateBucket(bucket, intervalMs, deviceRows.get(bucket)));
+        }
+
+        return { deviceCode, buckets };
+      });
+
+      return {
+        interval,
+        from: rangeStart.toISOString(),
+        to: rangeEnd.toISOString(),
+        sources,
+        data
+      };
+    } catch (error) {
+      logger.error('Error aggregating sensor logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load aggregated rows, preferring rollup tables over raw sensor logs
+   * @param {Array<string>} codes - Device codes
+   * @param {Date} rangeStart - Range start (inclusive)
+   * @param {Date} rangeEnd - Range end (exclusive)
+   * @param {number} intervalSeconds - Bucket size in seconds
+   * @returns {Promise<Object>} Rows and the sources they were read from
+   */
+  async fetchAggregateRows(codes, rangeStart, rangeEnd, intervalSeconds) {
+    const source = ROLLUP_SOURCES.find(([, sizeMs]) => (intervalSeconds * 1000) % sizeMs === 0);
+    const rows = [];
+    const sources = [];
+    let rawStart = rangeStart;
+
+    if (source) {
+      const [level] = source;
+      const rolledUntil = await sensorRollupService.getRolledUntil(level);
+
+      if (rolledUntil && rolledUntil > rangeStart) {
+        const rollupEnd = rolledUntil < rangeEnd ? rolledUntil : rangeEnd;
+        rows.push(...await sensorRollupRepository.aggregateByInterval(level, codes, rangeStart, rollupEnd, intervalSeconds));
+        sources.push(level);
+        rawStart = rollupEnd;
+      }
+    }
+
+    if (rawStart < rangeEnd) {
+      rows.push(...await sensorLogRepository.aggregateByInterval(codes, rawStart, rangeEnd, intervalSeconds));
+      sources.push('raw');
+    }
+
+    return { rows, sources };
+  }
+
+  mergeAggregateRows(a, b) {
+    const sum = (x, y) => x === null || x === undefined ? y : y === null || y === undefined ? x : Number(x) + Number(y);
+    const pick = (fn, x, y) => x === null || x === undefined ? y : y === null || y === undefined ? x : fn(Number(x), Number(y));
+
+    return {
+      deviceCode: a.deviceCode,
+      bucket: a.bucket,
+      count: Number(a.count) + Number(b.count),
+      waterLevelSum: sum(a.waterLevelSum, b.waterLevelSum),
+      waterLevelMin: pick(Math.min, a.waterLevelMin, b.waterLevelMin),
+      waterLevelMax: pick(Math.max, a.waterLevelMax, b.waterLevelMax),
+      waterLevelCount: Number(a.waterLevelCount) + Number(b.waterLevelCount),
+      rainfallTotal: sum(a.rainfallTotal, b.rainfallTotal),
+      rainfallMax: pick(Math.max, a.rainfallMax, b.rainfallMax)
+    };
+  }
+
+  formatAggregateBucket(bucket, intervalMs, row) {
+    const toNumber = (value) => value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100;
+    const waterLevelCount = row ? Number(row.waterLevelCount) : 0;
+
+    return {
+      start: new Date(bucket * intervalMs).toISOString(),
+      end: new Date((bucket + 1) * intervalMs).toISOString(),
+      count: row ? Number(row.count) : 0,
+      waterLevel: {
+        avg: waterLevelCount > 0 ? toNumber(Number(row.waterLevelSum) / waterLevelCount) : null,
+        min: toNumber(row?.waterLevelMin),
+        max: toNumber(row?.waterLevelMax),
+        count: waterLevelCount
+      },
+      rainfall: {
+        total: toNumber(row?.rainfallTotal),
+        max: toNumber(row?.rainfallMax)
+      }
+    };
+  }
+
+  createAggregateError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+
   async getLatestReading(deviceCode) {
     try {
       if (!deviceCode) {
@@ -163,8 +423,20 @@ class SensorLogService {
         data.timestamp = new Date(updateData.timestamp);
       }
 
+      const previous = data.timestamp ? await sensorLogRepository.findById(id) : null;
+
       logger.info(`Updating sensor log ${id}`, data);
-      return await sensorLogRepository.update(id, data);
+      const sensorLog = await sensorLogRepository.update(id, data);
+
+      // A moved log changes the buckets it left and the ones it entered
+      const timestamps = [sensorLog.timestamp, previous?.timestamp].filter(Boolean).map(date => new Date(date).getTime());
+      await sensorRollupService.refreshDevice(
+        sensorLog.deviceCode,
+        new Date(Math.min(...timestamps)),
+        new Date(Math.max(...timestamps))
+      );
+
+      return sensorLog;
     } catch (error) {
       logger.error(`Error updating sensor log ${id}:`, error);
       throw error;
@@ -178,7 +450,11 @@ class SensorLogService {
       }
 
       logger.info(`Deleting sensor log ${id}`);
-      return await sensorLogRepository.delete(id);
+      const sensorLog = await sensorLogRepository.delete(id);
+
+      await sensorRollupService.refreshDevice(sensorLog.deviceCode, sensorLog.timestamp, sensorLog.timestamp, { existing: true });
+
+      return sensorLog;
     } catch (error) {
       logger.error(`Error deleting sensor log ${id}:`, error);
       throw error;
@@ -192,7 +468,11 @@ class SensorLogService {
       }
 
       logger.info(`Deleting all sensor logs for device ${deviceCode}`);
-      return await sensorLogRepository.deleteBydeviceCode(deviceCode);
+      const result = await sensorLogRepository.deleteBydeviceCode(deviceCode);
+
+      await sensorRollupService.clearDevice(deviceCode);
+
+      return result;
     } catch (error) {
       logger.error(`Error deleting sensor logs for device ${deviceCode}:`, error);
       throw error;
@@ -0,0 +1,305 @@
+import { randomUUID } from 'crypto';
+import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { quarantineRepository } from '../repositories/quarantine.repository.js';
+import logger from '../utils/logger.js';
+
+// Quarantine reason of readings the database refused to store
+export const WRITE_FAILED_REASON = 'WRITE_FAILED';
+
+// Prisma errors caused by the data of a row rather than the connection:
+// value too long, unique and foreign key violations, invalid or out of range values
+const ROW_ERROR_CODES = ['P2000', 'P2002', 'P2003', 'P2007', 'P2020'];
+
+const isRowError = (error) =>
+  ROW_ERROR_CODES.includes(error?.code) || error?.name === 'PrismaClientValidationError';
+
+/**
+ * SensorLogBuffer Service
+ * Write-behind buffer for sensor logs. Readings are accumulated in memory and
+ * written with a single createMany when the buffer reaches `maxSize` or every
+ * `flushInterval` milliseconds, whichever comes first.
+ *
+ * Readings that are still buffered are not in sensor_logs yet. The windowed
+ * reads used by live evaluations (rate of rise, flood rules, forecast and
+ * reading validation) merge them in through getPending().
+ */
+export class SensorLogBuffer {
+  constructor(notificationEmitter, options = {}) {
+    this.notificationEmitter = notificationEmitter;
+    this.maxSize = options.maxSize || Number(process.env.SENSOR_BUFFER_MAX_SIZE) || 100;
+    this.flushInterval = options.flushInterval || Number(process.env.SENSOR_BUFFER_FLUSH_MS) || 2000;
+    // Upper bound kept in memory while the database is unavailable
+    this.maxPending = options.maxPending || this.maxSize * 50;
+
+    this.buffer = [];
+    // Entries of the running flush, until the insert completes
+    this.inFlight = [];
+    this.intervalId = null;
+    this.flushing = null;
+
+    this.stats = {
+      queued: 0,
+      flushed: 0,
+      flushes: 0,
+      failedFlushes: 0,
+      quarantined: 0,
+      dropped: 0,
+      lastFlushAt: null
+    };
+  }
+
+  /**
+   * Start the periodic flush timer
+   */
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.flush();
+    }, this.flushInterval);
+
+    logger.info(`Sensor log buffer started (max ${this.maxSize} readings, flush every ${this.flushInterval}ms)`);
+  }
+
+  /**
+   * Stop the periodic flush timer (buffered readings are kept)
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Sensor log buffer stopped');
+    }
+  }
+
+  /**
+   * Queue a sensor reading for the next flush
+   * @param {Object} sensorLog - Sensor log data
+   * @param {Object} [event] - Sensor data broadcast as `sensor-data-saved` once written
+   * @returns {Object} Queued entry with its pre-assigned ID
+   */
+  add(sensorLog, event = null) {
+    const entry = this.createEntry(sensorLog, event);
+
+    this.buffer.push(entry);
+    this.stats.queued++;
+
+    if (this.buffer.length >= this.maxSize) {
+      this.flush();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Queue several readings and write them right away, together with
+   * anything already buffered, in a single bulk insert. Readings that fail
+   * to be written are handled like single readings.
+   * @param {Array<Object>} sensorLogs - Sensor log data
+   * @returns {Promise<Object>} Queued entries and the number of written readings
+   */
+  async addBatch(sensorLogs) {
+    const entries = sensorLogs.map(sensorLog => this.createEntry(sensorLog));
+
+    this.buffer.push(...entries);
+    this.stats.queued += entries.length;
+
+    const written = await this.flush();
+
+    return { entries, written };
+  }
+
+  createEntry(sensorLog, event = null) {
+    return {
+      id: randomUUID(),
+      deviceCode: sensorLog.deviceCode,
+      rainfall: sensorLog.rainfall ?? null,
+      waterLevel: sensorLog.waterLevel ?? null,
+      rawRainfall: sensorLog.rawRainfall ?? null,
+      rawWaterLevel: sensorLog.rawWaterLevel ?? null,
+      timestamp: sensorLog.timestamp || new Date(),
+      event
+    };
+  }
+
+  /**
+   * Write all buffered readings with a single bulk insert.
+   * Concurrent calls wait for the running flush and then flush what is left.
+   * If the database rejects the batch because of its data, the batch is split
+   * in halves until the offending readings are isolated; those are moved to
+   * quarantine and the rest is written. Any other failure puts the whole
+   * batch back in front of the buffer.
+   * @returns {Promise<number>} Number of readings written
+   */
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+
+    if (this.buffer.length === 0) {
+      return 0;
+    }
+
+    const batch = this.buffer.splice(0, this.buffer.length);
+    this.inFlight = batch;
+
+    this.flushing = (async () => {
+      const { written, retry, rejected, error } = await this.writeBatch(batch);
+
+      if (written.length > 0) {
+        this.stats.flushed += written.length;
+        this.stats.flushes++;
+        this.stats.lastFlushAt = new Date().toISOString();
+
+        logger.debug(`Flushed ${written.length} sensor logs`);
+
+        written
+          .filter(entry => entry.event)
+          .forEach(entry => {
+            this.notificationEmitter.emitToAll('sensor-data-saved', {
+              ...entry.event,
+              savedToDatabase: true,
+              logId: entry.id
+            });
+          });
+      }
+
+      if (rejected.length > 0) {
+        await this.quarantineRejected(rejected);
+      }
+
+      if (retry.length > 0) {
+        this.stats.failedFlushes++;
+        logger.error(`Failed to flush ${retry.length} sensor logs:`, error);
+
+        // Put them back in front so they are retried on the next flush
+        this.buffer.unshift(...retry);
+        if (this.buffer.length > this.maxPending) {
+          const dropped = this.buffer.splice(0, this.buffer.length - this.maxPending);
+          this.stats.dropped += dropped.length;
+          logger.error(`Sensor log buffer full, dropped ${dropped.length} oldest readings`);
+        }
+
+        this.notificationEmitter.emitToAll('sensor-data-error', {
+          savedToDatabase: false,
+          pending: this.buffer.length,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return written.length;
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+      this.inFlight = [];
+    }
+  }
+
+  /**
+   * Insert a batch, bisecting it when the database rejects its data
+   * @param {Array<Object>} batch - Buffered entries
+   * @returns {Promise<Object>} { written, retry, rejected: [{ entry, error }], error }
+   */
+  async writeBatch(batch) {
+    try {
+      await sensorLogRepository.createMany(batch);
+      return { written: batch, retry: [], rejected: [], error: null };
+    } catch (error) {
+      if (!isRowError(error)) {
+        return { written: [], retry: batch, rejected: [], error };
+      }
+
+      if (batch.length === 1) {
+        return { written: [], retry: [], rejected: [{ entry: batch[0], error }], error: null };
+      }
+
+      const middle = Math.ceil(batch.length / 2);
+      const first = await this.writeBatch(batch.slice(0, middle));
+      const second = await this.writeBatch(batch.slice(middle));
+
+      return {
+        written: [...first.written, ...second.written],
+        retry: [...first.retry, ...second.retry],
+        rejected: [...first.rejected, ...second.rejected],
+        error: first.error || second.error
+      };
+    }
+  }
+
+  /**
+   * Move readings the database refused to quarantine so they can be
+   * reviewed. Readings that cannot be quarantined either are dropped.
+   * @param {Array<Object>} rejected - Rejected entries ({ entry, error })
+   */
+  async quarantineRejected(rejected) {
+    for (const { entry, error } of rejected) {
+      let quarantineId = null;
+
+      try {
+        const quarantined = await quarantineRepository.create({
+          deviceCode: entry.deviceCode,
+          timestamp: entry.timestamp,
+          waterLevel: entry.waterLevel,
+          rainfall: entry.rainfall,
+          rawWaterLevel: entry.rawWaterLevel,
+          rawRainfall: entry.rawRainfall,
+          reason: WRITE_FAILED_REASON,
+          details: error.message
+        });
+
+        quarantineId = quarantined.id;
+        this.stats.quarantined++;
+        logger.warn(`Sensor log ${entry.id} from ${entry.deviceCode} rejected by the database, quarantined as ${quarantineId}`, {
+          error: error.message
+        });
+      } catch (quarantineError) {
+        this.stats.dropped++;
+        logger.error(`Sensor log ${entry.id} from ${entry.deviceCode} rejected by the database and dropped`, {
+          reading: entry,
+          error: error.message,
+          quarantineError: quarantineError.message
+        });
+      }
+
+      this.notificationEmitter.emitToAll('sensor-data-error', {
+        ...(entry.event || { deviceCode: entry.deviceCode, timestamp: entry.timestamp }),
+        savedToDatabase: false,
+        logId: entry.id,
+        quarantineId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get readings that are accepted but not written yet, oldest first
+   * @param {string} deviceCode - Device code
+   * @param {Date} [since] - Lower time bound (inclusive)
+   * @returns {Array<Object>} Buffered entries
+   */
+  getPending(deviceCode, since = null) {
+    return [...this.inFlight, ...this.buffer]
+      .filter(entry => entry.deviceCode === deviceCode && (!since || entry.timestamp >= since))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Get buffer statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.buffer.length,
+      maxSize: this.maxSize,
+      flushInterval: this.flushInterval,
+      active: this.intervalId !== null
+    };
+  }
+}
+
+export default SensorLogBuffer;
@@ -0,0 +1,365 @@
+import { sensorRollupRepository } from '../repositories/sensorRollup.repository.js';
+import { deviceRepository } from '../repositories/device.repository.js';
+import { retentionConfig } from '../config/retention.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bucket size of each rollup level
+export const ROLLUP_LEVELS = {
+  hourly: HOUR_MS,
+  daily: DAY_MS
+};
+
+// Buckets re-rolled on every run to pick up buffered and late readings
+const ROLLUP_LOOKBACK_MS = {
+  hourly: 2 * HOUR_MS,
+  daily: DAY_MS
+};
+
+// Range summarized per statement during catch-up and backfill
+const ROLLUP_CHUNK_MS = {
+  hourly: 7 * DAY_MS,
+  daily: 90 * DAY_MS
+};
+
+/**
+ * SensorRollup Service
+ * Maintains the hourly and daily sensor log summary tables. Hourly buckets
+ * are built from raw sensor logs and daily buckets from hourly buckets. Only
+ * complete buckets are rolled up; each level keeps a checkpoint marking the
+ * end of the summarized range.
+ */
+class SensorRollupService {
+  constructor() {
+    this.runInterval = Number(process.env.ROLLUP_INTERVAL_MS) || 5 * 60 * 1000;
+    this.intervalId = null;
+    this.running = null;
+
+    this.stats = {
+      runs: 0,
+      failures: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start the rollup scheduler; the first run catches up immediately
+   */
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.runIncremental();
+    }, this.runInterval);
+
+    this.runIncremental();
+
+    logger.info(`Sensor rollup scheduler started, running every ${this.runInterval / 1000}s`);
+  }
+
+  /**
+   * Stop the rollup scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Sensor rollup scheduler stopped');
+    }
+  }
+
+  /**
+   * Roll up everything since the last checkpoint of each level.
+   * Overlapping calls share the running rollup.
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object|null>} Rolled ranges per level, null on failure
+   */
+  async runIncremental(now = new Date()) {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = (async () => {
+      try {
+        const hourly = await this.rollupLevel('hourly', this.floorTo(now, HOUR_MS));
+
+        // Daily buckets are only complete once all of their hours are
+        const hourlyUntil = await this.getRolledUntil('hourly');
+        const daily = hourlyUntil
+          ? await this.rollupLevel('daily', this.floorTo(hourlyUntil, DAY_MS))
+          : null;
+
+        this.stats.runs++;
+        this.stats.lastRunAt = new Date().toISOString();
+        this.stats.lastError = null;
+
+        return { hourly, daily };
+      } catch (error) {
+        this.stats.failures++;
+        this.stats.lastError = error.message;
+        logger.error('Error running sensor rollup:', error);
+        return null;
+      } finally {
+        this.running = null;
+      }
+    })();
+
+    return this.running;
+  }
+
+  /**
+   * Roll up a level from its checkpoint (minus the lookback) up to `to`
+   * @param {string} level - Rollup level
+   * @param {Date} to - End of the last complete bucket
+   * @returns {Promise<Object|null>} Rolled range or null when there is nothing to do
+   */
+  async rollupLevel(level, to) {
+    const rolledUntil = await this.getRolledUntil(level);
+    let from;
+
+    if (rolledUntil) {
+      from = new Date(rolledUntil.getTime() - ROLLUP_LOOKBACK_MS[level]);
+    } else {
+      const oldest = await sensorRollupRepository.findOldestSensorLogTimestamp();
+      if (!oldest) return null;
+      from = this.floorTo(oldest, ROLLUP_LEVELS[level]);
+    }
+
+    if (from >= to) {
+      return null;
+    }
+
+    const rows = await this.rollupRange(level, from, to);
+    await sensorRollupRepository.setCheckpoint(level, to);
+
+    logger.debug(`Rolled up ${level} sensor logs`, { from: from.toISOString(), to: to.toISOString(), rows });
+
+    return { from: from.toISOString(), to: to.toISOString(), rows };
+  }
+
+  /**
+   * Rebuild the rollups of a historic range from raw sensor logs
+   * @param {Object} [range] - Range to rebuild
+   * @param {string} [range.from] - Range start (defaults to the oldest sensor log)
+   * @param {string} [range.to] - Range end (defaults to the last complete hour)
+   * @returns {Promise<Object>} Rebuilt ranges per level
+   */
+  async backfill({ from, to } = {}) {
+    try {
+      const oldest = await sensorRollupRepository.findOldestSensorLogTimestamp();
+      const end = this.floorTo(to ? new Date(to) : new Date(), HOUR_MS);
+      const start = from ? new Date(from) : oldest;
+
+      if (!start) {
+        return { hourly: null, daily: null };
+      }
+
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+        const error = new Error('from must be a valid date before to');
+        error.code = 'INVALID_DATE_RANGE';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const result = {};
+
+      for (const level of Object.keys(ROLLUP_LEVELS)) {
+        const size = ROLLUP_LEVELS[level];
+        const levelFrom = this.floorTo(start, size);
+        const levelTo = level === 'hourly' ? end : this.floorTo(end, size);
+
+        if (levelFrom >= levelTo) {
+          result[level] = null;
+          continue;
+        }
+
+        const rows = await this.rollupRange(level, levelFrom, levelTo);
+
+        // Only advance the checkpoint when the rebuilt range connects to it
+        const rolledUntil = await this.getRolledUntil(level);
+        const contiguous = rolledUntil ? rolledUntil >= levelFrom : oldest && levelFrom <= oldest;
+        if (contiguous && (!rolledUntil || rolledUntil < levelTo)) {
+          await sensorRollupRepository.setCheckpoint(level, levelTo);
+        }
+
+        result[level] = { from: levelFrom.toISOString(), to: levelTo.toISOString(), rows };
+      }
+
+      logger.info('Sensor rollup backfill completed', result);
+
+      return result;
+    } catch (error) {
+      logger.error('Error in backfill service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the already rolled-up buckets of one device after its sensor
+   * logs were changed, added or removed outside of ingestion. Buckets past
+   * the checkpoints are left to the scheduler, buckets before the raw
+   * coverage of the device are kept as they are.
+   * @param {string} deviceCode - Device code
+   * @param {Date|string} from - Earliest changed timestamp
+   * @param {Date|string} [to] - Latest changed timestamp, defaults to from
+   * @param {Object} [options] - { existing: from is the timestamp of a log that existed, so its day is covered }
+   * @returns {Promise<Object>} Rebuilt ranges per level
+   */
+  async refreshDevice(deviceCode, from, to = from, { existing = false } = {}) {
+    try {
+      const result = {};
+      const coveredFrom = existing ? this.floorTo(from, DAY_MS) : await this.getRawCoverageStart(deviceCode);
+
+      for (const level of Object.keys(ROLLUP_LEVELS)) {
+        const size = ROLLUP_LEVELS[level];
+        const rolledUntil = await this.getRolledUntil(level);
+        const levelFrom = new Date(Math.max(this.floorTo(from, size).getTime(), coveredFrom?.getTime() ?? 0));
+        const levelTo = new Date(Math.min(this.floorTo(to, size).getTime() + size, rolledUntil?.getTime() ?? 0));
+
+        if (!coveredFrom || levelFrom >= levelTo) {
+          result[level] = null;
+          continue;
+        }
+
+        await sensorRollupRepository.deleteBuckets(level, deviceCode, levelFrom, levelTo);
+        const rows = await this.rollupRange(level, levelFrom, levelTo, deviceCode);
+
+        result[level] = { from: levelFrom.toISOString(), to: levelTo.toISOString(), rows };
+      }
+
+      logger.info(`Sensor rollups refreshed for device ${deviceCode}`, result);
+
+      return result;
+    } catch (error) {
+      logger.error('Error in refreshDevice service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the start of the period whose raw sensor logs a device still has.
+   * Retention deletes raw logs in whole UTC days and keeps their rollups, so
+   * buckets before this day cannot be rebuilt from raw logs any more.
+   * @param {string} deviceCode - Device code
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Date|null>} Start of the raw coverage, null without raw logs
+   */
+  async getRawCoverageStart(deviceCode, now = new Date()) {
+    const [device, oldest] = await Promise.all([
+      deviceRepository.findByCode(deviceCode),
+      sensorRollupRepository.findOldestSensorLogTimestamp(deviceCode)
+    ]);
+
+    if (!oldest) return null;
+
+    return new Date(Math.max(this.getRetentionStart(device, now).getTime(), this.floorTo(oldest, DAY_MS).getTime()));
+  }
+
+  /**
+   * Get the day from which retention keeps the raw logs of a device. The
+   * retention cutoff is never later than this, so no raw log since was deleted.
+   * @param {Object|null} device - Device with its retentionDays override
+   * @param {Date} [now] - Reference time
+   * @returns {Date} Day-aligned start of the retention period
+   */
+  getRetentionStart(device, now = new Date()) {
+    const retentionDays = device?.retentionDays ?? retentionConfig.rawRetentionDays;
+    return this.floorTo(new Date(now.getTime() - Math.max(1, retentionDays) * DAY_MS), DAY_MS);
+  }
+
+  /**
+   * Remove every rollup bucket of a device whose sensor logs were all deleted
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object>} Deleted rows per level
+   */
+  async clearDevice(deviceCode) {
+    try {
+      const result = {};
+
+      for (const level of Object.keys(ROLLUP_LEVELS)) {
+        result[level] = await sensorRollupRepository.deleteBuckets(level, deviceCode);
+      }
+
+      logger.info(`Sensor rollups cleared for device ${deviceCode}`, result);
+
+      return result;
+    } catch (error) {
+      logger.error('Error in clearDevice service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize a range in chunks
+   * @param {string} level - Rollup level
+   * @param {Date} from - Range start (bucket aligned)
+   * @param {Date} to - Range end (bucket aligned)
+   * @param {string} [deviceCode] - Only summarize this device
+   * @returns {Promise<number>} Number of affected rows
+   */
+  async rollupRange(level, from, to, deviceCode = null) {
+    let rows = 0;
+
+    for (let chunkStart = from.getTime(); chunkStart < to.getTime(); chunkStart += ROLLUP_CHUNK_MS[level]) {
+      const chunkEnd = new Date(Math.min(chunkStart + ROLLUP_CHUNK_MS[level], to.getTime()));
+      rows += level === 'hourly'
+        ? await sensorRollupRepository.rollupHourly(new Date(chunkStart), chunkEnd, deviceCode)
+        : await sensorRollupRepository.rollupDaily(new Date(chunkStart), chunkEnd, deviceCode);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Get the end of the summarized range of a level
+   * @param {string} level - Rollup level
+   * @returns {Promise<Date|null>} Checkpoint time or null when never rolled up
+   */
+  async getRolledUntil(level) {
+    const checkpoint = await sensorRollupRepository.getCheckpoint(level);
+    return checkpoint ? new Date(checkpoint.rolledUntil) : null;
+  }
+
+  /**
+   * Get rollup checkpoints and scheduler statistics
+   * @returns {Promise<Object>} Rollup status
+   */
+  async getStatus() {
+    try {
+      const checkpoints = await sensorRollupRepository.getCheckpoints();
+
+      return {
+        levels: Object.keys(ROLLUP_LEVELS).map(level => ({
+          level,
+          rolledUntil: checkpoints.find(checkpoint => checkpoint.name === level)?.rolledUntil || null
+        })),
+        ...this.getStats()
+      };
+    } catch (error) {
+      logger.error('Error in getStatus service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      running: this.running !== null,
+      runInterval: this.runInterval,
+      active: this.intervalId !== null
+    };
+  }
+
+  floorTo(date, sizeMs) {
+    return new Date(Math.floor(new Date(date).getTime() / sizeMs) * sizeMs);
+  }
+}
+
+export const sensorRollupService = new SensorRollupService();
@@ -0,0 +1,278 @@
+import { randomUUID } from 'crypto';
+import { deviceRepository } from '../repositories/device.repository.js';
+import { sensorLogRepository } from '../repositories/sensorLog.repository.js';
+import { quarantineRepository } from '../repositories/quarantine.repository.js';
+import { sensorRollupService } from './sensorRollup.service.js';
+import { OUTLIER_MIN_DEVIATION, checkOutlier } from '../utils/outlierFilter.js';
+import logger from '../utils/logger.js';
+
+const OUTLIER_WINDOW = 5; // previous readings used for the median filter
+const LEVEL_SHIFT_CONFIRM_MINUTES = 15;
+
+const QUARANTINE_STATUSES = ['PENDING', 'RELEASED', 'DISCARDED'];
+
+// Quarantine reason of readings held until their device is approved
+export const HELD_READING_REASON = 'DEVICE_PENDING';
+
+class SensorValidationService {
+  /**
+   * Validate a sensor reading before it is stored. Checks the device's
+   * physical range limits, the max delta per sample and a median/MAD
+   * outlier filter. A reading that fails the delta or outlier check is still
+   * accepted when a recent quarantined reading agrees with it, so a real
+   * level shift is only held back for one sample; the confirming reading is
+   * released along with it. Late (replayed) readings
+   * are only range checked, as the delta and outlier checks compare against
+   * the newest readings.
+   * @param {string} deviceCode - Device code
+   * @param {Object} reading - Reading ({ waterLevel, rainfall, timestamp, late })
+   * @returns {Promise<Object>} { valid, reason, details }
+   */
+  async validateReading(deviceCode, reading) {
+    const { waterLevel, rainfall, late = false } = reading;
+    const device = await deviceRepository.findByCode(deviceCode);
+
+    if (!device) {
+      return { valid: true, reason: null, details: null };
+    }
+
+    const rangeProblems = this.checkRange(device, { waterLevel, rainfall });
+
+    if (rangeProblems.length > 0) {
+      return { valid: false, reason: 'OUT_OF_RANGE', details: rangeProblems.join('; ') };
+    }
+
+    if (waterLevel === null || waterLevel === undefined || late) {
+      return { valid: true, reason: null, details: null };
+    }
+
+    const previous = await sensorLogRepository.findLatestWaterLevels(deviceCode, OUTLIER_WINDOW);
+    let rejection = null;
+
+    if (previous.length > 0 && device.maxWaterLevelDelta !== null && device.maxWaterLevelDelta !== undefined) {
+      const delta = Math.abs(waterLevel - previous[0].waterLevel);
+      if (delta > device.maxWaterLevelDelta) {
+        rejection = {
+          reason: 'MAX_DELTA_EXCEEDED',
+          details: `waterLevel changed ${delta.toFixed(2)}cm since last sample (max ${device.maxWaterLevelDelta}cm)`
+        };
+      }
+    }
+
+    const outlier = !rejection && device.outlierFilter
+      ? checkOutlier(waterLevel, previous.map(log => log.waterLevel))
+      : null;
+
+    if (outlier?.outlier) {
+      const { median, limit, deviation } = outlier;
+      rejection = {
+        reason: 'OUTLIER',
+        details: `waterLevel ${waterLevel}cm deviates ${deviation.toFixed(2)}cm from median ${median}cm (limit ${limit.toFixed(2)}cm)`
+      };
+    }
+
+    if (!rejection) {
+      return { valid: true, reason: null, details: null };
+    }
+
+    // Accept when a recent quarantined reading confirms the new level
+    const since = new Date(Date.now() - LEVEL_SHIFT_CONFIRM_MINUTES * 60 * 1000);
+    const pending = await quarantineRepository.findLatestPending(deviceCode, since);
+    const tolerance = device.maxWaterLevelDelta ?? OUTLIER_MIN_DEVIATION;
+
+    if (pending && pending.waterLevel !== null && Math.abs(pending.waterLevel - waterLevel) <= tolerance) {
+      const released = await this.releaseQuarantined(pending);
+
+      logger.info(`Level shift confirmed for device ${deviceCode}`, {
+        waterLevel,
+        quarantinedWaterLevel: pending.waterLevel,
+        quarantineId: pending.id,
+        releasedLogId: released?.id ?? null
+      });
+      return { valid: true, reason: null, details: `Level shift confirmed by quarantined reading ${pending.id}` };
+    }
+
+    return { valid: false, ...rejection };
+  }
+
+  /**
+   * Check a reading against the physical range limits of its device
+   * @param {Object} device - Device with its limits
+   * @param {Object} reading - Reading ({ waterLevel, rainfall })
+   * @returns {Array<string>} Problems, empty when the reading is in range
+   */
+  checkRange(device, { waterLevel, rainfall }) {
+    const rangeProblems = [];
+
+    if (waterLevel !== null && waterLevel !== undefined) {
+      if (waterLevel < device.minWaterLevel) {
+        rangeProblems.push(`waterLevel ${waterLevel}cm below minimum ${device.minWaterLevel}cm`);
+      }
+      if (device.maxWaterLevel !== null && device.maxWaterLevel !== undefined && waterLevel > device.maxWaterLevel) {
+        rangeProblems.push(`waterLevel ${waterLevel}cm above maximum ${device.maxWaterLevel}cm`);
+      }
+    }
+
+    if (rainfall !== null && rainfall !== undefined) {
+      if (rainfall < 0) {
+        rangeProblems.push(`rainfall ${rainfall}mm/h is negative`);
+      }
+      if (device.maxRainfall !== null && device.maxRainfall !== undefined && rainfall > device.maxRainfall) {
+        rangeProblems.push(`rainfall ${rainfall}mm/h above maximum ${device.maxRainfall}mm/h`);
+      }
+    }
+
+    return rangeProblems;
+  }
+
+  /**
+   * Store a rejected reading in quarantine
+   * @param {Object} reading - Reading ({ deviceCode, waterLevel, rainfall, rawWaterLevel, rawRainfall, timestamp })
+   * @param {Object} validation - Validation result
+   * @returns {Promise<Object>} Quarantined reading
+   */
+  async quarantineReading(reading, validation) {
+    try {
+      return await quarantineRepository.create({
+        deviceCode: reading.deviceCode,
+        timestamp: reading.timestamp,
+        waterLevel: reading.waterLevel,
+        rainfall: reading.rainfall,
+        rawWaterLevel: reading.rawWaterLevel,
+        rawRainfall: reading.rawRainfall,
+        reason: validation.reason,
+        details: validation.details
+      });
+    } catch (error) {
+      logger.error('Error in quarantineReading service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List quarantined readings
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Data and pagination
+   */
+  async getQuarantinedReadings(params = {}) {
+    try {
+      const page = Math.max(1, parseInt(params.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(params.limit) || 20));
+      const status = QUARANTINE_STATUSES.includes(params.status) ? params.status : null;
+
+      return await quarantineRepository.findMany({
+        page,
+        limit,
+        status,
+        deviceCode: params.deviceCode || null
+      });
+    } catch (error) {
+      logger.error('Error in getQuarantinedReadings service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a false positive into sensor_logs with its original timestamp
+   * @param {string} id - Quarantined reading ID
+   * @returns {Promise<Object>} Updated quarantined reading and created log
+   */
+  async releaseReading(id) {
+    try {
+      const reading = await this.findPendingReading(id);
+      const sensorLog = await this.releaseQuarantined(reading);
+
+      if (!sensorLog) {
+        throw this.createAlreadyReviewedError(await quarantineRepository.findById(id));
+      }
+
+      const quarantined = await quarantineRepository.findById(id);
+
+      logger.info(`Quarantined reading ${id} released`, { sensorLogId: sensorLog.id });
+
+      return { quarantined, sensorLog };
+    } catch (error) {
+      logger.error('Error in releaseReading service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a quarantined reading as invalid
+   * @param {string} id - Quarantined reading ID
+   * @returns {Promise<Object>} Updated quarantined reading
+   */
+  async discardReading(id) {
+    try {
+      await this.findPendingReading(id);
+
+      if (await quarantineRepository.discard(id) === 0) {
+        throw this.createAlreadyReviewedError(await quarantineRepository.findById(id));
+      }
+
+      return await quarantineRepository.findById(id);
+    } catch (error) {
+      logger.error('Error in discardReading service:', error);
+      throw error;
+    }
+  }
+
+  async findPendingReading(id) {
+    const reading = await quarantineRepository.findById(id);
+
+    if (!reading) {
+      const error = new Error('Quarantined reading not found');
+      error.code = 'QUARANTINE_NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (reading.status !== 'PENDING') {
+      throw this.createAlreadyReviewedError(reading);
+    }
+
+    // Held readings are released or discarded with the approval of their device
+    if (reading.reason === HELD_READING_REASON) {
+      const error = new Error('Reading is held until its device is approved or rejected');
+      error.code = 'QUARANTINE_HELD_FOR_PROVISIONING';
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return reading;
+  }
+
+  /**
+   * Store a pending quarantined reading in sensor_logs with its original timestamp
+   * @param {Object} reading - Quarantined reading
+   * @returns {Promise<Object|null>} Created sensor log, null when the reading was no longer pending
+   */
+  async releaseQuarantined(reading) {
+    const log = {
+      id: randomUUID(),
+      deviceCode: reading.deviceCode,
+      waterLevel: reading.waterLevel,
+      rainfall: reading.rainfall,
+      rawWaterLevel: reading.rawWaterLevel,
+      rawRainfall: reading.rawRainfall,
+      timestamp: reading.timestamp
+    };
+
+    const released = await quarantineRepository.releaseMany([{ quarantineId: reading.id, log }]);
+
+    if (released === 0) return null;
+
+    await sensorRollupService.refreshDevice(reading.deviceCode, reading.timestamp);
+
+    return log;
+  }
+
+  createAlreadyReviewedError(reading) {
+    const error = new Error(`Quarantined reading already ${reading.status.toLowerCase()}`);
+    error.code = 'QUARANTINE_ALREADY_REVIEWED';
+    error.statusCode = 409;
+    return error;
+  }
+}
+
+export const sensorValidationService = new SensorValidationService();
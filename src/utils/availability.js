@@ -0,0 +1,77 @@
+// Availability math over the connection status transitions of one device.
+// Uptime counts CONNECTED and LATE time; an outage is a DISCONNECTED period.
+// Time before status recording began is unknown and counts neither as up
+// nor as down.
+
+// A late device still reports, only slower than expected
+export const UP_STATUSES = ['CONNECTED', 'LATE'];
+
+const later = (a, b) => (a > b ? a : b);
+
+/**
+ * Walk the transitions of a device through a range
+ * @param {Object} history - Known statuses of the device
+ * @param {string} history.status - Current status, used when no transition is known
+ * @param {Object} [history.lastBefore] - Last transition before the range
+ * @param {Array<Object>} history.transitions - Transitions within the range, oldest first
+ * @param {Object} range - Measured period
+ * @param {Date} range.from - Range start
+ * @param {Date} range.to - Range end
+ * @param {Date} range.since - Start of measuring the device (approval or creation)
+ * @param {Date|null} range.knownFrom - Start of status recording, null when nothing is recorded
+ * @returns {Object} { observedMs, unknownMs, uptimeMs, totals, outages } with outages as { start, end }
+ */
+export const measureAvailability = ({ status: currentStatus, lastBefore, transitions }, { from, to, since, knownFrom }) => {
+  const measuredFrom = later(since, from);
+  const start = knownFrom ? later(knownFrom, measuredFrom) : to;
+
+  // Status at the start: the last known transition, else the status the
+  // first transition in the range left, else the current status
+  let status = lastBefore?.newStatus || transitions[0]?.previousStatus || currentStatus;
+  const lastChange = lastBefore ? new Date(lastBefore.changedAt) : null;
+  let outageStart = lastChange > since ? lastChange : start;
+
+  const totals = { CONNECTED: 0, LATE: 0, DISCONNECTED: 0 };
+  const outages = [];
+  let cursor = start;
+
+  transitions.forEach(transition => {
+    const at = new Date(transition.changedAt);
+
+    // Before the start (approval) only the status carries over
+    if (at <= start) {
+      status = transition.newStatus;
+      outageStart = start;
+      return;
+    }
+
+    totals[status] += at - cursor;
+    cursor = at;
+
+    if (status !== 'DISCONNECTED' && transition.newStatus === 'DISCONNECTED') {
+      outageStart = at;
+    } else if (status === 'DISCONNECTED' && transition.newStatus !== 'DISCONNECTED') {
+      outages.push({ start: outageStart, end: at });
+    }
+
+    status = transition.newStatus;
+  });
+
+  if (to > cursor) {
+    totals[status] += to - cursor;
+  }
+
+  if (status === 'DISCONNECTED' && start < to) {
+    outages.push({ start: outageStart, end: null });
+  }
+
+  const observedMs = Math.max(0, to - measuredFrom);
+
+  return {
+    observedMs,
+    unknownMs: Math.min(observedMs, Math.max(0, start - measuredFrom)),
+    uptimeMs: UP_STATUSES.reduce((sum, key) => sum + totals[key], 0),
+    totals,
+    outages
+  };
+};
@@ -0,0 +1,17 @@
+// Strict parsing of boolean flags sent as JSON, query or form values.
+// Boolean('false') and Boolean('0') are true, so flags must not use Boolean().
+
+/**
+ * Parse a boolean flag
+ * @param {*} value - true/false, or "true"/"false" in any case
+ * @returns {boolean|undefined} Flag, undefined when the value is not a boolean
+ */
+export const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+
+  return undefined;
+};
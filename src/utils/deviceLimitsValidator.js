@@ -0,0 +1,83 @@
+// Validation helpers for the per-device sensor reading limits
+// minWaterLevel is required; the other limits are optional and null disables them.
+
+import { parseBoolean } from './boolean.js';
+
+export const DEVICE_LIMIT_FIELDS = ['minWaterLevel', 'maxWaterLevel', 'maxRainfall', 'maxWaterLevelDelta', 'outlierFilter'];
+
+const NUMBER_LIMITS = {
+  minWaterLevel: { nullable: false, positive: false },
+  maxWaterLevel: { nullable: true, positive: false },
+  maxRainfall: { nullable: true, positive: true },
+  maxWaterLevelDelta: { nullable: true, positive: true }
+};
+
+/**
+ * Check whether an object contains any device limit field
+ * @param {Object} data - Input data
+ * @returns {boolean} True if at least one limit field is present
+ */
+export const hasDeviceLimitFields = (data = {}) =>
+  DEVICE_LIMIT_FIELDS.some(field => data[field] !== undefined);
+
+/**
+ * Validate the limit fields present in a create or update payload
+ * @param {Object} data - Payload
+ * @param {Object} [current] - Current limits of the device, used to check min against max
+ * @returns {Object} Normalized limit fields that were present
+ */
+export const validateDeviceLimits = (data = {}, current = {}) => {
+  const limits = {};
+  const errors = [];
+
+  Object.entries(NUMBER_LIMITS).forEach(([field, { nullable, positive }]) => {
+    const value = data[field];
+    if (value === undefined) return;
+
+    if (value === null || value === '') {
+      if (nullable) {
+        limits[field] = null;
+      } else {
+        errors.push(`${field} is required`);
+      }
+      return;
+    }
+
+    const number = typeof value === 'string' ? Number(value) : value;
+
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      errors.push(`${field} must be a number`);
+    } else if (positive && number <= 0) {
+      errors.push(`${field} must be greater than 0`);
+    } else {
+      limits[field] = number;
+    }
+  });
+
+  if (data.outlierFilter !== undefined) {
+    const flag = parseBoolean(data.outlierFilter);
+
+    if (flag === undefined) {
+      errors.push('outlierFilter must be a boolean');
+    } else {
+      limits.outlierFilter = flag;
+    }
+  }
+
+  const min = limits.minWaterLevel ?? current.minWaterLevel ?? 0;
+  const max = limits.maxWaterLevel !== undefined ? limits.maxWaterLevel : current.maxWaterLevel;
+
+  if (errors.length === 0 && max !== null && max !== undefined && max <= min) {
+    errors.push(`maxWaterLevel (${max}) must be greater than minWaterLevel (${min})`);
+  }
+
+  if (errors.length > 0) {
+    const error = new Error('Invalid device limits');
+    error.code = 'INVALID_DEVICE_LIMITS';
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  return limits;
+};
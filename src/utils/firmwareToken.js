@@ -0,0 +1,53 @@
+// Short-lived firmware download tokens, one per update command.
+//
+//   <deviceCode>.<expires, Unix seconds>.<HMAC-SHA256 hex>
+//
+// The HMAC covers the firmware ID, the device code and the expiry and is
+// keyed with the secret stored on the firmware image, which never leaves the
+// server. A token copied from the commands table is therefore only good for
+// one image, one device and a limited time. Devices send it in the
+// X-Firmware-Token header so it does not end up in access logs.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const FIRMWARE_TOKEN_HEADER = 'X-Firmware-Token';
+
+const sign = (secret, firmwareId, deviceCode, expires) =>
+  createHmac('sha256', secret).update(`${firmwareId}:${deviceCode}:${expires}`).digest('hex');
+
+/**
+ * Create a download token for one device
+ * @param {string} secret - Secret of the firmware image
+ * @param {string} firmwareId - Firmware image ID
+ * @param {string} deviceCode - Device the token is issued to
+ * @param {Date} expiresAt - End of validity
+ * @returns {string} Token
+ */
+export const createDownloadToken = (secret, firmwareId, deviceCode, expiresAt) => {
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  return `${deviceCode}.${expires}.${sign(secret, firmwareId, deviceCode, expires)}`;
+};
+
+/**
+ * Check a download token
+ * @param {string} secret - Secret of the firmware image
+ * @param {string} firmwareId - Firmware image ID
+ * @param {string} token - Token from the request
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Device code the token was issued to, null when invalid or expired
+ */
+export const verifyDownloadToken = (secret, firmwareId, token, now = new Date()) => {
+  if (!secret || typeof token !== 'string') return null;
+
+  const match = /^(.+)\.(\d+)\.([0-9a-f]{64})$/.exec(token);
+  if (!match) return null;
+
+  const [, deviceCode, expires, signature] = match;
+
+  if (Number(expires) * 1000 <= now.getTime()) return null;
+
+  const expected = Buffer.from(sign(secret, firmwareId, deviceCode, Number(expires)), 'hex');
+  const given = Buffer.from(signature, 'hex');
+
+  return timingSafeEqual(expected, given) ? deviceCode : null;
+};
@@ -0,0 +1,194 @@
+// Declarative MQTT route registry
+//
+// Routes are registered with a topic pattern using MQTT wildcards, where a
+// single level may be named to extract it as a parameter:
+//   binatra-device/:deviceCode/sensor    ->  subscribes to binatra-device/+/sensor
+//   binatra-device/+/status              ->  unnamed single-level wildcard
+//   binatra-device/:deviceCode/logs/#    ->  params['#'] holds the remaining levels
+//
+// Each route runs its middleware in order before the handler. Middleware has
+// the signature `async (ctx, next) => {}` and rejects a message by returning
+// without calling `next()`, or by throwing.
+
+const compilePattern = (pattern) => {
+  const levels = pattern.split('/');
+
+  levels.forEach((level, index) => {
+    if (level === '#' && index !== levels.length - 1) {
+      throw new Error(`Invalid MQTT route pattern ${pattern}: # must be the last level`);
+    }
+  });
+
+  return {
+    levels,
+    subscription: levels.map(level => (level.startsWith(':') ? '+' : level)).join('/')
+  };
+};
+
+const matchLevels = (levels, topicLevels) => {
+  const params = {};
+
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+
+    if (level === '#') {
+      params['#'] = topicLevels.slice(i).join('/');
+      return params;
+    }
+
+    if (i >= topicLevels.length) return null;
+
+    if (level.startsWith(':')) {
+      if (topicLevels[i] === '') return null;
+      params[level.slice(1)] = topicLevels[i];
+    } else if (level !== '+' && level !== topicLevels[i]) {
+      return null;
+    }
+  }
+
+  return levels.length === topicLevels.length ? params : null;
+};
+
+export class MqttRouteRegistry {
+  constructor() {
+    this.routes = [];
+    this.unmatched = 0;
+  }
+
+  /**
+   * Register a route. Routes are matched in registration order.
+   * @param {Object} route - Route definition
+   * @param {string} route.name - Route name used in logs and statistics
+   * @param {string} route.pattern - Topic pattern
+   * @param {Array<Function>} [route.middleware] - Middleware run before the handler
+   * @param {Function} route.handler - Handler receiving the message context
+   * @param {boolean} [route.subscribe] - Include in the generated subscriptions (default true)
+   * @returns {MqttRouteRegistry} The registry
+   */
+  register({ name, pattern, middleware = [], handler, subscribe = true }) {
+    if (this.routes.some(route => route.name === name)) {
+      throw new Error(`MQTT route ${name} is already registered`);
+    }
+
+    this.routes.push({
+      name,
+      pattern,
+      ...compilePattern(pattern),
+      middleware,
+      handler,
+      subscribe,
+      stats: {
+        matched: 0,
+        succeeded: 0,
+        rejected: 0,
+        failed: 0,
+        totalDurationMs: 0,
+        lastMessageAt: null,
+        lastError: null
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Find the first route matching a topic
+   * @param {string} topic - MQTT topic
+   * @returns {Object|null} { route, params } or null
+   */
+  match(topic) {
+    const topicLevels = topic.split('/');
+
+    for (const route of this.routes) {
+      const params = matchLevels(route.levels, topicLevels);
+      if (params) {
+        return { route, params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the matching route for a message context
+   * @param {Object} ctx - Message context ({ topic, ... })
+   * @returns {Promise<Object>} { handled, route, rejected, result }
+   */
+  async dispatch(ctx) {
+    const matched = this.match(ctx.topic);
+
+    if (!matched) {
+      this.unmatched++;
+      return { handled: false, route: null, rejected: false, result: null };
+    }
+
+    const { route, params } = matched;
+    const startedAt = Date.now();
+    let reachedHandler = false;
+
+    ctx.route = route.name;
+    ctx.params = params;
+    route.stats.matched++;
+    route.stats.lastMessageAt = new Date(startedAt).toISOString();
+
+    const run = async (index) => {
+      if (index < route.middleware.length) {
+        return route.middleware[index](ctx, () => run(index + 1));
+      }
+
+      reachedHandler = true;
+      return route.handler(ctx);
+    };
+
+    try {
+      const result = await run(0);
+
+      if (reachedHandler) {
+        route.stats.succeeded++;
+      } else {
+        route.stats.rejected++;
+      }
+
+      return { handled: true, route: route.name, rejected: !reachedHandler, result };
+    } catch (error) {
+      route.stats.failed++;
+      route.stats.lastError = error.message;
+      throw error;
+    } finally {
+      route.stats.totalDurationMs += Date.now() - startedAt;
+    }
+  }
+
+  /**
+   * Get the topic filters to subscribe to
+   * @returns {Array<string>} Unique subscriptions
+   */
+  getSubscriptions() {
+    return [...new Set(this.routes.filter(route => route.subscribe).map(route => route.subscription))];
+  }
+
+  /**
+   * Get per-route statistics
+   * @returns {Object} Route statistics
+   */
+  getStats() {
+    return {
+      routes: this.routes.map(route => {
+        const { totalDurationMs, ...stats } = route.stats;
+        const handled = stats.succeeded + stats.rejected + stats.failed;
+
+        return {
+          name: route.name,
+          pattern: route.pattern,
+          subscription: route.subscription,
+          middleware: route.middleware.map(middleware => middleware.displayName || middleware.name || 'anonymous'),
+          ...stats,
+          avgDurationMs: handled > 0 ? Math.round((totalDurationMs / handled) * 100) / 100 : 0
+        };
+      }),
+      unmatched: this.unmatched
+    };
+  }
+}
+
+export default MqttRouteRegistry;
@@ -0,0 +1,40 @@
+// Median/MAD outlier filter for water level readings. A reading is an outlier
+// when it deviates from the median of the previous readings by more than
+// OUTLIER_MAD_MULTIPLIER robust standard deviations (1.4826 × MAD), and by
+// at least OUTLIER_MIN_DEVIATION, so a very steady sensor does not reject
+// every small change.
+
+export const OUTLIER_MIN_SAMPLES = 3;
+export const OUTLIER_MAD_MULTIPLIER = 5;
+export const OUTLIER_MIN_DEVIATION = 30; // cm, never flag smaller deviations as outliers
+
+// Scales the MAD to the standard deviation of normally distributed values
+const MAD_TO_SIGMA = 1.4826;
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values, not modified
+ * @returns {number} Median, NaN for an empty list
+ */
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Check a water level against the previous readings
+ * @param {number} waterLevel - New reading
+ * @param {Array<number>} previousLevels - Previous readings
+ * @returns {Object|null} { outlier, median, limit, deviation }, null with fewer than OUTLIER_MIN_SAMPLES readings
+ */
+export const checkOutlier = (waterLevel, previousLevels) => {
+  if (previousLevels.length < OUTLIER_MIN_SAMPLES) return null;
+
+  const center = median(previousLevels);
+  const mad = median(previousLevels.map(level => Math.abs(level - center)));
+  const limit = Math.max(OUTLIER_MAD_MULTIPLIER * MAD_TO_SIGMA * mad, OUTLIER_MIN_DEVIATION);
+  const deviation = Math.abs(waterLevel - center);
+
+  return { outlier: deviation > limit, median: center, limit, deviation };
+};
@@ -0,0 +1,185 @@
+// Decoding of compact MQTT payloads (CBOR, MessagePack and a fixed binary struct)
+// into the JSON reading shape the MQTT handlers expect.
+//
+// The encoding is taken from the topic suffix, e.g.
+//   binatra-device/{deviceCode}/sensor/cbor
+//   binatra-device/{deviceCode}/sensor/msgpack
+//   binatra-device/{deviceCode}/sensor/bin
+// or, without a suffix, from the first bytes of the payload:
+//   D9 D9 F7          CBOR self-describe tag (RFC 8949 tag 55799)
+//   42 4E ("BN")      binary struct magic
+//   A0-BF             CBOR map
+//   80-9F, DC-DF      MessagePack map or array
+//   anything else     JSON
+//
+// CBOR and MessagePack maps may use short keys: d (deviceCode), t (timestamp),
+// s (sentAt), w (waterlevel_cm), r (rainfall_mm) and rs (readings).
+//
+// Binary struct, version 1 (little-endian):
+//   offset  size  field
+//   0       2     magic "BN" (0x42 0x4E)
+//   2       1     version (1)
+//   3       1     device code length n (0 when the topic carries the code)
+//   4       n     device code (ASCII)
+//   4+n     1     reading count c (1-255)
+//   5+n     8*c   readings:
+//                   uint32  timestamp, Unix seconds (0 = use the server time,
+//                           single-reading packets only)
+//                   int16   water level in 0.1 cm (0x7FFF = not measured)
+//                   uint16  rainfall in 0.1 mm/h (0xFFFF = not measured)
+
+import { decode as decodeCbor } from 'cbor-x';
+import { decode as decodeMsgpack } from '@msgpack/msgpack';
+
+export const PAYLOAD_ENCODINGS = ['json', 'cbor', 'msgpack', 'struct'];
+
+// Topic suffixes selecting an encoding
+export const ENCODING_TOPIC_SUFFIXES = {
+  json: 'json',
+  cbor: 'cbor',
+  msgpack: 'msgpack',
+  bin: 'struct'
+};
+
+const CBOR_SELF_DESCRIBE = [0xD9, 0xD9, 0xF7];
+const STRUCT_MAGIC = [0x42, 0x4E];
+const STRUCT_VERSION = 1;
+const STRUCT_READING_SIZE = 8;
+const STRUCT_NO_WATER_LEVEL = 0x7FFF;
+const STRUCT_NO_RAINFALL = 0xFFFF;
+
+const COMPACT_KEYS = {
+  d: 'deviceCode',
+  t: 'timestamp',
+  s: 'sentAt',
+  w: 'waterlevel_cm',
+  r: 'rainfall_mm',
+  rs: 'readings'
+};
+
+const startsWith = (buffer, bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+const createDecodeError = (encoding, message) => {
+  const error = new Error(`Invalid ${encoding} payload: ${message}`);
+  error.code = 'PAYLOAD_DECODE_ERROR';
+  error.encoding = encoding;
+  return error;
+};
+
+/**
+ * Detect the encoding of an MQTT payload
+ * @param {string} topic - MQTT topic
+ * @param {Buffer} payload - Raw payload
+ * @returns {string} One of PAYLOAD_ENCODINGS
+ */
+export const detectPayloadEncoding = (topic, payload) => {
+  const suffix = topic.split('/').pop();
+  if (ENCODING_TOPIC_SUFFIXES[suffix]) {
+    return ENCODING_TOPIC_SUFFIXES[suffix];
+  }
+
+  if (!payload || payload.length === 0) return 'json';
+
+  if (startsWith(payload, CBOR_SELF_DESCRIBE)) return 'cbor';
+  if (startsWith(payload, STRUCT_MAGIC)) return 'struct';
+
+  const first = payload[0];
+  if (first >= 0xA0 && first <= 0xBF) return 'cbor';
+  if ((first >= 0x80 && first <= 0x9F) || (first >= 0xDC && first <= 0xDF)) return 'msgpack';
+
+  return 'json';
+};
+
+/**
+ * Expand compact keys and convert decoded dates so the result matches a
+ * JSON payload
+ * @param {*} value - Decoded value
+ * @returns {*} Normalized value
+ */
+const normalizeDecoded = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Map) return normalizeDecoded(Object.fromEntries(value));
+  if (Array.isArray(value)) return value.map(normalizeDecoded);
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [COMPACT_KEYS[key] || key, normalizeDecoded(entry)])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Decode a fixed binary struct payload
+ * @param {Buffer} payload - Raw payload
+ * @returns {Object} Single reading or { deviceCode, readings }
+ */
+const decodeStruct = (payload) => {
+  if (payload.length < 5 || !startsWith(payload, STRUCT_MAGIC)) {
+    throw createDecodeError('struct', 'missing "BN" header');
+  }
+
+  const version = payload.readUInt8(2);
+  if (version !== STRUCT_VERSION) {
+    throw createDecodeError('struct', `unsupported version ${version}`);
+  }
+
+  const codeLength = payload.readUInt8(3);
+  const countOffset = 4 + codeLength;
+
+  if (payload.length < countOffset + 1) {
+    throw createDecodeError('struct', 'truncated header');
+  }
+
+  const deviceCode = codeLength > 0 ? payload.toString('ascii', 4, countOffset) : undefined;
+  const count = payload.readUInt8(countOffset);
+  const expectedLength = countOffset + 1 + count * STRUCT_READING_SIZE;
+
+  if (count === 0 || payload.length !== expectedLength) {
+    throw createDecodeError('struct', `expected ${count} readings in ${expectedLength} bytes, got ${payload.length} bytes`);
+  }
+
+  const readings = [];
+  for (let i = 0; i < count; i++) {
+    const offset = countOffset + 1 + i * STRUCT_READING_SIZE;
+    const timestamp = payload.readUInt32LE(offset);
+    const waterLevel = payload.readInt16LE(offset + 4);
+    const rainfall = payload.readUInt16LE(offset + 6);
+
+    readings.push({
+      ...(timestamp > 0 && { timestamp }),
+      waterlevel_cm: waterLevel === STRUCT_NO_WATER_LEVEL ? null : waterLevel / 10,
+      rainfall_mm: rainfall === STRUCT_NO_RAINFALL ? null : rainfall / 10
+    });
+  }
+
+  return count === 1
+    ? { ...(deviceCode && { deviceCode }), ...readings[0] }
+    : { ...(deviceCode && { deviceCode }), readings };
+};
+
+/**
+ * Decode a binary payload to a JSON reading
+ * @param {Buffer} payload - Raw payload
+ * @param {string} encoding - cbor, msgpack or struct
+ * @returns {Object|Array} Decoded reading(s)
+ */
+export const decodePayload = (payload, encoding) => {
+  if (encoding === 'struct') {
+    return decodeStruct(payload);
+  }
+
+  let decoded;
+  try {
+    decoded = encoding === 'cbor' ? decodeCbor(payload) : decodeMsgpack(payload);
+  } catch (error) {
+    throw createDecodeError(encoding, error.message);
+  }
+
+  if (!decoded || typeof decoded !== 'object') {
+    throw createDecodeError(encoding, 'expected a map or an array of readings');
+  }
+
+  return normalizeDecoded(decoded);
+};
@@ -0,0 +1,174 @@
+// Streaming CSV/XLSX export helpers
+// Rows are written to the response as they are produced, so exports never
+// hold the whole result set in memory.
+
+import { once } from 'node:events';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_LANGUAGES = ['id', 'en'];
+export const DEFAULT_EXPORT_TIMEZONE = 'Asia/Jakarta'; // WIB
+
+// Rows fetched from the database per query while exporting
+export const EXPORT_BATCH_SIZE = 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const TIMEZONE_LABELS = {
+  'Asia/Jakarta': 'WIB',
+  'Asia/Makassar': 'WITA',
+  'Asia/Jayapura': 'WIT'
+};
+
+/**
+ * Validate and normalize export query options
+ * @param {Object} query - Request query ({ format, lang, timezone })
+ * @returns {Object} Export options ({ format, lang, timezone })
+ */
+export const parseExportOptions = ({ format = 'csv', lang = 'id', timezone = DEFAULT_EXPORT_TIMEZONE } = {}) => {
+  const errors = [];
+  const normalizedFormat = String(format).toLowerCase();
+  const normalizedLang = String(lang).toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(normalizedFormat)) {
+    errors.push(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  if (!EXPORT_LANGUAGES.includes(normalizedLang)) {
+    errors.push(`lang must be one of ${EXPORT_LANGUAGES.join(', ')}`);
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    errors.push(`timezone ${timezone} is not a valid IANA time zone`);
+  }
+
+  if (errors.length > 0) {
+    const error = new Error('Invalid export options');
+    error.code = 'INVALID_EXPORT_OPTIONS';
+    error.statusCode = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  return { format: normalizedFormat, lang: normalizedLang, timezone };
+};
+
+/**
+ * Create a formatter rendering dates as "YYYY-MM-DD HH:mm:ss" in a time zone
+ * @param {string} timezone - IANA time zone
+ * @returns {Function} Date formatter
+ */
+export const createDateFormatter = (timezone) => {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  return (value) => {
+    if (!value) return '';
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(value)).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+  };
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream rows to an HTTP response as CSV or XLSX
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv or xlsx
+ * @param {string} options.lang - Header language (id or en)
+ * @param {string} options.timezone - Time zone for date columns
+ * @param {string} options.fileName - File name without extension
+ * @param {string} options.sheetName - Worksheet name (XLSX only)
+ * @param {Array<Object>} options.columns - Columns ({ key, type, label: { id, en }, value? })
+ * @param {AsyncIterable<Array>} batches - Row batches
+ * @returns {Promise<number>} Number of exported rows
+ */
+export const streamSpreadsheet = async (res, { format, lang, timezone, fileName, sheetName, columns }, batches) => {
+  const formatDate = createDateFormatter(timezone);
+  const timezoneLabel = TIMEZONE_LABELS[timezone] || timezone;
+
+  const headers = columns.map(column =>
+    column.type === 'datetime' ? `${column.label[lang]} (${timezoneLabel})` : column.label[lang]
+  );
+
+  const toValues = (row) => columns.map(column => {
+    const value = column.value ? column.value(row) : row[column.key];
+    if (column.type === 'datetime') return formatDate(value);
+    return value ?? null;
+  });
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  let count = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false
+    });
+    const worksheet = workbook.addWorksheet(sheetName);
+
+    worksheet.addRow(headers).commit();
+
+    for await (const batch of batches) {
+      // Stop querying once the client has disconnected
+      if (res.destroyed) return count;
+
+      batch.forEach(row => worksheet.addRow(toValues(row)).commit());
+      count += batch.length;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  // A disconnected client never drains, so closing or failing ends the wait too
+  const write = async (chunk) => {
+    if (res.write(chunk) || res.destroyed) return;
+
+    const abort = new AbortController();
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: abort.signal }),
+        once(res, 'close', { signal: abort.signal })
+      ]);
+    } finally {
+      abort.abort();
+    }
+  };
+
+  // UTF-8 BOM so spreadsheet applications detect the encoding
+  await write('\uFEFF' + headers.map(escapeCsv).join(',') + '\r\n');
+
+  for await (const batch of batches) {
+    if (res.destroyed) return count;
+
+    await write(batch.map(row => toValues(row).map(escapeCsv).join(',')).join('\r\n') + (batch.length ? '\r\n' : ''));
+    count += batch.length;
+  }
+
+  if (!res.destroyed) res.end();
+  return count;
+};
@@ -0,0 +1,136 @@
+// Validation helpers for location flood threshold bands
+// Bands are half-open: AMAN [0, amanMax), WASPADA [waspadaMin, waspadaMax),
+// SIAGA [siagaMin, siagaMax), BAHAYA [bahayaMin, ∞). Each band starts where the
+// previous one ends, so every reading, whole or fractional, falls in one band.
+
+export const THRESHOLD_FIELDS = ['amanMax', 'waspadaMin', 'waspadaMax', 'siagaMin', 'siagaMax', 'bahayaMin'];
+
+export const DEFAULT_THRESHOLDS = {
+  amanMax: 80,
+  waspadaMin: 80,
+  waspadaMax: 150,
+  siagaMin: 150,
+  siagaMax: 200,
+  bahayaMin: 200
+};
+
+// Pairs of [previous band max, next band min]
+const BAND_BOUNDARIES = [
+  ['amanMax', 'waspadaMin'],
+  ['waspadaMax', 'siagaMin'],
+  ['siagaMax', 'bahayaMin']
+];
+
+/**
+ * Check whether an object contains any threshold field
+ * @param {Object} data - Input data
+ * @returns {boolean} True if at least one threshold field is present
+ */
+export const hasThresholdFields = (data = {}) =>
+  THRESHOLD_FIELDS.some(field => data[field] !== undefined);
+
+/**
+ * Get the flood status band a water level falls in
+ * @param {number} waterLevel - Water level in cm
+ * @param {Object} thresholds - Threshold values
+ * @returns {string} AMAN, WASPADA, SIAGA or BAHAYA
+ */
+export const classifyWaterLevel = (waterLevel, thresholds) => {
+  if (waterLevel >= thresholds.bahayaMin) return 'BAHAYA';
+  if (waterLevel >= thresholds.siagaMin) return 'SIAGA';
+  if (waterLevel >= thresholds.waspadaMin) return 'WASPADA';
+  return 'AMAN';
+};
+
+/**
+ * Derive each band's min value from the previous band's max
+ * @param {Object} thresholds - Threshold values
+ * @returns {Object} Thresholds with contiguous min values
+ */
+export const autoFillThresholds = (thresholds) => {
+  const filled = { ...thresholds };
+
+  BAND_BOUNDARIES.forEach(([maxField, minField]) => {
+    const max = Number(filled[maxField]);
+    if (filled[maxField] !== undefined && filled[maxField] !== null && !Number.isNaN(max)) {
+      filled[minField] = max;
+    }
+  });
+
+  return filled;
+};
+
+/**
+ * Find every problem in a set of threshold bands
+ * @param {Object} thresholds - Threshold values
+ * @returns {Array<Object>} Problems ({ field, problem, message }), empty when valid
+ */
+export const findThresholdProblems = (thresholds) => {
+  const problems = [];
+
+  THRESHOLD_FIELDS.forEach(field => {
+    const value = thresholds[field];
+    if (value === undefined || value === null || value === '' || Number.isNaN(Number(value))) {
+      problems.push({ field, problem: 'invalid', message: `${field} must be a number` });
+    } else if (Number(value) < 0) {
+      problems.push({ field, problem: 'invalid', message: `${field} must not be negative` });
+    }
+  });
+
+  // Range checks only make sense once every value is a number
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const t = Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, Number(thresholds[field])]));
+
+  [['waspadaMin', 'waspadaMax', 'WASPADA'], ['siagaMin', 'siagaMax', 'SIAGA']].forEach(([minField, maxField, band]) => {
+    if (t[minField] >= t[maxField]) {
+      problems.push({
+        field: minField,
+        problem: 'inverted',
+        message: `${band} band is empty or inverted: ${minField} (${t[minField]}) is not below ${maxField} (${t[maxField]})`
+      });
+    }
+  });
+
+  BAND_BOUNDARIES.forEach(([maxField, minField]) => {
+    if (t[minField] < t[maxField]) {
+      problems.push({
+        field: minField,
+        problem: 'overlap',
+        message: `${minField} (${t[minField]}) overlaps the previous band ending at ${maxField} (${t[maxField]})`
+      });
+    } else if (t[minField] > t[maxField]) {
+      problems.push({
+        field: minField,
+        problem: 'gap',
+        message: `Gap between ${maxField} (${t[maxField]}) and ${minField} (${t[minField]}); expected ${minField} to be ${t[maxField]}`
+      });
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Validate threshold bands and throw a structured 422 error when invalid
+ * @param {Object} thresholds - Threshold values
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.autoFill] - Derive min values from the previous band's max first
+ * @returns {Object} Normalized numeric thresholds
+ */
+export const validateThresholds = (thresholds, { autoFill = false } = {}) => {
+  const candidate = autoFill ? autoFillThresholds(thresholds) : thresholds;
+  const problems = findThresholdProblems(candidate);
+
+  if (problems.length > 0) {
+    const error = new Error('Invalid threshold bands');
+    error.code = 'INVALID_THRESHOLDS';
+    error.statusCode = 422;
+    error.details = problems;
+    throw error;
+  }
+
+  return Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, Number(candidate[field])]));
+};
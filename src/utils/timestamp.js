@@ -0,0 +1,26 @@
+// Timestamp parsing shared by MQTT ingestion and bulk imports
+
+/**
+ * Parse a timestamp (ISO string, "YYYY-MM-DD HH:mm:ss" or Unix seconds/milliseconds)
+ * @param {*} value - Raw value
+ * @param {string} utcOffset - Offset for timestamps without one (e.g. +07:00)
+ * @returns {Date|null} Parsed date or null
+ */
+export const parseTimestamp = (value, utcOffset) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  let date;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    // Values below 1e12 are Unix seconds
+    date = new Date(number < 1e12 ? Math.round(number * 1000) : number);
+  } else {
+    const iso = text.replace(' ', 'T');
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(iso);
+    date = new Date(hasOffset || !iso.includes('T') ? iso : `${iso}${utcOffset}`);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calibrationService } from '../../src/services/calibration.service.js';
+
+test('the invert flag is parsed strictly', () => {
+  assert.deepEqual(calibrationService.validateCalibration({ invert: 'false' }), { invert: false });
+  assert.deepEqual(calibrationService.validateCalibration({ invert: true, scaleFactor: '2' }), { invert: true, scaleFactor: 2 });
+
+  for (const invert of ['0', 'no', 1, null]) {
+    assert.throws(
+      () => calibrationService.validateCalibration({ invert }),
+      { code: 'INVALID_CALIBRATION', message: 'invert must be true or false' },
+      String(invert)
+    );
+  }
+});
+
+test('reprocess options need a boolean flag and an ordered range', () => {
+  assert.deepEqual(calibrationService.validateReprocessOptions({ reprocess: 'TRUE', from: '2026-01-01T00:00:00Z' }), {
+    reprocess: true,
+    from: new Date('2026-01-01T00:00:00Z'),
+    to: null
+  });
+  assert.equal(calibrationService.validateReprocessOptions().reprocess, false);
+
+  assert.throws(
+    () => calibrationService.validateReprocessOptions({ reprocess: 'yes', from: '2026-02-01', to: '2026-01-01' }),
+    { code: 'INVALID_REPROCESS_OPTIONS', details: ['reprocess must be true or false'] }
+  );
+  assert.throws(
+    () => calibrationService.validateReprocessOptions({ reprocess: true, from: '2026-02-01', to: '2026-01-01' }),
+    { details: ['from must not be later than to'] }
+  );
+});
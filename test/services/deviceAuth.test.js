@@ -0,0 +1,85 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deviceAuthService, signMessage } from '../../src/services/deviceAuth.service.js';
+import { deviceAuthRepository } from '../../src/repositories/deviceAuth.repository.js';
+
+const KEY = 'a'.repeat(64);
+const PREVIOUS_KEY = 'b'.repeat(64);
+const TOPIC = 'binatra-device/D1/sensor';
+const NOW = new Date('2026-01-01T00:00:00Z');
+const TS = NOW.getTime() / 1000;
+const PAYLOAD = Buffer.from('{"waterlevel":12}');
+
+const devices = {
+  D1: { code: 'D1', authKey: KEY, previousAuthKey: PREVIOUS_KEY, previousAuthKeyExpiresAt: new Date('2026-01-02T00:00:00Z') },
+  D2: { code: 'D2', authKey: null }
+};
+
+const signed = (overrides = {}) => ({
+  ts: TS,
+  sig: signMessage(KEY, TOPIC, TS, PAYLOAD),
+  payload: PAYLOAD,
+  ...overrides
+});
+
+beforeEach(() => {
+  deviceAuthRepository.findCredentials = async (code) => devices[code] || null;
+  deviceAuthService.cache.clear();
+  deviceAuthService.seenSignatures.clear();
+});
+
+test('a message signed with the current or the previous key verifies once', async () => {
+  assert.deepEqual(await deviceAuthService.verify('D1', TOPIC, signed(), NOW), { valid: true, reason: null });
+
+  const previous = signed({ ts: TS + 1, sig: signMessage(PREVIOUS_KEY, TOPIC, TS + 1, PAYLOAD) });
+  assert.equal((await deviceAuthService.verify('D1', TOPIC, previous, NOW)).valid, true);
+
+  assert.deepEqual(await deviceAuthService.verify('D1', TOPIC, signed(), NOW), { valid: false, reason: 'REPLAYED_SIGNATURE' });
+});
+
+test('a replay with the signature in another case or with a suffix is rejected', async () => {
+  const message = signed();
+  await deviceAuthService.verify('D1', TOPIC, message, NOW);
+
+  for (const sig of [message.sig.toUpperCase(), `${message.sig}zz`, `${message.sig}00`, message.sig.slice(0, 62)]) {
+    const result = await deviceAuthService.verify('D1', TOPIC, { ...message, sig }, NOW);
+    assert.deepEqual(result, { valid: false, reason: 'MALFORMED_SIGNATURE' }, sig);
+  }
+});
+
+test('a signature over another topic, payload or time is invalid', async () => {
+  const sig = signMessage(KEY, TOPIC, TS, PAYLOAD);
+
+  assert.equal((await deviceAuthService.verify('D1', 'binatra-device/D2/sensor', signed({ sig }), NOW)).reason, 'INVALID_SIGNATURE');
+  assert.equal((await deviceAuthService.verify('D1', TOPIC, signed({ sig, payload: Buffer.from('{}') }), NOW)).reason, 'INVALID_SIGNATURE');
+  assert.equal((await deviceAuthService.verify('D1', TOPIC, signed({ sig, ts: TS + 1 }), NOW)).reason, 'INVALID_SIGNATURE');
+});
+
+test('expired keys, old signatures and unknown devices are rejected', async () => {
+  const later = new Date('2026-01-03T00:00:00Z');
+  const laterTs = later.getTime() / 1000;
+  const previous = signed({ ts: laterTs, sig: signMessage(PREVIOUS_KEY, TOPIC, laterTs, PAYLOAD) });
+
+  assert.equal((await deviceAuthService.verify('D1', TOPIC, previous, later)).reason, 'INVALID_SIGNATURE');
+  assert.equal((await deviceAuthService.verify('D1', TOPIC, signed({ ts: TS - 3600 }), NOW)).reason, 'EXPIRED_SIGNATURE');
+  assert.equal((await deviceAuthService.verify('D2', TOPIC, signed(), NOW)).reason, 'NO_DEVICE_KEY');
+  assert.equal((await deviceAuthService.verify('D9', TOPIC, signed(), NOW)).reason, 'UNKNOWN_DEVICE');
+});
+
+test('envelopes carry the signature and the inner payload bytes', () => {
+  const inner = Buffer.from([0xA1, 0x61, 0x77, 0x01]);
+  const envelope = Buffer.from(JSON.stringify({
+    deviceCode: 'D1',
+    ts: TS,
+    payload: inner.toString('base64'),
+    encoding: 'base64',
+    sig: 'ab'
+  }));
+
+  assert.deepEqual(deviceAuthService.extractSignedMessage(envelope), { deviceCode: 'D1', ts: TS, sig: 'ab', payload: inner });
+  assert.equal(deviceAuthService.extractSignedMessage(Buffer.from('{"waterlevel":1}')), null);
+  assert.deepEqual(
+    deviceAuthService.extractSignedMessage(PAYLOAD, { userProperties: { sig: 'ab', ts: String(TS), device: 'D1' } }),
+    { deviceCode: 'D1', ts: TS, sig: 'ab', payload: PAYLOAD }
+  );
+});
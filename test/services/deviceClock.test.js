@@ -0,0 +1,115 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deviceClockService } from '../../src/services/deviceClock.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const NOW = new Date('2026-04-01T06:00:00Z');
+
+// Minutes after NOW
+const at = (minutes) => new Date(NOW.getTime() + minutes * MINUTE_MS);
+const iso = (minutes) => at(minutes).toISOString();
+
+beforeEach(() => {
+  deviceClockService.skews.clear();
+  deviceClockService.lags.clear();
+  deviceClockService.latestReadings.clear();
+});
+
+test('readings without a usable timestamp take the server time', () => {
+  const missing = deviceClockService.resolveTimestamp('D1', { waterlevel: 10 }, NOW);
+  assert.equal(missing.source, 'server');
+  assert.deepEqual(missing.timestamp, NOW);
+  assert.equal(missing.rejectedReason, null);
+
+  const invalid = deviceClockService.resolveTimestamp('D1', { ts: 'soon' }, NOW);
+  assert.equal(invalid.source, 'server');
+  assert.equal(invalid.rejectedReason, 'Invalid ts "soon"');
+
+  const future = deviceClockService.resolveTimestamp('D1', { timestamp: iso(60), sentAt: iso(0) }, NOW);
+  assert.equal(future.source, 'server');
+  assert.equal(future.rejectedReason, `Timestamp ${iso(60)} is in the future`);
+});
+
+test('sentAt measures the skew, which later readings without it reuse while they agree', () => {
+  const measured = deviceClockService.resolveTimestamp('D1', { timestamp: iso(-10), sentAt: iso(-10) }, NOW);
+  assert.equal(measured.skewMs, 10 * MINUTE_MS);
+  assert.deepEqual(measured.timestamp, NOW);
+  assert.equal(measured.late, false);
+
+  const reused = deviceClockService.resolveTimestamp('D1', { timestamp: iso(-5) }, at(5));
+  assert.equal(reused.skewMs, 10 * MINUTE_MS);
+  assert.deepEqual(reused.timestamp, at(5));
+});
+
+test('a cached skew is dropped once a reading disagrees with it', () => {
+  deviceClockService.resolveTimestamp('D1', { timestamp: iso(-10), sentAt: iso(-10) }, NOW);
+
+  // The clock was resynced, so its timestamps are right again
+  const resynced = deviceClockService.resolveTimestamp('D1', { timestamp: iso(5) }, at(5));
+  assert.equal(resynced.skewMs, 0);
+  assert.deepEqual(resynced.timestamp, at(5));
+  assert.equal(deviceClockService.skews.has('D1'), false);
+
+  // A clock set ahead is measured again from the next reading
+  const ahead = deviceClockService.resolveTimestamp('D1', { timestamp: iso(16) }, at(6));
+  assert.equal(ahead.skewMs, -10 * MINUTE_MS);
+  assert.deepEqual(ahead.timestamp, at(6));
+});
+
+test('an old reading without sentAt is a late replay, not clock skew', () => {
+  deviceClockService.resolveTimestamp('D1', { timestamp: iso(0) }, NOW);
+
+  const replay = deviceClockService.resolveTimestamp('D1', { timestamp: iso(-30) }, at(1));
+  assert.equal(replay.skewMs, 0);
+  assert.deepEqual(replay.timestamp, at(-30));
+  assert.equal(replay.late, true);
+  assert.equal(replay.lateByMs, 31 * MINUTE_MS);
+  assert.deepEqual(deviceClockService.latestReadings.get('D1'), NOW);
+});
+
+test('a steady lag over several messages and ten minutes is confirmed as skew', () => {
+  assert.equal(deviceClockService.confirmLag('D1', 15 * MINUTE_MS, at(0)), false);
+  // Entries of the same message count once
+  assert.equal(deviceClockService.confirmLag('D1', 15 * MINUTE_MS, at(0)), false);
+  assert.equal(deviceClockService.confirmLag('D1', 16 * MINUTE_MS, at(5)), false);
+  assert.equal(deviceClockService.confirmLag('D1', 15 * MINUTE_MS, at(10)), true);
+
+  // A different lag starts a new run
+  assert.equal(deviceClockService.confirmLag('D2', 15 * MINUTE_MS, at(0)), false);
+  assert.equal(deviceClockService.confirmLag('D2', 40 * MINUTE_MS, at(5)), false);
+  assert.equal(deviceClockService.lags.get('D2').count, 1);
+
+  const first = deviceClockService.resolveTimestamp('D3', { timestamp: iso(-15) }, NOW);
+  assert.equal(first.skewMs, 0);
+  deviceClockService.resolveTimestamp('D3', { timestamp: iso(-10) }, at(5));
+  const confirmed = deviceClockService.resolveTimestamp('D3', { timestamp: iso(-5) }, at(10));
+  assert.equal(confirmed.skewMs, 15 * MINUTE_MS);
+  assert.deepEqual(confirmed.timestamp, at(10));
+});
+
+test('a batch is resolved oldest first and only its newest entry is live', () => {
+  const results = deviceClockService.resolveBatch('D1', [
+    { ts: iso(0), waterlevel: 12 },
+    { waterlevel: 11 },
+    { ts: iso(-20), waterlevel: 10 },
+    { ts: 'later', waterlevel: 13 }
+  ], NOW);
+
+  assert.deepEqual(results.map(result => [result.index, result.error ?? null]), [
+    [1, 'Reading has no timestamp'],
+    [3, 'Invalid ts "later"'],
+    [2, null],
+    [0, null]
+  ]);
+  assert.deepEqual(results.slice(2).map(result => [result.clock.timestamp, result.clock.late]), [
+    [at(-20), true],
+    [NOW, false]
+  ]);
+});
+
+test('sentAt set on a batch applies to every entry', () => {
+  const results = deviceClockService.resolveBatch('D1', [{ ts: iso(-12) }, { ts: iso(-10) }], NOW, iso(-10));
+
+  assert.deepEqual(results.map(result => result.clock.timestamp), [at(-2), NOW]);
+  assert.ok(results.every(result => result.clock.skewMs === 10 * MINUTE_MS));
+});
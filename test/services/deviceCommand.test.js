@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deviceCommandService } from '../../src/services/deviceCommand.service.js';
+import { deviceConfigService } from '../../src/services/deviceConfig.service.js';
+import { deviceRepository } from '../../src/repositories/device.repository.js';
+import { deviceCommandRepository } from '../../src/repositories/deviceCommand.repository.js';
+
+let created;
+let configChanges;
+
+beforeEach(() => {
+  created = [];
+  configChanges = [];
+
+  deviceRepository.findByCode = async (code) => ({ code, provisioningStatus: 'APPROVED' });
+  deviceCommandRepository.create = async (data) => {
+    created.push(data);
+    return { id: 'C1', status: 'QUEUED', ...data };
+  };
+  deviceConfigService.updateDeviceConfig = async (deviceCode, changes, updatedBy) => {
+    configChanges.push({ deviceCode, changes, updatedBy });
+  };
+});
+
+test('set_report_interval is queued as a command and written to the desired config', async () => {
+  const command = await deviceCommandService.sendCommand('D1', { type: 'set_report_interval', params: { intervalSeconds: '60' } }, 'admin');
+
+  assert.equal(command.status, 'QUEUED');
+  assert.deepEqual(created[0].params, { intervalSeconds: 60 });
+  assert.deepEqual(configChanges, [{ deviceCode: 'D1', changes: { reportIntervalSeconds: 60 }, updatedBy: 'admin' }]);
+});
+
+test('an invalid interval changes neither the config nor the command queue', async () => {
+  await assert.rejects(
+    deviceCommandService.sendCommand('D1', { type: 'set_report_interval', params: { intervalSeconds: 5 } }),
+    { code: 'INVALID_COMMAND_PARAMS', statusCode: 400 }
+  );
+
+  assert.deepEqual(created, []);
+  assert.deepEqual(configChanges, []);
+});
+
+test('other commands leave the device config alone', async () => {
+  await deviceCommandService.sendCommand('D1', { type: 'reboot' });
+
+  assert.equal(created.length, 1);
+  assert.deepEqual(configChanges, []);
+});
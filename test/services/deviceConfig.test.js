@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deviceConfigService } from '../../src/services/deviceConfig.service.js';
+
+test('config changes are flattened and checked per key', () => {
+  assert.deepEqual(
+    deviceConfigService.validateChanges({ reportIntervalSeconds: 60, alarmThresholds: { rainfallMm: 0 } }),
+    { reportIntervalSeconds: 60, 'alarmThresholds.rainfallMm': 0 }
+  );
+
+  // null removes a key or a whole group
+  assert.deepEqual(deviceConfigService.validateChanges({ alarmThresholds: null }), { alarmThresholds: null });
+
+  assert.throws(
+    () => deviceConfigService.validateChanges({ reportIntervalSeconds: 5, alarmThresholds: { waterLevelCm: -1 } }),
+    {
+      code: 'INVALID_DEVICE_CONFIG',
+      details: [
+        'reportIntervalSeconds must be an integer between 10 and 86400',
+        'alarmThresholds.waterLevelCm must be a number >= 0'
+      ]
+    }
+  );
+});
+
+test('keys inherited from Object.prototype are not configurable', () => {
+  for (const key of ['constructor', 'toString', 'hasOwnProperty', 'valueOf']) {
+    for (const value of [null, 60, { a: 1 }]) {
+      assert.throws(
+        () => deviceConfigService.validateChanges({ [key]: value }),
+        { code: 'INVALID_DEVICE_CONFIG' },
+        `${key}: ${JSON.stringify(value)}`
+      );
+    }
+  }
+
+  assert.throws(() => deviceConfigService.validateChanges({}), { code: 'INVALID_DEVICE_CONFIG' });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deviceLivenessService } from '../../src/services/deviceLiveness.service.js';
+
+const at = (seconds) => new Date(Date.UTC(2026, 0, 1) + seconds * 1000);
+
+const learn = (observedIntervalSeconds, gapSeconds) => deviceLivenessService.learnInterval(
+  { lastHeartbeatAt: at(0), observedIntervalSeconds },
+  at(gapSeconds)
+);
+
+test('nothing is learned before the first heartbeat', () => {
+  assert.equal(deviceLivenessService.learnInterval(null, at(60)), undefined);
+  assert.equal(deviceLivenessService.learnInterval({ lastSeen: at(0), lastHeartbeatAt: null }, at(60)), undefined);
+});
+
+test('the first gap becomes the interval, later gaps are averaged in', () => {
+  assert.equal(learn(null, 60), 60);
+  assert.equal(learn(60, 120), 78);
+  assert.equal(learn(60, 30), 51);
+});
+
+test('an outage counts as twice the current interval', () => {
+  assert.equal(learn(60, 3600), learn(60, 120));
+});
+
+test('retransmitted and out-of-order heartbeats are ignored', () => {
+  assert.equal(learn(60, 1), undefined);
+  assert.equal(learn(60, -30), undefined);
+});
+
+test('the learned interval stays within its limits', () => {
+  assert.equal(learn(null, 3), 5);
+  assert.equal(learn(null, 3 * 24 * 60 * 60), 24 * 60 * 60);
+});
+
+test('a device that slowed down is followed within a few heartbeats', () => {
+  let interval = 60;
+
+  for (let i = 0; i < 8; i++) {
+    interval = learn(interval, 300);
+  }
+
+  assert.ok(interval >= 250, `learned ${interval}s`);
+});
+
+test('a configured interval wins over the learned one', () => {
+  const { defaultIntervalSeconds } = deviceLivenessService.getSettings();
+
+  assert.deepEqual(
+    deviceLivenessService.resolveInterval({ observedIntervalSeconds: 90, config: { desired: { heartbeatIntervalSeconds: 30 } } }),
+    { intervalSeconds: 30, source: 'config' }
+  );
+  assert.deepEqual(deviceLivenessService.resolveInterval({ observedIntervalSeconds: 90 }), { intervalSeconds: 90, source: 'learned' });
+  assert.deepEqual(deviceLivenessService.resolveInterval({}), { intervalSeconds: defaultIntervalSeconds, source: 'default' });
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deviceProvisioningService } from '../../src/services/deviceProvisioning.service.js';
+import { sensorRollupService } from '../../src/services/sensorRollup.service.js';
+import { deviceRepository } from '../../src/repositories/device.repository.js';
+import { locationRepository } from '../../src/repositories/location.repository.js';
+import { quarantineRepository } from '../../src/repositories/quarantine.repository.js';
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1) + minutes * 60 * 1000);
+
+let device;
+let held;
+let steps;
+let failRelease;
+
+const heldReading = (id, minutes, waterLevel = 50) => ({
+  id,
+  deviceCode: 'D1',
+  status: 'PENDING',
+  reason: 'DEVICE_PENDING',
+  waterLevel,
+  rainfall: 0,
+  timestamp: at(minutes)
+});
+
+beforeEach(() => {
+  device = { code: 'D1', provisioningStatus: 'PENDING', minWaterLevel: 0, maxWaterLevel: 500, maxRainfall: null };
+  held = [heldReading('Q1', 0), heldReading('Q2', 10), heldReading('Q3', 20, 900)];
+  steps = [];
+  failRelease = false;
+
+  deviceRepository.findByCode = async () => device;
+  deviceRepository.updateProvisioning = async (code, data) => {
+    steps.push('approve');
+    device = { ...device, ...data };
+    // A reading arrives while the device is being approved
+    held.push(heldReading('Q4', 30));
+    return device;
+  };
+  locationRepository.findById = async (id) => ({ id, name: 'Kali Code', device: null });
+  quarantineRepository.findPendingByReason = async () => held.filter(reading => reading.status === 'PENDING' && reading.reason === 'DEVICE_PENDING');
+  quarantineRepository.updateReason = async (id, data) => {
+    Object.assign(held.find(reading => reading.id === id), data);
+  };
+  quarantineRepository.releaseMany = async (entries) => {
+    if (failRelease) throw new Error('Database unavailable');
+    steps.push(`release ${entries.map(entry => entry.quarantineId).join(',')}`);
+    entries.forEach(entry => { held.find(reading => reading.id === entry.quarantineId).status = 'RELEASED'; });
+    return entries.length;
+  };
+  sensorRollupService.refreshDevice = async (code, from, to) => {
+    steps.push(`refresh ${code} ${from.toISOString()} ${to.toISOString()}`);
+    return { hourly: null, daily: null };
+  };
+});
+
+test('a device is approved after its held readings are released, late ones follow', async () => {
+  const result = await deviceProvisioningService.approveDevice('D1', { locationId: 'L1' });
+
+  assert.deepEqual(steps, [
+    'release Q1,Q2',
+    'approve',
+    'release Q4',
+    `refresh D1 ${at(0).toISOString()} ${at(30).toISOString()}`
+  ]);
+  assert.equal(result.released, 3);
+  assert.equal(result.quarantined, 1);
+  assert.equal(held.find(reading => reading.id === 'Q3').reason, 'OUT_OF_RANGE');
+});
+
+test('a failed release leaves the device pending so the approval can be retried', async () => {
+  failRelease = true;
+
+  await assert.rejects(deviceProvisioningService.approveDevice('D1', { locationId: 'L1' }), /Database unavailable/);
+  assert.equal(device.provisioningStatus, 'PENDING');
+  assert.deepEqual(steps, []);
+
+  failRelease = false;
+  const result = await deviceProvisioningService.approveDevice('D1', { locationId: 'L1' });
+
+  assert.equal(device.provisioningStatus, 'APPROVED');
+  assert.equal(result.released, 3);
+});
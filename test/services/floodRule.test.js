@@ -0,0 +1,128 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { floodRuleService } from '../../src/services/floodRule.service.js';
+import { floodRuleRepository } from '../../src/repositories/floodRule.repository.js';
+import { sensorLogRepository } from '../../src/repositories/sensorLog.repository.js';
+
+const NOW = new Date('2026-02-01T12:00:00Z');
+const location = { id: 'L1' };
+
+// Minutes before NOW
+const ago = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+let rules;
+let logs;
+
+const rule = (overrides = {}) => ({
+  id: 'R1',
+  name: 'Rain and rising water',
+  status: 'SIAGA',
+  match: 'ALL',
+  conditions: [],
+  ...overrides
+});
+
+beforeEach(() => {
+  rules = [];
+  logs = [];
+
+  floodRuleRepository.findActiveByLocationId = async () => rules;
+  sensorLogRepository.findRecentReadings = async (deviceCode, since) => logs.filter(log => log.timestamp >= since);
+});
+
+test('isActive only accepts booleans', () => {
+  const base = { name: 'Rule', status: 'SIAGA', conditions: [{ metric: 'rainfall', operator: 'gt', value: 10 }] };
+
+  assert.equal(floodRuleService.validateRule({ ...base, isActive: false }).isActive, false);
+  assert.equal(floodRuleService.validateRule({ ...base, isActive: 'false' }).isActive, false);
+  assert.equal(floodRuleService.validateRule({ ...base, isActive: 'true' }).isActive, true);
+  assert.throws(() => floodRuleService.validateRule({ ...base, isActive: 'no' }), {
+    code: 'INVALID_RULE',
+    details: ['isActive must be true or false']
+  });
+  assert.throws(() => floodRuleService.validateRule({ isActive: {} }, { partial: true }), { code: 'INVALID_RULE' });
+});
+
+test('conditions need a known metric, operator, number and window', () => {
+  assert.throws(
+    () => floodRuleService.validateRule({
+      name: 'Bad',
+      status: 'SIAGA',
+      conditions: [{ metric: 'humidity', operator: 'eq', value: 'x', windowMinutes: 0, aggregate: 'sum' }]
+    }),
+    {
+      code: 'INVALID_RULE',
+      details: [
+        'conditions[0].metric must be one of waterLevel, rainfall',
+        'conditions[0].operator must be one of gt, gte, lt, lte',
+        'conditions[0].value must be a number',
+        'conditions[0].windowMinutes must be an integer of at least 1',
+        'conditions[0].aggregate must be one of all, any, avg, max, min'
+      ]
+    }
+  );
+});
+
+test('a rule fires on the current reading and only raises the status', async () => {
+  rules = [rule({
+    conditions: [
+      { metric: 'rainfall', operator: 'gte', value: 20 },
+      { metric: 'waterLevel', operator: 'gt', value: 150 }
+    ]
+  })];
+
+  const fired = await floodRuleService.evaluate(location, 'D1', { waterLevel: 160, rainfall: 20 }, 'WASPADA', NOW);
+  assert.equal(fired.status, 'SIAGA');
+  assert.equal(fired.firedRule.id, 'R1');
+
+  const notAll = await floodRuleService.evaluate(location, 'D1', { waterLevel: 160, rainfall: 5 }, 'WASPADA', NOW);
+  assert.deepEqual([notAll.status, notAll.firedRule], ['WASPADA', null]);
+
+  const higherBand = await floodRuleService.evaluate(location, 'D1', { waterLevel: 320, rainfall: 30 }, 'BAHAYA', NOW);
+  assert.deepEqual([higherBand.status, higherBand.firedRule], ['BAHAYA', null]);
+});
+
+test('ANY rules fire on one condition, the most severe rule wins', async () => {
+  rules = [
+    rule({ id: 'R1', status: 'WASPADA', match: 'ANY', conditions: [{ metric: 'rainfall', operator: 'gt', value: 10 }] }),
+    rule({ id: 'R2', status: 'BAHAYA', match: 'ANY', conditions: [
+      { metric: 'rainfall', operator: 'gt', value: 50 },
+      { metric: 'waterLevel', operator: 'gt', value: 100 }
+    ] })
+  ];
+
+  const result = await floodRuleService.evaluate(location, 'D1', { waterLevel: 120, rainfall: 15 }, 'AMAN', NOW);
+
+  assert.equal(result.status, 'BAHAYA');
+  assert.equal(result.firedRule.id, 'R2');
+});
+
+test('a sustained condition needs readings covering the whole window', async () => {
+  rules = [rule({ conditions: [{ metric: 'rainfall', operator: 'gte', value: 20, windowMinutes: 60, aggregate: 'all' }] })];
+
+  logs = [55, 40, 20, 0].map(minutes => ({ timestamp: ago(minutes), rainfall: 25 }));
+  assert.equal((await floodRuleService.evaluate(location, 'D1', { rainfall: 25 }, 'AMAN', NOW)).status, 'SIAGA');
+
+  // Rain only for the last 40 minutes
+  logs = [40, 20, 0].map(minutes => ({ timestamp: ago(minutes), rainfall: 25 }));
+  assert.equal((await floodRuleService.evaluate(location, 'D1', { rainfall: 25 }, 'AMAN', NOW)).status, 'AMAN');
+
+  // One dry reading breaks it
+  logs = [55, 40, 20, 0].map(minutes => ({ timestamp: ago(minutes), rainfall: minutes === 20 ? 5 : 25 }));
+  assert.equal((await floodRuleService.evaluate(location, 'D1', { rainfall: 25 }, 'AMAN', NOW)).status, 'AMAN');
+});
+
+test('window aggregates compare the avg, max, min or any reading', () => {
+  const window = [50, 30, 10].map((minutes, i) => ({ timestamp: ago(minutes), waterLevel: [100, 140, 120][i] }));
+  const check = (aggregate, operator, value) =>
+    floodRuleService.evaluateCondition({ metric: 'waterLevel', operator, value, windowMinutes: 60, aggregate }, {}, window, NOW);
+
+  assert.deepEqual(check('avg', 'gte', 120), { satisfied: true, observed: 120 });
+  assert.deepEqual(check('max', 'gt', 140), { satisfied: false, observed: 140 });
+  assert.deepEqual(check('min', 'gte', 100), { satisfied: true, observed: 100 });
+  assert.deepEqual(check('any', 'gt', 130), { satisfied: true, observed: 140 });
+  assert.deepEqual(
+    floodRuleService.evaluateCondition({ metric: 'rainfall', operator: 'gt', value: 1, windowMinutes: 60, aggregate: 'max' }, {}, window, NOW),
+    { satisfied: false, observed: null }
+  );
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { retentionService } from '../../src/services/retention.service.js';
+import { retentionRepository } from '../../src/repositories/retention.repository.js';
+import { sensorRollupService } from '../../src/services/sensorRollup.service.js';
+import { retentionConfig } from '../../src/config/retention.js';
+
+const NOW = new Date('2026-05-01T12:30:00Z');
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+const defaults = { ...retentionConfig };
+
+let rolledUntil;
+let devices;
+let cutoffs;
+let updated;
+
+beforeEach(() => {
+  rolledUntil = new Date('2026-05-01T12:00:00Z');
+  devices = [];
+  cutoffs = {};
+  updated = null;
+  Object.assign(retentionConfig, { rawRetentionDays: 90, rollupRetentionDays: null, telemetryRetentionDays: 90 });
+
+  sensorRollupService.getRolledUntil = async () => rolledUntil;
+  retentionRepository.createRun = async () => ({ id: 'run-1' });
+  retentionRepository.updateRun = async (id, data) => (updated = data);
+  retentionRepository.findDeviceRetention = async () => devices;
+  retentionRepository.findExpiredSensorLogs = async (deviceCode, cutoff) => {
+    cutoffs[deviceCode] = cutoff;
+    return [];
+  };
+  retentionRepository.deleteRollupsBefore = async (cutoff) => {
+    cutoffs.rollups = cutoff;
+    return 0;
+  };
+  retentionRepository.deleteTelemetryBefore = async (cutoff) => {
+    cutoffs.telemetry = cutoff;
+    return 0;
+  };
+});
+
+afterEach(() => {
+  Object.assign(retentionConfig, defaults);
+});
+
+test('cutoffs are aligned to the start of a UTC day', () => {
+  assert.deepEqual(retentionService.getCutoff(30, NOW, rolledUntil), day('2026-04-01'));
+  assert.deepEqual(retentionService.getCutoff(1, new Date('2026-05-01T00:00:00Z'), rolledUntil), day('2026-04-30'));
+});
+
+test('logs are only deleted up to the day the hourly rollups have reached', () => {
+  assert.deepEqual(retentionService.getCutoff(30, NOW, new Date('2026-03-15T18:00:00Z')), day('2026-03-15'));
+});
+
+test('at least one day of raw logs is always kept', () => {
+  assert.deepEqual(retentionService.getCutoff(0, NOW, rolledUntil), day('2026-04-30'));
+  assert.deepEqual(retentionService.getCutoff(-5, NOW, rolledUntil), day('2026-04-30'));
+});
+
+test('each device is pruned with its own retention period, defaulting to the configured one', async () => {
+  devices = [{ code: 'D1', retentionDays: 7 }, { code: 'D2', retentionDays: null }];
+  retentionConfig.rollupRetentionDays = 365;
+
+  await retentionService.runRetention(NOW);
+
+  assert.deepEqual(cutoffs, {
+    D1: day('2026-04-24'),
+    D2: day('2026-01-31'),
+    rollups: day('2025-05-01'),
+    telemetry: new Date('2026-01-31T12:30:00Z')
+  });
+  assert.equal(updated.status, 'SUCCESS');
+});
+
+test('raw logs are kept until the hourly rollups have run once', async () => {
+  rolledUntil = null;
+  devices = [{ code: 'D1', retentionDays: 7 }];
+
+  await retentionService.runRetention(NOW);
+
+  assert.deepEqual(Object.keys(cutoffs), ['telemetry']);
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sensorImportService } from '../../src/services/sensorImport.service.js';
+import { sensorRollupService } from '../../src/services/sensorRollup.service.js';
+import { sensorLogRepository } from '../../src/repositories/sensorLog.repository.js';
+import { deviceRepository } from '../../src/repositories/device.repository.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const devices = {
+  D1: { code: 'D1', minWaterLevel: 0, maxWaterLevel: 500, maxRainfall: null, retentionDays: 30 },
+  D2: { code: 'D2', minWaterLevel: 0, maxWaterLevel: 500, maxRainfall: null, retentionDays: 30 }
+};
+
+let inserted;
+let refreshed;
+
+beforeEach(() => {
+  inserted = [];
+  refreshed = [];
+
+  deviceRepository.findByCode = async (code) => devices[code] || null;
+  sensorLogRepository.findTimestampsBetween = async () => [];
+  sensorLogRepository.createMany = async (rows) => {
+    inserted.push(...rows);
+    return { count: rows.length };
+  };
+  sensorRollupService.refreshDevice = async (deviceCode, from, to) => {
+    refreshed.push({ deviceCode, from: from.toISOString(), to: to.toISOString() });
+    return { hourly: null, daily: null };
+  };
+});
+
+test('CSV fields may be quoted and contain commas, quotes and line breaks', () => {
+  const rows = sensorImportService.parse(
+    '\uFEFFdeviceCode,timestamp,note\r\nD1,2026-01-01 07:00:00,"a, ""b""\nc"\r\n\r\nD2,1767225600,plain'
+  );
+
+  assert.deepEqual(rows, [
+    { deviceCode: 'D1', timestamp: '2026-01-01 07:00:00', note: 'a, "b"\nc', __line: 2 },
+    { deviceCode: 'D2', timestamp: '1767225600', note: 'plain', __line: 5 }
+  ]);
+});
+
+test('CSV rows with a wrong column count and invalid NDJSON lines are reported', () => {
+  assert.deepEqual(sensorImportService.parse('deviceCode,timestamp\nD1'), [
+    { __line: 2, __error: 'Expected 2 columns, got 1' }
+  ]);
+  assert.deepEqual(sensorImportService.parse('{"code":"D1"}\n\n{oops'), [
+    { code: 'D1', __line: 1 },
+    { __line: 3, __error: 'Invalid JSON' }
+  ]);
+  assert.throws(() => sensorImportService.parse('x', 'xlsx'), { code: 'INVALID_IMPORT_OPTIONS' });
+});
+
+test('rows accept MQTT key aliases and local times without an offset', () => {
+  const { reading, errors } = sensorImportService.normalizeRow(
+    { code: ' D1 ', time: '2026-01-01 07:00:00', waterlevel: '12.5', rainfall_mm: '' },
+    '+07:00'
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(reading, {
+    deviceCode: 'D1',
+    timestamp: new Date('2026-01-01T00:00:00Z'),
+    waterLevel: 12.5,
+    rainfall: null
+  });
+});
+
+test('rows without a device, a valid timestamp or any value are invalid', () => {
+  const future = new Date(Date.now() + DAY_MS).toISOString();
+
+  assert.deepEqual(sensorImportService.normalizeRow({ timestamp: 'yesterday', waterLevel: 'high' }, '+07:00').errors, [
+    'deviceCode is required',
+    'timestamp is missing or invalid',
+    'waterLevel must be a number'
+  ]);
+  assert.deepEqual(sensorImportService.normalizeRow({ deviceCode: 'D1', timestamp: future, rain: 1 }, '+07:00').errors, [
+    'timestamp is in the future'
+  ]);
+  assert.deepEqual(sensorImportService.normalizeRow({ deviceCode: 'D1', timestamp: '1767225600' }, '+07:00').errors, [
+    'At least one of rainfall or waterLevel must be provided'
+  ]);
+});
+
+test('readings older than the raw retention period are rejected, the rest refresh their own device', async () => {
+  const recent = new Date(Date.now() - 2 * DAY_MS);
+  const old = new Date(Date.now() - 60 * DAY_MS);
+
+  const report = await sensorImportService.importReadings([
+    { deviceCode: 'D1', timestamp: recent.toISOString(), waterLevel: 10 },
+    { deviceCode: 'D1', timestamp: old.toISOString(), waterLevel: 11 },
+    { deviceCode: 'D2', timestamp: recent.toISOString(), waterLevel: 900 },
+    { deviceCode: 'D2', timestamp: '2026-01-01T00:00:00Z', waterLevel: 12 },
+    { deviceCode: 'D9', timestamp: recent.toISOString(), waterLevel: 12 }
+  ], { calibrate: false });
+
+  assert.equal(report.imported, 1);
+  assert.equal(report.rejected, 3);
+  assert.equal(report.failed, 1);
+  assert.deepEqual(report.errors.map(error => [error.row, error.reason]), [
+    [2, 'BEYOND_RETENTION'],
+    [3, 'OUT_OF_RANGE'],
+    [4, 'BEYOND_RETENTION'],
+    [5, undefined]
+  ]);
+  assert.deepEqual(inserted.map(row => row.timestamp), [recent]);
+  assert.deepEqual(refreshed, [{ deviceCode: 'D1', from: recent.toISOString(), to: recent.toISOString() }]);
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sensorRollupService } from '../../src/services/sensorRollup.service.js';
+import { sensorRollupRepository } from '../../src/repositories/sensorRollup.repository.js';
+import { deviceRepository } from '../../src/repositories/device.repository.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOW = new Date('2026-05-01T12:30:00Z');
+
+// Days before NOW
+const daysAgo = (days, hours = 0) => new Date(NOW.getTime() - days * DAY_MS + hours * HOUR_MS);
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+let oldest;
+let retentionDays;
+let deleted;
+let rebuilt;
+
+beforeEach(() => {
+  oldest = daysAgo(30);
+  retentionDays = 30;
+  deleted = [];
+  rebuilt = [];
+
+  deviceRepository.findByCode = async (code) => ({ code, retentionDays });
+  sensorRollupRepository.findOldestSensorLogTimestamp = async () => oldest;
+  sensorRollupRepository.getCheckpoint = async (level) => ({
+    rolledUntil: level === 'hourly' ? new Date('2026-05-01T12:00:00Z') : day('2026-05-01')
+  });
+  sensorRollupRepository.deleteBuckets = async (level, deviceCode, from, to) => {
+    deleted.push({ level, from: from.toISOString(), to: to.toISOString() });
+    return 0;
+  };
+  sensorRollupRepository.rollupHourly = async (from, to) => {
+    rebuilt.push({ level: 'hourly', from: from.toISOString(), to: to.toISOString() });
+    return 1;
+  };
+  sensorRollupRepository.rollupDaily = async (from, to) => {
+    rebuilt.push({ level: 'daily', from: from.toISOString(), to: to.toISOString() });
+    return 1;
+  };
+});
+
+test('raw coverage starts at the retention cutoff or the oldest log, whichever is later', async () => {
+  assert.deepEqual(await sensorRollupService.getRawCoverageStart('D1', NOW), day('2026-04-01'));
+
+  oldest = daysAgo(10, 5);
+  assert.deepEqual(await sensorRollupService.getRawCoverageStart('D1', NOW), day('2026-04-21'));
+
+  // A released or imported reading older than the retention period does not widen the coverage
+  oldest = daysAgo(200);
+  assert.deepEqual(await sensorRollupService.getRawCoverageStart('D1', NOW), day('2026-04-01'));
+
+  oldest = null;
+  assert.equal(await sensorRollupService.getRawCoverageStart('D1', NOW), null);
+});
+
+// refreshDevice measures the retention period from the current time
+test('a refresh reaching into pruned days only rebuilds buckets with raw coverage', async () => {
+  retentionDays = 3650;
+  oldest = new Date('2026-04-20T08:15:00Z');
+
+  const result = await sensorRollupService.refreshDevice('D1', new Date('2026-01-10T05:00:00Z'), new Date('2026-04-25T10:20:00Z'));
+
+  assert.equal(result.hourly.from, '2026-04-20T00:00:00.000Z');
+  assert.equal(result.daily.from, '2026-04-20T00:00:00.000Z');
+  assert.deepEqual(deleted.map(range => range.from), ['2026-04-20T00:00:00.000Z', '2026-04-20T00:00:00.000Z']);
+  assert.ok(rebuilt.every(range => range.from >= '2026-04-20T00:00:00.000Z'));
+});
+
+test('a refresh entirely before the raw coverage keeps every bucket', async () => {
+  const result = await sensorRollupService.refreshDevice('D1', new Date('2026-01-10T05:00:00Z'));
+
+  assert.deepEqual(result, { hourly: null, daily: null });
+  assert.deepEqual(deleted, []);
+});
+
+test('without raw logs nothing is rebuilt', async () => {
+  oldest = null;
+
+  const result = await sensorRollupService.refreshDevice('D1', new Date('2026-04-25T10:20:00Z'));
+
+  assert.deepEqual(result, { hourly: null, daily: null });
+  assert.deepEqual(deleted, []);
+});
+
+test('the day of a deleted log is rebuilt even when it held the oldest log', async () => {
+  retentionDays = 3650;
+  oldest = null;
+
+  const result = await sensorRollupService.refreshDevice(
+    'D1',
+    new Date('2026-04-25T10:20:00Z'),
+    new Date('2026-04-25T10:20:00Z'),
+    { existing: true }
+  );
+
+  assert.deepEqual(result.hourly, { from: '2026-04-25T10:00:00.000Z', to: '2026-04-25T11:00:00.000Z', rows: 1 });
+  assert.deepEqual(result.daily, { from: '2026-04-25T00:00:00.000Z', to: '2026-04-26T00:00:00.000Z', rows: 1 });
+});
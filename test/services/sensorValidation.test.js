@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sensorValidationService } from '../../src/services/sensorValidation.service.js';
+import { deviceRepository } from '../../src/repositories/device.repository.js';
+import { sensorLogRepository } from '../../src/repositories/sensorLog.repository.js';
+import { quarantineRepository } from '../../src/repositories/quarantine.repository.js';
+import { sensorRollupService } from '../../src/services/sensorRollup.service.js';
+
+const device = { code: 'D1', minWaterLevel: 0, maxWaterLevel: 500, maxRainfall: null, maxWaterLevelDelta: 20, outlierFilter: true };
+
+let quarantined;
+let released;
+let refreshed;
+
+const reading = (overrides = {}) => ({
+  id: 'Q1',
+  deviceCode: 'D1',
+  status: 'PENDING',
+  reason: 'MAX_DELTA_EXCEEDED',
+  waterLevel: 150,
+  rainfall: 0,
+  rawWaterLevel: null,
+  rawRainfall: null,
+  timestamp: new Date(Date.now() - 60 * 1000),
+  ...overrides
+});
+
+beforeEach(() => {
+  quarantined = new Map([['Q1', reading()]]);
+  released = [];
+  refreshed = [];
+
+  sensorRollupService.refreshDevice = async (deviceCode, from) => {
+    refreshed.push({ deviceCode, from });
+  };
+  deviceRepository.findByCode = async () => device;
+  sensorLogRepository.findLatestWaterLevels = async () => [100, 100, 100, 100, 100].map(waterLevel => ({ waterLevel }));
+  quarantineRepository.findById = async (id) => quarantined.get(id) || null;
+  quarantineRepository.findLatestPending = async () => [...quarantined.values()].find(entry => entry.status === 'PENDING') || null;
+
+  // Same PENDING guard as the repository transaction
+  quarantineRepository.releaseMany = async (entries) => {
+    let count = 0;
+    for (const { quarantineId, log } of entries) {
+      const entry = quarantined.get(quarantineId);
+      if (entry?.status !== 'PENDING') continue;
+      quarantined.set(quarantineId, { ...entry, status: 'RELEASED', releasedLogId: log.id });
+      released.push(log);
+      count++;
+    }
+    return count;
+  };
+  quarantineRepository.discard = async (id) => {
+    const entry = quarantined.get(id);
+    if (entry?.status !== 'PENDING') return 0;
+    quarantined.set(id, { ...entry, status: 'DISCARDED' });
+    return 1;
+  };
+});
+
+test('a level shift confirmed by a quarantined reading releases that reading', async () => {
+  const result = await sensorValidationService.validateReading('D1', { waterLevel: 155, rainfall: 0 });
+
+  assert.equal(result.valid, true);
+  assert.equal(quarantined.get('Q1').status, 'RELEASED');
+  assert.equal(released.length, 1);
+  assert.deepEqual(
+    { waterLevel: released[0].waterLevel, timestamp: released[0].timestamp },
+    { waterLevel: 150, timestamp: quarantined.get('Q1').timestamp }
+  );
+  assert.deepEqual(refreshed, [{ deviceCode: 'D1', from: quarantined.get('Q1').timestamp }]);
+});
+
+test('a reading far from the quarantined one stays rejected and releases nothing', async () => {
+  const result = await sensorValidationService.validateReading('D1', { waterLevel: 300, rainfall: 0 });
+
+  assert.deepEqual([result.valid, result.reason], [false, 'MAX_DELTA_EXCEEDED']);
+  assert.equal(quarantined.get('Q1').status, 'PENDING');
+  assert.deepEqual(released, []);
+});
+
+test('a reading released or discarded concurrently is only reviewed once', async () => {
+  // The second request read the reading while it was still pending
+  const findPendingReading = sensorValidationService.findPendingReading;
+  sensorValidationService.findPendingReading = async () => reading();
+
+  try {
+    await sensorValidationService.discardReading('Q1');
+
+    await assert.rejects(sensorValidationService.releaseReading('Q1'), { code: 'QUARANTINE_ALREADY_REVIEWED', statusCode: 409 });
+    await assert.rejects(sensorValidationService.discardReading('Q1'), { code: 'QUARANTINE_ALREADY_REVIEWED', statusCode: 409 });
+    assert.deepEqual(released, []);
+    assert.deepEqual(refreshed, []);
+  } finally {
+    sensorValidationService.findPendingReading = findPendingReading;
+  }
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { locationService } from '../../src/services/location.service.js';
+import { locationRepository } from '../../src/repositories/location.repository.js';
+import { floodRuleRepository } from '../../src/repositories/floodRule.repository.js';
+import { sensorLogRepository } from '../../src/repositories/sensorLog.repository.js';
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date('2026-03-01T00:00:00Z');
+
+// Minutes after START
+const at = (minutes) => new Date(START.getTime() + minutes * MINUTE_MS);
+
+const baseLocation = {
+  id: 'L1',
+  name: 'Kali Code',
+  currentStatus: 'AMAN',
+  waspadaMin: 100,
+  siagaMin: 200,
+  bahayaMin: 300,
+  hysteresisMargin: 0,
+  escalationReadings: 1,
+  deescalationMinutes: 0,
+  riseRateThreshold: null,
+  riseRateWindowMinutes: 10
+};
+
+let location;
+let rules;
+let logs;
+let replaced;
+
+beforeEach(() => {
+  location = { ...baseLocation };
+  rules = [];
+  logs = [];
+  replaced = null;
+
+  locationRepository.findByDeviceCode = async () => location;
+  locationRepository.findLastStatusChangeBefore = async () => null;
+  locationRepository.findStatusChangesAfter = async () => [];
+  locationRepository.replaceStatusHistory = async (locationId, from, to, entries) => {
+    replaced = { from, entries };
+    return { deleted: 0, created: entries.length };
+  };
+  locationRepository.updateCurrentStatus = async () => ({});
+  floodRuleRepository.findActiveByLocationId = async () => rules;
+  sensorLogRepository.findReadingsBetween = async (deviceCode, from, to) =>
+    logs.filter(log => log.timestamp >= from && log.timestamp <= to);
+  sensorLogRepository.getLatestReading = async () => logs[logs.length - 1] || null;
+});
+
+const changes = () => replaced.entries.map(entry => [entry.changedAt.toISOString(), entry.newStatus, entry.notes]);
+
+test('a replay applies the composite rules over the stored rainfall window', async () => {
+  rules = [{
+    id: 'R1',
+    name: 'Heavy rain',
+    status: 'SIAGA',
+    match: 'ALL',
+    conditions: [{ metric: 'rainfall', operator: 'gte', value: 20, windowMinutes: 30, aggregate: 'all' }]
+  }];
+  logs = [0, 10, 20, 30, 40].map(minutes => ({ timestamp: at(minutes), waterLevel: 50, rainfall: 25 }));
+
+  await locationService.recomputeStatusHistory('D1', at(10), at(40), 'Replayed');
+
+  // The rain started at 0, so the 30 minute window is only covered from minute 30
+  assert.deepEqual(changes(), [[at(30).toISOString(), 'SIAGA', 'Replayed; Rule fired: Heavy rain (SIAGA)']]);
+});
+
+test('a replay escalates a rapid rise using the readings before the period', async () => {
+  location.riseRateThreshold = 5;
+  location.escalationReadings = 3;
+  logs = [
+    { timestamp: at(0), waterLevel: 40, rainfall: null },
+    { timestamp: at(5), waterLevel: 70, rainfall: null },
+    { timestamp: at(10), waterLevel: 110, rainfall: null }
+  ];
+
+  await locationService.recomputeStatusHistory('D1', at(10), at(10), 'Replayed');
+
+  // WASPADA band raised one step by the 7 cm/min rise, without the three dwell readings
+  assert.deepEqual(changes(), [[at(10).toISOString(), 'SIAGA', 'Replayed; Rapid rise: 7 cm/min over 10 min (threshold 5 cm/min)']]);
+});
+
+test('without rules or a rise threshold the bands and dwell settings decide alone', async () => {
+  location.escalationReadings = 2;
+  logs = [
+    { timestamp: at(0), waterLevel: 150, rainfall: 0 },
+    { timestamp: at(1), waterLevel: null, rainfall: 3 },
+    { timestamp: at(2), waterLevel: 160, rainfall: 0 },
+    { timestamp: at(3), waterLevel: 20, rainfall: 0 }
+  ];
+
+  await locationService.recomputeStatusHistory('D1', at(0), at(3), 'Replayed');
+
+  assert.deepEqual(changes(), [
+    [at(2).toISOString(), 'WASPADA', 'Replayed'],
+    [at(3).toISOString(), 'AMAN', 'Replayed']
+  ]);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { locationService } from '../../src/services/location.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date('2026-03-01T00:00:00Z');
+
+// Minutes after START
+const at = (minutes) => new Date(START.getTime() + minutes * MINUTE_MS);
+
+const NO_PENDING = { pendingStatus: null, pendingStatusCount: 0, pendingStatusSince: null };
+
+const createLocation = (overrides = {}) => ({
+  id: 'L1',
+  currentStatus: 'AMAN',
+  amanMax: 99,
+  waspadaMin: 100,
+  waspadaMax: 199,
+  siagaMin: 200,
+  siagaMax: 299,
+  bahayaMin: 300,
+  hysteresisMargin: 0,
+  escalationReadings: 1,
+  deescalationMinutes: 0,
+  riseRateThreshold: null,
+  riseRateWindowMinutes: 10,
+  ...NO_PENDING,
+  ...overrides
+});
+
+// Apply a transition like processSensorData persists it
+const apply = (location, transition) => Object.assign(location, { currentStatus: transition.status }, transition.pending);
+
+test('with the default configuration every reading is applied at once', () => {
+  const location = createLocation();
+
+  assert.deepEqual(locationService.resolveStatusTransition(250, location, at(0)), { status: 'SIAGA', pending: NO_PENDING });
+  assert.deepEqual(
+    locationService.resolveStatusTransition(20, createLocation({ currentStatus: 'BAHAYA' }), at(0)),
+    { status: 'AMAN', pending: NO_PENDING }
+  );
+  assert.deepEqual(locationService.resolveStatusTransition(50, location, at(0)), { status: 'AMAN', pending: NO_PENDING });
+});
+
+test('escalation waits for consecutive readings above the band and counts them', () => {
+  const location = createLocation({ escalationReadings: 3 });
+
+  const first = locationService.resolveStatusTransition(120, location, at(0));
+  assert.deepEqual(first, {
+    status: 'AMAN',
+    pending: { pendingStatus: 'WASPADA', pendingStatusCount: 1, pendingStatusSince: at(0) }
+  });
+  apply(location, first);
+
+  // A higher band continues the run and keeps its start
+  const second = locationService.resolveStatusTransition(210, location, at(1));
+  assert.deepEqual(second.pending, { pendingStatus: 'SIAGA', pendingStatusCount: 2, pendingStatusSince: at(0) });
+  apply(location, second);
+
+  assert.deepEqual(locationService.resolveStatusTransition(130, location, at(2)), { status: 'WASPADA', pending: NO_PENDING });
+});
+
+test('a reading back in the current band resets the pending escalation', () => {
+  const location = createLocation({ escalationReadings: 2 });
+
+  apply(location, locationService.resolveStatusTransition(120, location, at(0)));
+  apply(location, locationService.resolveStatusTransition(80, location, at(1)));
+  assert.equal(location.pendingStatus, null);
+
+  const next = locationService.resolveStatusTransition(120, location, at(2));
+  assert.equal(next.status, 'AMAN');
+  assert.deepEqual(next.pending, { pendingStatus: 'WASPADA', pendingStatusCount: 1, pendingStatusSince: at(2) });
+});
+
+test('the hysteresis margin holds the band until the level falls clear of it', () => {
+  const location = createLocation({ currentStatus: 'WASPADA', hysteresisMargin: 10 });
+
+  assert.deepEqual(locationService.resolveStatusTransition(95, location, at(0)), { status: 'WASPADA', pending: NO_PENDING });
+  assert.deepEqual(locationService.resolveStatusTransition(90, location, at(0)), { status: 'WASPADA', pending: NO_PENDING });
+  assert.deepEqual(locationService.resolveStatusTransition(89, location, at(0)), { status: 'AMAN', pending: NO_PENDING });
+});
+
+test('de-escalation waits for the dwell time below the band', () => {
+  const location = createLocation({ currentStatus: 'SIAGA', deescalationMinutes: 15 });
+
+  const first = locationService.resolveStatusTransition(50, location, at(0));
+  assert.deepEqual(first, {
+    status: 'SIAGA',
+    pending: { pendingStatus: 'AMAN', pendingStatusCount: 1, pendingStatusSince: at(0) }
+  });
+  apply(location, first);
+
+  const second = locationService.resolveStatusTransition(150, location, at(10));
+  assert.deepEqual(second, {
+    status: 'SIAGA',
+    pending: { pendingStatus: 'WASPADA', pendingStatusCount: 2, pendingStatusSince: at(0) }
+  });
+  apply(location, second);
+
+  assert.deepEqual(locationService.resolveStatusTransition(150, location, at(15)), { status: 'WASPADA', pending: NO_PENDING });
+});
+
+test('a rapid rise escalates one band without waiting for the dwell readings', async () => {
+  const location = createLocation({ escalationReadings: 3, riseRateThreshold: 5 });
+  const logs = [
+    { timestamp: at(0), waterLevel: 40 },
+    { timestamp: at(5), waterLevel: 70 },
+    { timestamp: at(10), waterLevel: 110 }
+  ];
+
+  const { transition, rapidRise } = await locationService.decideStatus(location, 'D1', { waterLevel: 110 }, at(10), { rules: [], logs });
+
+  assert.deepEqual(transition, { status: 'SIAGA', pending: NO_PENDING });
+  assert.equal(rapidRise.rate, 7);
+  assert.equal(rapidRise.triggered, true);
+});
+
+test('a rise below the threshold or within the current band does not override the dwell', async () => {
+  const logs = [
+    { timestamp: at(0), waterLevel: 90 },
+    { timestamp: at(10), waterLevel: 120 }
+  ];
+
+  const slow = await locationService.decideStatus(
+    createLocation({ escalationReadings: 3, riseRateThreshold: 5 }),
+    'D1',
+    { waterLevel: 120 },
+    at(10),
+    { rules: [], logs }
+  );
+  assert.equal(slow.rapidRise.exceeded, false);
+  assert.equal(slow.transition.status, 'AMAN');
+  assert.equal(slow.transition.pending.pendingStatus, 'WASPADA');
+
+  const held = await locationService.decideStatus(
+    createLocation({ currentStatus: 'BAHAYA', riseRateThreshold: 1 }),
+    'D1',
+    { waterLevel: 320 },
+    at(10),
+    { rules: [], logs: logs.map(log => ({ ...log, waterLevel: log.waterLevel + 200 })) }
+  );
+  assert.equal(held.rapidRise.exceeded, true);
+  assert.equal(held.rapidRise.triggered, false);
+  assert.equal(held.transition.status, 'BAHAYA');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureAvailability } from '../../src/utils/availability.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours after the range start
+const at = (hours) => new Date(Date.UTC(2026, 0, 1) + hours * HOUR_MS);
+
+const range = { from: at(0), to: at(24), since: at(-100), knownFrom: at(-50) };
+
+const change = (hours, previousStatus, newStatus) => ({ changedAt: at(hours), previousStatus, newStatus });
+
+test('time before status recording began is unknown, not up or down', () => {
+  const connected = measureAvailability(
+    { status: 'CONNECTED', transitions: [] },
+    { ...range, knownFrom: at(12) }
+  );
+
+  assert.equal(connected.observedMs, 24 * HOUR_MS);
+  assert.equal(connected.unknownMs, 12 * HOUR_MS);
+  assert.equal(connected.uptimeMs, 12 * HOUR_MS);
+
+  const disconnectedToday = measureAvailability(
+    { status: 'DISCONNECTED', transitions: [] },
+    { ...range, knownFrom: at(30) }
+  );
+
+  assert.equal(disconnectedToday.unknownMs, 24 * HOUR_MS);
+  assert.equal(disconnectedToday.totals.DISCONNECTED, 0);
+  assert.deepEqual(disconnectedToday.outages, []);
+});
+
+test('without any recording the whole range is unknown', () => {
+  const result = measureAvailability({ status: 'DISCONNECTED', transitions: [] }, { ...range, knownFrom: null });
+
+  assert.equal(result.unknownMs, result.observedMs);
+  assert.equal(result.uptimeMs, 0);
+  assert.deepEqual(result.outages, []);
+});
+
+test('the status before the first transition is the one it left', () => {
+  const result = measureAvailability(
+    { status: 'CONNECTED', transitions: [change(6, 'CONNECTED', 'DISCONNECTED'), change(8, 'DISCONNECTED', 'CONNECTED')] },
+    range
+  );
+
+  assert.deepEqual(result.totals, { CONNECTED: 22 * HOUR_MS, LATE: 0, DISCONNECTED: 2 * HOUR_MS });
+  assert.deepEqual(result.outages, [{ start: at(6), end: at(8) }]);
+});
+
+test('late time counts as up', () => {
+  const result = measureAvailability(
+    { status: 'CONNECTED', transitions: [change(10, 'CONNECTED', 'LATE'), change(11, 'LATE', 'CONNECTED')] },
+    range
+  );
+
+  assert.equal(result.totals.LATE, HOUR_MS);
+  assert.equal(result.uptimeMs, 24 * HOUR_MS);
+});
+
+test('an outage that began before the range keeps its start, downtime only counts the range', () => {
+  const result = measureAvailability(
+    {
+      status: 'CONNECTED',
+      lastBefore: change(-2, 'CONNECTED', 'DISCONNECTED'),
+      transitions: [change(1, 'DISCONNECTED', 'CONNECTED')]
+    },
+    range
+  );
+
+  assert.equal(result.totals.DISCONNECTED, HOUR_MS);
+  assert.deepEqual(result.outages, [{ start: at(-2), end: at(1) }]);
+});
+
+test('a device is measured from its approval', () => {
+  const result = measureAvailability(
+    { status: 'DISCONNECTED', transitions: [change(2, 'DISCONNECTED', 'CONNECTED'), change(20, 'CONNECTED', 'DISCONNECTED')] },
+    { ...range, since: at(12) }
+  );
+
+  assert.equal(result.observedMs, 12 * HOUR_MS);
+  assert.equal(result.unknownMs, 0);
+  assert.deepEqual(result.totals, { CONNECTED: 8 * HOUR_MS, LATE: 0, DISCONNECTED: 4 * HOUR_MS });
+  assert.deepEqual(result.outages, [{ start: at(20), end: null }]);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBoolean } from '../../src/utils/boolean.js';
+
+test('booleans and their string forms are parsed', () => {
+  assert.equal(parseBoolean(true), true);
+  assert.equal(parseBoolean(false), false);
+  assert.equal(parseBoolean('true'), true);
+  assert.equal(parseBoolean(' FALSE '), false);
+});
+
+test('anything else is not a boolean', () => {
+  for (const value of ['0', '1', 0, 1, '', 'yes', null, undefined, {}, []]) {
+    assert.equal(parseBoolean(value), undefined, String(value));
+  }
+});
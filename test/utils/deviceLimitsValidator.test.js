@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasDeviceLimitFields, validateDeviceLimits } from '../../src/utils/deviceLimitsValidator.js';
+
+test('only limit fields that are present are returned', () => {
+  assert.deepEqual(validateDeviceLimits({ code: 'A', maxRainfall: '120', outlierFilter: 'false' }), {
+    maxRainfall: 120,
+    outlierFilter: false
+  });
+  assert.equal(hasDeviceLimitFields({ code: 'A' }), false);
+});
+
+test('optional limits accept null to disable them', () => {
+  assert.deepEqual(validateDeviceLimits({ maxWaterLevel: null, maxWaterLevelDelta: null }), {
+    maxWaterLevel: null,
+    maxWaterLevelDelta: null
+  });
+});
+
+test('wrong types and ranges are reported together', () => {
+  assert.throws(
+    () => validateDeviceLimits({ minWaterLevel: null, maxRainfall: 0, maxWaterLevelDelta: 'x', outlierFilter: 1 }),
+    error => error.statusCode === 400 && error.code === 'INVALID_DEVICE_LIMITS' && error.details.length === 4
+  );
+});
+
+test('maximum water level is checked against the current minimum', () => {
+  assert.throws(() => validateDeviceLimits({ maxWaterLevel: 10 }, { minWaterLevel: 20 }), /Invalid device limits/);
+  assert.throws(() => validateDeviceLimits({ minWaterLevel: 300 }, { minWaterLevel: 0, maxWaterLevel: 250 }));
+  assert.deepEqual(validateDeviceLimits({ maxWaterLevel: 400 }, { minWaterLevel: 20 }), { maxWaterLevel: 400 });
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDownloadToken, verifyDownloadToken } from '../../src/utils/firmwareToken.js';
+
+const secret = 'a'.repeat(48);
+const now = new Date('2026-01-01T00:00:00Z');
+const expiresAt = new Date('2026-01-01T00:30:00Z');
+
+test('a token is valid for its image until it expires and names its device', () => {
+  const token = createDownloadToken(secret, 'fw-1', 'DEV.01', expiresAt);
+
+  assert.equal(verifyDownloadToken(secret, 'fw-1', token, now), 'DEV.01');
+  assert.equal(verifyDownloadToken(secret, 'fw-1', token, expiresAt), null);
+});
+
+test('a token is refused for another image, secret or device', () => {
+  const token = createDownloadToken(secret, 'fw-1', 'DEV01', expiresAt);
+
+  assert.equal(verifyDownloadToken(secret, 'fw-2', token, now), null);
+  assert.equal(verifyDownloadToken('b'.repeat(48), 'fw-1', token, now), null);
+  assert.equal(verifyDownloadToken(secret, 'fw-1', token.replace('DEV01', 'DEV02'), now), null);
+});
+
+test('missing or malformed tokens are refused', () => {
+  assert.equal(verifyDownloadToken(secret, 'fw-1', undefined, now), null);
+  assert.equal(verifyDownloadToken(secret, 'fw-1', secret, now), null);
+  assert.equal(verifyDownloadToken(null, 'fw-1', 'DEV01.1767227400.' + '0'.repeat(64), now), null);
+});
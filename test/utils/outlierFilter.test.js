@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkOutlier, median } from '../../src/utils/outlierFilter.js';
+
+test('median of odd and even lists, input left unsorted', () => {
+  const values = [30, 10, 20, 40];
+
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median(values), 25);
+  assert.deepEqual(values, [30, 10, 20, 40]);
+});
+
+test('too few previous readings are not checked', () => {
+  assert.equal(checkOutlier(500, []), null);
+  assert.equal(checkOutlier(500, [100, 100]), null);
+});
+
+test('a steady sensor still allows changes up to the minimum deviation', () => {
+  assert.equal(checkOutlier(130, [100, 100, 100]).outlier, false);
+  assert.deepEqual(checkOutlier(131, [100, 100, 100]), { outlier: true, median: 100, limit: 30, deviation: 31 });
+  assert.equal(checkOutlier(69, [100, 100, 100]).outlier, true);
+});
+
+test('the limit widens with the spread of the previous readings', () => {
+  // median 100, MAD 10, limit 5 × 1.4826 × 10 = 74.13
+  const previous = [100, 120, 80, 110, 90];
+
+  assert.equal(checkOutlier(170, previous).outlier, false);
+  assert.equal(checkOutlier(180, previous).outlier, true);
+  assert.equal(checkOutlier(180, previous).limit.toFixed(2), '74.13');
+});
+
+test('a single earlier spike does not shift the median', () => {
+  const result = checkOutlier(110, [100, 100, 500, 100, 100]);
+
+  assert.equal(result.median, 100);
+  assert.equal(result.outlier, false);
+});
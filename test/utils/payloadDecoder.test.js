@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encode as encodeCbor } from 'cbor-x';
+import { encode as encodeMsgpack } from '@msgpack/msgpack';
+import { decodePayload, detectPayloadEncoding } from '../../src/utils/payloadDecoder.js';
+
+const struct = (deviceCode, readings) => {
+  const code = Buffer.from(deviceCode, 'ascii');
+  const buffer = Buffer.alloc(5 + code.length + readings.length * 8);
+
+  buffer.write('BN', 0, 'ascii');
+  buffer.writeUInt8(1, 2);
+  buffer.writeUInt8(code.length, 3);
+  code.copy(buffer, 4);
+  buffer.writeUInt8(readings.length, 4 + code.length);
+
+  readings.forEach(([timestamp, waterLevel, rainfall], i) => {
+    const offset = 5 + code.length + i * 8;
+    buffer.writeUInt32LE(timestamp, offset);
+    buffer.writeInt16LE(waterLevel, offset + 4);
+    buffer.writeUInt16LE(rainfall, offset + 6);
+  });
+
+  return buffer;
+};
+
+test('encoding is taken from the topic suffix before the payload bytes', () => {
+  const cbor = encodeCbor({ w: 1 });
+
+  assert.equal(detectPayloadEncoding('binatra-device/D1/sensor/msgpack', cbor), 'msgpack');
+  assert.equal(detectPayloadEncoding('binatra-device/D1/sensor/bin', Buffer.from('{}')), 'struct');
+  assert.equal(detectPayloadEncoding('binatra-device/D1/sensor', cbor), 'cbor');
+  assert.equal(detectPayloadEncoding('binatra-device/D1/sensor', struct('', [[0, 1, 1]])), 'struct');
+  assert.equal(detectPayloadEncoding('binatra-device/D1/sensor', Buffer.from('{"waterlevel":1}')), 'json');
+  assert.equal(detectPayloadEncoding('binatra-device/D1/sensor', Buffer.alloc(0)), 'json');
+});
+
+test('a struct reading of zero is kept and not-measured sentinels become null', () => {
+  assert.deepEqual(decodePayload(struct('D1', [[1700000000, 0, 0xFFFF]]), 'struct'), {
+    deviceCode: 'D1',
+    timestamp: 1700000000,
+    waterlevel_cm: 0,
+    rainfall_mm: null
+  });
+
+  assert.deepEqual(decodePayload(struct('', [[0, 0x7FFF, 0]]), 'struct'), {
+    waterlevel_cm: null,
+    rainfall_mm: 0
+  });
+});
+
+test('struct values are scaled from tenths and may be negative', () => {
+  const decoded = decodePayload(struct('D1', [[1700000000, -25, 125], [1700000060, 1234, 5]]), 'struct');
+
+  assert.deepEqual(decoded, {
+    deviceCode: 'D1',
+    readings: [
+      { timestamp: 1700000000, waterlevel_cm: -2.5, rainfall_mm: 12.5 },
+      { timestamp: 1700000060, waterlevel_cm: 123.4, rainfall_mm: 0.5 }
+    ]
+  });
+});
+
+test('truncated or foreign struct payloads are rejected', () => {
+  const valid = struct('D1', [[1700000000, 10, 10]]);
+  const wrongVersion = Buffer.from(valid);
+  wrongVersion.writeUInt8(2, 2);
+
+  assert.throws(() => decodePayload(valid.subarray(0, valid.length - 1), 'struct'), { code: 'PAYLOAD_DECODE_ERROR' });
+  assert.throws(() => decodePayload(wrongVersion, 'struct'), /unsupported version 2/);
+  assert.throws(() => decodePayload(struct('D1', []), 'struct'), { code: 'PAYLOAD_DECODE_ERROR' });
+  assert.throws(() => decodePayload(Buffer.from('XX'), 'struct'), /missing "BN" header/);
+});
+
+test('compact CBOR and MessagePack keys are expanded, zero values included', () => {
+  const compact = { d: 'D1', rs: [{ t: 1700000000, w: 0, r: 0 }] };
+  const expected = { deviceCode: 'D1', readings: [{ timestamp: 1700000000, waterlevel_cm: 0, rainfall_mm: 0 }] };
+
+  assert.deepEqual(decodePayload(encodeCbor(compact), 'cbor'), expected);
+  assert.deepEqual(decodePayload(Buffer.from(encodeMsgpack(compact)), 'msgpack'), expected);
+});
+
+test('scalar and malformed CBOR or MessagePack payloads are rejected', () => {
+  assert.throws(() => decodePayload(encodeCbor(42), 'cbor'), /expected a map or an array/);
+  assert.throws(() => decodePayload(Buffer.from([0xC1]), 'msgpack'), { code: 'PAYLOAD_DECODE_ERROR', encoding: 'msgpack' });
+});
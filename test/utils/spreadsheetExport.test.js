@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { streamSpreadsheet } from '../../src/utils/spreadsheetExport.js';
+
+const options = {
+  format: 'csv',
+  lang: 'en',
+  timezone: 'Asia/Jakarta',
+  fileName: 'readings',
+  sheetName: 'Readings',
+  columns: [
+    { key: 'deviceCode', label: { id: 'Perangkat', en: 'Device' } },
+    { key: 'waterLevel', label: { id: 'Ketinggian', en: 'Water level' } }
+  ]
+};
+
+// Response whose buffer is full after every write; onFull drains, closes or fails it
+const createResponse = (onFull) => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.destroyed = false;
+  res.ended = false;
+  res.status = () => res;
+  res.setHeader = () => {};
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    setImmediate(() => onFull(res));
+    return false;
+  };
+  res.end = () => {
+    res.ended = true;
+  };
+  return res;
+};
+
+const createBatches = (state) => (async function* () {
+  try {
+    for (let index = 0; index < 3; index++) {
+      state.fetched++;
+      yield [{ deviceCode: `D${index}`, waterLevel: index }];
+    }
+  } finally {
+    state.closed = true;
+  }
+})();
+
+test('rows are written after each drain', async () => {
+  const res = createResponse(() => res.emit('drain'));
+  const state = { fetched: 0, closed: false };
+
+  const count = await streamSpreadsheet(res, options, createBatches(state));
+
+  assert.equal(count, 3);
+  assert.equal(res.chunks.join(''), '\uFEFFDevice,Water level\r\nD0,0\r\nD1,1\r\nD2,2\r\n');
+  assert.equal(res.ended, true);
+  assert.equal(res.listenerCount('drain') + res.listenerCount('close'), 0);
+});
+
+test('a client disconnecting while the export waits ends it and stops fetching rows', async () => {
+  const res = createResponse(() => {
+    if (res.chunks.length < 2) return res.emit('drain');
+    res.destroyed = true;
+    res.emit('close');
+  });
+  const state = { fetched: 0, closed: false };
+
+  const count = await streamSpreadsheet(res, options, createBatches(state));
+
+  assert.equal(count, 1);
+  assert.equal(state.fetched, 2);
+  assert.equal(state.closed, true);
+  assert.equal(res.ended, false);
+});
+
+test('a response error while the export waits is thrown', async () => {
+  const res = createResponse(() => res.emit('error', new Error('socket hang up')));
+
+  await assert.rejects(streamSpreadsheet(res, options, createBatches({ fetched: 0 })), { message: 'socket hang up' });
+});
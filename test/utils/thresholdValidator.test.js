@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_THRESHOLDS,
+  autoFillThresholds,
+  classifyWaterLevel,
+  findThresholdProblems,
+  validateThresholds
+} from '../../src/utils/thresholdValidator.js';
+
+test('default thresholds are valid', () => {
+  assert.deepEqual(findThresholdProblems(DEFAULT_THRESHOLDS), []);
+});
+
+test('fractional readings between whole centimetres fall in a band', () => {
+  assert.equal(classifyWaterLevel(79.5, DEFAULT_THRESHOLDS), 'AMAN');
+  assert.equal(classifyWaterLevel(80, DEFAULT_THRESHOLDS), 'WASPADA');
+  assert.equal(classifyWaterLevel(149.9, DEFAULT_THRESHOLDS), 'WASPADA');
+  assert.equal(classifyWaterLevel(150, DEFAULT_THRESHOLDS), 'SIAGA');
+  assert.equal(classifyWaterLevel(199.99, DEFAULT_THRESHOLDS), 'SIAGA');
+  assert.equal(classifyWaterLevel(200, DEFAULT_THRESHOLDS), 'BAHAYA');
+  assert.equal(classifyWaterLevel(0, DEFAULT_THRESHOLDS), 'AMAN');
+});
+
+test('a gap between bands is rejected', () => {
+  const problems = findThresholdProblems({ ...DEFAULT_THRESHOLDS, amanMax: 79 });
+
+  assert.deepEqual(problems.map(problem => [problem.field, problem.problem]), [['waspadaMin', 'gap']]);
+});
+
+test('overlapping bands are rejected', () => {
+  const problems = findThresholdProblems({ ...DEFAULT_THRESHOLDS, waspadaMax: 160 });
+
+  assert.deepEqual(problems.map(problem => [problem.field, problem.problem]), [['siagaMin', 'overlap']]);
+});
+
+test('an empty band is rejected', () => {
+  const problems = findThresholdProblems({ ...DEFAULT_THRESHOLDS, waspadaMax: 80, siagaMin: 80 });
+
+  assert.deepEqual(problems.map(problem => [problem.field, problem.problem]), [['waspadaMin', 'inverted']]);
+});
+
+test('missing and negative values are reported per field', () => {
+  const problems = findThresholdProblems({ ...DEFAULT_THRESHOLDS, amanMax: '', bahayaMin: -1 });
+
+  assert.deepEqual(problems.map(problem => problem.field), ['amanMax', 'bahayaMin']);
+});
+
+test('auto-fill starts each band at the previous band max', () => {
+  const filled = autoFillThresholds({ amanMax: 50, waspadaMax: 100.5, siagaMax: 180 });
+
+  assert.equal(filled.waspadaMin, 50);
+  assert.equal(filled.siagaMin, 100.5);
+  assert.equal(filled.bahayaMin, 180);
+  assert.deepEqual(
+    validateThresholds({ amanMax: '50', waspadaMax: '100.5', siagaMax: 180 }, { autoFill: true }),
+    { amanMax: 50, waspadaMin: 50, waspadaMax: 100.5, siagaMin: 100.5, siagaMax: 180, bahayaMin: 180 }
+  );
+});
+
+test('invalid bands throw a 422 with every problem', () => {
+  assert.throws(
+    () => validateThresholds({ ...DEFAULT_THRESHOLDS, amanMax: 70, waspadaMax: 170 }),
+    error => error.statusCode === 422 && error.code === 'INVALID_THRESHOLDS' && error.details.length === 2
+  );
+});